@@ -1,5 +1,3 @@
-// Audio, Vector functions (subtract, distance, angle), and animations removed from bundle as they are unused
-
 (function () {
   'use strict';
 
@@ -30,7 +28,7 @@
    * @param {String} event - Name of the event.
    * @param {...*} args - Comma separated list of arguments passed to all callbacks.
    */
-  function emit(event, ...args) {
+  function emit$1(event, ...args) {
     (callbacks[event] || []).map(fn => fn(...args));
   }
 
@@ -52,6 +50,16 @@
 
   let canvasEl, context;
 
+  /**
+   * Return the canvas element.
+   * @function getCanvas
+   *
+   * @returns {HTMLCanvasElement} The canvas element for the game.
+   */
+  function getCanvas() {
+    return canvasEl;
+  }
+
   /**
    * Return the context object.
    * @function getContext
@@ -93,11 +101,182 @@
     context = canvasEl.getContext('2d');
     context.imageSmoothingEnabled = false;
 
-    emit('init');
+    emit$1('init');
 
     return { canvas: canvasEl, context };
   }
 
+  /**
+   * An object for drawing sprite sheet animations.
+   *
+   * An animation defines the sequence of frames to use from a sprite sheet. It also defines at what speed the animation should run using `frameRate`.
+   *
+   * Typically you don't create an Animation directly, but rather you would create them from a [SpriteSheet](api/spriteSheet) by passing the `animations` argument.
+   *
+   * ```js
+   * import { SpriteSheet, Animation } from 'kontra';
+   *
+   * let image = new Image();
+   * image.src = 'assets/imgs/character_walk_sheet.png';
+   * image.onload = function() {
+   *   let spriteSheet = SpriteSheet({
+   *     image: image,
+   *     frameWidth: 72,
+   *     frameHeight: 97
+   *   });
+   *
+   *   // you typically wouldn't create an Animation this way
+   *   let animation = Animation({
+   *     spriteSheet: spriteSheet,
+   *     frames: [1,2,3,6],
+   *     frameRate: 30
+   *   });
+   * };
+   * ```
+   * @class Animation
+   *
+   * @param {Object} properties - Properties of the animation.
+   * @param {SpriteSheet} properties.spriteSheet - Sprite sheet for the animation.
+   * @param {Number[]} properties.frames - List of frames of the animation.
+   * @param {Number}  properties.frameRate - Number of frames to display in one second.
+   * @param {Boolean} [properties.loop=true] - If the animation should loop.
+   */
+  class Animation {
+    constructor({spriteSheet, frames, frameRate, loop = true}) {
+
+      /**
+       * The sprite sheet to use for the animation.
+       * @memberof Animation
+       * @property {SpriteSheet} spriteSheet
+       */
+      this.spriteSheet = spriteSheet;
+
+      /**
+       * Sequence of frames to use from the sprite sheet.
+       * @memberof Animation
+       * @property {Number[]} frames
+       */
+      this.frames = frames;
+
+      /**
+       * Number of frames to display per second. Adjusting this value will change the speed of the animation.
+       * @memberof Animation
+       * @property {Number} frameRate
+       */
+      this.frameRate = frameRate;
+
+      /**
+       * If the animation should loop back to the beginning once completed.
+       * @memberof Animation
+       * @property {Boolean} loop
+       */
+      this.loop = loop;
+
+      let { width, height, margin = 0 } = spriteSheet.frame;
+
+      /**
+       * The width of an individual frame. Taken from the [frame width value](api/spriteSheet#frame) of the sprite sheet.
+       * @memberof Animation
+       * @property {Number} width
+       */
+      this.width = width;
+
+      /**
+       * The height of an individual frame. Taken from the [frame height value](api/spriteSheet#frame) of the sprite sheet.
+       * @memberof Animation
+       * @property {Number} height
+       */
+      this.height = height;
+
+      /**
+       * The space between each frame. Taken from the [frame margin value](api/spriteSheet#frame) of the sprite sheet.
+       * @memberof Animation
+       * @property {Number} margin
+       */
+      this.margin = margin;
+
+      // f = frame, a = accumulator
+      this._f = 0;
+      this._a = 0;
+    }
+
+    /**
+     * Clone an animation so it can be used more than once. By default animations passed to [Sprite](api/sprite) will be cloned so no two sprites update the same animation. Otherwise two sprites who shared the same animation would make it update twice as fast.
+     * @memberof Animation
+     * @function clone
+     *
+     * @returns {Animation} A new Animation instance.
+     */
+    clone() {
+      return new Animation(this);
+    }
+
+    /**
+     * Reset an animation to the first frame.
+     * @memberof Animation
+     * @function reset
+     */
+    reset() {
+      this._f = 0;
+      this._a = 0;
+    }
+
+    /**
+     * Update the animation.
+     * @memberof Animation
+     * @function update
+     *
+     * @param {Number} [dt=1/60] - Time since last update.
+     */
+    update(dt = 1/60) {
+
+      // if the animation doesn't loop we stop at the last frame
+      if (!this.loop && this._f == this.frames.length-1) return;
+
+      this._a += dt;
+
+      // update to the next frame if it's time
+      while (this._a * this.frameRate >= 1) {
+        this._f = ++this._f % this.frames.length;
+        this._a -= 1 / this.frameRate;
+      }
+    }
+
+    /**
+     * Draw the current frame of the animation.
+     * @memberof Animation
+     * @function render
+     *
+     * @param {Object} properties - Properties to draw the animation.
+     * @param {Number} properties.x - X position to draw the animation.
+     * @param {Number} properties.y - Y position to draw the animation.
+     * @param {Number} [properties.width] - width of the sprite. Defaults to [Animation.width](api/animation#width).
+     * @param {Number} [properties.height] - height of the sprite. Defaults to [Animation.height](api/animation#height).
+     * @param {CanvasRenderingContext2D} [properties.context] - The context the animation should draw to. Defaults to [core.getContext()](api/core#getContext).
+     */
+    render({x, y, width = this.width, height = this.height, context = getContext()}) {
+
+      // get the row and col of the frame
+      let row = this.frames[this._f] / this.spriteSheet._f | 0;
+      let col = this.frames[this._f] % this.spriteSheet._f | 0;
+
+      context.drawImage(
+        this.spriteSheet.image,
+        col * this.width + (col * 2 + 1) * this.margin,
+        row * this.height + (row * 2 + 1) * this.margin,
+        this.width, this.height,
+        x, y,
+        width, height
+      );
+    }
+  }
+
+  function factory() {
+    return new Animation(...arguments);
+  }
+  factory.prototype = Animation.prototype;
+  factory.class = Animation;
+
   /**
    * A promise based asset loader for loading images, audio, and data files. An `assetLoaded` event is emitted after each asset is fully loaded. The callback for the event is passed the asset and the url to the asset as parameters.
    *
@@ -126,11 +305,13 @@
    */
 
   let imageRegex = /(jpeg|jpg|gif|png)$/;
+  let audioRegex = /(wav|mp3|ogg|aac)$/;
   let leadingSlash = /^\//;
   let trailingSlash = /\/$/;
   let dataMap = new WeakMap();
 
   let imagePath = '';
+  let audioPath = '';
   let dataPath = '';
 
   /**
@@ -185,6 +366,23 @@
     return name.split('/').length == 2 ? name.replace(leadingSlash, '') : name;
   }
 
+  /**
+   * Get browser audio playability.
+   * @see https://github.com/Modernizr/Modernizr/blob/master/feature-detects/audio.js
+   *
+   * @param {HTMLMediaElement} audio - Audio element.
+   *
+   * @returns {object}
+   */
+  function getCanPlay(audio) {
+    return {
+      wav: audio.canPlayType('audio/wav; codecs="1"'),
+      mp3: audio.canPlayType('audio/mpeg;'),
+      ogg: audio.canPlayType('audio/ogg; codecs="vorbis"'),
+      aac: audio.canPlayType('audio/aac;')
+    };
+  }
+
   /**
    * Object of all loaded image assets by both file name and path. If the base [image path](api/assets#setImagePath) was set before the image was loaded, the file name and path will not include the base image path.
    *
@@ -208,6 +406,29 @@
    */
   let imageAssets = {};
 
+  /**
+   * Object of all loaded audio assets by both file name and path. If the base [audio path](api/assets#setAudioPath) was set before the audio was loaded, the file name and path will not include the base audio path.
+   *
+   * ```js
+   * import { load, setAudioPath, audioAssets } from 'kontra';
+   *
+   * load('/audio/music.ogg').then(function() {
+   *   // Audio asset can be accessed by both
+   *   // name: audioAssets['/audio/music']
+   *   // path: audioAssets['/audio/music.ogg']
+   * });
+   *
+   * setAudioPath('/audio');
+   * load('sound.ogg').then(function() {
+   *   // Audio asset can be accessed by both
+   *   // name: audioAssets['sound']
+   *   // path: audioAssets['sound.ogg']
+   * });
+   * ```
+   * @property {{[name: String]: HTMLAudioElement}} audioAssets
+   */
+  let audioAssets = {};
+
   /**
    * Object of all loaded data assets by both file name and path. If the base [data path](api/assets#setDataPath) was set before the data was loaded, the file name and path will not include the base data path.
    *
@@ -296,7 +517,7 @@
       image.onload = function loadImageOnLoad() {
         fullUrl = getUrl(resolvedUrl, window.location.href);
         imageAssets[ getName(url) ] = imageAssets[resolvedUrl] = imageAssets[fullUrl] = this;
-        emit('assetLoaded', this, url);
+        emit$1('assetLoaded', this, url);
         resolve(this);
       };
 
@@ -308,6 +529,68 @@
     });
   }
 
+  /**
+   * Load a single Audio asset. Supports loading multiple audio formats which the loader will use to load the first audio format supported by the browser in the order listed. Uses the base [audio path](api/assets#setAudioPath) to resolve the URL.
+   *
+   * Once loaded, the asset will be accessible on the the [audioAssets](api/assets#audioAssets) property. Since the loader determines which audio asset to load based on browser support, you should only reference the audio by its name and not by its file path since there's no guarantee which asset was loaded.
+   *
+   * ```js
+   * import { loadAudio, audioAssets } from 'kontra';
+   *
+   * loadAudio([
+   *   '/audio/music.mp3',
+   *   '/audio/music.ogg'
+   * ]).then(function(audio) {
+   *
+   *   // access audio by its name only (not by its .mp3 or .ogg path)
+   *   audioAssets['/audio/music'].play();
+   * })
+   * ```
+   * @function loadAudio
+   *
+   * @param {String} url - The URL to the Audio file.
+   *
+   * @returns {Promise<HTMLAudioElement>} A deferred promise. Promise resolves with the Audio.
+   */
+  function loadAudio(url) {
+    return new Promise((resolve, reject) => {
+      let _url = url, audioEl, canPlay, resolvedUrl, fullUrl;
+
+      audioEl = new Audio();
+      canPlay = getCanPlay(audioEl);
+
+      // determine the first audio format the browser can play
+      url = [].concat(url)
+              .reduce((playableSource, source) => playableSource
+                ? playableSource
+                : canPlay[ getExtension(source) ]
+                  ? source
+                  : null
+              , 0);  // 0 is the shortest falsy value
+
+      if (!url) {
+        return reject(/* @ifdef DEBUG */ 'cannot play any of the audio formats provided ' + /* @endif */ _url);
+      }
+
+      resolvedUrl = joinPath(audioPath, url);
+      if (audioAssets[resolvedUrl]) return resolve(audioAssets[resolvedUrl]);
+
+      audioEl.addEventListener('canplay', function loadAudioOnLoad() {
+        fullUrl = getUrl(resolvedUrl, window.location.href);
+        audioAssets[ getName(url) ] = audioAssets[resolvedUrl] = audioAssets[fullUrl] = this;
+        emit$1('assetLoaded', this, url);
+        resolve(this);
+      });
+
+      audioEl.onerror = function loadAudioOnError() {
+        reject(/* @ifdef DEBUG */ 'Unable to load audio ' + /* @endif */ resolvedUrl);
+      };
+
+      audioEl.src = resolvedUrl;
+      audioEl.load();
+    });
+  }
+
   /**
    * Load a single Data asset. Uses the base [data path](api/assets#setDataPath) to resolve the URL.
    *
@@ -343,7 +626,7 @@
       }
 
       dataAssets[ getName(url) ] = dataAssets[resolvedUrl] = dataAssets[fullUrl] = response;
-      emit('assetLoaded', response, url);
+      emit$1('assetLoaded', response, url);
       return response;
     });
   }
@@ -380,6 +663,8 @@
 
         return extension.match(imageRegex)
           ? loadImage(asset)
+          : extension.match(audioRegex)
+            ? loadAudio(asset)
             : loadData(asset);
       })
     );
@@ -394,7 +679,7 @@
    *
    * @returns {{x: Number, y: Number}} The new x and y coordinates after rotation.
    */
-  function rotatePoint(point, angle) {
+  function rotatePoint$1(point, angle) {
     let sin = Math.sin(angle);
     let cos = Math.cos(angle);
     let x = point.x * cos - point.y * sin;
@@ -403,20 +688,6 @@
     return {x, y};
   }
 
-  /**
-   * Return a random integer between a minimum (inclusive) and maximum (inclusive) integer.
-   * @see https://stackoverflow.com/a/1527820/2124254
-   * @function randInt
-   *
-   * @param {Number} min - Min integer.
-   * @param {Number} max - Max integer.
-   *
-   * @returns {Number} Random integer between min and max values.
-   */
-  function randInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
-  }
-
   /**
    * Clamp a number between two values, preventing it from going below or above the minimum and maximum values.
    * @function clamp
@@ -431,6 +702,106 @@
     return Math.min( Math.max(min, value), max );
   }
 
+  /**
+   * Check if a two objects collide. Uses a simple [Axis-Aligned Bounding Box (AABB) collision check](https://developer.mozilla.org/en-US/docs/Games/Techniques/2D_collision_detection#Axis-Aligned_Bounding_Box). Takes into account the sprites [anchor](api/gameObject#anchor) and [scale](api/gameObject#scale).
+   *
+   * **NOTE:** Does not take into account object rotation. If you need collision detection between rotated objects you will need to implement your own `collides()` function. I suggest looking at the Separate Axis Theorem.
+   *
+   *
+   * ```js
+   * import { Sprite, collides } from 'kontra';
+   *
+   * let sprite = Sprite({
+   *   x: 100,
+   *   y: 200,
+   *   width: 20,
+   *   height: 40
+   * });
+   *
+   * let sprite2 = Sprite({
+   *   x: 150,
+   *   y: 200,
+   *   width: 20,
+   *   height: 20
+   * });
+   *
+   * collides(sprite, sprite2);  //=> false
+   *
+   * sprite2.x = 115;
+   *
+   * collides(sprite, sprite2);  //=> true
+   * ```
+   * @function collides
+   *
+   * @param {{x: number, y: number, width: number, height: number}|{world: {x: number, y: number, width: number, height: number}}} obj1 - Object reference.
+   * @param {{x: number, y: number, width: number, height: number}|{world: {x: number, y: number, width: number, height: number}}} obj2 - Object to check collision against.
+   *
+   * @returns {Boolean|null} `true` if the objects collide, `false` otherwise. Will return `null` if the either of the two objects are rotated.
+   */
+  function collides(obj1, obj2) {
+    if (obj1.rotation || obj2.rotation) return null;
+
+    // @ifdef GAMEOBJECT_SCALE||GAMEOBJECT_ANCHOR
+    // destructure results to obj1 and obj2
+    [obj1, obj2] = [obj1, obj2].map(obj => getWorldRect(obj));
+    // @endif
+
+    return obj1.x < obj2.x + obj2.width &&
+           obj1.x + obj1.width > obj2.x &&
+           obj1.y < obj2.y + obj2.height &&
+           obj1.y + obj1.height > obj2.y;
+  }
+
+  /**
+   * Return the world rect of an object. The rect is the world position of the top-left corner of the object and its size. Takes into account the objects anchor and scale.
+   * @function getWorldRect
+   *
+   * @param {{x: number, y: number, width: number, height: number}|{world: {x: number, y: number, width: number, height: number}}|{mapwidth: number, mapheight: number}} obj - Object to get world rect of.
+   *
+   * @returns {{x: number, y: number, width: number, height: number}} The world `x`, `y`, `width`, and `height` of the object.
+   */
+  function getWorldRect(obj) {
+    let {
+      x = 0,
+      y = 0,
+      width,
+      height
+    } = obj.world || obj;
+
+    // take into account tileEngine
+    if (obj.mapwidth) {
+      width = obj.mapwidth;
+      height = obj.mapheight;
+    }
+
+    // @ifdef GAMEOBJECT_ANCHOR
+    // account for anchor
+    if (obj.anchor) {
+      x -= width * obj.anchor.x;
+      y -= height * obj.anchor.y;
+    }
+    // @endif
+
+    // @ifdef GAMEOBJECT_SCALE
+    // account for negative scales
+    if (width < 0) {
+      x += width;
+      width *= -1;
+    }
+    if (height < 0) {
+      y += height;
+      height *= -1;
+    }
+    // @endif
+
+    return {
+      x,
+      y,
+      width,
+      height
+    };
+  }
+
   /**
    * A simple 2d vector object.
    *
@@ -478,6 +849,25 @@
       );
     }
 
+    // @ifdef VECTOR_SUBTRACT
+    /**
+     * Calculate the subtraction of the current vector with the given vector.
+     * @memberof Vector
+     * @function subtract
+     *
+     * @param {Vector|{x: number, y: number}} vector - Vector to subtract from the current Vector.
+     *
+     * @returns {Vector} A new Vector instance whose value is the subtraction of the two vectors.
+     */
+     subtract(vec) {
+      return new Vector(
+        this.x - vec.x,
+        this.y - vec.y,
+        this
+      );
+    }
+    // @endif
+
     // @ifdef VECTOR_SCALE
     /**
      * Calculate the multiple of the current vector by a value.
@@ -541,6 +931,36 @@
     }
     // @endif
 
+    // @ifdef VECTOR_DISTANCE
+    /**
+     * Calculate the distance between the current vector and the given vector.
+     * @memberof Vector
+     * @function distance
+     *
+     * @param {Vector|{x: number, y: number}} vector - Vector to calculate the distance between.
+     *
+     * @returns {Number} The distance between the two vectors.
+     */
+    distance(vec) {
+      return Math.hypot(this.x - vec.x, this.y - vec.y);
+    }
+    // @endif
+
+    // @ifdef VECTOR_ANGLE
+    /**
+     * Calculate the angle (in radians) between the current vector and the given vector. Requires the Vector [dot](api/vector#dot) and [length](api/vector#length) functions.
+     * @memberof Vector
+     * @function angle
+     *
+     * @param {Vector} vector - Vector to calculate the angle between.
+     *
+     * @returns {Number} The angle (in radians) between the two vectors.
+     */
+    angle(vec) {
+      return Math.acos(this.dot(vec) / (this.length() * vec.length()));
+    }
+    // @endif
+
     // @ifdef VECTOR_CLAMP
     /**
      * Clamp the Vector between two points, preventing `x` and `y` from going below or above the minimum and maximum values. Perfect for keeping a sprite from going outside the game boundaries.
@@ -852,6 +1272,24 @@
   // noop function
   let noop = () => {};
 
+  // style used for DOM nodes needed for screen readers
+  let srOnlyStyle = 'position:absolute;width:1px;height:1px;overflow:hidden;';
+
+  // append a node directly after the canvas and as the last
+  // element of other kontra nodes
+  function addToDom(node, canvas) {
+    let container = canvas.parentNode;
+
+    node.setAttribute('data-kontra', '');
+    if (container) {
+      let target = container.querySelector('[data-kontra]:last-of-type') || canvas;
+      container.insertBefore(node, target.nextSibling);
+    }
+    else {
+      document.body.appendChild(node);
+    }
+  }
+
   /**
    * The base class of most renderable classes. Handles things such as position, rotation, anchor, and the update and render life cycle.
    *
@@ -1346,7 +1784,7 @@
       // wr = world rotation
       this._wr = _wr + this.rotation;
 
-      let {x, y} = rotatePoint({x: this.x, y: this.y}, _wr);
+      let {x, y} = rotatePoint$1({x: this.x, y: this.y}, _wr);
       this._wx = x;
       this._wy = y;
       // @endif
@@ -1597,6 +2035,112 @@
       });
     }
 
+    // @ifdef SPRITE_ANIMATION
+    /**
+     * An object of [Animations](api/animation) from a [SpriteSheet](api/spriteSheet) to animate the sprite. Each animation is named so that it can can be used by name for the sprites [playAnimation()](api/sprite#playAnimation) function.
+     *
+     * ```js
+     * import { Sprite, SpriteSheet } from 'kontra';
+     *
+     * let spriteSheet = SpriteSheet({
+     *   // ...
+     *   animations: {
+     *     idle: {
+     *       frames: 1,
+     *       loop: false,
+     *     },
+     *     walk: {
+     *       frames: [1,2,3]
+     *     }
+     *   }
+     * });
+     *
+     * let sprite = Sprite({
+     *   x: 100,
+     *   y: 200,
+     *   animations: spriteSheet.animations
+     * });
+     *
+     * sprite.playAnimation('idle');
+     * ```
+     * @memberof Sprite
+     * @property {{[name: string] : Animation}} animations
+     */
+    get animations() {
+      return this._a;
+    }
+
+    set animations(value) {
+      let prop, firstAnimation;
+      // a = animations
+      this._a = {};
+
+      // clone each animation so no sprite shares an animation
+      for (prop in value) {
+        this._a[prop] = value[prop].clone();
+
+        // default the current animation to the first one in the list
+        firstAnimation = firstAnimation || this._a[prop];
+      }
+
+      /**
+       * The currently playing Animation object if `animations` was passed as an argument.
+       * @memberof Sprite
+       * @property {Animation} currentAnimation
+       */
+      this.currentAnimation = firstAnimation;
+      this.width = this.width || firstAnimation.width;
+      this.height = this.height || firstAnimation.height;
+    }
+
+    /**
+     * Set the currently playing animation of an animation sprite.
+     *
+     * ```js
+     * import { Sprite, SpriteSheet } from 'kontra';
+     *
+     * let spriteSheet = SpriteSheet({
+     *   // ...
+     *   animations: {
+     *     idle: {
+     *       frames: 1
+     *     },
+     *     walk: {
+     *       frames: [1,2,3]
+     *     }
+     *   }
+     * });
+     *
+     * let sprite = Sprite({
+     *   x: 100,
+     *   y: 200,
+     *   animations: spriteSheet.animations
+     * });
+     *
+     * sprite.playAnimation('idle');
+     * ```
+     * @memberof Sprite
+     * @function playAnimation
+     *
+     * @param {String} name - Name of the animation to play.
+     */
+    playAnimation(name) {
+      this.currentAnimation = this.animations[name];
+
+      if (!this.currentAnimation.loop) {
+        this.currentAnimation.reset();
+      }
+    }
+
+    advance(dt) {
+      super.advance(dt);
+
+      if (this.currentAnimation) {
+        this.currentAnimation.update(dt);
+      }
+    }
+    // @endif
+
     draw() {
       // @ifdef SPRITE_IMAGE
       if (this.image) {
@@ -1607,6 +2151,18 @@
       }
       // @endif
 
+      // @ifdef SPRITE_ANIMATION
+      if (this.currentAnimation) {
+        this.currentAnimation.render({
+          x: 0,
+          y: 0,
+          width: this.width,
+          height: this.height,
+          context: this.context
+        });
+      }
+      // @endif
+
       if (this.color) {
         this.context.fillStyle = this.color;
         this.context.fillRect(0, 0, this.width, this.height);
@@ -1895,8 +2451,394 @@
   factory$4.class = Text;
 
   /**
-   * Clear the canvas.
-   */
+   * A simple pointer API. You can use it move the main sprite or respond to a pointer event. Works with both mouse and touch events.
+   *
+   * Pointer events can be added on a global level or on individual sprites or objects. Before an object can receive pointer events, you must tell the pointer which objects to track and the object must haven been rendered to the canvas using `object.render()`.
+   *
+   * After an object is tracked and rendered, you can assign it an `onDown()`, `onUp()`, `onOver()`, or `onOut()` functions which will be called whenever a pointer down, up, over, or out event happens on the object.
+   *
+   * ```js
+   * import { initPointer, track, Sprite } from 'kontra';
+   *
+   * // this function must be called first before pointer
+   * // functions will work
+   * initPointer();
+   *
+   * let sprite = Sprite({
+   *   onDown: function() {
+   *     // handle on down events on the sprite
+   *   },
+   *   onUp: function() {
+   *     // handle on up events on the sprite
+   *   },
+   *   onOver: function() {
+   *     // handle on over events on the sprite
+   *   },
+   *   onOut: function() {
+   *     // handle on out events on the sprite
+   *   }
+   * });
+   *
+   * track(sprite);
+   * sprite.render();
+   * ```
+   *
+   * By default, the pointer is treated as a circle and will check for collisions against objects assuming they are rectangular (have a width and height property).
+   *
+   * If you need to perform a different type of collision detection, assign the object a `collidesWithPointer()` function and it will be called instead. The function is passed the pointer object. Use this function to determine how the pointer circle should collide with the object.
+   *
+   * ```js
+   * import { Sprite } from 'kontra';
+
+   * let sprite = Srite({
+   *   x: 10,
+   *   y: 10,
+   *   radius: 10
+   *   collidesWithPointer: function(pointer) {
+   *     // perform a circle v circle collision test
+   *     let dx = pointer.x - this.x;
+   *     let dy = pointer.y - this.y;
+   *     return Math.sqrt(dx * dx + dy * dy) < this.radius;
+   *   }
+   * });
+   * ```
+   * @sectionName Pointer
+   */
+
+  // save each object as they are rendered to determine which object
+  // is on top when multiple objects are the target of an event.
+  // we'll always use the last frame's object order so we know
+  // the finalized order of all objects, otherwise an object could ask
+  // if it's being hovered when it's rendered first even if other objects
+  // would block it later in the render order
+  let pointers = new WeakMap();
+
+  /**
+   * Begin tracking pointer events for a set of objects. Takes a single object or an array of objects.
+   *
+   * ```js
+   * import { initPointer, track } from 'kontra';
+   *
+   * initPointer();
+   *
+   * track(obj);
+   * track(obj1, obj2);
+   * ```
+   * @function track
+   *
+   * @param {...Object[]} objects - Objects to track.
+   */
+  function track(...objects) {
+    objects.map(object => {
+      let canvas = object.context ? object.context.canvas : getCanvas();
+      let pointer = pointers.get(canvas);
+
+      // @ifdef DEBUG
+      if (!pointer) {
+        throw new ReferenceError('Pointer events not initialized for the objects canvas');
+      }    // @endif
+
+      // override the objects render function to keep track of render
+      // order
+      if (!object._r) {
+        object._r = object.render;
+
+        object.render = function() {
+          pointer._cf.push(this);
+          this._r();
+        };
+
+        pointer._o.push(object);
+      }
+    });
+  }
+
+  /**
+   * An accessible button. Supports screen readers and keyboard navigation using the <kbd>Tab</kbd> key. The button is automatically [tracked](api/pointer#track) by the pointer and accepts all pointer functions, but you will still need to call [initPointer](api/pointer#initPointer) to have pointer events enabled.
+   * @class Button
+   * @extends Sprite
+   *
+   * @param {Object} [properties] - Properties of the button (in addition to all Sprite properties).
+   * @param {Object} [properties.text] - Properties of [Text](api/text) which are used to create the [textNode](api/button#textNode).
+   * @param {Number} [properties.padX=0] - The horizontal padding.
+   * @param {Number} [properties.padY=0] - The vertical padding.
+   * @param {Function} [properties.onEnable] - Function called when the button is enabled.
+   * @param {Function} [properties.onDisable] - Function called when the button is disabled.
+   * @param {Function} [properties.onFocus] - Function called when the button is focused by the keyboard.
+   * @param {Function} [properties.onBlur] - Function called when the button losses focus either by the pointer or keyboard.
+   */
+  class Button extends factory$3.class {
+    /**
+     * @docs docs/api_docs/button.js
+     */
+
+    init({
+      /**
+       * The horizontal padding. This will be added to the width to give the final width of the button.
+       * @memberof Button
+       * @property {Number} padX
+       */
+      padX = 0,
+
+      /**
+       * The vertical padding. This will be added to the height to give the final height of the button.
+       * @memberof Button
+       * @property {Number} padY
+       */
+      padY = 0,
+
+      text,
+      onDown,
+      onUp,
+      ...props
+    } = {}) {
+      super.init({
+        padX,
+        padY,
+        ...props
+      });
+
+      /**
+       * Each Button creates a Text object and adds it as a child. The `text` of the Text object is used as the accessible name of the HTMLButtonElement.
+       * @memberof Button
+       * @property {Text} textNode
+       */
+      this.textNode = factory$4({
+        ...text,
+
+        // ensure the text uses the same context as the button
+        context: this.context
+      });
+
+      // if the user didn't set a width/height or use an image
+      // default to the textNode dimensions
+      if (!this.width) {
+        this.width = this.textNode.width;
+        this.height = this.textNode.height;
+      }
+
+      track(this);
+      this.addChild(this.textNode);
+
+      // od = on down
+      this._od = onDown || noop;
+
+      // ou = on up
+      this._ou = onUp || noop;
+
+      // create an accessible DOM node for screen readers
+      // dn = dom node
+      const button = this._dn = document.createElement('button');
+      button.style = srOnlyStyle;
+      button.textContent = this.text;
+
+      // sync events between the button element and the class
+      button.addEventListener('focus', () => this.focus());
+      button.addEventListener('blur', () => this.blur());
+      button.addEventListener('keydown', (evt) => this._kd(evt));
+      button.addEventListener('keyup', (evt) => this._ku(evt));
+
+      addToDom(button, this.context.canvas);
+
+      this._uw();
+      this._p();
+    }
+
+    /**
+     * The text property of the Text object.
+     * @memberof Button
+     * @property {String} text
+     */
+    get text() {
+      return this.textNode.text;
+    }
+
+    set text(value) {
+      // d = dirty
+      this._d = true;
+      this.textNode.text = value;
+    }
+
+    /**
+     * Clean up the button by removing the HTMLButtonElement from the DOM.
+     * @memberof Button
+     * @function destroy
+     */
+    destroy() {
+      this._dn.remove();
+    }
+
+    _p() {
+      // update DOM node text if it has changed
+      if (this.text !== this._dn.textContent) {
+        this._dn.textContent = this.text;
+      }
+
+      // update width and height (need to prerender the button
+      // first)
+      this.textNode._p();
+
+      let width = this.textNode.width + this.padX * 2;
+      let height = this.textNode.height + this.padY * 2;
+
+      this.width = Math.max(width, this.width);
+      this.height = Math.max(height, this.height);
+      this._uw();
+    }
+
+    render() {
+      if (this._d) {
+        this._p();
+      }
+
+      super.render();
+    }
+
+    /**
+     * Enable the button. Calls [onEnable](api/button#onEnable) if passed.
+     * @memberof Button
+     * @function enable
+     */
+    enable() {
+
+      /**
+       * If the button is disabled.
+       * @memberof Button
+       * @property {Boolean} disabled
+       */
+      this.disabled = this._dn.disabled = false;
+      this.onEnable();
+    }
+
+    /**
+     * Disable the button. A disabled button will not longer render nor respond to pointer and keyboard events. Calls [onDisable](api/button#onDisable) if passed.
+     * @memberof Button
+     * @function disable
+     */
+    disable() {
+      this.disabled = this._dn.disabled = true;
+      this.onDisable();
+    }
+
+    /**
+     * Focus the button. Calls [onFocus](api/button#onFocus) if passed.
+     * @memberof Button
+     * @function focus
+     */
+    focus() {
+      if (!this.disabled) {
+
+        /**
+         * If the button is focused.
+         * @memberof Button
+         * @property {Boolean} focused
+         */
+        this.focused = true;
+        // prevent infinite loop
+        if (document.activeElement != this._dn) this._dn.focus();
+
+        this.onFocus();
+      }
+    }
+
+    /**
+     * Blur the button. Calls [onBlur](api/button#onBlur) if passed.
+     * @memberof Button
+     * @function blur
+     */
+    blur() {
+      this.focused = false;
+      // prevent infinite loop
+      if (document.activeElement == this._dn) this._dn.blur();
+
+      this.onBlur();
+    }
+
+    onOver() {
+      if (!this.disabled) {
+
+        /**
+         * If the button is hovered.
+         * @memberof Button
+         * @property {Boolean} hovered
+         */
+        this.hovered = true;
+      }
+    }
+
+    onOut() {
+      this.hovered = false;
+    }
+
+    /**
+     * Function called when then button is enabled. Override this function to have the button do something when enabled.
+     * @memberof Button
+     * @function onEnable
+     */
+    onEnable() {}
+
+    /**
+     * Function called when then button is disabled. Override this function to have the button do something when disabled.
+     * @memberof Button
+     * @function onDisable
+     */
+    onDisable() {}
+
+    /**
+     * Function called when then button is focused. Override this function to have the button do something when focused.
+     * @memberof Button
+     * @function onFocus
+     */
+    onFocus() {}
+
+    /**
+     * Function called when then button is blurred. Override this function to have the button do something when blurred.
+     * @memberof Button
+     * @function onBlur
+     */
+    onBlur() {}
+
+    onDown() {
+      if (!this.disabled) {
+
+        /**
+         * If the button is pressed.
+         * @memberof Button
+         * @property {Boolean} pressed
+         */
+        this.pressed = true;
+        this._od();
+      }
+    }
+
+    onUp() {
+      if (!this.disabled) {
+        this.pressed = false;
+        this._ou();
+      }
+    }
+
+    // kd = keydown
+    _kd(evt) {
+      // activate button on enter or space
+      if (evt.code == 'Enter' || evt.code == 'Space') {
+        this.onDown();
+      }
+    }
+
+    // kd = keydown
+    _ku(evt) {
+      // activate button on enter or space
+      if (evt.code == 'Enter' || evt.code == 'Space') {
+        this.onUp();
+      }
+    }
+  }
+  Button.prototype;
+
+  /**
+   * Clear the canvas.
+   */
   function clear(context) {
     let canvas = context.canvas;
     context.clearRect(0, 0, canvas.width, canvas.height);
@@ -1994,7 +2936,7 @@
         return;
       }
 
-      emit('tick');
+      emit$1('tick');
       accumulator += dt;
 
       while (accumulator >= delta) {
@@ -2080,266 +3022,3624 @@
     return loop;
   }
 
-  /**
-   * A minimalistic keyboard API. You can use it move the main sprite or respond to a key press.
-   *
-   * ```js
-   * import { initKeys, keyPressed } from 'kontra';
-   *
-   * // this function must be called first before keyboard
-   * // functions will work
-   * initKeys();
-   *
-   * function update() {
-   *   if (keyPressed('left')) {
-   *     // move left
-   *   }
-   * }
-   * ```
-   * @sectionName Keyboard
-   */
-
-  /**
-   * Below is a list of keys that are provided by default. If you need to extend this list, you can use the [keyMap](api/keyboard#keyMap) property.
-   *
-   * - a-z
-   * - 0-9
-   * - enter, esc, space, left, up, right, down
-   * @sectionName Available Keys
-   */
+  let handler = {
+    set(obj, prop, value) {
 
-  let keydownCallbacks = {};
-  let keyupCallbacks = {};
-  let pressedKeys = {};
+      // don't set dirty for private properties
+      if (!prop.startsWith('_')) {
+        obj._d = true;
+      }
 
-  /**
-   * A map of [KeyboardEvent code values](https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/code/code_values) to key names. Add to this object to expand the list of [available keys](api/keyboard#available-keys).
-   *
-   * ```js
-   * import { keyMap, bindKeys } from 'kontra';
-   *
-   * keyMap['ControlRight'] = 'ctrl';
-   *
-   * bindKeys('ctrl', function(e) {
-   *   // handle ctrl key
-   * });
-   * ```
-   * @property {{[key in (String|Number)]: string}} keyMap
-   */
-  let keyMap = {
-    // named keys
-    'Enter': 'enter',
-    'Escape': 'esc',
-    'Space': 'space',
-    'ArrowLeft': 'left',
-    'ArrowUp': 'up',
-    'ArrowRight': 'right',
-    'ArrowDown': 'down'
+      return Reflect.set(obj, prop, value);
+    }
   };
 
-  /**
-   * Call the callback handler of an event.
-   * @param {Function} callback
-   * @param {KeyboardEvent} evt
-   */
-  function call(callback = noop, evt) {
-    if (callback._pd) {
-      evt.preventDefault();
+  let alignment = {
+    start(rtl) {
+      return rtl ? 1 : 0;
+    },
+    center() {
+      return 0.5;
+    },
+    end(rtl) {
+      return rtl ? 0 : 1;
     }
-    callback(evt);
-  }
+  };
 
   /**
-   * Execute a function that corresponds to a keyboard key.
+   * Quickly and easily organize your UI elements into a grid. Works great for auto placing menu options without having to figure out the position for each one. Based on the concept of CSS Grid Layout.
+   * @class Grid
+   * @extends GameObject
    *
-   * @param {KeyboardEvent} evt
+   * @param {Object} [properties] - Properties of the grid manager.
+   * @param {String} [properties.flow='column'] - The flow of the grid.
+   * @param {String} [properties.align='start'] - The vertical alignment of the grid.
+   * @param {String} [properties.justify='start'] - The horizontal alignment of the grid.
+   * @param {Number|Number[]} [properties.colGap=0] - The horizontal gap between each column in the grid.
+   * @param {Number|Number[]} [properties.rowGap=0] - The vertical gap between each row in the grid.
+   * @param {Number} [properties.numCols=1] - The number of columns in the grid. Only applies if the `flow` property is set to `grid`.
+   * @param {String} [properties.dir=''] - The direction of the grid.
+   * @param {{metric: Function, callback: Function}[]} [properties.breakpoints=[]] - How the grid should change based on different metrics.
    */
-  function keydownEventHandler(evt) {
-    let key = keyMap[evt.code];
-    let callback = keydownCallbacks[key];
-    pressedKeys[key] = true;
-    call(callback, evt);
-  }
+  class Grid extends factory$2.class {
+    /**
+     * @docs docs/api_docs/grid.js
+     */
 
-  /**
-   * Set the released key to not being pressed.
-   *
-   * @param {KeyboardEvent} evt
-   */
-  function keyupEventHandler(evt) {
-    let key = keyMap[evt.code];
-    let callback = keyupCallbacks[key];
-    pressedKeys[key] = false;
-    call(callback, evt);
-  }
+    init({
+      /**
+       * How to organize all objects in the grid. Valid values are:
+       *
+       * - `column` - organize into a single column
+       * - `row` - organize into a single row
+       * - `grid` - organize into a grid with [numCols](api/grid#numCols) number of columns
+       * @memberof Grid
+       * @property {String} flow
+       */
+      flow = 'column',
 
-  /**
-   * Reset pressed keys.
+      /**
+       * The vertical alignment of the grid. Valid values are:
+       *
+       * - `start` - align to the top of row
+       * - `center` - align to the center of the row
+       * - `end` - align to the the bottom of the row
+       *
+       * Additionally, each child of the grid can use the `alignSelf` property to change it's alignment in the grid.
+       * @memberof Grid
+       * @property {String} align
+       */
+      align = 'start',
+
+      /**
+       * The horizontal alignment of the grid. Valid values are:
+       *
+       * - `start` - align to the left of column
+       * - `center` - align to the center of the column
+       * - `end` - align to the the right of the column
+       *
+       * If the [dir](api/grid#dir) property is set to `rtl`, then `start` and `end` are reversed.
+       *
+       * Additionally, each child of the grid can use the `justifySelf` property to change it's alignment in the grid.
+       * @memberof Grid
+       * @property {String} justify
+       */
+      justify = 'start',
+
+      /**
+       * The horizontal gap between each column in the grid.
+       *
+       * An array of numbers means the grid will set the gap between columns using the order of the array. For example, if the gap is set to be `[10, 5]`, then every odd column gap with use 10 and every even column gap will use 5.
+       * @memberof Grid
+       * @property {Number|Number[]} colGap
+       */
+      colGap = 0,
+
+       /**
+       * The vertical gap between each row in the grid.
+       *
+       * An array of numbers means the grid will set the gap between rows using the order of the array. For example, if the gap is set to be `[10, 5]`, then every odd row gap with use 10 and every even row gap will use 5.
+       * @memberof Grid
+       * @property {Number|Number[]} rowGap
+       */
+      rowGap = 0,
+
+      /**
+       * The number of columns in the grid. Only applies if the [flow](api/grid#flow) property is set to `grid`.
+       * @memberof Grid
+       * @property {Number} numCols
+       */
+      numCols = 1,
+
+      /**
+       * The direction of the grid. Defaults to organizing the grid objects left-to-right, but if set to `rtl` then the grid is organized right-to-left.
+       *
+       * When determining the direction of the grid, the canvas `dir` attribute is also taken into account. Setting the attribute to `rtl` is equivalent to setting the `dir` property to `rtl`. The `dir` property is used instead of the canvas attribute if both are set.
+       * @memberof Grid
+       * @property {String} dir
+       */
+      dir = '',
+
+      /**
+       * How the grid should change based on different metrics. Based on the concept of CSS Media Queries so you can update how the grid organizes the objects when things change (such as the scale).
+       *
+       * Each object in the array uses the `metric()` function to determine when the breakpoint applies and the `callback()` function is called to change any properties of the grid.
+       *
+       * ```js
+       * let { Grid } = kontra;
+       *
+       * let grid = Grid({
+       *   breakpoints: [{
+       *     metric() {
+       *       return this.scaleX < 1
+       *     },
+       *     callback() {
+       *       this.numCols = 1;
+       *     }
+       *   },
+       *   {
+       *     metric() {
+       *       return this.scaleX >= 1
+       *     },
+       *     callback() {
+       *       this.numCols = 2;
+       *     }
+       *   }]
+       * });
+       * ```
+       * @memberof Grid
+       * @property {{metric: Function, callback: Function}[]} breakpoints
+       */
+      breakpoints = [],
+
+      ...props
+    } = {}) {
+      super.init({
+        flow,
+        align,
+        justify,
+        colGap,
+        rowGap,
+        numCols,
+        dir,
+        breakpoints,
+        ...props
+      });
+
+      this._p();
+      return new Proxy(this, handler);
+    }
+
+    addChild(child) {
+      this._d = true;
+      super.addChild(child);
+    }
+
+    removeChild(child) {
+      this._d = true;
+      super.removeChild(child);
+    }
+
+    render() {
+      if (this._d) {
+        this._p();
+      }
+      super.render();
+    }
+
+    /**
+     * Call `destroy()` on all children.
+     * @memberof Grid
+     * @function destroy
+     */
+    destroy() {
+      this.children.map(child => child.destroy && child.destroy());
+    }
+
+    /**
+     * Build the grid and calculate its width and height
+     */
+    _p() {
+      this._d = false;
+
+      this.breakpoints.map(breakpoint => {
+        // b = breakpoint
+        if (breakpoint.metric.call(this) && this._b !== breakpoint) {
+          this._b = breakpoint;
+          breakpoint.callback.call(this);
+        }
+      });
+
+      // g = grid, cw = colWidths, rh = rowHeights
+      let grid = this._g = [];
+      let colWidths = this._cw = [];
+      let rowHeights = this._rh = [];
+      let children = this.children;
+
+      // nc = numCols
+      let numCols = this._nc = this.flow === 'column'
+        ? 1
+        : this.flow === 'row'
+          ? children.length
+          : this.numCols;
+
+      let row = 0;
+      let col = 0;
+      for (let i = 0, child; child = children[i]; i++) {
+        grid[row] = grid[row] || [];
+
+        // prerender child to get current width/height
+        if (child._p) {
+          child._p();
+        }
+
+        rowHeights[row] = Math.max(rowHeights[row] || 0, child.height);
+
+        let spans = child.colSpan || 1;
+        let colSpan = spans;
+        do {
+          colWidths[col] = Math.max(colWidths[col] || 0, child.width / colSpan);
+          grid[row][col] = child;
+        } while (colSpan + col++ <= numCols && --spans);
+
+        if (col >= numCols) {
+          col = 0;
+          row++;
+        }
+      }
+
+      // fill remaining row
+      while (col > 0 && col < numCols) {
+        // add empty array item so we can reverse a row even when it
+        // contains less items than another row
+        grid[row][col++] = false;
+      }
+      let numRows = grid.length;
+
+      let colGap = [].concat(this.colGap);
+      let rowGap = [].concat(this.rowGap);
+
+      this._w = colWidths.reduce((acc, width) => acc += width, 0);
+      for (let i = 0; i < numCols - 1; i++) {
+        this._w += colGap[i % colGap.length];
+      }
+
+      this._h = rowHeights.reduce((acc, height) => acc += height, 0);
+      for (let i = 0; i < numRows - 1; i++) {
+        this._h += rowGap[i % rowGap.length];
+      }
+
+      this._uw();
+
+      // reverse columns. direction property overrides canvas dir
+      let dir = this.context.canvas.dir;
+      let rtl = (dir === 'rtl' && !this.dir) || this.dir === 'rtl';
+      this._rtl = rtl;
+      if (rtl) {
+        this._g = grid.map(row => row.reverse());
+        this._cw = colWidths.reverse();
+        colGap = colGap.reverse();
+      }
+
+      let topLeftY = -this.anchor.y * this.height;
+      let rendered = [];
+
+      this._g.map((gridRow, row) => {
+        let topLeftX = -this.anchor.x * this.width;
+
+        gridRow.map((child, col) => {
+          // don't render the same child multiple times if it uses colSpan
+          if (child && !rendered.includes(child)) {
+            rendered.push(child);
+
+            let justify = alignment[child.justifySelf || this.justify](this._rtl);
+            let align = alignment[child.alignSelf || this.align]();
+
+            let colSpan = child.colSpan || 1;
+            let colWidth = colWidths[col];
+            if (colSpan > 1 && col + colSpan <= this._nc) {
+              for (let i = 1; i < colSpan; i++) {
+                colWidth += colWidths[col + i] + colGap[(col + i) % colGap.length];
+              }
+            }
+
+            let pointX = colWidth * justify;
+            let pointY = rowHeights[row] * align;
+            let anchorX = 0;
+            let anchorY = 0;
+            let { width, height } = child;
+
+            if (child.anchor) {
+              anchorX = child.anchor.x;
+              anchorY = child.anchor.y;
+            }
+
+            // calculate the x position based on the alignment and
+            // anchor of the object
+            if (justify === 0) {
+              pointX = pointX + width * anchorX;
+            }
+            else if (justify === 0.5) {
+              let sign = anchorX < 0.5 ? -1 : anchorX === 0.5 ? 0 : 1;
+              pointX = pointX + sign * width * justify;
+            }
+            else {
+              pointX = pointX - (width * (1 - anchorX));
+            }
+
+            // calculate the y position based on the justification and
+            // anchor of the object
+            if (align === 0) {
+              pointY = pointY + height * anchorY;
+            }
+            else if (align === 0.5) {
+              let sign = anchorY < 0.5 ? -1 : anchorY === 0.5 ? 0 : 1;
+              pointY = pointY + sign * height * align;
+            }
+            else {
+              pointY = pointY - (height * (1 - anchorY));
+            }
+
+            child.x = topLeftX + pointX;
+            child.y = topLeftY + pointY;
+          }
+
+          topLeftX += colWidths[col] + colGap[col % colGap.length];
+        });
+
+        topLeftY += rowHeights[row] + rowGap[row % rowGap.length];
+      });
+    }
+  }
+  Grid.prototype;
+
+  /**
+   * A minimalistic keyboard API. You can use it move the main sprite or respond to a key press.
+   *
+   * ```js
+   * import { initKeys, keyPressed } from 'kontra';
+   *
+   * // this function must be called first before keyboard
+   * // functions will work
+   * initKeys();
+   *
+   * function update() {
+   *   if (keyPressed('left')) {
+   *     // move left
+   *   }
+   * }
+   * ```
+   * @sectionName Keyboard
+   */
+
+  /**
+   * Below is a list of keys that are provided by default. If you need to extend this list, you can use the [keyMap](api/keyboard#keyMap) property.
+   *
+   * - a-z
+   * - 0-9
+   * - enter, esc, space, left, up, right, down
+   * @sectionName Available Keys
+   */
+
+  let keydownCallbacks = {};
+  let keyupCallbacks = {};
+  let pressedKeys = {};
+
+  /**
+   * A map of [KeyboardEvent code values](https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/code/code_values) to key names. Add to this object to expand the list of [available keys](api/keyboard#available-keys).
+   *
+   * ```js
+   * import { keyMap, bindKeys } from 'kontra';
+   *
+   * keyMap['ControlRight'] = 'ctrl';
+   *
+   * bindKeys('ctrl', function(e) {
+   *   // handle ctrl key
+   * });
+   * ```
+   * @property {{[key in (String|Number)]: string}} keyMap
+   */
+  let keyMap = {
+    // named keys
+    'Enter': 'enter',
+    'Escape': 'esc',
+    'Space': 'space',
+    'ArrowLeft': 'left',
+    'ArrowUp': 'up',
+    'ArrowRight': 'right',
+    'ArrowDown': 'down'
+  };
+
+  /**
+   * Call the callback handler of an event.
+   * @param {Function} callback
+   * @param {KeyboardEvent} evt
+   */
+  function call(callback = noop, evt) {
+    if (callback._pd) {
+      evt.preventDefault();
+    }
+    callback(evt);
+  }
+
+  /**
+   * Execute a function that corresponds to a keyboard key.
+   *
+   * @param {KeyboardEvent} evt
+   */
+  function keydownEventHandler(evt) {
+    let key = keyMap[evt.code];
+    let callback = keydownCallbacks[key];
+    pressedKeys[key] = true;
+    call(callback, evt);
+  }
+
+  /**
+   * Set the released key to not being pressed.
+   *
+   * @param {KeyboardEvent} evt
+   */
+  function keyupEventHandler(evt) {
+    let key = keyMap[evt.code];
+    let callback = keyupCallbacks[key];
+    pressedKeys[key] = false;
+    call(callback, evt);
+  }
+
+  /**
+   * Reset pressed keys.
    */
   function blurEventHandler$1() {
     pressedKeys = {};
   }
 
-  /**
-   * Initialize keyboard event listeners. This function must be called before using other keyboard functions.
-   * @function initKeys
-   */
-  function initKeys() {
-    let i;
+  /**
+   * Initialize keyboard event listeners. This function must be called before using other keyboard functions.
+   * @function initKeys
+   */
+  function initKeys() {
+    let i;
+
+    // alpha keys
+    // @see https://stackoverflow.com/a/43095772/2124254
+    for (i = 0; i < 26; i++) {
+      // rollupjs considers this a side-effect (for now), so we'll do it in the
+      // initKeys function
+      keyMap[i + 65] = keyMap['Key' + String.fromCharCode(i + 65)] = String.fromCharCode(i + 97);
+    }
+
+    // numeric keys
+    for (i = 0; i < 10; i++) {
+      keyMap[48+i] = keyMap['Digit'+i] = ''+i;
+    }
+
+    window.addEventListener('keydown', keydownEventHandler);
+    window.addEventListener('keyup', keyupEventHandler);
+    window.addEventListener('blur', blurEventHandler$1);
+  }
+
+  /**
+   * Check if a key is currently pressed. Use during an `update()` function to perform actions each frame.
+   *
+   * ```js
+   * import { Sprite, initKeys, keyPressed } from 'kontra';
+   *
+   * initKeys();
+   *
+   * let sprite = Sprite({
+   *   update: function() {
+   *     if (keyPressed('left')){
+   *       // left arrow pressed
+   *     }
+   *     else if (keyPressed('right')) {
+   *       // right arrow pressed
+   *     }
+   *
+   *     if (keyPressed('up')) {
+   *       // up arrow pressed
+   *     }
+   *     else if (keyPressed('down')) {
+   *       // down arrow pressed
+   *     }
+   *   }
+   * });
+   * ```
+   * @function keyPressed
+   *
+   * @param {String} key - Key to check for pressed state.
+   *
+   * @returns {Boolean} `true` if the key is pressed, `false` otherwise.
+   */
+  function keyPressed(key) {
+    return !!pressedKeys[key];
+  }
+
+  /**
+   * A fast and memory efficient [object pool](https://gameprogrammingpatterns.com/object-pool.html) for sprite reuse. Perfect for particle systems or SHUMPs. The pool starts out with just one object, but will grow in size to accommodate as many objects as are needed.
+   *
+   * <canvas width="600" height="200" id="pool-example"></canvas>
+   * <script src="assets/js/pool.js"></script>
+   * @class Pool
+   *
+   * @param {Object} properties - Properties of the pool.
+   * @param {() => {update: (dt?: number) => void, render: Function, init: (properties?: object) => void, isAlive: () => boolean}} properties.create - Function that returns a new object to be added to the pool when there are no more alive objects.
+   * @param {Number} [properties.maxSize=1024] - The maximum number of objects allowed in the pool. The pool will never grow beyond this size.
+   */
+  class Pool {
+    /**
+     * @docs docs/api_docs/pool.js
+     */
+
+    constructor({create, maxSize = 1024} = {}) {
+
+      // check for the correct structure of the objects added to pools so we know that the
+      // rest of the pool code will work without errors
+      // @ifdef DEBUG
+      let obj;
+      if (!create ||
+          ( !( obj = create() ) ||
+            !( obj.update && obj.init &&
+               obj.isAlive && obj.render)
+         )) {
+        throw Error('Must provide create() function which returns an object with init(), update(), render(), and isAlive() functions');
+      }
+      // @endif
+
+      // c = create
+      this._c = create;
+
+      /**
+       * All objects currently in the pool, both alive and not alive.
+       * @memberof Pool
+       * @property {Object[]} objects
+       */
+      this.objects = [create()]; // start the pool with an object
+
+      /**
+       * The number of alive objects.
+       * @memberof Pool
+       * @property {Number} size
+       */
+      this.size = 0;
+
+      /**
+       * The maximum number of objects allowed in the pool. The pool will never grow beyond this size.
+       * @memberof Pool
+       * @property {Number} maxSize
+       */
+      this.maxSize = maxSize;
+    }
+
+    /**
+     * Get and return an object from the pool. The properties parameter will be passed directly to the objects `init()` function. If you're using a [Sprite](api/sprite), you should also pass the `ttl` property to designate how many frames you want the object to be alive for.
+     *
+     * If you want to control when the sprite is ready for reuse, pass `Infinity` for `ttl`. You'll need to set the sprites `ttl` to `0` when you're ready for the sprite to be reused.
+     *
+     * ```js
+     * // exclude-tablist
+     * let sprite = pool.get({
+     *   // the object will get these properties and values
+     *   x: 100,
+     *   y: 200,
+     *   width: 20,
+     *   height: 40,
+     *   color: 'red',
+     *
+     *   // pass Infinity for ttl to prevent the object from being reused
+     *   // until you set it back to 0
+     *   ttl: Infinity
+     * });
+     * ```
+     * @memberof Pool
+     * @function get
+     *
+     * @param {Object} [properties] - Properties to pass to the objects `init()` function.
+     *
+     * @returns {Object} The newly initialized object.
+     */
+    get(properties = {}) {
+      // the pool is out of objects if the first object is in use and it can't grow
+      if (this.size === this.objects.length) {
+        if (this.size === this.maxSize) {
+          return;
+        }
+        // double the size of the array by adding twice as many new objects to the end
+        else {
+          for (let i = 0; i < this.size && this.objects.length < this.maxSize; i++) {
+            this.objects.push(this._c());
+          }
+        }
+      }
+
+      // save off first object in pool to reassign to last object after unshift
+      let obj = this.objects[this.size];
+      this.size++;
+      obj.init(properties);
+      return obj;
+    }
+
+    /**
+     * Returns an array of all alive objects. Useful if you need to do special processing on all alive objects outside of the pool, such as to add all alive objects to a [Quadtree](api/quadtree).
+     * @memberof Pool
+     * @function getAliveObjects
+     *
+     * @returns {Object[]} An Array of all alive objects.
+     */
+    getAliveObjects() {
+      return this.objects.slice(0, this.size);
+    }
+
+    /**
+     * Clear the object pool. Removes all objects from the pool and resets its [size](api/pool#size) to 1.
+     * @memberof Pool
+     * @function clear
+     */
+    clear() {
+      this.size = this.objects.length = 0;
+      this.objects.push(this._c());
+    }
+
+    /**
+     * Update all alive objects in the pool by calling the objects `update()` function. This function also manages when each object should be recycled, so it is recommended that you do not call the objects `update()` function outside of this function.
+     * @memberof Pool
+     * @function update
+     *
+     * @param {Number} [dt] - Time since last update.
+     */
+    update(dt) {
+      let obj;
+      let doSort = false;
+      for (let i = this.size; i--; ) {
+        obj = this.objects[i];
+
+        obj.update(dt);
+
+        if (!obj.isAlive()) {
+          doSort = true;
+          this.size--;
+        }
+      }
+      // sort all dead elements to the end of the pool
+      if (doSort) {
+        this.objects.sort((a, b) => b.isAlive() - a.isAlive());
+      }
+    }
+
+    /**
+     * Render all alive objects in the pool by calling the objects `render()` function.
+     * @memberof Pool
+     * @function render
+     */
+    render() {
+      for (let i = this.size; i--; ) {
+        this.objects[i].render();
+      }
+    }
+  }
+
+  function factory$7() {
+    return new Pool(...arguments);
+  }
+  factory$7.prototype = Pool.prototype;
+  factory$7.class = Pool;
+
+  /**
+   * Determine which subnodes the object intersects with
+   *
+   * @param {Object} object - Object to check.
+   * @param {{x: number, y: number, width: number, height: number}} bounds - Bounds of the quadtree.
+   *
+   * @returns {Number[]} List of all subnodes object intersects.
+   */
+  function getIndices(object, bounds) {
+    let indices = [];
+
+    let verticalMidpoint = bounds.x + bounds.width / 2;
+    let horizontalMidpoint = bounds.y + bounds.height / 2;
+
+    getWorldRect(object);
+
+    // save off quadrant checks for reuse
+    let intersectsTopQuadrants = object.y < horizontalMidpoint;
+    let intersectsBottomQuadrants = object.y + object.height >= horizontalMidpoint;
+
+    // object intersects with the left quadrants
+    if (object.x < verticalMidpoint) {
+      if (intersectsTopQuadrants) {  // top left
+        indices.push(0);
+      }
+
+      if (intersectsBottomQuadrants) {  // bottom left
+        indices.push(2);
+      }
+    }
+
+    // object intersects with the right quadrants
+    if (object.x + object.width >= verticalMidpoint) {
+      if (intersectsTopQuadrants) {  // top right
+        indices.push(1);
+      }
+
+      if (intersectsBottomQuadrants) {  // bottom right
+        indices.push(3);
+      }
+    }
+
+    return indices;
+  }
+
+  /*
+  The quadtree acts like an object pool in that it will create subnodes as objects are needed but it won't clean up the subnodes when it collapses to avoid garbage collection.
+
+  The quadrant indices are numbered as follows (following a z-order curve):
+       |
+    0  |  1
+   ----+----
+    2  |  3
+       |
+  */
+
+
+  /**
+   * A 2D [spatial partitioning](https://gameprogrammingpatterns.com/spatial-partition.html) data structure. Use it to quickly group objects by their position for faster access and collision checking.
+   *
+   * <canvas width="600" height="200" id="quadtree-example"></canvas>
+   * <script src="assets/js/quadtree.js"></script>
+   * @class Quadtree
+   *
+   * @param {Object} [properties] - Properties of the quadtree.
+   * @param {Number} [properties.maxDepth=3] - Maximum node depth of the quadtree.
+   * @param {Number} [properties.maxObjects=25] - Maximum number of objects a node can have before splitting.
+   * @param {{x: Number, y: Number, width: Number, height: Number}} [properties.bounds] - The 2D space (x, y, width, height) the quadtree occupies. Defaults to the entire canvas width and height.
+   */
+  class Quadtree {
+    /**
+     * @docs docs/api_docs/quadtree.js
+     */
+
+    constructor({maxDepth = 3, maxObjects = 25, bounds} = {}) {
+
+      /**
+       * Maximum node depth of the quadtree.
+       * @memberof Quadtree
+       * @property {Number} maxDepth
+       */
+      this.maxDepth = maxDepth;
+
+      /**
+       * Maximum number of objects a node can have before splitting.
+       * @memberof Quadtree
+       * @property {Number} maxObjects
+       */
+      this.maxObjects = maxObjects;
+
+      /**
+       * The 2D space (x, y, width, height) the quadtree occupies.
+       * @memberof Quadtree
+       * @property {{x: Number, y: Number, width: Number, height: Number}} bounds
+       */
+      let canvas = getCanvas();
+      this.bounds = bounds || {
+        x: 0,
+        y: 0,
+        width: canvas.width,
+        height: canvas.height
+      };
+
+      // since we won't clean up any subnodes, we need to keep track of which nodes are
+      // currently the leaf node so we know which nodes to add objects to
+      // b = branch, d = depth, o = objects, s = subnodes, p = parent
+      this._b = false;
+      this._d = 0;
+      this._o = [];
+      this._s = [];
+      this._p = null;
+    }
+
+    /**
+     * Removes all objects from the quadtree. You should clear the quadtree every frame before adding all objects back into it.
+     * @memberof Quadtree
+     * @function clear
+     */
+    clear() {
+      this._s.map(function(subnode) {
+        subnode.clear();
+      });
+
+      this._b = false;
+      this._o.length = 0;
+    }
+
+    /**
+     * Get an array of all objects that belong to the same node as the passed in object.
+     *
+     * **Note:** if the passed in object is also part of the quadtree, it will not be returned in the results.
+     *
+     * ```js
+     * import { Sprite, Quadtree } from 'kontra';
+     *
+     * let quadtree = Quadtree();
+     * let player = Sprite({
+     *   // ...
+     * });
+     * let enemy1 = Sprite({
+     *   // ...
+     * });
+     * let enemy2 = Sprite({
+     *   // ...
+     * });
+     *
+     * quadtree.add(player, enemy1, enemy2);
+     * quadtree.get(player);  //=> [enemy1]
+     * ```
+     * @memberof Quadtree
+     * @function get
+     *
+     * @param {{x: Number, y: Number, width: Number, height: Number}} object - Object to use for finding other objects. The object must have the properties `x`, `y`, `width`, and `height` so that its position in the quadtree can be calculated.
+     *
+     * @returns {Object[]} A list of objects in the same node as the object, not including the object itself.
+     */
+    get(object) {
+      // since an object can belong to multiple nodes we should not add it multiple times
+      let objects = new Set();
+
+      // traverse the tree until we get to a leaf node
+      while (this._s.length && this._b) {
+        getIndices(object, this.bounds).map(index => {
+          this._s[index].get(object).map(obj => objects.add(obj));
+        });
+
+        return Array.from(objects);
+      }
+
+      // don't add the object to the return list
+      return this._o.filter(obj => obj !== object);
+    }
+
+    /**
+     * Add objects to the quadtree and group them by their position. Can take a single object, a list of objects, and an array of objects.
+     *
+     * ```js
+     * import { Quadtree, Sprite, Pool, GameLoop } from 'kontra';
+     *
+     * let quadtree = Quadtree();
+     * let bulletPool = Pool({
+     *   create: Sprite
+     * });
+     *
+     * let player = Sprite({
+     *   // ...
+     * });
+     * let enemy = Sprite({
+     *   // ...
+     * });
+     *
+     * // create some bullets
+     * for (let i = 0; i < 100; i++) {
+     *   bulletPool.get({
+     *     // ...
+     *   });
+     * }
+     *
+     * let loop = GameLoop({
+     *   update: function() {
+     *     quadtree.clear();
+     *     quadtree.add(player, enemy, bulletPool.getAliveObjects());
+     *   }
+     * });
+     * ```
+     * @memberof Quadtree
+     * @function add
+     *
+     * @param {...Object[]} objects - Objects to add to the quadtree.
+     */
+    add(...objects) {
+      objects.map(object => {
+        // add a group of objects separately
+        if (Array.isArray(object)) {
+          this.add.apply(this, object);
+          return;
+        }
+
+        // current node has subnodes, so we need to add this object into a subnode
+        if (this._b) {
+          this._a(object);
+          return;
+        }
+
+        // this node is a leaf node so add the object to it
+        this._o.push(object);
+
+        // split the node if there are too many objects
+        if (this._o.length > this.maxObjects && this._d < this.maxDepth) {
+          this._sp();
+
+          // move all objects to their corresponding subnodes
+          this._o.map(obj => this._a(obj));
+          this._o.length = 0;
+        }
+      });
+    }
+
+    /**
+     * Add an object to a subnode.
+     *
+     * @param {Object} object - Object to add into a subnode
+     */
+    _a(object) {
+      // add the object to all subnodes it intersects
+      getIndices(object, this.bounds).map(index => {
+        this._s[index].add(object);
+      });
+    }
+
+    /**
+     * Split the node into four subnodes.
+     */
+    // @see https://github.com/jed/140bytes/wiki/Byte-saving-techniques#use-placeholder-arguments-instead-of-var
+    _sp(subWidth, subHeight, i) {
+      this._b = true;
+
+      // only split if we haven't split before
+      if (this._s.length) {
+        return;
+      }
+
+      subWidth = this.bounds.width / 2 | 0;
+      subHeight = this.bounds.height / 2 | 0;
+
+      for (i = 0; i < 4; i++) {
+        this._s[i] = new Quadtree({
+          bounds: {
+            x: this.bounds.x + (i % 2 === 1 ? subWidth : 0),  // nodes 1 and 3
+            y: this.bounds.y + (i >= 2 ? subHeight : 0),      // nodes 2 and 3
+            width: subWidth,
+            height: subHeight
+          },
+          maxDepth: this.maxDepth,
+          maxObjects: this.maxObjects,
+        });
+
+        // d = depth, p = parent
+        this._s[i]._d = this._d+1;
+        /* @ifdef VISUAL_DEBUG */
+        this._s[i]._p = this;
+        /* @endif */
+      }
+    }
+
+    /**
+     * Draw the quadtree. Useful for visual debugging.
+     */
+     /* @ifdef VISUAL_DEBUG **
+     render() {
+       // don't draw empty leaf nodes, always draw branch nodes and the first node
+       if (this._o.length || this._d === 0 ||
+           (this._p && this._p._b)) {
+
+         context.strokeStyle = 'red';
+         context.strokeRect(this.bounds.x, this.bounds.y, this.bounds.width, this.bounds.height);
+
+         if (this._s.length) {
+           for (let i = 0; i < 4; i++) {
+             this._s[i].render();
+           }
+         }
+       }
+     }
+     /* @endif */
+  }
+  Quadtree.prototype;
+
+  function getAllNodes(object) {
+    let nodes = [];
+
+    if (object._dn) {
+      nodes.push(object._dn);
+    }
+    else if (object.children) {
+      object.children.map(child => {
+        nodes = nodes.concat(getAllNodes(child));
+      });
+    }
+
+    return nodes;
+  }
+
+  /**
+   * A scene object for organizing a group of objects that will update and render together.
+   *
+   * ```js
+   * import { Scene, Sprite } from 'kontra';
+   *
+   * sprite = Sprite({
+   *   x: 100,
+   *   y: 200,
+   *   width: 20,
+   *   height: 40,
+   *   color: 'red'
+   * });
+   *
+   * scene = Scene({
+   *   id: 'game',
+   *   children: [sprite]
+   * });
+   *
+   * scene.render();
+   * ```
+   *
+   * @class Scene
+   * @extends GameObject
+   *
+   * @param {Object} properties - Properties of the scene.
+   * @param {String} properties.id - The id of the scene.
+   * @param {String} [properties.name=properties.id] - The name of the scene. Used by screen readers to identify each scene. Use this property to give the scene a human friendly name.
+   * @param {Boolean} [properties.cullObjects=true] - If the scene should not render objects outside the camera bounds.
+   * @param {Function} [properties.cullFunction] - The function used to filter objects to render. Defaults to [helpers.collides](api/helpers#collides).
+   * @param {Function} [properties.onShow] - Function called when the scene is shown.
+   * @param {Function} [properties.onHide] - Function called when the scene is hidden.
+   */
+  class Scene extends factory$2.class {
+
+    init({
+      /**
+       * The id of the scene.
+       * @memberof Scene
+       * @property {String} id
+       */
+      id,
+
+      /**
+       * The name of the scene. Used by screen readers to identify each scene. Use this property to give the scene a human friendly name.
+       * @memberof Scene
+       * @property {String} name
+       */
+       name = id,
+
+      /**
+       * If the camera should cull objects outside the camera bounds. Not rendering objects which can't be seen greatly improves the performance.
+       * @memberof Scene
+       * @property {Boolean} cullObjects
+       */
+      cullObjects = true,
+
+       /**
+       * Camera culling function which prevents objects outside the camera screen from rendering. Is passed as the `filterFunction` to the [render](api/gameObject#render) function.
+       * @memberof Scene
+       * @property {Function} cullFunction
+       */
+      cullFunction = collides,
+
+      ...props
+    }) {
+      // create an accessible DOM node for screen readers (do this first
+      // so we can move DOM nodes in addChild)
+      // dn = dom node
+      const section = this._dn = document.createElement('section');
+      section.tabIndex = -1;
+      section.style = srOnlyStyle;
+      section.id = id;
+      section.setAttribute('aria-label', name);
+
+      super.init({
+        id,
+        name,
+        cullObjects,
+        cullFunction,
+        ...props
+      });
+
+      addToDom(section, this.context.canvas);
+
+      let canvas = this.context.canvas;
+
+      /**
+       * The camera object which is used as the focal point for the scene. The scene will not render objects that are outside the bounds of the camera.
+       *
+       * Additionally, the camera can be used to [lookAt](api/scene#lookAt) an object which will center the camera to that object. This allows you to zoom the scene in and out while the camera remains centered on the object.
+       * @memberof Scene
+       * @property {GameObject} camera
+       */
+      this.camera = factory$2({
+        x: canvas.width / 2,
+        y: canvas.height / 2,
+        width: canvas.width,
+        height: canvas.height,
+        anchor: { x: 0.5, y: 0.5 }
+      });
+
+      // can call super here only by using lexical scope
+      this.camera._pc = () => {
+        super._pc.call(this.camera);
+
+        // only set the cameras position based on scale
+        // but not the width/height
+        this.context.canvas;
+        this.camera._wx = this.camera.x * this.scaleX;
+        this.camera._wy = this.camera.y * this.scaleY;
+      };
+    }
+
+    /**
+     * Show the scene and resume update and render. Calls [onShow](api/scene#onShow) if passed.
+     * @memberof Scene
+     * @function show
+     */
+    show() {
+
+      /**
+       * If the scene is hidden.
+       * @memberof Scene
+       * @property {Boolean} hidden
+       */
+      this.hidden = this._dn.hidden = false;
+
+      // find first focusable child
+      let focusableChild = this.children.find(child => child.focus);
+      if (focusableChild) {
+        focusableChild.focus();
+      }
+      else {
+        this._dn.focus();
+      }
+
+      this.onShow();
+    }
+
+    /**
+     * Hide the scene. A hidden scene will not update or render. Calls [onHide](api/scene#onHide) if passed.
+     * @memberof Scene
+     * @function hide
+     */
+    hide() {
+      this.hidden = this._dn.hidden = true;
+      this.onHide();
+    }
+
+    addChild(object, options) {
+      super.addChild(object, options);
+
+      // move all children to be in the scenes DOM node so we can
+      // hide and show the DOM node and thus hide and show all the
+      // children
+      getAllNodes(object).map(node => {
+        this._dn.appendChild(node);
+      });
+    }
+
+    removeChild(object) {
+      super.removeChild(object);
+
+      getAllNodes(object).map(node => {
+        addToDom(node, this.context.canvas);
+      });
+    }
+
+    /**
+     * Clean up the scene and call `destroy()` on all children.
+     * @memberof Scene
+     * @function destroy
+     */
+    destroy() {
+      this._dn.remove();
+      this.children.map(child => child.destroy && child.destroy());
+    }
+
+    update(dt) {
+      if (!this.hidden) {
+        super.update(dt);
+      }
+    }
+
+    /**
+     * Focus the camera to the object or x/y position. As the scene is scaled the focal point will keep to the position.
+     * @memberof Scene
+     * @function lookAt
+     *
+     * @param {{x: number, y: number}} object - Object with x/y properties.
+     */
+    lookAt(object) {
+
+      // don't call getWorldRect so we can ignore the objects anchor
+      object = object.world || object;
+      let x = object.x;
+      let y = object.y;
+
+      if (object.scaleX) {
+        x /= object.scaleX;
+        y /= object.scaleY;
+      }
+
+      this.camera.x = x;
+      this.camera.y = y;
+      this._pc();
+    }
+
+    _pc() {
+      super._pc();
+
+      // this can be called before the camera is initialized so we
+      // need to guard it
+      this.camera && this.camera._pc();
+    }
+
+    render() {
+      let { x, y, width, height } = this.camera;
+
+      this.sx = x * this.scaleX - width / 2;
+      this.sy = y * this.scaleY - height / 2;
+
+      if (!this.hidden) {
+        super.render(child => this.cullObjects ? this.cullFunction(child, this.camera) : true);
+      }
+    }
+
+    /**
+     * Function called when the scene is shown. Override this function to have the scene do something when shown.
+     * @memberof Scene
+     * @function onShow
+     */
+    onShow() {}
+
+    /**
+     * Function called when the scene is hidden. Override this function to have the scene do something when hidden.
+     * @memberof Scene
+     * @function onHide
+     */
+    onHide() {}
+  }
+  Scene.prototype;
+
+  /**
+   * Parse a string of consecutive frames.
+   *
+   * @param {Number|String} frames - Start and end frame.
+   *
+   * @returns {Number|Number[]} List of frames.
+   */
+  function parseFrames(consecutiveFrames) {
+    // return a single number frame
+    // @see https://github.com/jed/140bytes/wiki/Byte-saving-techniques#coercion-to-test-for-types
+    if (+consecutiveFrames === consecutiveFrames) {
+      return consecutiveFrames;
+    }
+
+    let sequence = [];
+    let frames = consecutiveFrames.split('..');
+
+    // coerce string to number
+    // @see https://github.com/jed/140bytes/wiki/Byte-saving-techniques#coercion-to-test-for-types
+    let start = +frames[0];
+    let end = +frames[1];
+    let i = start;
+
+    // ascending frame order
+    if (start < end) {
+      for (; i <= end; i++) {
+        sequence.push(i);
+      }
+    }
+    // descending order
+    else {
+      for (; i >= end; i--) {
+        sequence.push(i);
+      }
+    }
+
+    return sequence;
+  }
+
+  /**
+   * A sprite sheet to animate a sequence of images. Used to create [animation sprites](api/sprite#animation-sprite).
+   *
+   * <figure>
+   *   <a href="assets/imgs/character_walk_sheet.png">
+   *     <img src="assets/imgs/character_walk_sheet.png" width="266" height="512" alt="11 frames of a walking pill-like alien wearing a space helmet.">
+   *   </a>
+   *   <figcaption>Sprite sheet image courtesy of <a href="https://kenney.nl/assets">Kenney</a>.</figcaption>
+   * </figure>
+   *
+   * Typically you create a sprite sheet just to create animations and then use the animations for your sprite.
+   *
+   * ```js
+   * import { Sprite, SpriteSheet } from 'kontra';
+   *
+   * let image = new Image();
+   * image.src = 'assets/imgs/character_walk_sheet.png';
+   * image.onload = function() {
+   *   let spriteSheet = SpriteSheet({
+   *     image: image,
+   *     frameWidth: 72,
+   *     frameHeight: 97,
+   *     animations: {
+   *       // create a named animation: walk
+   *       walk: {
+   *         frames: '0..9',  // frames 0 through 9
+   *         frameRate: 30
+   *       }
+   *     }
+   *   });
+   *
+   *   let sprite = Sprite({
+   *     x: 200,
+   *     y: 100,
+   *
+   *     // use the sprite sheet animations for the sprite
+   *     animations: spriteSheet.animations
+   *   });
+   * };
+   * ```
+   * @class SpriteSheet
+   *
+   * @param {Object} properties - Properties of the sprite sheet.
+   * @param {HTMLImageElement|HTMLCanvasElement} properties.image - The sprite sheet image.
+   * @param {Number} properties.frameWidth - The width of a single frame.
+   * @param {Number} properties.frameHeight - The height of a single frame.
+   * @param {Number} [properties.frameMargin=0] - The amount of whitespace between each frame.
+   * @param {Object} [properties.animations] - Animations to create from the sprite sheet using [Animation](api/animation). Passed directly into the sprite sheets [createAnimations()](api/spriteSheet#createAnimations) function.
+   */
+  class SpriteSheet {
+    constructor({image, frameWidth, frameHeight, frameMargin, animations} = {}) {
+      // @ifdef DEBUG
+      if (!image) {
+        throw Error('You must provide an Image for the SpriteSheet');
+      }
+      // @endif
+
+      /**
+       * An object of named [Animation](api/animation) objects. Typically you pass this object into [Sprite](api/sprite) to create an [animation sprites](api/spriteSheet#animation-sprite).
+       * @memberof SpriteSheet
+       * @property {{[name: string] : Animation}} animations
+       */
+      this.animations = {};
+
+      /**
+       * The sprite sheet image.
+       * @memberof SpriteSheet
+       * @property {HTMLImageElement|HTMLCanvasElement} image
+       */
+      this.image = image;
+
+      /**
+       * An object that defines properties of a single frame in the sprite sheet. It has properties of `width`, `height`, and `margin`.
+       *
+       * `width` and `height` are the width of a single frame, while `margin` defines the amount of whitespace between each frame.
+       * @memberof SpriteSheet
+       * @property {{width: number, height: number, margin: number}} frame
+       */
+      this.frame = {
+        width: frameWidth,
+        height: frameHeight,
+        margin: frameMargin
+      };
+
+      // f = framesPerRow
+      this._f = image.width / frameWidth | 0;
+
+      this.createAnimations(animations);
+    }
+
+    /**
+     * Create named animations from the sprite sheet. Called from the constructor if the `animations` argument is passed.
+     *
+     * This function populates the sprite sheets `animations` property with [Animation](api/animation) objects. Each animation is accessible by its name.
+     *
+     * ```js
+     * import { Sprite, SpriteSheet } from 'kontra';
+     *
+     * let image = new Image();
+     * image.src = 'assets/imgs/character_walk_sheet.png';
+     * image.onload = function() {
+     *
+     *   let spriteSheet = SpriteSheet({
+     *     image: image,
+     *     frameWidth: 72,
+     *     frameHeight: 97,
+     *
+     *     // this will also call createAnimations()
+     *     animations: {
+     *       // create 1 animation: idle
+     *       idle: {
+     *         // a single frame
+     *         frames: 1
+     *       }
+     *     }
+     *   });
+     *
+     *   spriteSheet.createAnimations({
+     *     // create 4 animations: jump, walk, moonWalk, attack
+     *     jump: {
+     *       // sequence of frames (can be non-consecutive)
+     *       frames: [1, 10, 1],
+     *       frameRate: 10,
+     *       loop: false,
+     *     },
+     *     walk: {
+     *       // ascending consecutive frame animation (frames 2-6, inclusive)
+     *       frames: '2..6',
+     *       frameRate: 20
+     *     },
+     *     moonWalk: {
+     *       // descending consecutive frame animation (frames 6-2, inclusive)
+     *       frames: '6..2',
+     *       frameRate: 20
+     *     },
+     *     attack: {
+     *       // you can also mix and match, in this case frames [8,9,10,13,10,9,8]
+     *       frames: ['8..10', 13, '10..8'],
+     *       frameRate: 10,
+     *       loop: false,
+     *     }
+     *   });
+     * };
+     * ```
+     * @memberof SpriteSheet
+     * @function createAnimations
+     *
+     * @param {Object} animations - Object of named animations to create from the sprite sheet.
+     * @param {Number|String|Number[]|String[]} animations.<name>.frames - The sequence of frames to use from the sprite sheet. It can either be a single frame (`1`), a sequence of frames (`[1,2,3,4]`), or a consecutive frame notation (`'1..4'`). Sprite sheet frames are `0` indexed.
+     * @param {Number} animations.<name>.frameRate - The number frames to display per second.
+     * @param {Boolean} [animations.<name>.loop=true] - If the animation should loop back to the beginning once completed.
+     */
+    createAnimations(animations) {
+      let sequence, name;
+
+      for (name in animations) {
+        let { frames, frameRate, loop } = animations[name];
+
+        // array that holds the order of the animation
+        sequence = [];
+
+        // @ifdef DEBUG
+        if (frames === undefined) {
+          throw Error('Animation ' + name + ' must provide a frames property');
+        }
+        // @endif
+
+        // add new frames to the end of the array
+        [].concat(frames).map(frame => {
+          sequence = sequence.concat(parseFrames(frame));
+        });
+
+        this.animations[name] = factory({
+          spriteSheet: this,
+          frames: sequence,
+          frameRate,
+          loop
+        });
+      }
+    }
+  }
+  SpriteSheet.prototype;
+
+  /*
+  * Creates a seedable pseudo random number generator (mulberry32)
+  * All game randomness goes through one of these so a run can be reproduced from its seed
+  * The generator's whole position is the number in rng.state, so createRng(rng.state) carries on the same sequence
+  * Returns the generator object holding its seed, state, random, randInt and pick functions
+  */
+  let createRng = (seed = Date.now()) => {
+      let rng = {
+          seed: seed >>> 0,
+          state: seed >>> 0,
+
+          // Returns a float between 0 (inclusive) and 1 (exclusive), a drop-in for Math.random
+          random: () => {
+              rng.state = (rng.state + 0x6D2B79F5) >>> 0;
+              let t = rng.state;
+              t = Math.imul(t ^ (t >>> 15), t | 1);
+              t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+              return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+          },
+
+          // Returns an integer between min and max (both inclusive), a drop-in for kontra's randInt
+          randInt: (min, max) => Math.floor(rng.random() * (max - min + 1)) + min,
+
+          // Returns one of the given items ({weight, ...}) at random, in proportion to their weights
+          pick: items => {
+              let roll = rng.random() * items.reduce((sum, item) => sum + item.weight, 0);
+              return items.find(item => (roll -= item.weight) < 0) || items[items.length-1];
+          }
+      };
+
+      return rng;
+  };
+
+  /*
+  * Collision detection for the simulation
+  * Each entity kind has a hitbox shape, circle or convex polygon, defined around its center before rotation and scaling
+  * A spatial grid (broad phase) finds the entities near each other, which are then tested exactly (narrow phase)
+  */
+
+  /*
+  * Creates a circle hitbox of the given radius
+  */
+  let circle = r => ({ type: 'circle', r });
+
+  /*
+  * Creates a convex polygon hitbox from the given points, listed in order around the shape
+  */
+  let polygon = points => ({ type: 'poly', points });
+
+  /*
+  * Hitboxes of every entity kind, kept a little inside of their images so grazes are forgiven
+  * The player's ship points along rotation 0 (to the right)
+  */
+  const HITBOXES = {
+      player: polygon([{x: 2.5, y: 0}, {x: 0, y: 2.5}, {x: -2.5, y: 2}, {x: -2.5, y: -2}, {x: 0, y: -2.5}]),
+      rock: circle(2.5),
+      fuel: circle(3),
+      pickup: circle(3),
+      moon: circle(5),
+      earth: circle(7)
+  };
+
+  // Width and height of a cell of the spatial grid, a little over the size of the largest moving entity
+  const CELL_SIZE = 16;
+
+  /*
+  * Rotates a point around the origin by the given angle in radians
+  * Return the rotated point
+  */
+  let rotatePoint = (point, angle) => {
+      let sin = Math.sin(angle);
+      let cos = Math.cos(angle);
+
+      return {
+          x: point.x * cos - point.y * sin,
+          y: point.x * sin + point.y * cos
+      };
+  };
+
+  /*
+  * Places the hitbox of the given entity in the world, accounting for its position, rotation and scale (entity.scale, 1 by default)
+  * Return {type: 'circle', x, y, r} or {type: 'poly', points} in world coordinates
+  */
+  let getShape = entity => {
+      let hitbox = HITBOXES[entity.kind];
+      let scale = entity.scale || 1;
+
+      if(hitbox.type == 'circle') {
+          return { type: 'circle', x: entity.x, y: entity.y, r: hitbox.r*scale };
+      }
+      return {
+          type: 'poly',
+          points: hitbox.points.map(point => {
+              let p = rotatePoint({ x: point.x*scale, y: point.y*scale }, entity.rotation || 0);
+              return { x: p.x + entity.x, y: p.y + entity.y };
+          })
+      };
+  };
+
+  /*
+  * Obtains the axis aligned bounding box of a placed shape
+  * Return {x1, y1, x2, y2}
+  */
+  let getBounds = shape => {
+      if(shape.type == 'circle') {
+          return { x1: shape.x - shape.r, y1: shape.y - shape.r, x2: shape.x + shape.r, y2: shape.y + shape.r };
+      }
+      let xs = shape.points.map(p => p.x);
+      let ys = shape.points.map(p => p.y);
+      return { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+  };
+
+  /*
+  * Projects a placed shape on the given (normalized) axis
+  * Return the min and max of the shape along the axis
+  */
+  let project = (shape, axis) => {
+      if(shape.type == 'circle') {
+          let center = shape.x*axis.x + shape.y*axis.y;
+          return { min: center - shape.r, max: center + shape.r };
+      }
+      let min = Infinity;
+      let max = -Infinity;
+      shape.points.forEach(p => {
+          let d = p.x*axis.x + p.y*axis.y;
+          min = Math.min(min, d);
+          max = Math.max(max, d);
+      });
+
+      return { min, max };
+  };
+
+  /*
+  * Obtains the normalized normal of every edge of a placed polygon
+  * Return an array of axes
+  */
+  let edgeAxes = shape => shape.points.map((p, i) => {
+      let next = shape.points[(i+1)%shape.points.length];
+      let x = -(next.y - p.y);
+      let y = next.x - p.x;
+      let length = Math.hypot(x, y) || 1;
+
+      return { x: x/length, y: y/length };
+  });
+
+  /*
+  * Obtains the center of a placed shape
+  * Return the center point
+  */
+  let center = shape => {
+      if(shape.type == 'circle') {
+          return { x: shape.x, y: shape.y };
+      }
+      return {
+          x: shape.points.reduce((sum, p) => sum + p.x, 0)/shape.points.length,
+          y: shape.points.reduce((sum, p) => sum + p.y, 0)/shape.points.length
+      };
+  };
+
+  /*
+  * Tests two placed shapes for overlap
+  * Circles are compared by distance, anything with a polygon uses the Separating Axis Theorem (SAT)
+  * Return the contact {normal, depth} when they overlap, with the normal pointing from a to b, null otherwise
+  */
+  let testShapes = (a, b) => {
+      let ca = center(a);
+      let cb = center(b);
+
+      if(a.type == 'circle' && b.type == 'circle') {
+          let dx = cb.x - ca.x;
+          let dy = cb.y - ca.y;
+          let dist = Math.hypot(dx, dy);
+          let depth = a.r + b.r - dist;
+          if(depth <= 0) {
+              return null;
+          }
+          return { normal: dist ? { x: dx/dist, y: dy/dist } : { x: 1, y: 0 }, depth };
+      }
+      // Axes to test are the edge normals of each polygon, plus the axis towards a circle from the polygon's closest vertex
+      let axes = [];
+      [a, b].forEach((shape, i) => {
+          let other = i ? a : b;
+          if(shape.type == 'poly') {
+              axes.push(...edgeAxes(shape));
+          } else {
+              let closest = other.points.reduce((best, p) => Math.hypot(p.x - shape.x, p.y - shape.y) < Math.hypot(best.x - shape.x, best.y - shape.y) ? p : best);
+              let length = Math.hypot(closest.x - shape.x, closest.y - shape.y) || 1;
+              axes.push({ x: (closest.x - shape.x)/length, y: (closest.y - shape.y)/length });
+          }    });
+
+      let contact = null;
+      for(let i=0; i<axes.length; i++) {
+          let pa = project(a, axes[i]);
+          let pb = project(b, axes[i]);
+
+          // A separating axis means no overlap
+          let depth = Math.min(pa.max, pb.max) - Math.max(pa.min, pb.min);
+          if(depth <= 0) {
+              return null;
+          }
+          if(!contact || depth < contact.depth) {
+              contact = { normal: axes[i], depth };
+          }    }
+      // Points the normal from a to b
+      let normal = contact.normal;
+      if((cb.x - ca.x)*normal.x + (cb.y - ca.y)*normal.y < 0) {
+          normal = { x: -normal.x, y: -normal.y };
+      }
+      return { normal, depth: contact.depth };
+  };
+
+  /*
+  * Finds every pair of overlapping entities
+  * Entities are sorted into the cells of a spatial grid by their bounding box, only entities sharing a cell
+  * whose bounding boxes overlap are tested exactly
+  * filter: optional function (a, b) deciding if a pair of entities should be tested at all
+  * tested: optional array collecting every pair [a, b] tested exactly, used by the debug overlay
+  * Return an array of collision pairs {a, b, normal, depth}, with the normal pointing from a to b
+  */
+  let getCollisions = (entities, filter = () => true, cellSize = CELL_SIZE, tested = null) => {
+      let shapes = entities.map(getShape);
+      let bounds = shapes.map(getBounds);
+      let grid = new Map();
+      let seen = new Set();
+      let pairs = [];
+
+      bounds.forEach((box, i) => {
+          for(let cx = Math.floor(box.x1/cellSize); cx <= Math.floor(box.x2/cellSize); cx++) {
+              for(let cy = Math.floor(box.y1/cellSize); cy <= Math.floor(box.y2/cellSize); cy++) {
+                  let key = cx + ',' + cy;
+                  let cell = grid.get(key);
+                  if(!cell) {
+                      grid.set(key, cell = []);
+                  }
+                  // Tests against the entities already in the cell, each pair only once
+                  cell.forEach(j => {
+                      let id = j*entities.length + i;
+                      if(seen.has(id)) {
+                          return;
+                      }                    seen.add(id);
+
+                      let other = bounds[j];
+                      if(other.x1 > box.x2 || other.x2 < box.x1 || other.y1 > box.y2 || other.y2 < box.y1 || !filter(entities[j], entities[i])) {
+                          return;
+                      }
+                      if(tested) {
+                          tested.push([entities[j], entities[i]]);
+                      }                    let contact = testShapes(shapes[j], shapes[i]);
+                      if(contact) {
+                          pairs.push({ a: entities[j], b: entities[i], ...contact });
+                      }                });
+                  cell.push(i);
+              }        }    });
+
+      return pairs;
+  };
+
+  /*
+  * The headless game simulation
+  * Holds every game rule and works on plain state objects only, no DOM, canvas or kontra required
+  * so it can run and be tested in Node. Rendering reads the state and draws it (see game.js)
+  */
+
+  /*
+  * VIEW_SIZE: width and height of the camera's view of the world
+  * VIEW_MARGIN: distance outside of the view at which rocks are dropped
+  * Everything else that tunes a run comes from its level definition (see levels.js)
+  */
+  const VIEW_SIZE = 240;
+  const VIEW_MARGIN = 40;
+
+  /*
+  * GRAVITY_MIN_DIST: distance below which a landmark's pull stops growing, so passing through its center stays sane
+  * DRIFT_MAX: fastest anything can be flung by gravity
+  * DRIFT_DRAG: share of the player's drift kept every frame, so a slingshot fades out rather than carrying on forever
+  */
+  const GRAVITY_MIN_DIST = 12;
+  const DRIFT_MAX = 2;
+  const DRIFT_DRAG = 0.99;
+
+  /*
+  * Power-up types and how many frames their effect lasts, 0 for effects applied at once
+  * shield: takes the next rock hit instead of the ship
+  * turbo: refills turbo and clears its cooldown
+  * slow: slows every rock down to SLOW_SCALE of its velocity
+  * magnet: pulls fuel within MAGNET_RANGE towards the ship at MAGNET_SPD
+  */
+  const PICKUPS = {
+      shield: 600,
+      turbo: 0,
+      slow: 300,
+      magnet: 480
+  };
+  const SLOW_SCALE = 0.4;
+  const MAGNET_RANGE = 80;
+  const MAGNET_SPD = 1.5;
+
+  /*
+  * Game states of a run
+  * PLAYING while the run goes on, the others are its endings
+  */
+  const PLAYING = 0;
+  const HIT = 1;
+  const MOON = 2;
+  const EARTH = 3;
+  const NO_FUEL = 4;
+
+  /*
+  * Returns the world size of the given level for the given player score, growing from its world.min up to world.max
+  */
+  let getGameSize = (level, score=0) => Math.floor((level.world.max - level.world.min) * Math.min(score/level.world.growScore, 1))+level.world.min;
+
+  /*
+  * Finds the spawn table entry of the given level for the given score
+  * Return the last entry whose score has been reached
+  */
+  let getBurst = (level, score) => level.rocks.bursts.reduce((found, entry) => entry.score <= score ? entry : found);
+
+  /*
+  * Positions the camera's view centered on the given player, without showing anything outside of the world
+  * Returns the top left corner of the view in world coordinates
+  */
+  let getCamera = (player, gameSize) => ({
+      x: Math.min(Math.max(player.x - VIEW_SIZE/2, 0), gameSize - VIEW_SIZE),
+      y: Math.min(Math.max(player.y - VIEW_SIZE/2, 0), gameSize - VIEW_SIZE)
+  });
+
+  /*
+  * Picks a spot for a pickup anywhere within the given world size, away from the given landmarks (moon and earth)
+  * Returns the position {x, y}
+  */
+  let placePickup = (rng, landmarks, size) => {
+      let x = rng.randInt(30, size-30);
+      let y = rng.randInt(30, size-30);
+
+      while(landmarks.some(mark => x < mark.x+10 && x > mark.x-10 && y < mark.y+10 && y > mark.y-10)) {
+          x = rng.randInt(30, size-30);
+          y = rng.randInt(30, size-30);
+      }
+      return { x, y };
+  };
+
+  /*
+  * Creates a fuel object anywhere within the given world size, away from the given landmarks
+  * Returns the fuel object
+  */
+  let fuelFactory = (rng, landmarks, size) => ({ kind: 'fuel', ...placePickup(rng, landmarks, size), width: 8, height: 8, rotation: 0 });
+
+  /*
+  * Creates a power-up object anywhere within the given world size, away from the given landmarks
+  * Its type (see PICKUPS) is picked at random by the weights of the level's pickups
+  * Returns the power-up object
+  */
+  let pickupFactory = (rng, landmarks, size, weights) => {
+      let type = rng.pick(Object.keys(weights).map(name => ({ type: name, weight: weights[name] }))).type;
+      return { kind: 'pickup', type, ...placePickup(rng, landmarks, size), width: 8, height: 8, rotation: 0 };
+  };
+
+  /*
+  * Returns the gravity pull {x, y} of the given landmarks at the given point, added to a velocity every frame
+  * Each landmark pulls with its level's gravity strength over the square of the distance, levels without gravity pull with 0
+  */
+  let getPull = (level, landmarks, x, y) => {
+      let pull = { x: 0, y: 0 };
+      landmarks.forEach(mark => {
+          let strength = level.landmarks[mark.kind].gravity || 0;
+          let dx = mark.x - x;
+          let dy = mark.y - y;
+          let dist = Math.max(Math.hypot(dx, dy), GRAVITY_MIN_DIST);
+          if(strength && dist) {
+              pull.x += dx/dist * strength/(dist*dist);
+              pull.y += dy/dist * strength/(dist*dist);
+          }    });
+
+      return pull;
+  };
+
+  /*
+  * Limits the velocity of the given entity (dx, dy) to DRIFT_MAX
+  */
+  let capDrift = entity => {
+      let spd = Math.hypot(entity.dx, entity.dy);
+      if(spd > DRIFT_MAX) {
+          entity.dx *= DRIFT_MAX/spd;
+          entity.dy *= DRIFT_MAX/spd;
+      }};
+
+  /*
+  * Creates a rock/asteroid object on a random edge of the given camera's view
+  * Sets a random linear path and a velocity within the level's speed range
+  * Levels with rock sizes or spin pick the rock's scale (by weight) and spin (radians per frame) at random,
+  * otherwise every rock is the same size and does not spin
+  * Returns the rock object
+  */
+  let rockFactory = (rng, camera, rocks) => {
+      let size = VIEW_SIZE;
+      let [min, max] = rocks.speed;
+      let chooseXY = rng.randInt(0, 1);
+      let x;
+      let y;
+      let dx;
+      let dy;
+
+      if(chooseXY) {
+          x = rng.randInt(0, 1)*(size+2)-1;
+          y = rng.randInt(0, size);
+          dx = rng.randInt(0, 100)*0.01*(max - min) + min;
+
+          if(x > 0) {
+              dx = -dx;
+          }        dy = (rng.randInt(0, 100)*0.01*(max - min) + min) * (rng.randInt(0, 1)*2-1);
+      } else {
+          x = rng.randInt(0, size);
+          y = rng.randInt(0, 1)*(size+2)-1;
+          dx = (rng.randInt(0, 100)*0.01*(max - min) + min) * (rng.randInt(0, 1)*2-1);
+          dy = rng.randInt(0, 100)*0.01*(max - min) + min;
+
+          if(y > 0) {
+              dy = -dy;
+          }    }
+      let scale = rocks.sizes ? rng.pick(rocks.sizes).scale : 1;
+      let spin = rocks.spin ? (rng.random()*2 - 1)*rocks.spin : 0;
+
+      return { kind: 'rock', x: x + camera.x, y: y + camera.y, dx, dy, width: 8*scale, height: 8*scale, rotation: 0, scale, spin };
+  };
+
+  /*
+  * Splits the given rock in two rocks of half its scale, flying apart across the given collision normal
+  * Returns the two new rock objects
+  */
+  let splitRock = (rock, normal) => [1, -1].map(side => {
+      let scale = rock.scale/2;
+      let nx = -normal.y*side;
+      let ny = normal.x*side;
+
+      return {
+          ...rock,
+          x: rock.x + nx*4*scale,
+          y: rock.y + ny*4*scale,
+          dx: rock.dx + nx*0.3,
+          dy: rock.dy + ny*0.3,
+          width: 8*scale,
+          height: 8*scale,
+          scale,
+          spin: rock.spin*2
+      };
+  });
+
+  /*
+  * Returns the landmarks (moon and earth) present in the given state
+  */
+  let getLandmarks = state => [state.moon, state.earth].filter(mark => mark);
+
+  /*
+  * Returns every entity of the given state the player can run into, the player first
+  */
+  let getBodies = state => [state.player, ...getLandmarks(state), state.fuel, ...state.pickups, ...state.rocks];
+
+  /*
+  * Returns the most rocks/asteroids the given level allows alive at the given score
+  */
+  let getRockCap = (level, score) => Math.min(Math.floor(score*level.rocks.cap.perScore), level.rocks.cap.max);
+
+  /*
+  * Checks if a pair of rocks of the given level should be tested for splitting, only rocks at least the split scale break
+  */
+  let splitsOnHit = (level, a, b) => a.scale >= level.rocks.split || b.scale >= level.rocks.split;
+
+  /*
+  * Creates the world state of a new run of the given level (a definition checked by validateLevel) from the given seed
+  * level: the level definition, kept in the state so step needs nothing else
+  * rng: positions of the seeded generators all randomness of the run comes from, one stream each for rocks, fuel and
+  *   power-ups so the nth fuel canister or power-up of a seed is the same however the run is played (see daily challenges)
+  * gameState: PLAYING or the ending reached
+  * spawn: frames until the next rock burst may spawn
+  * pickupSpawn: frames until the next power-up may spawn, levels without pickups never spawn any
+  * effects: frames left of each timed power-up effect, 0 when inactive
+  * gameSize: keeps track of the current world size
+  * camera: top left corner of the view following the player
+  * stats: fuel canisters collected, turbo spent and rocks stopped by shields over the run, the run time is the frame count
+  * Returns the state object
+  */
+  let createState = (seed, level) => {
+      let rng = createRng(seed);
+      let marks = level.landmarks;
+      let gameSize = getGameSize(level);
+      let rocksRng = createRng(rng.randInt(0, 0xFFFFFFFF));
+      let fuelRng = createRng(rng.randInt(0, 0xFFFFFFFF));
+      let pickupRng = createRng(rng.randInt(0, 0xFFFFFFFF));
+
+      let moon = marks.moon ? { kind: 'moon', x: rng.randInt(...marks.moon.x), y: rng.randInt(...marks.moon.y), width: 12, height: 12, rotation: 0 } : null;
+      let earth = marks.earth ? { kind: 'earth', x: rng.randInt(...marks.earth.x), y: rng.randInt(...marks.earth.y), width: 16, height: 16, rotation: 0 } : null;
+      let fuel = fuelFactory(fuelRng, [moon, earth].filter(mark => mark), gameSize);
+      let player = {
+          kind: 'player',
+          x: level.world.min/2,
+          y: level.world.min/2,
+          width: 8,
+          height: 8,
+          rotation: 0,
+          spd: 0,
+          dx: 0,
+          dy: 0,
+          tbo: 100,
+          tboCD: 0,
+          fuel: level.fuel.max
+      };
+
+      return {
+          level,
+          seed: rng.seed,
+          rng: {
+              rocks: rocksRng.state,
+              fuel: fuelRng.state,
+              pickups: pickupRng.state
+          },
+          frame: 0,
+          gameState: PLAYING,
+          gameSize,
+          camera: getCamera(player, gameSize),
+          score: 0,
+          spawn: level.rocks.firstSpawn,
+          pickupSpawn: level.pickups ? level.pickups.firstSpawn : 0,
+          effects: {
+              shield: 0,
+              slow: 0,
+              magnet: 0
+          },
+          stats: {
+              fuel: 0,
+              tbo: 0,
+              shields: 0
+          },
+          player,
+          moon,
+          earth,
+          fuel,
+          pickups: [],
+          rocks: []
+      };
+  };
+
+  /*
+  * Moves the player one frame according to the given controls
+  * turn (-1 to 1) steers and thrust (0 to 1) accelerates, analog values scaling the effect
+  * Turbo spends tbo and sets a cooldown before it recovers, every thrust drains the fuel tank
+  * pull: gravity pull of the frame, building up a drift (dx, dy) carried on top of the ship's own speed
+  */
+  let updatePlayer = (player, input, gameSize, tank, pull) => {
+      player.rotation = (player.rotation + 0.06*input.turn)%(2*Math.PI);
+
+      if(input.thrust > 0 && player.fuel > 0) {
+          if(input.turbo && player.tbo > 0) {
+              player.spd = Math.min(0.9, player.spd + 0.04);
+              player.tbo -= 2;
+              player.tboCD = 120;
+              player.fuel = Math.max(0, player.fuel - tank.turbo);
+          } else {
+              player.spd = Math.min(0.6, player.spd + 0.03*input.thrust);
+              if(player.tboCD == 0) {
+                  player.tbo = Math.min(player.tbo+1, 100);
+              }            player.fuel = Math.max(0, player.fuel - tank.use*input.thrust);
+          }    } else {
+          if(player.spd > 0) {
+              player.spd = Math.max(0, player.spd - 0.02);
+          }    }
+      player.dx = (player.dx + pull.x)*DRIFT_DRAG;
+      player.dy = (player.dy + pull.y)*DRIFT_DRAG;
+      capDrift(player);
+
+      // Keeps player within game boundry
+      player.x = Math.min(Math.max(player.x + Math.cos(player.rotation)*player.spd + player.dx, 0), gameSize);
+      player.y = Math.min(Math.max(player.y + Math.sin(player.rotation)*player.spd + player.dy, 0), gameSize);
+
+      if(player.tboCD > 0) {
+          player.tboCD--;
+      }};
+
+  /*
+  * Advances the given state by one frame with the given controls ({turn, thrust, turbo})
+  * The given state is left untouched, nothing outside of it is read or changed
+  * Return the state of the next frame
+  */
+  let step = (state, input) => {
+      let s = structuredClone(state);
+
+      // Ended runs stay as they are
+      if(s.gameState != PLAYING) {
+          return s;
+      }
+      let rocksRng = createRng(s.rng.rocks);
+      let fuelRng = createRng(s.rng.fuel);
+      let pickupRng = createRng(s.rng.pickups);
+      let level = s.level;
+      let player = s.player;
+      s.frame++;
+
+      let tbo = player.tbo;
+      updatePlayer(player, input, s.gameSize, level.fuel, getPull(level, getLandmarks(s), player.x, player.y));
+      s.stats.tbo += Math.max(0, tbo - player.tbo);
+
+      // Only collisions involving the player matter
+      let hits = getCollisions(getBodies(s), (a, b) => a == player || b == player)
+          .map(pair => pair.a == player ? pair.b : pair.a);
+
+      // Landmarks only end the run when the level's win conditions list them
+      if(s.moon && hits.includes(s.moon) && level.win.includes('moon')) {
+          s.gameState = MOON;
+      }
+      if(s.earth && hits.includes(s.earth) && level.win.includes('earth')) {
+          s.gameState = EARTH;
+      }
+      if(hits.includes(s.fuel)) {
+          s.fuel = fuelFactory(fuelRng, getLandmarks(s), s.gameSize);
+          player.fuel = Math.min(level.fuel.max, player.fuel + level.fuel.refill);
+          s.score++;
+          s.stats.fuel++;
+      }
+      // Timed effects run down before the ones just picked up start
+      Object.keys(s.effects).forEach(name => {
+          s.effects[name] = Math.max(0, s.effects[name]-1);
+      });
+
+      s.pickups = s.pickups.filter(pickup => {
+          if(!hits.includes(pickup)) {
+              return true;
+          }
+          if(pickup.type == 'turbo') {
+              player.tbo = 100;
+              player.tboCD = 0;
+          } else {
+              s.effects[pickup.type] = PICKUPS[pickup.type];
+          }        return false;
+      });
+
+      // The magnet draws the fuel canister in
+      if(s.effects.magnet) {
+          let dx = player.x - s.fuel.x;
+          let dy = player.y - s.fuel.y;
+          let dist = Math.hypot(dx, dy);
+          if(dist && dist < MAGNET_RANGE) {
+              s.fuel.x += dx/dist * Math.min(MAGNET_SPD, dist);
+              s.fuel.y += dy/dist * Math.min(MAGNET_SPD, dist);
+          }    }
+      // Landing or a last second pickup takes priority over running dry on the same frame
+      if(s.gameState == PLAYING && player.fuel <= 0) {
+          s.gameState = NO_FUEL;
+      }
+      s.gameSize = getGameSize(level, s.score);
+      s.camera = getCamera(player, s.gameSize);
+
+      // Checks for rock/asteroid limit and spawns a burst from the level's spawn table accordingly
+      if(s.rocks.length < getRockCap(level, s.score)) {
+          if(s.spawn <= 0) {
+              let count = rocksRng.randInt(...getBurst(level, s.score).count);
+              for(let i=0; i<count; i++) {
+                  s.rocks.push(rockFactory(rocksRng, s.camera, level.rocks));
+              }            s.spawn = rocksRng.randInt(...level.rocks.interval);
+          }    }
+      // Spawns a power-up every so often when the level has them
+      if(level.pickups) {
+          if(s.pickupSpawn <= 0 && s.pickups.length < level.pickups.max) {
+              s.pickups.push(pickupFactory(pickupRng, getLandmarks(s), s.gameSize, level.pickups.weights));
+              s.pickupSpawn = pickupRng.randInt(...level.pickups.interval);
+          }        s.pickupSpawn--;
+      }
+      // Filters out rock/asteroids that drifted too far out of the camera's view, or broke on the shield
+      let cam = s.camera;
+      let slow = s.effects.slow ? SLOW_SCALE : 1;
+      s.rocks = s.rocks.filter(rock => {
+          if(rock.x >= cam.x-VIEW_MARGIN && rock.x <= cam.x+VIEW_SIZE+VIEW_MARGIN && rock.y >= cam.y-VIEW_MARGIN && rock.y <= cam.y+VIEW_SIZE+VIEW_MARGIN) {
+              if(hits.includes(rock)) {
+                  if(s.effects.shield) {
+                      s.effects.shield = 0;
+                      s.stats.shields++;
+                      return false;
+                  }                s.gameState = HIT;
+              }            let pull = getPull(level, getLandmarks(s), rock.x, rock.y);
+              rock.dx += pull.x;
+              rock.dy += pull.y;
+              capDrift(rock);
+              rock.x += rock.dx*slow;
+              rock.y += rock.dy*slow;
+              rock.rotation = (rock.rotation + rock.spin*slow)%(2*Math.PI);
+              return true;
+          }        return false;
+      });
+
+      // Rocks at least the level's split scale break in two when they run into another rock
+      if(level.rocks.split) {
+          let broken = new Map();
+          getCollisions(s.rocks, (a, b) => splitsOnHit(level, a, b)).forEach(pair => {
+              [[pair.a, pair.normal], [pair.b, { x: -pair.normal.x, y: -pair.normal.y }]].forEach(([rock, normal]) => {
+                  if(rock.scale >= level.rocks.split && !broken.has(rock)) {
+                      broken.set(rock, splitRock(rock, normal));
+                  }            });
+          });
+          s.rocks = s.rocks.flatMap(rock => broken.get(rock) || [rock]);
+      }
+      s.spawn--;
+      s.rng = { rocks: rocksRng.state, fuel: fuelRng.state, pickups: pickupRng.state };
+
+      return s;
+  };
+
+  /*
+  * Level and difficulty definitions
+  * Levels are JSON files in the levels directory (see levels/normal.json), checked by validateLevel before use
+  *
+  * name: shown in the menu
+  * world: world size at the start (min), growing with the score up to max once the score reaches growScore
+  * fuel: tank capacity (max), drain per frame of thrust (use) and of turbo (turbo), and gain per pickup (refill)
+  * rocks: the cap of rocks alive (perScore times the score, up to max), frames before the first spawn (firstSpawn),
+  *   range of frames between bursts (interval), range of speeds (speed), and the spawn table (bursts) giving
+  *   the range of rocks per burst from each score on
+  *   Optionally, rock sizes picked by weight (sizes, [{scale, weight}]), the fastest spin in radians per frame (spin),
+  *   and the smallest scale that splits in two when running into another rock (split)
+  * landmarks: ranges of x and y positions the moon and earth are placed in, either can be left out
+  *   Optionally, the strength of each landmark's pull on the player and rocks (gravity)
+  * pickups: optional power-ups, frames before the first one (firstSpawn), range of frames between them (interval),
+  *   most lying around at once (max), and the weight of each type of power-up spawning (weights, see PICKUPS in sim.js)
+  * win: the landmarks ending the run when reached, an empty list plays endlessly
+  * Leaving out every optional value plays with same sized rocks flying in straight lines
+  */
+
+  // Bundled presets in the order they are listed in the menu
+  const LEVELS = ['easy', 'normal', 'hard', 'orbits', 'endless'];
+  const DEFAULT_LEVEL = 'normal';
+
+  const LANDMARKS = ['moon', 'earth'];
+
+  let isNumber = value => typeof value == 'number' && isFinite(value);
+  let isRange = value => Array.isArray(value) && value.length == 2 && isNumber(value[0]) && isNumber(value[1]) && value[0] <= value[1];
+  let isObject = value => value != null && typeof value == 'object' && !Array.isArray(value);
+
+  /*
+  * Wraps a check so a missing value passes it, for optional values
+  */
+  let optional = test => value => value === undefined || test(value);
+
+  /*
+  * Checks a level definition
+  * Throws an Error listing every problem found, naming the level and the path of each bad value
+  * Return the level when it is valid
+  */
+  let validateLevel = (level, id = 'level') => {
+      let errors = [];
+
+      /*
+      * Reads the value at the given dot separated path, recording an error when it fails the given check
+      */
+      let check = (path, test, expected) => {
+          let value = path.split('.').reduce((obj, key) => obj != null && typeof obj == 'object' ? obj[key] : undefined, level);
+          if(!test(value)) {
+              errors.push(`${path} must be ${expected}, got ${JSON.stringify(value)}`);
+              return false;
+          }        return true;
+      };
+
+      if(!isObject(level)) {
+          throw Error(`Invalid level "${id}": not a JSON object`);
+      }
+      check('name', value => typeof value == 'string' && value.length > 0, 'a non-empty string');
+
+      check('world.min', value => isNumber(value) && value >= VIEW_SIZE, `a number of at least ${VIEW_SIZE} (the view size)`);
+      check('world.max', value => isNumber(value) && value >= (isObject(level.world) ? level.world.min : 0), 'a number of at least world.min');
+      check('world.growScore', value => isNumber(value) && value > 0, 'a number above 0');
+
+      check('fuel.max', value => isNumber(value) && value > 0, 'a number above 0');
+      ['use', 'turbo', 'refill'].forEach(key => check('fuel.' + key, value => isNumber(value) && value >= 0, 'a number of at least 0'));
+
+      check('rocks.cap.perScore', value => isNumber(value) && value >= 0, 'a number of at least 0');
+      check('rocks.cap.max', value => Number.isInteger(value) && value >= 0, 'a whole number of at least 0');
+      check('rocks.firstSpawn', value => Number.isInteger(value) && value >= 0, 'a whole number of at least 0');
+      check('rocks.interval', value => isRange(value) && value.every(Number.isInteger) && value[0] >= 0, 'a [min, max] range of whole numbers');
+      check('rocks.speed', value => isRange(value) && value[0] > 0, 'a [min, max] range of numbers above 0');
+      if(check('rocks.bursts', value => Array.isArray(value) && value.length > 0 && value[0] && value[0].score == 0, 'a list of spawn entries starting at score 0')) {
+          level.rocks.bursts.forEach((entry, i) => {
+              let before = level.rocks.bursts[i-1];
+              if(i && !(isObject(before) && isNumber(before.score))) {
+                  check(`rocks.bursts.${i}.score`, isNumber, 'a number');
+              } else {
+                  check(`rocks.bursts.${i}.score`, value => isNumber(value) && value > (i ? before.score : -1), 'a number above the score of the entry before it');
+              }            check(`rocks.bursts.${i}.count`, value => isRange(value) && value.every(Number.isInteger) && value[0] >= 0, 'a [min, max] range of whole numbers');
+          });
+      }    if(check('rocks.sizes', optional(value => Array.isArray(value) && value.length > 0), 'a list of rock sizes when given') && isObject(level.rocks) && level.rocks.sizes) {
+          level.rocks.sizes.forEach((entry, i) => {
+              check(`rocks.sizes.${i}.scale`, value => isNumber(value) && value > 0, 'a number above 0');
+              check(`rocks.sizes.${i}.weight`, value => isNumber(value) && value > 0, 'a number above 0');
+          });
+      }    check('rocks.spin', optional(value => isNumber(value) && value >= 0), 'a number of at least 0 when given');
+      check('rocks.split', optional(value => isNumber(value) && value > 0), 'a number above 0 when given');
+
+      if(check('landmarks', isObject, 'an object')) {
+          Object.keys(level.landmarks).forEach(name => {
+              if(!LANDMARKS.includes(name)) {
+                  errors.push(`landmarks.${name} is not a landmark, expected one of ${LANDMARKS.join(', ')}`);
+                  return;
+              }            ['x', 'y'].forEach(axis => check(`landmarks.${name}.${axis}`, value => isRange(value) && value[0] >= 0 && (!isObject(level.world) || value[1] <= level.world.max),
+                  'a [min, max] range within the world'));
+              check(`landmarks.${name}.gravity`, optional(value => isNumber(value) && value >= 0), 'a number of at least 0 when given');
+          });
+      }
+      if(check('pickups', optional(isObject), 'an object when given') && level.pickups) {
+          check('pickups.firstSpawn', value => Number.isInteger(value) && value >= 0, 'a whole number of at least 0');
+          check('pickups.interval', value => isRange(value) && value.every(Number.isInteger) && value[0] > 0, 'a [min, max] range of whole numbers above 0');
+          check('pickups.max', value => Number.isInteger(value) && value >= 0, 'a whole number of at least 0');
+          if(check('pickups.weights', value => isObject(value) && Object.keys(value).length > 0, 'an object of power-up weights')) {
+              Object.keys(level.pickups.weights).forEach(name => {
+                  if(!(name in PICKUPS)) {
+                      errors.push(`pickups.weights.${name} is not a power-up, expected one of ${Object.keys(PICKUPS).join(', ')}`);
+                      return;
+                  }                check(`pickups.weights.${name}`, value => isNumber(value) && value > 0, 'a number above 0');
+              });
+          }    }
+      check('win', value => Array.isArray(value) && value.every(name => isObject(level.landmarks) && name in level.landmarks), 'a list of landmarks of the level');
+
+      if(errors.length) {
+          throw Error(`Invalid level "${id}":\n` + errors.join('\n'));
+      }
+      return level;
+  };
+
+  /*
+  * Parses and checks the text of a level file
+  * Throws an Error naming the level when the text is not JSON (with the parser's message and position) or not a valid level
+  * Return the level
+  */
+  let parseLevel = (text, id = 'level') => {
+      let level;
+      try {
+          level = JSON.parse(text);
+      } catch(e) {
+          throw Error(`Invalid level "${id}": malformed JSON, ${e.message}`);
+      }
+      return validateLevel(level, id);
+  };
+
+  /*
+  * Fetches the text of the level file of the given preset
+  * Return a promise of the text, rejected with an Error naming the level when it cannot be fetched
+  */
+  let fetchLevel = id => fetch(`levels/${id}.json`)
+      .then(response => {
+          if(!response.ok) {
+              throw Error(`HTTP ${response.status}`);
+          }        return response.text();
+      })
+      .catch(err => {
+          throw Error(`Unable to load level "${id}": ${err.message}`);
+      });
+
+  /*
+  * Loads and checks every bundled preset, those failing to load or validate are left out and logged to the console
+  * Return a promise of the valid levels by id, in menu order
+  */
+  let loadLevels = () => Promise.all(LEVELS.map(id => fetchLevel(id)
+      .then(text => parseLevel(text, id))
+      .catch(err => {
+          console.error(err.message);
+          return null;
+      })))
+      .then(loaded => {
+          let levels = {};
+          loaded.forEach((level, i) => {
+              if(level) {
+                  levels[LEVELS[i]] = level;
+              }        });
+
+          return levels;
+      });
+
+  /*
+  * Replays are a seed and level id plus the player's controls for every frame of play
+  * Controls are packed into a bit field per frame: turbo (1 bit), turn from -7 to 7 (4 bits) and thrust from 0 to 15 (4 bits)
+  * Analog controls are rounded to those steps before being played, so recorded runs play back exactly
+  * Exported replays are a JSON string with the frames run-length encoded as "bits:count" pairs
+  */
+
+  const REPLAY_VERSION = 3;
+
+  // Bit field of a frame without any controls used
+  const IDLE = 14;
+
+  /*
+  * Packs a controls object ({turn, thrust, turbo}) into its bit field
+  * Return a number between 0 and 511
+  */
+  let encodeInput = input => (input.turbo ? 1 : 0) | (Math.round(input.turn*7) + 7) << 1 | Math.round(input.thrust*15) << 5;
+
+  /*
+  * Unpacks a bit field into a controls object, no bit field meaning no controls used
+  * Return the controls object
+  */
+  let decodeInput = (bits = IDLE) => ({
+      turn: ((bits >> 1 & 15) - 7)/7,
+      thrust: (bits >> 5 & 15)/15,
+      turbo: !!(bits & 1)
+  });
+
+  /*
+  * Creates a recorder for a run started with the given seed on the given level id
+  * Returns the recorder object, call record() once per frame of play
+  * record() returns the controls as they were recorded, which are the ones to play the frame with
+  */
+  let createRecorder = (seed, level = DEFAULT_LEVEL) => {
+      let frames = [];
+
+      return {
+          record: input => {
+              let bits = encodeInput(input);
+              frames.push(bits);
+              return decodeInput(bits);
+          },
+          replay: () => ({ seed, level, frames: frames.slice() })
+      };
+  };
+
+  /*
+  * Creates a playback source from a replay
+  * Returns an object whose next() gives the controls of each recorded frame in order, and no controls once done
+  */
+  let createPlayback = replay => {
+      let i = 0;
+
+      return {
+          next: () => decodeInput(replay.frames[i++]),
+          done: () => i >= replay.frames.length
+      };
+  };
+
+  /*
+  * Serializes a replay into a compact string for sharing
+  * Return the JSON string
+  */
+  let exportReplay = replay => {
+      let runs = [];
+      replay.frames.forEach(bits => {
+          let last = runs[runs.length-1];
+          if(last && last[0] == bits) {
+              last[1]++;
+          } else {
+              runs.push([bits, 1]);
+          }    });
+
+      return JSON.stringify({
+          v: REPLAY_VERSION,
+          seed: replay.seed,
+          level: replay.level,
+          input: runs.map(run => run[0].toString(16) + ':' + run[1].toString(36)).join(',')
+      });
+  };
+
+  /*
+  * Parses a string created by exportReplay, replays without a level id were played on the default level
+  * Throws an Error if the string is not a valid replay
+  * Return the replay object
+  */
+  let importReplay = blob => {
+      let data = JSON.parse(blob);
+      if(!data || data.v != REPLAY_VERSION || typeof data.seed != 'number' || typeof data.input != 'string' || (data.level != null && typeof data.level != 'string')) {
+          throw Error('Invalid replay');
+      }
+      let frames = [];
+      if(data.input) {
+          data.input.split(',').forEach(run => {
+              let [bits, count] = run.split(':');
+              bits = parseInt(bits, 16);
+              count = parseInt(count, 36);
+              if(!(bits >= 0 && bits < 512) || !(count > 0)) {
+                  throw Error('Invalid replay input: ' + run);
+              }            for(let i=0; i<count; i++) {
+                  frames.push(bits);
+              }        });
+      }
+      return { seed: data.seed >>> 0, level: data.level || DEFAULT_LEVEL, frames };
+  };
+
+  /*
+  * Safe access to localStorage
+  * Storage can be missing or throw (private browsing, disabled cookies, full quota), in which case
+  * values are kept in memory for the rest of the session instead
+  * memory holds every value written this session serialized, just as localStorage would
+  */
+  let memory = {};
+
+  /*
+  * Reads the value saved under the given key
+  * Values written this session are read from memory, as saving them may have failed while reading still works
+  * (Safari private mode, full quota)
+  * Return the parsed value, or the given fallback when nothing (readable) is saved
+  */
+  let readStore = (key, fallback = null) => {
+      try {
+          let value = key in memory ? memory[key] : localStorage.getItem(key);
+          if(value != null) {
+              return JSON.parse(value);
+          };
+      } catch(e) {}
+      return fallback;
+  };
+
+  /*
+  * Saves the given value under the given key
+  * Return true if it was persisted, false if it only lives in memory for this session
+  */
+  let writeStore = (key, value) => {
+      memory[key] = JSON.stringify(value);
+      try {
+          localStorage.setItem(key, memory[key]);
+          return true;
+      } catch(e) {
+          return false;
+      }};
+
+  /*
+  * Ghost racing and daily challenges
+  * A ghost is the best run on a layout kept as its replay, played back through the simulation alongside the live run
+  * (see createGhostRun), so it races on the same layout as the seed it was recorded on
+  * The daily challenge seeds the run from the date, so everyone gets the same landmarks, fuel and power-ups on the same day
+  * (rocks spawn around each player's view, so they still differ from run to run)
+  * Ghosts are saved locally, one per level plus the day's challenge, and can be exported to and imported from a file
+  */
+
+  const GHOSTS_KEY = 'lost-in-the-distance-ghosts';
+  const GHOST_VERSION = 1;
+
+  // Key of the daily challenge's ghost, other ghosts are kept under their level id
+  const DAILY = 'daily';
+
+  /*
+  * Returns the day of the given date as YYYY-MM-DD in UTC, so the whole team shares the same day
+  */
+  let getDailyDate = (date = new Date()) => date.toISOString().slice(0, 10);
+
+  /*
+  * Returns the id of the leaderboard of the given day's challenge, kept apart from the leaderboards of the levels
+  */
+  let getDailyBoard = (day = getDailyDate()) => DAILY + '-' + day;
+
+  /*
+  * Hashes the given day (FNV-1a) into the seed of its daily challenge
+  * Return the seed
+  */
+  let getDailySeed = (day = getDailyDate()) => {
+      let hash = 0x811C9DC5;
+      for(let i=0; i<day.length; i++) {
+          hash = Math.imul(hash ^ day.charCodeAt(i), 0x01000193) >>> 0;
+      }
+      return hash;
+  };
+
+  /*
+  * Orders two runs for racing, reaching earth first and the faster the better, then higher score and the faster run
+  * Also ranks the daily challenge's leaderboard, so it agrees with the day's ghost
+  */
+  let compareRuns = (a, b) => (b.ending == EARTH) - (a.ending == EARTH) ||
+      (a.ending == EARTH ? a.time - b.time : b.score - a.score || a.time - b.time);
+
+  /*
+  * Reads every saved ghost, ignoring anything that does not look like the saved ghosts
+  * Return the ghosts by key, with their replay exported as a string
+  */
+  let readGhosts = () => {
+      let ghosts = readStore(GHOSTS_KEY, {});
+      return ghosts && typeof ghosts == 'object' && !Array.isArray(ghosts) ? ghosts : {};
+  };
+
+  /*
+  * Returns the saved ghost under the given key (a level id or DAILY), null when there is none
+  * The daily ghost is only returned on the day of its challenge
+  * A ghost is {replay, score, ending, time, daily}, daily being the day of its challenge or null
+  */
+  let getGhost = key => {
+      let ghost = readGhosts()[key];
+      if(!ghost || (key == DAILY && ghost.daily != getDailyDate())) {
+          return null;
+      }
+      try {
+          return { ...ghost, replay: importReplay(ghost.replay) };
+      } catch(e) {
+          return null;
+      }};
+
+  /*
+  * Saves the given finished run as the ghost under the given key, when it beats the saved one
+  * Return true if it was saved
+  */
+  let saveGhost = (key, run) => {
+      let saved = getGhost(key);
+      if(saved && compareRuns(saved, run) <= 0) {
+          return false;
+      }
+      let ghosts = readGhosts();
+      ghosts[key] = { ...run, replay: exportReplay(run.replay) };
+      writeStore(GHOSTS_KEY, ghosts);
+      return true;
+  };
+
+  /*
+  * Serializes a ghost into a string for sharing
+  * Return the JSON string
+  */
+  let exportGhost = ghost => JSON.stringify({ v: GHOST_VERSION, ...ghost, replay: exportReplay(ghost.replay) });
+
+  /*
+  * Parses a string created by exportGhost
+  * Throws an Error if the string is not a valid ghost
+  * Return the ghost object
+  */
+  let importGhost = blob => {
+      let data = JSON.parse(blob);
+      if(!data || data.v != GHOST_VERSION || typeof data.replay != 'string' || typeof data.score != 'number' ||
+          typeof data.time != 'number' || typeof data.ending != 'number') {
+          throw Error('Invalid ghost');
+      }
+      return {
+          replay: importReplay(data.replay),
+          score: data.score,
+          ending: data.ending,
+          time: data.time,
+          daily: typeof data.daily == 'string' ? data.daily : null
+      };
+  };
+
+  /*
+  * Returns the pose {x, y, rotation} of the ship in the given state
+  */
+  let getPose = state => ({ x: state.player.x, y: state.player.y, rotation: state.player.rotation });
+
+  /*
+  * Plays a ghost's replay back through the simulation on the given level, a frame each time the live run steps,
+  * so starting a race does not have to simulate the whole ghost run up front
+  * Return the ghost run {pose, next}, pose being the ghost's pose on the current frame and next advancing it one frame,
+  * ghosts stay where their run ended
+  */
+  let createGhostRun = (replay, level) => {
+      let state = createState(replay.seed, level);
+      let playback = createPlayback(replay);
+      let run = {
+          pose: getPose(state),
+          next: () => {
+              if(state.gameState == PLAYING && !playback.done()) {
+                  state = step(state, playback.next());
+                  run.pose = getPose(state);
+              }        }
+      };
+
+      return run;
+  };
+
+  /*
+  * Saves a ghost as a file through the browser's downloads
+  */
+  let downloadGhost = (ghost, name) => {
+      let link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([exportGhost(ghost)], { type: 'application/json' }));
+      link.download = name;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href));
+  };
+
+  /*
+  * Asks the player for a ghost file
+  * Return a promise of the ghost read from it, rejected if the file is not a valid ghost
+  */
+  let openGhostFile = () => new Promise((resolve, reject) => {
+      let input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.json,application/json';
+      input.addEventListener('change', () => {
+          if(input.files[0]) {
+              input.files[0].text().then(importGhost).then(resolve, reject);
+          }    });
+      input.click();
+  });
+
+  /*
+  * The local leaderboard
+  * Keeps the best runs of each level, and of each day's challenge, with the player's initials and the stats of each run
+  */
+
+  const SCORES_KEY = 'lost-in-the-distance-scores';
+  const MAX_SCORES = 10;
+
+  /*
+  * Orders two leaderboard entries, higher score first, then the faster run
+  */
+  let compareScores = (a, b) => b.score - a.score || a.time - b.time;
+
+  /*
+  * Returns the ordering of the given leaderboard, daily challenges are races to earth (see compareRuns)
+  */
+  let getOrder = level => level.startsWith(DAILY + '-') ? compareRuns : compareScores;
+
+  /*
+  * Reads the whole saved leaderboard, ignoring anything that does not look like one
+  * Entries saved before levels existed were played on the default level
+  * Return the array of entries of every level
+  */
+  let readScores = () => {
+      let scores = readStore(SCORES_KEY, []);
+      if(!Array.isArray(scores)) {
+          return [];
+      }
+      return scores.filter(entry => entry && typeof entry.score == 'number' && typeof entry.time == 'number')
+          .map(entry => ({ ...entry, level: entry.level || DEFAULT_LEVEL }));
+  };
+
+  /*
+  * Reads the saved leaderboard of the given level
+  * Return the array of entries, best first
+  */
+  let getScores = (level = DEFAULT_LEVEL) => readScores().filter(entry => entry.level == level).sort(getOrder(level));
+
+  /*
+  * Returns the best leaderboard entry of the given level, or null when there is none
+  */
+  let getBest = level => getScores(level)[0] || null;
+
+  /*
+  * Adds a finished run to the leaderboard of its level
+  * entry: {name, score, ending, time, fuel, tbo, level}, time in frames, level being the id of the leaderboard:
+  *   the run's level, or the daily challenge's (see getDailyBoard in ghost.js)
+  * Return the 1-based rank of the entry, or 0 if it did not make the leaderboard
+  */
+  let addScore = entry => {
+      let scores = getScores(entry.level);
+      scores.push(entry);
+      scores.sort(getOrder(entry.level));
+
+      let rank = scores.indexOf(entry) + 1;
+      if(rank > MAX_SCORES) {
+          return 0;
+      }
+      writeStore(SCORES_KEY, [...readScores().filter(other => other.level != entry.level), ...scores.slice(0, MAX_SCORES)]);
+      return rank;
+  };
+
+  /*
+  * The input layer
+  * Maps abstract actions to the keyboard, the first connected gamepad (Gamepad API) and on-screen touch buttons
+  * Keyboard and gamepad button bindings can be remapped, and are saved between sessions
+  */
+
+  const BINDINGS_KEY = 'lost-in-the-distance-bindings';
+
+  // Actions in the order they are listed on the settings screen, up doubles as thrust and down is only used in menus
+  const ACTIONS = ['left', 'right', 'up', 'down', 'turbo', 'confirm', 'pause'];
+
+  const ACTION_NAMES = {
+      left: 'Turn left',
+      right: 'Turn right',
+      up: 'Thrust / Up',
+      down: 'Down',
+      turbo: 'Turbo',
+      confirm: 'Confirm',
+      pause: 'Pause'
+  };
+
+  /*
+  * Default bindings of each action, kontra key names and standard gamepad button indexes
+  * (0: A, 6: left trigger, 7: right trigger, 9: start, 12-15: d-pad up, down, left, right)
+  */
+  const DEFAULT_BINDINGS = {
+      left: { keys: ['left', 'a'], buttons: [14] },
+      right: { keys: ['right', 'd'], buttons: [15] },
+      up: { keys: ['up', 'w'], buttons: [7, 12] },
+      down: { keys: ['down', 's'], buttons: [13] },
+      turbo: { keys: ['space'], buttons: [6] },
+      confirm: { keys: ['enter'], buttons: [0] },
+      pause: { keys: ['p', 'esc'], buttons: [9] }
+  };
+
+  // Stick movement ignored around the center of the gamepad's left stick
+  const DEADZONE = 0.2;
+
+  /*
+  * On-screen touch buttons in view coordinates, only drawn and used once the screen has been touched
+  * Touches anywhere else count as confirm
+  */
+  const TOUCH_BUTTONS = [
+      { action: 'left', label: '<', x: 2, y: 214, width: 24, height: 24 },
+      { action: 'right', label: '>', x: 30, y: 214, width: 24, height: 24 },
+      { action: 'down', label: 'v', x: 114, y: 214, width: 24, height: 24 },
+      { action: 'up', label: '^', x: 142, y: 214, width: 24, height: 24 },
+      { action: 'turbo', label: 'T', x: 170, y: 214, width: 24, height: 24 },
+      { action: 'pause', label: '||', x: 214, y: 2, width: 24, height: 24 }
+  ];
+
+  /*
+  * bindings: current bindings of each action
+  * touches: view coordinates of each active touch by pointer id
+  * touchUsed: set once the screen has been touched, showing the touch buttons
+  * held: actions pressed on the last frame
+  * capture: callback waiting for the next key or gamepad button to bind, null when not rebinding
+  * capturePad: gamepad buttons pressed on the last frame, only buttons pressed after them are bound
+  */
+  let bindings = null;
+  let touches = {};
+  let touchUsed = false;
+  let held = {};
+  let capture = null;
+  let capturePad = [];
+
+  /*
+  * Reads the saved bindings, falling back to the defaults for anything missing or malformed
+  * Return the bindings object
+  */
+  let loadBindings = () => {
+      let saved = readStore(BINDINGS_KEY, {}) || {};
+      let loaded = {};
+      ACTIONS.forEach(action => {
+          let binding = saved[action];
+          loaded[action] = binding && Array.isArray(binding.keys) && Array.isArray(binding.buttons) ?
+              { keys: binding.keys.slice(), buttons: binding.buttons.slice() } :
+              { keys: DEFAULT_BINDINGS[action].keys.slice(), buttons: DEFAULT_BINDINGS[action].buttons.slice() };
+
+          // Keys outside of kontra's default key map are bound by their key code
+          loaded[action].keys.forEach(key => {
+              if(!Object.values(keyMap).includes(key)) {
+                  keyMap[key] = key;
+              }        });
+      });
+
+      return loaded;
+  };
+
+  /*
+  * Returns the first connected gamepad, or null when there is none
+  */
+  let getPad = () => {
+      let pads = navigator.getGamepads ? navigator.getGamepads() : [];
+      for(let i=0; i<pads.length; i++) {
+          if(pads[i] && pads[i].connected) {
+              return pads[i];
+          }    }
+      return null;
+  };
+
+  /*
+  * Returns whether each button of the given gamepad is pressed, an empty array when there is no gamepad
+  */
+  let padPressed = pad => pad ? pad.buttons.map(button => button.pressed) : [];
+
+  /*
+  * Returns how far the given gamepad button is pressed, from 0 to 1 (analog triggers give values in between)
+  */
+  let buttonValue = (pad, index) => pad && pad.buttons[index] ? pad.buttons[index].value || (pad.buttons[index].pressed ? 1 : 0) : 0;
+
+  /*
+  * Checks if a touch is within the given touch button, or outside of all of them when none is given
+  */
+  let touched = button => Object.values(touches).some(touch => button ?
+      touch.x >= button.x && touch.x <= button.x+button.width && touch.y >= button.y && touch.y <= button.y+button.height :
+      !TOUCH_BUTTONS.some(other => touch.x >= other.x && touch.x <= other.x+other.width && touch.y >= other.y && touch.y <= other.y+other.height));
+
+  /*
+  * Returns how far the given action is pressed, from 0 to 1
+  */
+  let actionValue = action => {
+      let binding = bindings[action];
+      let pad = getPad();
+      let value = binding.keys.some(key => keyPressed(key)) ? 1 : 0;
+
+      binding.buttons.forEach(index => {
+          value = Math.max(value, buttonValue(pad, index));
+      });
+
+      if(touchUsed && (action == 'confirm' ? touched() : TOUCH_BUTTONS.some(button => button.action == action && touched(button)))) {
+          value = 1;
+      }
+      return value;
+  };
+
+  /*
+  * Checks if the given action is currently pressed
+  * Return true while pressed
+  */
+  let actionPressed = action => actionValue(action) > 0.5;
+
+  /*
+  * Checks if the given action went down this frame, so menus react once per press rather than every frame
+  * Return true on the frame the action is first pressed
+  */
+  let actionTapped = action => actionPressed(action) && !held[action];
+
+  /*
+  * Reads the player's controls for a frame of play, combining every device
+  * Return the controls object ({turn, thrust, turbo}) used by the simulation
+  */
+  let readControls = () => {
+      let pad = getPad();
+      let stick = pad && pad.axes.length ? pad.axes[0] : 0;
+      let turn = (actionPressed('right') ? 1 : 0) - (actionPressed('left') ? 1 : 0);
+
+      if(Math.abs(stick) > DEADZONE) {
+          turn = Math.sign(stick) * (Math.abs(stick) - DEADZONE)/(1 - DEADZONE);
+      }
+      return {
+          turn: Math.max(-1, Math.min(1, turn)),
+          thrust: actionValue('up'),
+          turbo: actionPressed('turbo')
+      };
+  };
+
+  /*
+  * Remembers which actions are held and checks for gamepad buttons to bind, called at the end of every frame
+  */
+  let updateInput = () => {
+      ACTIONS.forEach(action => {
+          held[action] = actionPressed(action);
+      });
+
+      let pad = getPad();
+      if(capture && pad) {
+          pad.buttons.forEach((button, index) => {
+              if(capture && button.pressed && !capturePad[index]) {
+                  capture({ button: index });
+              }        });
+      }    capturePad = padPressed(pad);
+  };
+
+  /*
+  * Returns the bindings of every action
+  */
+  let getBindings = () => bindings;
+
+  /*
+  * Returns whether the screen has been touched, meaning touch buttons should be shown
+  */
+  let isTouchUsed = () => touchUsed;
+
+  /*
+  * Binds the given key or button (kind being 'keys' or 'buttons') to the given action, replacing that kind of binding
+  * An action it was already bound to takes over the given action's old bindings instead, so no key or button ends up
+  * doing two things at once (binding Down to Up's key would cancel out in menus)
+  */
+  let assign = (action, kind, value) => {
+      let previous = bindings[action][kind];
+      ACTIONS.forEach(other => {
+          let bound = bindings[other][kind];
+          if(other != action && bound.includes(value)) {
+              bindings[other][kind] = [...new Set(bound.flatMap(item => item == value ? previous : [item]))];
+          }    });
+      bindings[action][kind] = [value];
+  };
+
+  /*
+  * Waits for the next key or gamepad button and binds it to the given action (see assign)
+  * Escape cancels the rebinding
+  * Gamepad buttons already held, such as the one that picked the action to rebind, are ignored until pressed again
+  * done: called with true once bound, false if cancelled
+  */
+  let rebind = (action, done) => {
+      capturePad = padPressed(getPad());
+      capture = ({ key, button }) => {
+          capture = null;
+          if(key == 'esc') {
+              done(false);
+              return;
+          }
+          if(key) {
+              assign(action, 'keys', key);
+          } else {
+              assign(action, 'buttons', button);
+          }        writeStore(BINDINGS_KEY, bindings);
+          done(true);
+      };
+  };
+
+  /*
+  * Restores and saves the default bindings
+  */
+  let resetBindings = () => {
+      writeStore(BINDINGS_KEY, null);
+      bindings = loadBindings();
+  };
+
+  /*
+  * Converts a pointer event to view coordinates, accounting for the canvas being scaled by the page
+  */
+  let toView = evt => {
+      let canvas = getCanvas();
+      let rect = canvas.getBoundingClientRect();
+
+      return {
+          x: (evt.clientX - rect.left) * canvas.width/rect.width,
+          y: (evt.clientY - rect.top) * canvas.height/rect.height
+      };
+  };
+
+  /*
+  * Initializes the keyboard capture and touch event listeners, call once after kontra's init and initKeys
+  */
+  let initInput = () => {
+      let canvas = getCanvas();
+
+      bindings = loadBindings();
+
+      window.addEventListener('keydown', evt => {
+          if(capture && !evt.repeat) {
+              // Keys outside of kontra's default key map are bound by their key code
+              let key = keyMap[evt.code] || (keyMap[evt.code] = evt.code);
+              capture({ key });
+          }    });
+
+      canvas.addEventListener('pointerdown', evt => {
+          if(evt.pointerType == 'touch') {
+              touchUsed = true;
+              touches[evt.pointerId] = toView(evt);
+              evt.preventDefault();
+          }    });
+      canvas.addEventListener('pointermove', evt => {
+          if(touches[evt.pointerId]) {
+              touches[evt.pointerId] = toView(evt);
+          }    });
+      ['pointerup', 'pointercancel'].forEach(type => {
+          canvas.addEventListener(type, evt => {
+              delete touches[evt.pointerId];
+          });
+      });
+      canvas.style.touchAction = 'none';
+  };
+
+  /*
+  * Procedural sound effects and music
+  * Every sound is synthesized with the Web Audio API from oscillators and a shared noise buffer, no sound files are loaded
+  * Sound effects and music each go through their own volume before the master volume
+  * Browsers only allow audio after a user gesture, so the audio context is created on the first key press or touch
+  */
+
+  const AUDIO_KEY = 'lost-in-the-distance-audio';
+
+  // Volume channels in the order they are listed on the settings screen, each from 0 to VOLUME_STEPS
+  const CHANNELS = ['master', 'sfx', 'music'];
+  const VOLUME_STEPS = 10;
+
+  const CHANNEL_NAMES = {
+      master: 'Master volume',
+      sfx: 'SFX volume',
+      music: 'Music volume'
+  };
+
+  const DEFAULT_SETTINGS$1 = { master: 8, sfx: 8, music: 6, mute: false };
+
+  /*
+  * Notes of each ending jingle as [frequency (Hz), start (s), length (s)]
+  * The moon gets a wistful minor phrase, the earth a rising major fanfare
+  */
+  const JINGLES = {
+      moon: [[440, 0, 0.3], [392, 0.3, 0.3], [349, 0.6, 0.3], [330, 0.9, 0.9]],
+      earth: [[523, 0, 0.15], [659, 0.15, 0.15], [784, 0.3, 0.15], [1047, 0.45, 0.6], [784, 0.75, 0.15], [1047, 0.9, 0.9]]
+  };
+
+  /*
+  * settings: volume of each channel and whether audio is muted, kept between sessions
+  * ctx: the audio context, null until the first user gesture
+  * buses: gain node of each channel, sfx and music feed master
+  * noise: buffer of white noise shared by the noisy sounds
+  * engine: nodes of the thruster hum, which plays continuously at a volume following the ship's speed
+  */
+  let settings$1 = null;
+  let ctx = null;
+  let buses = {};
+  let noise = null;
+  let engine = null;
+
+  /*
+  * Reads the saved settings, falling back to the defaults for anything missing or malformed
+  * Return the settings object
+  */
+  let loadSettings = () => {
+      let saved = readStore(AUDIO_KEY, {}) || {};
+      let loaded = { mute: typeof saved.mute == 'boolean' ? saved.mute : DEFAULT_SETTINGS$1.mute };
+      CHANNELS.forEach(channel => {
+          let value = saved[channel];
+          loaded[channel] = Number.isInteger(value) && value >= 0 && value <= VOLUME_STEPS ? value : DEFAULT_SETTINGS$1[channel];
+      });
+
+      return loaded;
+  };
+
+  /*
+  * Applies the settings to the channel volumes, the master channel is silenced when muted
+  */
+  let applySettings = () => {
+      if(!ctx) {
+          return;
+      }
+      CHANNELS.forEach(channel => {
+          let volume = channel == 'master' && settings$1.mute ? 0 : settings$1[channel]/VOLUME_STEPS;
+          buses[channel].gain.setTargetAtTime(volume, ctx.currentTime, 0.02);
+      });
+  };
+
+  /*
+  * Creates the audio context and the nodes that last for the whole session
+  */
+  let startAudio = () => {
+      let AudioContext = window.AudioContext || window.webkitAudioContext;
+      if(!AudioContext) {
+          return;
+      }
+      ctx = new AudioContext();
+      CHANNELS.forEach(channel => {
+          buses[channel] = ctx.createGain();
+          buses[channel].gain.value = 0;
+          buses[channel].connect(channel == 'master' ? ctx.destination : buses.master);
+      });
+      applySettings();
+
+      noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+      let data = noise.getChannelData(0);
+      for(let i=0; i<data.length; i++) {
+          data[i] = Math.random()*2 - 1;
+      }
+      // Thruster hum, a low sawtooth softened by a lowpass filter that opens up with speed
+      let osc = ctx.createOscillator();
+      let filter = ctx.createBiquadFilter();
+      let gain = ctx.createGain();
+      osc.type = 'sawtooth';
+      osc.frequency.value = 55;
+      filter.type = 'lowpass';
+      filter.frequency.value = 200;
+      gain.gain.value = 0;
+      osc.connect(filter).connect(gain).connect(buses.sfx);
+      osc.start();
+      engine = { osc, filter, gain };
+  };
+
+  /*
+  * Plays a note on the given channel
+  * type: oscillator wave type
+  * freq: frequency at the start, and at the end when given as [start, end]
+  * start/length: start time from now and duration in seconds
+  * volume: peak volume of the note
+  */
+  let tone = (channel, type, freq, start, length, volume) => {
+      let [from, to] = [].concat(freq, freq);
+      let time = ctx.currentTime + start;
+      let osc = ctx.createOscillator();
+      let gain = ctx.createGain();
+
+      osc.type = type;
+      osc.frequency.setValueAtTime(from, time);
+      osc.frequency.exponentialRampToValueAtTime(to, time + length);
+      gain.gain.setValueAtTime(0.0001, time);
+      gain.gain.exponentialRampToValueAtTime(volume, time + 0.01);
+      gain.gain.exponentialRampToValueAtTime(0.0001, time + length);
+      osc.connect(gain).connect(buses[channel]);
+      osc.start(time);
+      osc.stop(time + length);
+  };
+
+  /*
+  * Plays a burst of noise through a filter on the sfx channel
+  * type: filter type
+  * freq: filter frequency at the start and at the end ([start, end])
+  * length: duration in seconds
+  * volume: peak volume of the burst
+  */
+  let burst = (type, freq, length, volume) => {
+      let time = ctx.currentTime;
+      let src = ctx.createBufferSource();
+      let filter = ctx.createBiquadFilter();
+      let gain = ctx.createGain();
+
+      src.buffer = noise;
+      filter.type = type;
+      filter.frequency.setValueAtTime(freq[0], time);
+      filter.frequency.exponentialRampToValueAtTime(freq[1], time + length);
+      gain.gain.setValueAtTime(volume, time);
+      gain.gain.exponentialRampToValueAtTime(0.0001, time + length);
+      src.connect(filter).connect(gain).connect(buses.sfx);
+      src.start(time);
+      src.stop(time + length);
+  };
+
+  // Every sound effect by name
+  const SOUNDS = {
+      // Rising whoosh when turbo kicks in
+      turbo: () => {
+          burst('bandpass', [400, 2400], 0.35, 0.5);
+          tone('sfx', 'square', [220, 440], 0, 0.25, 0.05);
+      },
+
+      // Two bright notes on a fuel pickup
+      fuel: () => {
+          tone('sfx', 'triangle', 988, 0, 0.12, 0.3);
+          tone('sfx', 'triangle', 1319, 0.08, 0.3, 0.3);
+      },
+
+      // Quick rising arpeggio on a power-up
+      power: () => {
+          [659, 831, 988, 1319].forEach((freq, i) => tone('sfx', 'square', freq, i*0.05, 0.1, 0.12));
+      },
+
+      // Glassy crack when the shield takes a hit
+      shield: () => {
+          burst('highpass', [3000, 800], 0.4, 0.6);
+          tone('sfx', 'sawtooth', [880, 220], 0, 0.35, 0.15);
+      },
+
+      // Rumbling boom when a rock hits the ship
+      explosion: () => {
+          burst('lowpass', [1800, 60], 1.2, 1);
+          tone('sfx', 'sine', [120, 30], 0, 0.8, 0.6);
+      }
+  };
+
+  /*
+  * Plays the sound effect of the given name (see SOUNDS), does nothing until audio has started
+  */
+  let playSound = name => {
+      if(ctx) {
+          SOUNDS[name]();
+      }};
+
+  /*
+  * Plays the ending jingle of the given landmark on the music channel, does nothing until audio has started
+  */
+  let playJingle = name => {
+      if(ctx) {
+          JINGLES[name].forEach(([freq, start, length]) => {
+              tone('music', 'square', freq, start, length, 0.15);
+              tone('music', 'triangle', freq/2, start, length, 0.3);
+          });
+      }};
+
+  /*
+  * Sets the thruster hum from the ship's speed (0 when silent), called every frame of play
+  * turbo: brightens the hum while turbo is being spent
+  */
+  let setEngine = (spd, turbo = false) => {
+      if(!engine) {
+          return;
+      }
+      let time = ctx.currentTime;
+      engine.gain.gain.setTargetAtTime(Math.min(spd, 1)*0.25, time, 0.05);
+      engine.osc.frequency.setTargetAtTime(55 + spd*60 + (turbo ? 30 : 0), time, 0.05);
+      engine.filter.frequency.setTargetAtTime(200 + spd*600 + (turbo ? 800 : 0), time, 0.05);
+  };
+
+  /*
+  * Returns the audio settings ({master, sfx, music, mute})
+  */
+  let getAudioSettings = () => settings$1;
 
-    // alpha keys
-    // @see https://stackoverflow.com/a/43095772/2124254
-    for (i = 0; i < 26; i++) {
-      // rollupjs considers this a side-effect (for now), so we'll do it in the
-      // initKeys function
-      keyMap[i + 65] = keyMap['Key' + String.fromCharCode(i + 65)] = String.fromCharCode(i + 97);
-    }
+  /*
+  * Changes and saves the volume of the given channel, or mute when the channel is 'mute'
+  */
+  let setAudio = (channel, value) => {
+      settings$1[channel] = value;
+      writeStore(AUDIO_KEY, settings$1);
+      applySettings();
+  };
 
-    // numeric keys
-    for (i = 0; i < 10; i++) {
-      keyMap[48+i] = keyMap['Digit'+i] = ''+i;
-    }
+  /*
+  * Loads the audio settings and waits for the first user gesture to start audio, call once on startup
+  * Later gestures resume the context in case the browser suspended it
+  */
+  let initAudio = () => {
+      settings$1 = loadSettings();
+
+      let unlock = () => {
+          if(!ctx) {
+              startAudio();
+          } else if(ctx.state == 'suspended') {
+              ctx.resume();
+          }    };
+      ['keydown', 'pointerdown'].forEach(type => {
+          window.addEventListener(type, unlock);
+      });
+  };
 
-    window.addEventListener('keydown', keydownEventHandler);
-    window.addEventListener('keyup', keyupEventHandler);
-    window.addEventListener('blur', blurEventHandler$1);
-  }
+  /*
+  * Visual effects: particles and screen shake
+  * Particles are pooled kontra Sprites in world coordinates, purely cosmetic so they use Math.random rather than the
+  * simulation's seeded rng (replays stay exact)
+  * The "reduced effects" setting lowers the particle cap and emission for low-end devices, screen shake can be turned off
+  */
 
-  /**
-   * Check if a key is currently pressed. Use during an `update()` function to perform actions each frame.
-   *
-   * ```js
-   * import { Sprite, initKeys, keyPressed } from 'kontra';
-   *
-   * initKeys();
-   *
-   * let sprite = Sprite({
-   *   update: function() {
-   *     if (keyPressed('left')){
-   *       // left arrow pressed
-   *     }
-   *     else if (keyPressed('right')) {
-   *       // right arrow pressed
-   *     }
-   *
-   *     if (keyPressed('up')) {
-   *       // up arrow pressed
-   *     }
-   *     else if (keyPressed('down')) {
-   *       // down arrow pressed
-   *     }
-   *   }
-   * });
-   * ```
-   * @function keyPressed
-   *
-   * @param {String} key - Key to check for pressed state.
-   *
-   * @returns {Boolean} `true` if the key is pressed, `false` otherwise.
-   */
-  function keyPressed(key) {
-    return !!pressedKeys[key];
-  }
+  const EFFECTS_KEY = 'lost-in-the-distance-effects';
 
-  // let { init, Sprite, GameLoop, load, imageAssets, setImagePath, initKeys, keyPressed, randInt, rotatePoint, Text, Vector } = kontra (used when testing without a server, kontra library should be included as a source in index.html);
+  // Most particles alive at once, with full and with reduced effects
+  const PARTICLE_CAP = 300;
+  const REDUCED_CAP = 60;
 
-  init();
-  initKeys();
-  setImagePath('assets/img/');
+  const DEFAULT_SETTINGS = { reduced: false, shake: true };
+
+  /*
+  * settings: effect settings, kept between sessions
+  * pool: the particle pool, null until initEffects
+  * quake: strength and frames left of the current screen shake
+  */
+  let settings = null;
+  let pool = null;
+  let quake = { strength: 0, frames: 0 };
+
+  /*
+  * Emits a particle unless the cap is reached
+  * props: Sprite properties of the particle, ttl being its life in frames, over which it fades out
+  */
+  let emit = props => {
+      if(pool.size < (settings.reduced ? REDUCED_CAP : PARTICLE_CAP)) {
+          pool.get({ width: 1, height: 1, opacity: 1, ...props, life: props.ttl });
+      }};
+
+  /*
+  * Emits particles spreading out from the given point in every direction
+  * count: number of particles, halved with reduced effects
+  * speed: [min, max] speed of the particles
+  * ttl: [min, max] life of the particles in frames
+  * colors: colors picked from at random
+  */
+  let spray = (x, y, count, speed, ttl, colors, size = 1) => {
+      count = settings.reduced ? Math.ceil(count/2) : count;
+      for(let i=0; i<count; i++) {
+          let angle = Math.random()*Math.PI*2;
+          let spd = speed[0] + Math.random()*(speed[1] - speed[0]);
+          emit({
+              x,
+              y,
+              dx: Math.cos(angle)*spd,
+              dy: Math.sin(angle)*spd,
+              ttl: Math.round(ttl[0] + Math.random()*(ttl[1] - ttl[0])),
+              color: colors[Math.floor(Math.random()*colors.length)],
+              width: size,
+              height: size
+          });
+      }};
+
+  /*
+  * Emits the thruster exhaust of the given player for a frame of thrust
+  * Particles leave the rear of the ship opposite to its rotation, longer and faster the faster it goes, brighter under turbo
+  */
+  let exhaust = (player, turbo = false) => {
+      if(settings.reduced && Math.random() < 0.5) {
+          return;
+      }
+      let cos = Math.cos(player.rotation);
+      let sin = Math.sin(player.rotation);
+      let count = turbo ? 3 : 1;
+      for(let i=0; i<count; i++) {
+          let spread = (Math.random() - 0.5)*0.6;
+          let spd = 0.3 + player.spd*0.8 + Math.random()*0.3;
+          emit({
+              x: player.x - cos*3,
+              y: player.y - sin*3,
+              dx: player.spd*cos - Math.cos(player.rotation + spread)*spd,
+              dy: player.spd*sin - Math.sin(player.rotation + spread)*spd,
+              ttl: Math.round(8 + player.spd*12 + Math.random()*6),
+              color: turbo ? ['white', '#9cf', 'yellow'][i] : ['orange', 'orangered'][Math.floor(Math.random()*2)]
+          });
+      }};
 
   /*
-  * Updates canvas by increasing the width and height based on player score
-  * Return the size of the canvas
+  * Bursts debris from a rock hitting the ship at the given point
   */
-  let updtCanvas = (score=0) => {
-      let canvas = document.getElementById("game");
-      canvas.height = canvas.width = Math.floor(160 * Math.min(score/100, 1))+160;
+  let debris = (x, y) => {
+      spray(x, y, 40, [0.2, 1.5], [30, 70], ['white', 'orange', 'orangered', 'gray', 'darkgray'], 2);
+  };
 
-      return canvas.width;
+  /*
+  * Sparkles around a fuel pickup at the given point
+  */
+  let sparkle = (x, y) => {
+      spray(x, y, 14, [0.2, 0.6], [15, 30], ['yellow', 'gold', 'white']);
   };
 
   /*
-  * Obtains the vertices of a given object and accounts for any rotations
-  * Used in the checkSAT function
-  * Return an array of vertices of given object
+  * Shakes the screen with the given strength in pixels for the given number of frames, does nothing when shake is off
   */
-  let getV = obj => {
-      let objX = obj.x;
-      let objY = obj.y;
-      let objHW = obj.width/2-2;
-      let objHH = obj.height/2-2;
-      let objR = obj.rotation;
-      let objOP = [ rotatePoint({x: (objX - objHW - objX), y: (objY - objHH - objY)}, objR), 
-                      rotatePoint({x: (objX + objHW - objX), y: (objY - objHH - objY)}, objR), 
-                      rotatePoint({x: (objX - objHW - objX), y: (objY + objHH - objY)}, objR), 
-                      rotatePoint({x: (objX + objHW - objX), y: (objY + objHH - objY)}, objR) ];
+  let shake = (strength, frames) => {
+      if(settings.shake && !settings.reduced) {
+          quake = { strength, frames };
+      }};
 
-      let objV = [];
-      for (let i=0; i<4; i++) {
-          objV.push( {x: (objOP[i].x + objX), y: (objOP[i].y + objY)} );
+  /*
+  * Returns the current screen shake offset {x, y} to apply to the view
+  */
+  let getShake = () => {
+      if(quake.frames <= 0) {
+          return { x: 0, y: 0 };
       }
-      return objV;
+      return {
+          x: Math.round((Math.random()*2 - 1)*quake.strength),
+          y: Math.round((Math.random()*2 - 1)*quake.strength)
+      };
+  };
+
+  /*
+  * Moves and fades every particle and calms the screen shake, called once per frame
+  */
+  let updateEffects = () => {
+      pool.update();
+      pool.getAliveObjects().forEach(particle => {
+          particle.opacity = particle.ttl/particle.life;
+      });
+
+      if(quake.frames > 0) {
+          quake.frames--;
+          quake.strength *= 0.9;
+      }};
+
+  /*
+  * Renders every particle, call with the context translated to world coordinates
+  */
+  let renderEffects = () => {
+      pool.render();
   };
 
   /*
-  * A collision checker for two given objects that accounts for rotation
-  * Uses the Separating Axis Theorem (SAT)
-  * Return true for collision between two given objects, false otherwise
+  * Removes every particle and stops the screen shake, used when a run starts
   */
-  let checkSAT = (obj1, obj2) => {
-      let obj1V = getV(obj1);
+  let clearEffects = () => {
+      pool.clear();
+      quake = { strength: 0, frames: 0 };
+  };
 
-      // Loops through each edge of obj1
-      for (let i=0; i<4; i++) {
-          // Normalize the normal line of each edge to obtain the axis
-          let axis = factory$1(-(obj1V[(i+1)%4].y - obj1V[i%4].y), (obj1V[(i+1)%4].x - obj1V[i%4].x));
-          axis = axis.normalize();
+  /*
+  * Returns the effect settings ({reduced, shake})
+  */
+  let getEffectSettings = () => settings;
 
-          // Finds the min and max points on axis of obj1
-          let obj1min = axis.dot(obj1V[0]);
-          let obj1max = obj1min;
-          for(let j=0; j<4; j++) {
-              let vertex = axis.dot(obj1V[j]);
-              obj1min = Math.min(obj1min, vertex);
-              obj1max = Math.max(obj1max, vertex);
-          }
-          let obj2V = getV(obj2);
-
-          // Finds the min and max points on axis of obj2
-          let obj2min = axis.dot(obj2V[0]);
-          let obj2max = obj2min;
-          for(let j=0; j<4; j++) {
-              let vertex = axis.dot(obj2V[j]);
-              obj2min = Math.min(obj2min, vertex);
-              obj2max = Math.max(obj2max, vertex);
-          }        
-          // Checks if min and max points of both objects overlap, returns true if there is no overlap
-          if(obj1max < obj2min || obj1min > obj2max) {
-              return true;
-          }    }
-      return false;
+  /*
+  * Changes and saves the given effect setting
+  */
+  let setEffect = (name, value) => {
+      settings[name] = value;
+      writeStore(EFFECTS_KEY, settings);
+      if(value && name == 'reduced') {
+          clearEffects();
+      }};
+
+  /*
+  * Loads the effect settings and creates the particle pool, call once after kontra's init
+  */
+  let initEffects = () => {
+      let saved = readStore(EFFECTS_KEY, {}) || {};
+      settings = {};
+      Object.keys(DEFAULT_SETTINGS).forEach(name => {
+          settings[name] = typeof saved[name] == 'boolean' ? saved[name] : DEFAULT_SETTINGS[name];
+      });
+
+      pool = factory$7({ create: factory$3, maxSize: PARTICLE_CAP });
+  };
+
+  /*
+  * The scene manager
+  * Each screen of the game is a named scene object with optional enter(params), exit(), update() and render() hooks
+  * Only the current scene is updated and rendered
+  */
+
+  /*
+  * Creates a scene manager from the given scenes, keyed by name
+  * Returns the manager, call go(name, params) to switch scenes
+  */
+  let createScenes = scenes => {
+      let manager = {
+          name: null,
+          current: null,
+
+          // Exits the current scene and enters the named one, passing it the given params
+          go: (name, params = {}) => {
+              if(!scenes[name]) {
+                  throw Error('Unknown scene: ' + name);
+              }
+              if(manager.current && manager.current.exit) {
+                  manager.current.exit();
+              }            manager.name = name;
+              manager.current = scenes[name];
+              if(manager.current.enter) {
+                  manager.current.enter(params);
+              }        },
+
+          update: () => {
+              if(manager.current && manager.current.update) {
+                  manager.current.update();
+              }        },
+
+          render: () => {
+              if(manager.current && manager.current.render) {
+                  manager.current.render();
+              }        }
+      };
+
+      return manager;
+  };
+
+  /*
+  * Navigable list menus
+  * Up/down move the selection and confirm picks the selected item
+  */
+
+  /*
+  * Creates a menu from the given items ({label, select}), label may be a function for text that changes
+  * Returns the menu object, call update() once per frame and text() to render it
+  */
+  let createMenu = items => {
+      let menu = {
+          items,
+          pos: 0,
+
+          update: () => {
+              if(actionTapped('up')) {
+                  menu.pos = (menu.pos + items.length - 1)%items.length;
+              }            if(actionTapped('down')) {
+                  menu.pos = (menu.pos + 1)%items.length;
+              }            if(actionTapped('confirm')) {
+                  items[menu.pos].select();
+              }        },
+
+          // Lists the items, marking the selected one
+          text: () => items.map((item, i) => (i == menu.pos ? '> ' : '') + (typeof item.label == 'function' ? item.label() : item.label)).join('\n')
+      };
+
+      return menu;
+  };
+
+  init();
+  initKeys();
+  initInput();
+  initAudio();
+  initEffects();
+  setImagePath('assets/img/');
+
+  // Replay of the last finished run, kept across runs so it can be watched or exported
+  let lastReplay = null;
+
+  // Key of the level selected in the start menu, kept between sessions
+  const LEVEL_KEY = 'lost-in-the-distance-level';
+
+  // Short names of each ending for the leaderboard
+  const ENDING_NAMES = {
+      [HIT]: 'Hit',
+      [MOON]: 'Moon',
+      [EARTH]: 'Earth',
+      [NO_FUEL]: 'Drift'
+  };
+
+  // Text shown for each ending on the game over screen
+  const ENDING_TEXTS = {
+      [HIT]: "You got hit",
+      [MOON]: "You land on the moon\nEnd1/2",
+      [EARTH]: "You returned to earth!\nEnd2/2",
+      [NO_FUEL]: "You ran out of fuel\nDrifting forever..."
+  };
+
+  // Color and letter drawn for each type of power-up
+  const PICKUP_LOOKS = {
+      shield: ['deepskyblue', 'S'],
+      turbo: ['yellow', 'T'],
+      slow: ['violet', 'Z'],
+      magnet: ['orangered', 'M']
+  };
+
+  // Names of the timed power-up effects shown in the HUD
+  const EFFECT_NAMES = {
+      shield: 'Shield',
+      slow: 'Slow',
+      magnet: 'Magnet'
+  };
+
+  /*
+  * Formats a run time given in frames
+  * Return the time in seconds as text
+  */
+  let fmtTime = frames => (frames/60).toFixed(1) + 's';
+
+  /*
+  * Creates the text of how well a ghost's run went
+  * Return its time when it reached earth, its score otherwise
+  */
+  let ghostText = ghost => ghost.ending == EARTH ? fmtTime(ghost.time) : ghost.score + ' pts';
+
+  /*
+  * Creates the text of the leaderboard screen for the given leaderboard id (a level id or a daily challenge's)
+  * Return the text listing every saved run of the level
+  */
+  let scoresText = level => {
+      let scores = getScores(level);
+      if(!scores.length) {
+          return "No scores yet";
+      }
+      return "# Name Score End Time Fuel Turbo\n" +
+          scores.map((entry, i) => `${i+1}. ${entry.name} ${entry.score} ${ENDING_NAMES[entry.ending]} ${fmtTime(entry.time)} ${entry.fuel} ${entry.tbo}`).join('\n');
   };
 
   /*
-  * A function called to start or restart (if gameOn) the game
-  * Loads all assets required
-  * Initializes and creates all game variables, sprite objects, and factories required
-  * All game events occur within this function in the game loop
+  * Creates the text of an action's bindings for the settings screen
+  * Return the action's name with the keys and gamepad buttons bound to it
   */
-  let gameStart = (gameOn = false) => {
-      load('map-indexed.png', 'player.png', 'rock.png', 'fuel.png', 'earth.png', 'moon.png').then(
-          () => {
+  let bindingText = action => `${ACTION_NAMES[action]}: ${getBindings()[action].keys.join('/')} ${getBindings()[action].buttons.map(button => 'pad' + button).join('/')}`;
+
+  /*
+  * Creates the settings menu item of a volume channel, raising the volume on each select and wrapping back to 0
+  * Return the menu item
+  */
+  let volumeItem = channel => ({
+      label: () => `${CHANNEL_NAMES[channel]}: ${getAudioSettings()[channel]}/${VOLUME_STEPS}`,
+      select: () => setAudio(channel, (getAudioSettings()[channel] + 1)%(VOLUME_STEPS + 1))
+  });
+
+  /*
+  * A function called once to start the game
+  * Loads all assets and level presets required, once for every run, showing what went wrong when they cannot be loaded
+  * Creates the sprites drawing the simulation state (see sim.js), which holds all game rules
+  * Creates the scenes of each screen and runs the current one in the game loop
+  */
+  let gameStart = () => {
+      Promise.all([load('map-indexed.png', 'player.png', 'rock.png', 'fuel.png', 'earth.png', 'moon.png'), loadLevels()]).then(
+          ([assets, levels]) => {
+              /*
+              * levelIds: ids of the valid level presets, in menu order
+              * levelId: id of the level selected in the start menu
+              * runLevel: id of the level of the current run, which differs from levelId when watching another level's replay
+              * dailyLevel: id of the level daily challenges are played on
+              */
+              let levelIds = Object.keys(levels);
+              if(!levelIds.length) {
+                  throw Error('No valid levels to play');
+              }            let levelId = readStore(LEVEL_KEY, DEFAULT_LEVEL);
+              if(!levels[levelId]) {
+                  levelId = levels[DEFAULT_LEVEL] ? DEFAULT_LEVEL : levelIds[0];
+              }            let runLevel = levelId;
+              let dailyLevel = levels[DEFAULT_LEVEL] ? DEFAULT_LEVEL : levelIds[0];
+
               /*
-              * rockArr: contains an array of individual rock objects for update and render purposes
-              * fuel: keeps track of the fuel object
-              * spawn: sets the spawn rate for rocks
-              * gameSize: keeps track of the current map size
+              * state: the world state of the current run, advanced one frame at a time by step
+              * recorder/playback: records the player's controls each frame, or feeds back those of the replay being watched
+              * runParams: params the current run was started with, so restarting plays the same kind of run
+              * runDaily: day of the daily challenge being played, null for other runs
+              * runBoard: id of the leaderboard the current run is ranked on, its level's or the daily challenge's
+              * ghost: the ghost raced in the current run with its run played alongside (see createGhostRun), null when there is none
+              * ghostKey: key the current run is saved under as a ghost when it beats the saved one, null for replays
+              * newGhost: whether the last finished run was saved as the new ghost
               */
-              let rockArr = [];
-              let fuel = null;
-              let spawn = 60;
-              let gameState = 0;
-              let gameSize = updtCanvas();
+              let state = createState(undefined, levels[levelId]);
+              let recorder = null;
+              let playback = null;
+              let runParams = {};
+              let runDaily = null;
+              let runBoard = runLevel;
+              let ghost = null;
+              let ghostKey = null;
+              let newGhost = false;
 
               let bkgd = factory$3({
                   x: 0,
@@ -2347,249 +6647,645 @@
                   image: imageAssets['map-indexed']
               });
 
-              // Text rendering for menu screen
+              // Text rendering for menu screens
               let mMenuTxt = factory$4({
                   anchor: {x: 0.5, y:0.5},
-                  x: gameSize/2,
-                  y: gameSize/2,
+                  x: VIEW_SIZE/2,
+                  y: VIEW_SIZE/2,
                   font: '14px Arial',
                   color: 'white',
                   text: "",
-                  textAlign: 'center',
-                  update: function() {
-                      this.x = gameSize/2;
-                      this.y = this.x;
-                      if(gameState == 1) {
-                          this.text = "You got hit\nENTER to restart";
-                      } else if(!gameOn) {
-                          this.text = "ENTER to start";
-                      } else if(gameState == 2) {
-                          this.text = "You land on the moon\nEnd1/2\nENTER to restart";
-                      } else {
-                          this.text = "You returned to earth!\nEnd2/2\nENTER to restart";
-                      }                    if(keyPressed('enter')) {
-                          lp.stop();
-                          gameStart(true);
-                      }                }
+                  textAlign: 'center'
               });
 
-              // Vector clamp used to keep player within game boundry
-              let vector = factory$1(80, 80);
-              vector.clamp(0, 0, 160, 160);
-              let player = factory$3({
-                  anchor: {x: 0.5, y:0.5},
-                  x: vector.x,
-                  y: vector.y,
-                  spd: 0,
-                  tbo: 100,
-                  tboCD: 0,
-                  rotation: 0,
-                  image: imageAssets['player'],
-                  update: function() {
-                      if(keyPressed('left') || keyPressed('a')) {
-                          this.rotation = (this.rotation - 0.06)%(2*Math.PI);
-                      }
-                      if(keyPressed('up') || keyPressed('w')) {
-                          if(keyPressed('space') && this.tbo > 0) {
-                              this.spd = Math.min(0.9, this.spd + 0.04);
-                              this.tbo -= 2;
-                              this.tboCD = 120;
-                          } else {
-                              this.spd = Math.min(0.6, this.spd + 0.03);
-                              if(this.tboCD == 0) {
-                                  this.tbo = Math.min(this.tbo+1, 100);
-                              }
-                          }                    } else {
-                          if(this.spd > 0) {
-                              this.spd = Math.max(0, this.spd - 0.02);
-                          }                    }
-                      if(keyPressed('right') || keyPressed('d')) {
-                          this.rotation = (this.rotation + 0.06)%(2*Math.PI);
-                      }
-                      this.x = vector.x += Math.cos(this.rotation)*this.spd;
-                      this.y = vector.y += Math.sin(this.rotation)*this.spd;
-
-                      vector.clamp(0, 0, gameSize, gameSize);
+              /*
+              * Renders the given text in the middle of the view with the given font size
+              */
+              let renderText = (text, size = 14) => {
+                  mMenuTxt.text = text;
+                  mMenuTxt.font = size + 'px Arial';
+                  mMenuTxt.render();
+              };
 
-                      if(this.tboCD > 0) {
-                          this.tboCD--;
-                      }                }
-              });
+              // Sprites drawn at the position of each matching entity in the state
+              let player = factory$3({ anchor: {x: 0.5, y: 0.5}, image: imageAssets['player'] });
+              let moon = factory$3({ anchor: {x: 0.5, y: 0.5}, image: imageAssets['moon'] });
+              let earth = factory$3({ anchor: {x: 0.5, y: 0.5}, image: imageAssets['earth'] });
+              let fuel = factory$3({ anchor: {x: 0.5, y: 0.5}, image: imageAssets['fuel'] });
+              let rock = factory$3({ anchor: {x: 0.5, y: 0.5}, image: imageAssets['rock'] });
+              let ghostShip = factory$3({ anchor: {x: 0.5, y: 0.5}, image: imageAssets['player'], opacity: 0.4 });
 
-              let moon = factory$3({
+              // Power-ups have no image, they are drawn as a colored orb marked with a letter (type is set before rendering)
+              let pickup = factory$3({
                   anchor: {x: 0.5, y: 0.5},
-                  x: randInt(208, 224),
-                  y: randInt(208, 224),
-                  image: imageAssets['moon']
+                  width: 8,
+                  height: 8,
+                  type: 'shield',
+                  render: function() {
+                      let [color, letter] = PICKUP_LOOKS[this.type];
+                      this.context.fillStyle = color;
+                      this.context.beginPath();
+                      this.context.arc(4, 4, 4, 0, Math.PI*2);
+                      this.context.fill();
+                      this.context.fillStyle = 'black';
+                      this.context.font = '6px Arial';
+                      this.context.textAlign = 'center';
+                      this.context.textBaseline = 'middle';
+                      this.context.fillText(letter, 4, 4.5);
+                  }
               });
 
-              let earth = factory$3({
+              // Ring drawn around the player while the shield is up
+              let shieldRing = factory$3({
                   anchor: {x: 0.5, y: 0.5},
-                  x: randInt(248, 288),
-                  y: randInt(248, 288),
-                  image: imageAssets['earth']
+                  width: 14,
+                  height: 14,
+                  render: function() {
+                      this.context.strokeStyle = PICKUP_LOOKS.shield[0];
+                      this.context.beginPath();
+                      this.context.arc(7, 7, 7, 0, Math.PI*2);
+                      this.context.stroke();
+                  }
               });
 
+              /*
+              * Renders the given sprite at the position, rotation and scale of the given entity
+              */
+              let renderAt = (sprite, entity) => {
+                  sprite.x = entity.x;
+                  sprite.y = entity.y;
+                  sprite.rotation = entity.rotation || 0;
+                  sprite.scaleX = sprite.scaleY = entity.scale || 1;
+                  sprite.render();
+              };
+
               // Text rendering for score
               let scrTxt = factory$4({
                   x: 70,
-                  score: 0,
                   font: '12px Arial',
                   text: "",
                   color: 'white',
                   textAlign: 'center',
                   update: function() {
-                      this.text = "Score: " + this.score;
+                      this.text = "Score: " + state.score;
                   }
               });
 
               // Text rendering for turbo
               let tboTxt = factory$4({
                   font: '12px Arial',
-                  text: `Turbo: ${player.tbo}`,
+                  text: `Turbo: ${state.player.tbo}`,
                   color: 'white',
                   textAlign: 'center',
                   update: function() {
-                      this.text = `Turbo: ${player.tbo}`;
+                      this.text = `Turbo: ${state.player.tbo}`;
+                  }
+              });
+
+              // Text rendering for the active power-up effects and the time left on each, drawn below the fuel gauge
+              let fxTxt = factory$4({
+                  x: 2,
+                  y: 24,
+                  font: '8px Arial',
+                  text: "",
+                  color: 'white',
+                  update: function() {
+                      this.text = Object.keys(state.effects).filter(name => state.effects[name])
+                          .map(name => `${EFFECT_NAMES[name]} ${fmtTime(state.effects[name])}`).join('\n');
+                  }
+              });
+
+              // Gauge rendering for the player's fuel tank, drawn below the turbo text
+              let fuelGauge = factory$3({
+                  x: 2,
+                  y: 16,
+                  width: 40,
+                  height: 4,
+                  render: function() {
+                      let ratio = state.player.fuel/state.level.fuel.max;
+                      this.context.strokeStyle = 'white';
+                      this.context.strokeRect(0, 0, this.width, this.height);
+                      this.context.fillStyle = ratio > 0.25 ? 'limegreen' : 'red';
+                      this.context.fillRect(0, 0, this.width*ratio, this.height);
+                  }
+              });
+
+              // Minimap rendering in the bottom right corner, showing the whole world with the player, fuel, moon and earth (when the level has them)
+              let minimap = factory$3({
+                  x: VIEW_SIZE-42,
+                  y: VIEW_SIZE-42,
+                  width: 40,
+                  height: 40,
+                  render: function() {
+                      let scale = this.width/state.gameSize;
+                      let dot = (entity, color, size) => {
+                          if(!entity) {
+                              return;
+                          }                        this.context.fillStyle = color;
+                          this.context.fillRect(Math.floor(entity.x*scale - size/2), Math.floor(entity.y*scale - size/2), size, size);
+                      };
+
+                      this.context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+                      this.context.fillRect(0, 0, this.width, this.height);
+                      this.context.strokeStyle = 'white';
+                      this.context.strokeRect(0, 0, this.width, this.height);
+                      dot(state.fuel, 'orange', 2);
+                      if(ghost) {
+                          dot(ghost.run.pose, 'gray', 2);
+                      }                    state.pickups.forEach(entity => {
+                          dot(entity, PICKUP_LOOKS[entity.type][0], 2);
+                      });
+                      dot(state.moon, 'silver', 3);
+                      dot(state.earth, 'dodgerblue', 4);
+                      dot(state.player, 'white', 2);
+                  }
+              });
+
+              // On-screen touch buttons, drawn once the screen has been touched
+              let touchPad = factory$3({
+                  render: function() {
+                      this.context.font = '12px Arial';
+                      this.context.textAlign = 'center';
+                      this.context.textBaseline = 'middle';
+                      TOUCH_BUTTONS.forEach(button => {
+                          this.context.strokeStyle = this.context.fillStyle = 'rgba(255, 255, 255, 0.5)';
+                          this.context.strokeRect(button.x, button.y, button.width, button.height);
+                          this.context.fillText(button.label, button.x + button.width/2, button.y + button.height/2);
+                      });
                   }
               });
 
               /*
-              * Creates a fuel object within the given map size
-              * Returns the fuel sprite object
+              * Renders the background tiled across the view, scrolling with the camera
               */
-              const fuelFactory = (size=160) => {
-                  let x = randInt(30, size-30);
-                  let y = randInt(30, size-30);
-
-                  while((x < earth.x+10 && x > earth.x-10 && y < earth.y+10 && y > earth.y-10) || 
-                      (x < moon.x+10 && x > moon.x-10 && y < moon.y+10 && y > moon.y-10)) {
-                      x = randInt(30, size-30);
-                      y = randInt(30, size-30);
-                  }
+              let renderBkgd = () => {
+                  let cam = state.camera;
+                  for(let x = -(cam.x % bkgd.width); x < VIEW_SIZE; x += bkgd.width) {
+                      for(let y = -(cam.y % bkgd.height); y < VIEW_SIZE; y += bkgd.height) {
+                          bkgd.x = Math.round(x);
+                          bkgd.y = Math.round(y);
+                          bkgd.render();
+                      }                }            };
 
-                  return factory$3({
-                      anchor: {x: 0.5, y: 0.5},
-                      x,
-                      y,
-                      image: imageAssets['fuel']
+              /*
+              * Renders the world of the current run and the HUD over it, shaken by any screen shake
+              * wrecked: leaves out the player's ship, destroyed at the end of the run
+              */
+              let renderWorld = (wrecked = false) => {
+                  let context = getContext();
+                  let offset = getShake();
+                  context.save();
+                  context.translate(offset.x, offset.y);
+                  renderBkgd();
+                  scrTxt.render();
+
+                  // World objects are drawn in world coordinates, offset by the camera
+                  context.save();
+                  context.translate(-Math.round(state.camera.x), -Math.round(state.camera.y));
+                  renderEffects();
+                  if(ghost) {
+                      renderAt(ghostShip, ghost.run.pose);
+                  }                if(!wrecked) {
+                      renderAt(player, state.player);
+                      if(state.effects.shield) {
+                          renderAt(shieldRing, state.player);
+                      }                }                if(state.moon) {
+                      renderAt(moon, state.moon);
+                  }                if(state.earth) {
+                      renderAt(earth, state.earth);
+                  }                renderAt(fuel, state.fuel);
+                  state.pickups.forEach(entity => {
+                      pickup.type = entity.type;
+                      renderAt(pickup, entity);
                   });
+                  state.rocks.forEach(entity => {
+                      renderAt(rock, entity);
+                  });
+                  context.restore();
+                  context.restore();
+
+                  tboTxt.render();
+                  fuelGauge.render();
+                  fxTxt.render();
+                  minimap.render();
               };
 
               /*
-              * Creates a rock/asteroid object on a random edge of the given map size
-              * Sets a random linear path and velocity
-              * Returns the rock sprite object
+              * Darkens the whole view, used behind menus shown over a run
               */
-              const rockFactory = (size=160) => {
-                  let chooseXY = randInt(0, 1);
-                  let x;
-                  let y;
-                  let dx;
-                  let dy;
-
-                  if(chooseXY) {
-                      x = randInt(0, 1)*(size+2)-1;
-                      y = randInt(0, size);
-                      dx = randInt(0, 100)*0.01*(0.65 - 0.4) + 0.4;
-
-                      if(x > 0) {
-                          dx = -dx;
-                      }                    dy = (randInt(0, 100)*0.01*(0.65 - 0.4) + 0.4) * (randInt(0, 1)*2-1);
-                  } else {
-                      x = randInt(0, size);
-                      y = randInt(0, 1)*(size+2)-1;
-                      dx = (randInt(0, 100)*0.01*(0.65 - 0.4) + 0.4) * (randInt(0, 1)*2-1);
-                      dy = randInt(0, 100)*0.01*(0.65 - 0.4) + 0.4;
-
-                      if(y > 0) {
-                          dy = -dy;
-                      }                }
-                  return factory$3({
-                      anchor: {x: 0.5, y: 0.5},
-                      x,
-                      y,
-                      dx,
-                      dy,
-                      image: imageAssets['rock']
-                  });
+              let renderShade = () => {
+                  let context = getContext();
+                  context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+                  context.fillRect(0, 0, VIEW_SIZE, VIEW_SIZE);
               };
 
-              // The game loop function checks for any events in-game and updates and renders accordingly
-              let lp = GameLoop({
-                  update: function() {
-                      bkgd.update();
+              /*
+              * Starts a new run of the selected level
+              * params.replay: plays back the given replay on its own level instead of reading the controls
+              * params.daily: plays the day's challenge, seeded from the date, racing the day's ghost
+              * params.race: races the ghost of the given level id on its layout
+              * params.ghost: races the given ghost instead of the saved one, such as an imported ghost
+              */
+              let newRun = (params = {}) => {
+                  let replay = params.replay || null;
+                  let raced = params.ghost || (params.daily ? getGhost(DAILY) : params.race ? getGhost(params.race) : null);
+
+                  runParams = params;
+                  runDaily = params.daily ? getDailyDate() : null;
+                  runLevel = replay ? replay.level : raced ? raced.replay.level : params.daily ? dailyLevel : levelId;
+                  runBoard = runDaily ? getDailyBoard(runDaily) : runLevel;
+                  ghostKey = replay ? null : params.daily ? DAILY : runLevel;
+                  state = createState(replay ? replay.seed : raced ? raced.replay.seed : params.daily ? getDailySeed(runDaily) : undefined, levels[runLevel]);
+                  ghost = raced ? { ...raced, run: createGhostRun(raced.replay, levels[runLevel]) } : null;
+                  recorder = createRecorder(state.seed, runLevel);
+                  playback = replay ? createPlayback(replay) : null;
+                  clearEffects();
+                  scrTxt.update();
+                  tboTxt.update();
+                  fxTxt.update();
+              };
 
-                      if(gameState > 0 || !gameOn) {
-                          mMenuTxt.update();
-                      } else {
-                          player.update();
-                          tboTxt.update();
+              /*
+              * Asks for a ghost file shared by someone else and races it
+              * Ghosts of today's challenge are raced in the challenge, others on their level
+              * The imported ghost is not saved, the player's own ghost is only replaced by their own runs beating it
+              */
+              let importGhostFile = () => {
+                  openGhostFile().then(imported => {
+                      let level = imported.replay.level;
+                      if(!levels[level]) {
+                          throw Error(`Ghost of unknown level "${level}"`);
+                      }
+                      let daily = imported.daily == getDailyDate() && level == dailyLevel;
+                      scenes.go('playing', daily ? { daily: true, ghost: imported } : { race: level, ghost: imported });
+                  }).catch(err => {
+                      console.error(err);
+                      if(scenes.name == 'title') {
+                          scenes.current.notice = 'Invalid ghost file';
+                      }                });
+              };
 
-                          moon.update();
-                          if(!checkSAT(player, moon)) {
-                              gameState = 2;
+              /*
+              * The screens of the game
+              * Scenes opened on top of another one (params.back) return to it with params.resume,
+              * so it carries on where it was instead of starting over
+              */
+              let scenes = createScenes({
+                  title: {
+                      /*
+                      * ghost: the saved ghost of the selected level, null when there is none
+                      * notice: message shown below the menu, such as a failed import
+                      */
+                      ghost: null,
+                      notice: '',
+                      menu: createMenu([
+                          { label: 'Start', select: () => scenes.go('playing') },
+                          {
+                              label: () => 'Level: ' + levels[levelId].name,
+                              select: () => {
+                                  levelId = levelIds[(levelIds.indexOf(levelId) + 1)%levelIds.length];
+                                  writeStore(LEVEL_KEY, levelId);
+                                  scenes.current.ghost = getGhost(levelId);
+                              }
+                          },
+                          { label: 'Daily challenge', select: () => scenes.go('playing', { daily: true }) },
+                          {
+                              label: () => scenes.current.ghost ? 'Race ghost: ' + ghostText(scenes.current.ghost) : 'Race ghost (none yet)',
+                              select: () => {
+                                  if(scenes.current.ghost) {
+                                      scenes.go('playing', { race: levelId });
+                                  }                            }
+                          },
+                          { label: 'Import ghost', select: importGhostFile },
+                          { label: 'Leaderboard', select: () => scenes.go('leaderboard', { back: 'title' }) },
+                          { label: 'Settings', select: () => scenes.go('settings', { back: 'title' }) }
+                      ]),
+                      enter: function(params) {
+                          if(!params.resume) {
+                              state = createState(undefined, levels[levelId]);
+                              this.menu.pos = 0;
+                          }                        this.ghost = getGhost(levelId);
+                          this.notice = '';
+                      },
+                      update: function() {
+                          this.menu.update();
+                      },
+                      render: function() {
+                          renderBkgd();
+                          renderText("Lost in the Distance\n\n" + this.menu.text() + (this.notice ? "\n\n" + this.notice : ''));
+                      }
+                  },
+
+                  playing: {
+                      /*
+                      * A new run starts unless resuming from the pause menu, see newRun for the params choosing the kind of run
+                      * spending: whether turbo was being spent on the last frame, so its sound plays once when it kicks in
+                      */
+                      spending: false,
+                      enter: function(params) {
+                          if(!params.resume) {
+                              newRun(params);
+                          }                        this.spending = false;
+                      },
+                      exit: function() {
+                          setEngine(0);
+                      },
+                      update: function() {
+                          if(actionTapped('pause')) {
+                              scenes.go('paused');
+                              return;
                           }
-                          earth.update();
-                          if(!checkSAT(player, earth)) {
-                              gameState = 3;
+                          // Controls are played as recorded, so analog values get rounded the same way in replays
+                          let controls = playback ? playback.next() : recorder.record(readControls());
+
+                          let prev = state;
+                          state = step(state, controls);
+                          if(ghost) {
+                              ghost.run.next();
+                          }                        scrTxt.update();
+                          tboTxt.update();
+                          fxTxt.update();
+
+                          // Sounds follow the changes the frame made to the state
+                          let spending = state.stats.tbo > prev.stats.tbo;
+                          if(spending && !this.spending) {
+                              playSound('turbo');
+                          }                        this.spending = spending;
+                          setEngine(state.player.spd, spending);
+                          if(controls.thrust > 0 && state.player.fuel > 0) {
+                              exhaust(state.player, spending);
+                          }                        if(state.stats.fuel > prev.stats.fuel) {
+                              playSound('fuel');
+                              sparkle(prev.fuel.x, prev.fuel.y);
+                          }                        prev.pickups.filter(entity => !state.pickups.some(other => other.x == entity.x && other.y == entity.y)).forEach(entity => {
+                              playSound('power');
+                              sparkle(entity.x, entity.y);
+                          });
+                          if(state.stats.shields > prev.stats.shields) {
+                              playSound('shield');
+                              debris(state.player.x, state.player.y);
+                              shake(2, 15);
+                          }                        if(state.gameState == HIT) {
+                              playSound('explosion');
+                              debris(state.player.x, state.player.y);
+                              shake(4, 40);
+                          } else if(state.gameState == MOON || state.gameState == EARTH) {
+                              playJingle(state.gameState == MOON ? 'moon' : 'earth');
+                          }
+                          // Keeps the finished run so it can be watched back, replays are not re-recorded
+                          if(state.gameState != PLAYING) {
+                              if(!playback) {
+                                  lastReplay = recorder.replay();
+                                  newGhost = saveGhost(ghostKey, { replay: lastReplay, score: state.score, ending: state.gameState, time: state.frame, daily: runDaily });
+                              }                            scenes.go(state.gameState == HIT ? 'dying' : 'gameover', { ending: state.gameState });
+                              return;
+                          }                        updateEffects();
+                      },
+                      render: () => renderWorld()
+                  },
+
+                  // The ship breaking apart before the game over screen, the rest of the world stands still
+                  dying: {
+                      enter: function(params) {
+                          this.ending = params.ending;
+                          this.frames = 60;
+                      },
+                      update: function() {
+                          updateEffects();
+                          if(--this.frames <= 0) {
+                              scenes.go('gameover', { ending: this.ending });
+                          }                    },
+                      render: () => renderWorld(true)
+                  },
+
+                  paused: {
+                      menu: createMenu([
+                          { label: 'Resume', select: () => scenes.go('playing', { resume: true }) },
+                          { label: 'Restart', select: () => scenes.go('playing', runParams) },
+                          { label: 'Settings', select: () => scenes.go('settings', { back: 'paused' }) },
+                          { label: 'Quit to title', select: () => scenes.go('title') }
+                      ]),
+                      enter: function(params) {
+                          if(!params.resume) {
+                              this.menu.pos = 0;
+                          }                    },
+                      update: function() {
+                          if(actionTapped('pause')) {
+                              scenes.go('playing', { resume: true });
+                              return;
+                          }                        this.menu.update();
+                      },
+                      render: function() {
+                          renderWorld();
+                          renderShade();
+                          renderText("Paused\n\n" + this.menu.text());
+                      }
+                  },
+
+                  settings: {
+                      /*
+                      * back: scene to return to
+                      * binding: name of the action waiting for a key or button to be bound, null when not rebinding
+                      */
+                      back: 'title',
+                      binding: null,
+                      menu: createMenu([
+                          ...ACTIONS.map(action => ({
+                              label: () => bindingText(action),
+                              select: () => {
+                                  scenes.current.binding = action;
+                                  rebind(action, () => {
+                                      scenes.current.binding = null;
+                                  });
+                              }
+                          })),
+                          { label: 'Reset controls', select: resetBindings },
+                          ...CHANNELS.map(volumeItem),
+                          { label: () => 'Sound: ' + (getAudioSettings().mute ? 'Off' : 'On'), select: () => setAudio('mute', !getAudioSettings().mute) },
+                          { label: () => 'Effects: ' + (getEffectSettings().reduced ? 'Reduced' : 'Full'), select: () => setEffect('reduced', !getEffectSettings().reduced) },
+                          { label: () => 'Screen shake: ' + (getEffectSettings().shake ? 'On' : 'Off'), select: () => setEffect('shake', !getEffectSettings().shake) },
+                          { label: 'Back', select: () => scenes.go(scenes.current.back, { resume: true }) }
+                      ]),
+                      enter: function(params) {
+                          this.back = params.back || this.back;
+                          this.binding = null;
+                          this.menu.pos = 0;
+                      },
+                      update: function() {
+                          // Waits for input.js to capture the new binding
+                          if(!this.binding) {
+                              this.menu.update();
+                          }                    },
+                      render: function() {
+                          if(this.back == 'paused') {
+                              renderWorld();
+                              renderShade();
+                          } else {
+                              renderBkgd();
                           }
-                          if(fuel == null) {
-                              fuel = fuelFactory();
-                          }                        if(!checkSAT(player, fuel)) {
-                              fuel = fuelFactory(gameSize);
-                              scrTxt.score++;
-                              scrTxt.update();
+                          if(this.binding) {
+                              renderText(`Press a key or pad button\nfor ${ACTION_NAMES[this.binding]}\nESC to cancel`);
+                          } else {
+                              renderText("Settings\n\n" + this.menu.text(), 8);
+                          }                    }
+                  },
+
+                  gameover: {
+                      /*
+                      * ending: the ending reached, one of the sim.js game states
+                      * initials: character codes of the initials being entered, null when not entering
+                      * initPos: index of the initial currently being changed
+                      * rank/best: leaderboard rank of the finished run (0 if unranked) and the best saved entry
+                      * ghost: the ghost to beat on the finished run's layout after it was saved, null for replays
+                      */
+                      enter: function(params) {
+                          if(params.resume) {
+                              return;
                           }
-                          gameSize = updtCanvas(scrTxt.score);
-                          fuel.update();
-
-                          // Checks for rock/asteroid limit and spawns more accordingly
-                          if(rockArr.length < Math.min(scrTxt.score, 50)) {
-                              if(spawn <=0) {
-                                  for(let i=0; i<randInt(Math.min(Math.ceil(scrTxt.score/20), 3), Math.min(Math.floor(scrTxt.score/10), 5)); i++) {
-                                      rockArr.push(rockFactory(gameSize));
-                                  }                                spawn = randInt(15, 30);
-                              }                        }
-                          // Filters out rock/asteroids not within game boundry
-                          rockArr = rockArr.filter(rock => {
-                              if(rock.x >= -5 && rock.x <= gameSize+5 && rock.y >= -5 && rock.y <= gameSize+5) {
-                                  if((player.x < rock.x+8 || player.x > rock.x-8) && (player.y < rock.y+8 || player.y > rock.y-8)) {
-                                      if(!checkSAT(player, rock)) {
-                                          gameState = 1;
-                                      }                                }                                rock.update();
-                                  return rock;
-                              }                        });
-
-                          spawn--;
-                      }                },
-
-                  render: function() {
-                      bkgd.render();
-                      scrTxt.render();
-
-                      if(gameState > 0 || !gameOn) {
-                          mMenuTxt.render();
-                      } else {
-                          player.render();
-                          tboTxt.render();
-                          moon.render();
-                          earth.render();
-                          if(fuel != null) {
-                              fuel.render();
+                          this.ending = params.ending;
+                          this.initials = playback ? null : [65, 65, 65];
+                          this.initPos = 0;
+                          this.rank = 0;
+                          this.best = getBest(runBoard);
+                          this.ghost = playback ? null : getGhost(ghostKey);
+                          this.menu = createMenu([
+                              { label: 'Restart', select: () => scenes.go('playing', playback ? {} : runParams) },
+                              ...(lastReplay ? [{ label: 'Watch replay', select: () => scenes.go('playing', { replay: lastReplay }) }] : []),
+                              ...(this.ghost ? [{
+                                  label: 'Export ghost',
+                                  select: () => downloadGhost(this.ghost, `ghost-${runDaily ? 'daily-' + runDaily : runLevel}.json`)
+                              }] : []),
+                              { label: 'Leaderboard', select: () => scenes.go('leaderboard', { back: 'gameover' }) },
+                              { label: 'Quit to title', select: () => scenes.go('title') }
+                          ]);
+                      },
+                      update: function() {
+                          if(!this.initials) {
+                              this.menu.update();
+                              return;
                           }
-                          rockArr.forEach(rock => {
-                              rock.render();
-                          });
-                      }                }
+                          // Arcade style initials, up/down changes the letter and left/right moves between letters
+                          if(actionTapped('up')) {
+                              this.initials[this.initPos] = (this.initials[this.initPos] - 64)%26 + 65;
+                          }                        if(actionTapped('down')) {
+                              this.initials[this.initPos] = (this.initials[this.initPos] - 40)%26 + 65;
+                          }                        if(actionTapped('left')) {
+                              this.initPos = Math.max(0, this.initPos-1);
+                          }                        if(actionTapped('right')) {
+                              this.initPos = Math.min(this.initials.length-1, this.initPos+1);
+                          }                        if(actionTapped('confirm')) {
+                              this.rank = addScore({
+                                  name: String.fromCharCode(...this.initials),
+                                  score: state.score,
+                                  ending: this.ending,
+                                  time: state.frame,
+                                  fuel: state.stats.fuel,
+                                  tbo: state.stats.tbo,
+                                  level: runBoard
+                              });
+                              this.best = getBest(runBoard);
+                              this.initials = null;
+                          }                    },
+                      render: function() {
+                          let text = ENDING_TEXTS[this.ending];
+                          if(this.initials) {
+                              text += "\nName: " + this.initials.map((code, i) => i == this.initPos ? `[${String.fromCharCode(code)}]` : String.fromCharCode(code)).join('') + "\nENTER to save";
+                          } else {
+                              if(!playback) {
+                                  text += `\n${this.rank ? 'Rank #' + this.rank : 'Unranked'}  Best: ${this.best ? (runDaily ? ghostText(this.best) : this.best.score) : 0}`;
+                              }                            if(this.ghost) {
+                                  text += `\n${runDaily ? 'Daily ' + runDaily : 'Ghost'} best: ${ghostText(this.ghost)}${newGhost ? ' (new!)' : ''}`;
+                              }                            text += "\n\n" + this.menu.text();
+                          }
+                          renderBkgd();
+                          scrTxt.render();
+                          renderText(text);
+                      }
+                  },
+
+                  leaderboard: {
+                      /*
+                      * back: scene to return to
+                      * board: id of the leaderboard whose runs are listed, left/right switches between the levels' and
+                      *   the day's challenge
+                      */
+                      back: 'title',
+                      board: DEFAULT_LEVEL,
+                      menu: createMenu([
+                          { label: 'Back', select: () => scenes.go(scenes.current.back, { resume: true }) }
+                      ]),
+                      enter: function(params) {
+                          this.back = params.back || this.back;
+                          this.board = this.back == 'gameover' ? runBoard : levelId;
+                      },
+                      update: function() {
+                          let boards = [...levelIds, getDailyBoard()];
+                          let move = (actionTapped('right') ? 1 : 0) - (actionTapped('left') ? 1 : 0);
+                          if(move) {
+                              this.board = boards[(boards.indexOf(this.board) + move + boards.length)%boards.length];
+                          }                        this.menu.update();
+                      },
+                      render: function() {
+                          let name = levels[this.board] ? levels[this.board].name : 'Daily ' + this.board.slice(DAILY.length + 1);
+                          renderBkgd();
+                          renderText(`< ${name} >\n` + scoresText(this.board) + "\n\n" + this.menu.text(), 8);
+                      }
+                  }
               });
 
+              // Updates and renders the current scene
+              let update = () => {
+                  scenes.update();
+                  updateInput();
+              };
+              let render = () => {
+                  scenes.render();
+
+                  if(isTouchUsed()) {
+                      touchPad.render();
+                  }            };
+
+              // Developer builds wrap the loop with the debug overlay (see debug.js), drawn over scenes showing a run
+
+              // The game loop function
+              let lp = GameLoop({ update, render });
+
+              /*
+              * Plays back a replay shared as a string, used from the browser console for bug reports
+              */
+              window.importReplay = blob => {
+                  let replay = importReplay(blob);
+                  if(!levels[replay.level]) {
+                      throw Error(`Replay of unknown level "${replay.level}"`);
+                  }                lastReplay = replay;
+                  scenes.go('playing', { replay: lastReplay });
+              };
+
               // Runs the game loop
+              scenes.go('title');
               lp.start();
+          }).catch(err => {
+              // Shows why the game could not start rather than a blank canvas, levels are fetched so file:// pages cannot load them
+              console.error(err);
+              let context = getContext();
+              context.fillStyle = 'black';
+              context.fillRect(0, 0, VIEW_SIZE, VIEW_SIZE);
+              factory$4({
+                  anchor: {x: 0.5, y: 0.5},
+                  x: VIEW_SIZE/2,
+                  y: VIEW_SIZE/2,
+                  font: '10px Arial',
+                  color: 'white',
+                  text: "Unable to start\n\n" + (err instanceof Error ? err.message : 'Unable to load ' + err) + (location.protocol == 'file:' ? "\n\nServe the game over HTTP\nto play it (see README)" : ''),
+                  textAlign: 'center'
+              }).render();
           });
   };
 
+  // Returns the last finished run as a string, used from the browser console for bug reports
+  window.exportReplay = () => lastReplay && exportReplay(lastReplay);
+
   // Starts the game
   gameStart();
 
-}());
+})();
@@ -1 +1 @@
-!function(){"use strict";let t,e,i={};function s(t,...e){(i[t]||[]).map(t=>t(...e))}function h(){return e}let n=/(jpeg|jpg|gif|png)$/,r=/^\//,o=/\/$/,a=new WeakMap,c="",l="";function d(t,e){return new URL(t,e).href}function u(t,e){return[t.replace(o,""),t?e.replace(r,""):e].filter(t=>t).join("/")}function p(t){return t.split(".").pop()}function x(t){let e=t.replace("."+p(t),"");return 2==e.split("/").length?e.replace(r,""):e}let _={},w={};function y(){window.__k||(window.__k={dm:a,u:d,d:w,i:_})}function f(...t){return y(),Promise.all(t.map(t=>{return p([].concat(t)[0]).match(n)?function(t){return y(),new Promise((e,i)=>{let h,n,r;if(h=u(c,t),_[h])return e(_[h]);(n=new Image).onload=function(){r=d(h,window.location.href),_[x(t)]=_[h]=_[r]=this,s("assetLoaded",this,t),e(this)},n.onerror=function(){i("Unable to load image "+h)},n.src=h})}(t):function(t){let e,i;return y(),e=u(l,t),w[e]?Promise.resolve(w[e]):fetch(e).then(t=>{if(!t.ok)throw t;return t.clone().json().catch(()=>t.text())}).then(h=>(i=d(e,window.location.href),"object"==typeof h&&a.set(h,i),w[x(t)]=w[e]=w[i]=h,s("assetLoaded",h,t),h))}(t)}))}function g(t,e){let i=Math.sin(e),s=Math.cos(e);return{x:t.x*s-t.y*i,y:t.x*i+t.y*s}}function m(t,e){return Math.floor(Math.random()*(e-t+1))+t}function v(t,e,i){return Math.min(Math.max(t,i),e)}class M{constructor(t=0,e=0,i={}){this.x=t,this.y=e,i._c&&(this.clamp(i._a,i._b,i._d,i._e),this.x=t,this.y=e)}add(t){return new M(this.x+t.x,this.y+t.y,this)}scale(t){return new M(this.x*t,this.y*t)}normalize(t=this.length()){return new M(this.x/t,this.y/t)}dot(t){return this.x*t.x+this.y*t.y}length(){return Math.hypot(this.x,this.y)}clamp(t,e,i,s){this._c=!0,this._a=t,this._b=e,this._d=i,this._e=s}get x(){return this._x}get y(){return this._y}set x(t){this._x=this._c?v(this._a,this._d,t):t}set y(t){this._y=this._c?v(this._b,this._e,t):t}}function b(){return new M(...arguments)}b.prototype=M.prototype,b.class=M;class E{constructor(t){return this.init(t)}init(t={}){this.position=b(),this.velocity=b(),this.acceleration=b(),this.ttl=1/0,Object.assign(this,t)}update(t){this.advance(t)}advance(t){let e=this.acceleration;t&&(e=e.scale(t)),this.velocity=this.velocity.add(e);let i=this.velocity;t&&(i=i.scale(t)),this.position=this.position.add(i),this._pc(),this.ttl--}get dx(){return this.velocity.x}get dy(){return this.velocity.y}set dx(t){this.velocity.x=t}set dy(t){this.velocity.y=t}get ddx(){return this.acceleration.x}get ddy(){return this.acceleration.y}set ddx(t){this.acceleration.x=t}set ddy(t){this.acceleration.y=t}isAlive(){return this.ttl>0}_pc(){}}let A=()=>{};class C extends E{init({width:t=0,height:e=0,context:i=h(),render:s=this.draw,update:n=this.advance,children:r=[],anchor:o={x:0,y:0},sx:a=0,sy:c=0,opacity:l=1,rotation:d=0,scaleX:u=1,scaleY:p=1,...x}={}){this.children=[],super.init({width:t,height:e,context:i,anchor:o,sx:a,sy:c,opacity:l,rotation:d,scaleX:u,scaleY:p,...x}),this._di=!0,this._uw(),r.map(t=>this.addChild(t)),this._rf=s,this._uf=n}update(t){this._uf(t),this.children.map(e=>e.update&&e.update(t))}render(t){let e=this.context;e.save(),(this.x||this.y)&&e.translate(this.x,this.y),this.rotation&&e.rotate(this.rotation),(this.sx||this.sy)&&e.translate(-this.sx,-this.sy),1==this.scaleX&&1==this.scaleY||e.scale(this.scaleX,this.scaleY);let i=-this.width*this.anchor.x,s=-this.height*this.anchor.y;(i||s)&&e.translate(i,s),this.context.globalAlpha=this.opacity,this._rf(),(i||s)&&e.translate(-i,-s);let h=this.children;t&&(h=h.filter(t)),h.map(t=>t.render&&t.render()),e.restore()}draw(){}_pc(t,e){this._uw(),this.children.map(t=>t._pc())}get x(){return this.position.x}get y(){return this.position.y}set x(t){this.position.x=t,this._pc()}set y(t){this.position.y=t,this._pc()}get width(){return this._w}set width(t){this._w=t,this._pc()}get height(){return this._h}set height(t){this._h=t,this._pc()}_uw(){if(!this._di)return;let{_wx:t=0,_wy:e=0,_wo:i=1,_wr:s=0,_wsx:h=1,_wsy:n=1}=this.parent||{};this._wx=this.x,this._wy=this.y,this._ww=this.width,this._wh=this.height,this._wo=i*this.opacity,this._wr=s+this.rotation;let{x:r,y:o}=g({x:this.x,y:this.y},s);this._wx=r,this._wy=o,this._wsx=h*this.scaleX,this._wsy=n*this.scaleY,this._wx=this.x*h,this._wy=this.y*n,this._ww=this.width*this._wsx,this._wh=this.height*this._wsy,this._wx+=t,this._wy+=e}get world(){return{x:this._wx,y:this._wy,width:this._ww,height:this._wh,opacity:this._wo,rotation:this._wr,scaleX:this._wsx,scaleY:this._wsy}}addChild(t,{absolute:e=!1}={}){this.children.push(t),t.parent=this,t._pc=t._pc||A,t._pc()}removeChild(t){let e=this.children.indexOf(t);-1!==e&&(this.children.splice(e,1),t.parent=null,t._pc())}get opacity(){return this._opa}set opacity(t){this._opa=t,this._pc()}get rotation(){return this._rot}set rotation(t){this._rot=t,this._pc()}setScale(t,e=t){this.scaleX=t,this.scaleY=e}get scaleX(){return this._scx}set scaleX(t){this._scx=t,this._pc()}get scaleY(){return this._scy}set scaleY(t){this._scy=t,this._pc()}}function Y(){return new C(...arguments)}Y.prototype=C.prototype,Y.class=C;class S extends Y.class{init({image:t,width:e=(t?t.width:void 0),height:i=(t?t.height:void 0),...s}={}){super.init({image:t,width:e,height:i,...s})}draw(){this.image&&this.context.drawImage(this.image,0,0,this.image.width,this.image.height),this.color&&(this.context.fillStyle=this.color,this.context.fillRect(0,0,this.width,this.height))}}function T(){return new S(...arguments)}T.prototype=S.prototype,T.class=S;let j=/(\d+)(\w+)/;class k extends Y.class{init({text:t="",textAlign:e="",lineHeight:i=1,font:s=h().font,...n}={}){t=""+t,super.init({text:t,textAlign:e,lineHeight:i,font:s,...n}),this._p()}get width(){return this._w}set width(t){this._d=!0,this._w=t,this._fw=t}get text(){return this._t}set text(t){this._d=!0,this._t=t}get font(){return this._f}set font(t){this._d=!0,this._f=t,this._fs=function(t){let e=t.match(j),i=+e[1];return{size:i,unit:e[2],computed:i}}(t).computed}get lineHeight(){return this._lh}set lineHeight(t){this._d=!0,this._lh=t}render(){this._d&&this._p(),super.render()}_p(){this._s=[],this._d=!1;let t=this.context;if(t.font=this.font,!this._s.length&&this._fw){let e=this.text.split(" "),i=0,s=2;for(;s<=e.length;s++){let h=e.slice(i,s).join(" ");t.measureText(h).width>this._fw&&(this._s.push(e.slice(i,s-1).join(" ")),i=s-1)}this._s.push(e.slice(i,s).join(" "))}if(!this._s.length&&this.text.includes("\n")){let e=0;this.text.split("\n").map(i=>{this._s.push(i),e=Math.max(e,t.measureText(i).width)}),this._w=this._fw||e}this._s.length||(this._s.push(this.text),this._w=this._fw||t.measureText(this.text).width),this.height=this._fs+(this._s.length-1)*this._fs*this.lineHeight,this._uw()}draw(){let t=0,e=this.textAlign,i=this.context;e=this.textAlign||("rtl"===i.canvas.dir?"right":"left"),t="right"===e?this.width:"center"===e?this.width/2|0:0,this._s.map((s,h)=>{i.textBaseline="top",i.textAlign=e,i.fillStyle=this.color,i.font=this.font,i.fillText(s,t,this._fs*this.lineHeight*h)})}}function L(){return new k(...arguments)}function X(t){let e=t.canvas;t.clearRect(0,0,e.width,e.height)}L.prototype=k.prototype,L.class=k;let D={},R={},H={},I={Enter:"enter",Escape:"esc",Space:"space",ArrowLeft:"left",ArrowUp:"up",ArrowRight:"right",ArrowDown:"down"};function P(t=A,e){t._pd&&e.preventDefault(),t(e)}function N(t){let e=I[t.code],i=D[e];H[e]=!0,P(i,t)}function $(t){let e=I[t.code],i=R[e];H[e]=!1,P(i,t)}function q(){H={}}function z(t){return!!H[t]}!function(i){if(!(t=document.getElementById(i)||i||document.querySelector("canvas")))throw Error("You must provide a canvas element for the game");(e=t.getContext("2d")).imageSmoothingEnabled=!1,s("init")}(),function(){let t;for(t=0;t<26;t++)I[t+65]=I["Key"+String.fromCharCode(t+65)]=String.fromCharCode(t+97);for(t=0;t<10;t++)I[48+t]=I["Digit"+t]=""+t;window.addEventListener("keydown",N),window.addEventListener("keyup",$),window.addEventListener("blur",q)}(),c="assets/img/";let B=(t=0)=>{let e=document.getElementById("game");return e.height=e.width=Math.floor(160*Math.min(t/100,1))+160,e.width},F=t=>{let e=t.x,i=t.y,s=t.width/2-2,h=t.height/2-2,n=t.rotation,r=[g({x:e-s-e,y:i-h-i},n),g({x:e+s-e,y:i-h-i},n),g({x:e-s-e,y:i+h-i},n),g({x:e+s-e,y:i+h-i},n)],o=[];for(let t=0;t<4;t++)o.push({x:r[t].x+e,y:r[t].y+i});return o},U=(t,e)=>{let i=F(t);for(let t=0;t<4;t++){let s=b(-(i[(t+1)%4].y-i[t%4].y),i[(t+1)%4].x-i[t%4].x),h=(s=s.normalize()).dot(i[0]),n=h;for(let t=0;t<4;t++){let e=s.dot(i[t]);h=Math.min(h,e),n=Math.max(n,e)}let r=F(e),o=s.dot(r[0]),a=o;for(let t=0;t<4;t++){let e=s.dot(r[t]);o=Math.min(o,e),a=Math.max(a,e)}if(n<o||h>a)return!0}return!1},O=(t=!1)=>{f("map-indexed.png","player.png","rock.png","fuel.png","earth.png","moon.png").then(()=>{let e=[],i=null,n=60,r=0,o=B(),a=T({x:0,y:0,image:_["map-indexed"]}),c=L({anchor:{x:.5,y:.5},x:o/2,y:o/2,font:"14px Arial",color:"white",text:"",textAlign:"center",update:function(){this.x=o/2,this.y=this.x,this.text=1==r?"You got hit\nENTER to restart":t?2==r?"You land on the moon\nEnd1/2\nENTER to restart":"You returned to earth!\nEnd2/2\nENTER to restart":"ENTER to start",z("enter")&&(g.stop(),O(!0))}}),l=b(80,80);l.clamp(0,0,160,160);let d=T({anchor:{x:.5,y:.5},x:l.x,y:l.y,spd:0,tbo:100,tboCD:0,rotation:0,image:_.player,update:function(){(z("left")||z("a"))&&(this.rotation=(this.rotation-.06)%(2*Math.PI)),z("up")||z("w")?z("space")&&this.tbo>0?(this.spd=Math.min(.9,this.spd+.04),this.tbo-=2,this.tboCD=120):(this.spd=Math.min(.6,this.spd+.03),0==this.tboCD&&(this.tbo=Math.min(this.tbo+1,100))):this.spd>0&&(this.spd=Math.max(0,this.spd-.02)),(z("right")||z("d"))&&(this.rotation=(this.rotation+.06)%(2*Math.PI)),this.x=l.x+=Math.cos(this.rotation)*this.spd,this.y=l.y+=Math.sin(this.rotation)*this.spd,l.clamp(0,0,o,o),this.tboCD>0&&this.tboCD--}}),u=T({anchor:{x:.5,y:.5},x:m(208,224),y:m(208,224),image:_.moon}),p=T({anchor:{x:.5,y:.5},x:m(248,288),y:m(248,288),image:_.earth}),x=L({x:70,score:0,font:"12px Arial",text:"",color:"white",textAlign:"center",update:function(){this.text="Score: "+this.score}}),w=L({font:"12px Arial",text:`Turbo: ${d.tbo}`,color:"white",textAlign:"center",update:function(){this.text=`Turbo: ${d.tbo}`}});const y=(t=160)=>{let e=m(30,t-30),i=m(30,t-30);for(;e<p.x+10&&e>p.x-10&&i<p.y+10&&i>p.y-10||e<u.x+10&&e>u.x-10&&i<u.y+10&&i>u.y-10;)e=m(30,t-30),i=m(30,t-30);return T({anchor:{x:.5,y:.5},x:e,y:i,image:_.fuel})},f=(t=160)=>{let e,i,s,h;return m(0,1)?(e=m(0,1)*(t+2)-1,i=m(0,t),s=.01*m(0,100)*.25+.4,e>0&&(s=-s),h=(.01*m(0,100)*.25+.4)*(2*m(0,1)-1)):(e=m(0,t),i=m(0,1)*(t+2)-1,s=(.01*m(0,100)*.25+.4)*(2*m(0,1)-1),h=.01*m(0,100)*.25+.4,i>0&&(h=-h)),T({anchor:{x:.5,y:.5},x:e,y:i,dx:s,dy:h,image:_.rock})};let g=function({fps:t=60,clearCanvas:e=!0,update:i=A,render:n,context:r=h(),blur:o=!1}={}){if(!n)throw Error("You must provide a render() function");let a,c,l,d,u,p=0,x=1e3/t,_=1/t,w=e?X:A,y=!0;function f(){if(c=requestAnimationFrame(f),y&&(l=performance.now(),d=l-a,a=l,!(d>1e3))){for(s("tick"),p+=d;p>=x;)u.update(_),p-=x;w(r),u.render()}}return o||(window.addEventListener("focus",()=>{y=!0}),window.addEventListener("blur",()=>{y=!1})),u={update:i,render:n,isStopped:!0,start(){a=performance.now(),this.isStopped=!1,requestAnimationFrame(f)},stop(){this.isStopped=!0,cancelAnimationFrame(c)},_frame:f,set _last(t){a=t}}}({update:function(){if(a.update(),r>0||!t)c.update();else{if(d.update(),w.update(),u.update(),U(d,u)||(r=2),p.update(),U(d,p)||(r=3),null==i&&(i=y()),U(d,i)||(i=y(o),x.score++,x.update()),o=B(x.score),i.update(),e.length<Math.min(x.score,50)&&n<=0){for(let t=0;t<m(Math.min(Math.ceil(x.score/20),3),Math.min(Math.floor(x.score/10),5));t++)e.push(f(o));n=m(15,30)}e=e.filter(t=>{if(t.x>=-5&&t.x<=o+5&&t.y>=-5&&t.y<=o+5)return(d.x<t.x+8||d.x>t.x-8)&&(d.y<t.y+8||d.y>t.y-8)&&(U(d,t)||(r=1)),t.update(),t}),n--}},render:function(){a.render(),x.render(),r>0||!t?c.render():(d.render(),w.render(),u.render(),p.render(),null!=i&&i.render(),e.forEach(t=>{t.render()}))}});g.start()})};O()}();
\ No newline at end of file
+!function(){"use strict";let t,e,i={};function n(t,...e){(i[t]||[]).map(t=>t(...e))}function r(){return t}function s(){return e}class a{constructor({spriteSheet:t,frames:e,frameRate:i,loop:n=!0}){this.spriteSheet=t,this.frames=e,this.frameRate=i,this.loop=n;let{width:r,height:s,margin:a=0}=t.frame;this.width=r,this.height=s,this.margin=a,this._f=0,this._a=0}clone(){return new a(this)}reset(){this._f=0,this._a=0}update(t=1/60){if(this.loop||this._f!=this.frames.length-1)for(this._a+=t;this._a*this.frameRate>=1;)this._f=++this._f%this.frames.length,this._a-=1/this.frameRate}render({x:t,y:e,width:i=this.width,height:n=this.height,context:r=s()}){let a=this.frames[this._f]/this.spriteSheet._f|0,o=this.frames[this._f]%this.spriteSheet._f|0;r.drawImage(this.spriteSheet.image,o*this.width+(2*o+1)*this.margin,a*this.height+(2*a+1)*this.margin,this.width,this.height,t,e,i,n)}}function o(){return new a(...arguments)}o.prototype=a.prototype,o.class=a;let l=/(jpeg|jpg|gif|png)$/,h=/(wav|mp3|ogg|aac)$/,c=/^\//,u=/\/$/,d=new WeakMap,p="";function f(t,e){return new URL(t,e).href}function y(t,e){return[t.replace(u,""),t?e.replace(c,""):e].filter(t=>t).join("/")}function m(t){return t.split(".").pop()}function g(t){let e=t.replace("."+m(t),"");return 2==e.split("/").length?e.replace(c,""):e}let x={},w={},b={};function k(){window.__k||(window.__k={dm:d,u:f,d:b,i:x})}function v(...t){return k(),Promise.all(t.map(t=>{let e=m([].concat(t)[0]);return e.match(l)?(i=t,k(),new Promise((t,e)=>{let r,s,a;if(r=y(p,i),x[r])return t(x[r]);s=new Image,s.onload=function(){a=f(r,window.location.href),x[g(i)]=x[r]=x[a]=this,n("assetLoaded",this,i),t(this)},s.onerror=function(){e("Unable to load image "+r)},s.src=r})):e.match(h)?function(t){return new Promise((e,i)=>{let r,s,a,o,l=t;var h;return r=new Audio,s={wav:(h=r).canPlayType('audio/wav; codecs="1"'),mp3:h.canPlayType("audio/mpeg;"),ogg:h.canPlayType('audio/ogg; codecs="vorbis"'),aac:h.canPlayType("audio/aac;")},(t=[].concat(t).reduce((t,e)=>t||(s[m(e)]?e:null),0))?(a=y("",t),w[a]?e(w[a]):(r.addEventListener("canplay",function(){o=f(a,window.location.href),w[g(t)]=w[a]=w[o]=this,n("assetLoaded",this,t),e(this)}),r.onerror=function(){i("Unable to load audio "+a)},r.src=a,void r.load())):i("cannot play any of the audio formats provided "+l)})}(t):function(t){let e,i;return k(),e=y("",t),b[e]?Promise.resolve(b[e]):fetch(e).then(t=>{if(!t.ok)throw t;return t.clone().json().catch(()=>t.text())}).then(r=>(i=f(e,window.location.href),"object"==typeof r&&d.set(r,i),b[g(t)]=b[e]=b[i]=r,n("assetLoaded",r,t),r))}(t);var i}))}function _(t,e,i){return Math.min(Math.max(t,i),e)}class M{constructor(t=0,e=0,i={}){this.x=t,this.y=e,i._c&&(this.clamp(i._a,i._b,i._d,i._e),this.x=t,this.y=e)}add(t){return new M(this.x+t.x,this.y+t.y,this)}subtract(t){return new M(this.x-t.x,this.y-t.y,this)}scale(t){return new M(this.x*t,this.y*t)}normalize(t=this.length()){return new M(this.x/t,this.y/t)}dot(t){return this.x*t.x+this.y*t.y}length(){return Math.hypot(this.x,this.y)}distance(t){return Math.hypot(this.x-t.x,this.y-t.y)}angle(t){return Math.acos(this.dot(t)/(this.length()*t.length()))}clamp(t,e,i,n){this._c=!0,this._a=t,this._b=e,this._d=i,this._e=n}get x(){return this._x}get y(){return this._y}set x(t){this._x=this._c?_(this._a,this._d,t):t}set y(t){this._y=this._c?_(this._b,this._e,t):t}}function S(){return new M(...arguments)}S.prototype=M.prototype,S.class=M;class E{constructor(t){return this.init(t)}init(t={}){this.position=S(),this.velocity=S(),this.acceleration=S(),this.ttl=1/0,Object.assign(this,t)}update(t){this.advance(t)}advance(t){let e=this.acceleration;t&&(e=e.scale(t)),this.velocity=this.velocity.add(e);let i=this.velocity;t&&(i=i.scale(t)),this.position=this.position.add(i),this._pc(),this.ttl--}get dx(){return this.velocity.x}get dy(){return this.velocity.y}set dx(t){this.velocity.x=t}set dy(t){this.velocity.y=t}get ddx(){return this.acceleration.x}get ddy(){return this.acceleration.y}set ddx(t){this.acceleration.x=t}set ddy(t){this.acceleration.y=t}isAlive(){return this.ttl>0}_pc(){}}let A=()=>{};class I extends E{init({width:t=0,height:e=0,context:i=s(),render:n=this.draw,update:r=this.advance,children:a=[],anchor:o={x:0,y:0},sx:l=0,sy:h=0,opacity:c=1,rotation:u=0,scaleX:d=1,scaleY:p=1,...f}={}){this.children=[],super.init({width:t,height:e,context:i,anchor:o,sx:l,sy:h,opacity:c,rotation:u,scaleX:d,scaleY:p,...f}),this._di=!0,this._uw(),a.map(t=>this.addChild(t)),this._rf=n,this._uf=r}update(t){this._uf(t),this.children.map(e=>e.update&&e.update(t))}render(t){let e=this.context;e.save(),(this.x||this.y)&&e.translate(this.x,this.y),this.rotation&&e.rotate(this.rotation),(this.sx||this.sy)&&e.translate(-this.sx,-this.sy),1==this.scaleX&&1==this.scaleY||e.scale(this.scaleX,this.scaleY);let i=-this.width*this.anchor.x,n=-this.height*this.anchor.y;(i||n)&&e.translate(i,n),this.context.globalAlpha=this.opacity,this._rf(),(i||n)&&e.translate(-i,-n);let r=this.children;t&&(r=r.filter(t)),r.map(t=>t.render&&t.render()),e.restore()}draw(){}_pc(t,e){this._uw(),this.children.map(t=>t._pc())}get x(){return this.position.x}get y(){return this.position.y}set x(t){this.position.x=t,this._pc()}set y(t){this.position.y=t,this._pc()}get width(){return this._w}set width(t){this._w=t,this._pc()}get height(){return this._h}set height(t){this._h=t,this._pc()}_uw(){if(!this._di)return;let{_wx:t=0,_wy:e=0,_wo:i=1,_wr:n=0,_wsx:r=1,_wsy:s=1}=this.parent||{};this._wx=this.x,this._wy=this.y,this._ww=this.width,this._wh=this.height,this._wo=i*this.opacity,this._wr=n+this.rotation;let{x:a,y:o}=function(t,e){let i=Math.sin(e),n=Math.cos(e);return{x:t.x*n-t.y*i,y:t.x*i+t.y*n}}({x:this.x,y:this.y},n);this._wx=a,this._wy=o,this._wsx=r*this.scaleX,this._wsy=s*this.scaleY,this._wx=this.x*r,this._wy=this.y*s,this._ww=this.width*this._wsx,this._wh=this.height*this._wsy,this._wx+=t,this._wy+=e}get world(){return{x:this._wx,y:this._wy,width:this._ww,height:this._wh,opacity:this._wo,rotation:this._wr,scaleX:this._wsx,scaleY:this._wsy}}addChild(t,{absolute:e=!1}={}){this.children.push(t),t.parent=this,t._pc=t._pc||A,t._pc()}removeChild(t){let e=this.children.indexOf(t);-1!==e&&(this.children.splice(e,1),t.parent=null,t._pc())}get opacity(){return this._opa}set opacity(t){this._opa=t,this._pc()}get rotation(){return this._rot}set rotation(t){this._rot=t,this._pc()}setScale(t,e=t){this.scaleX=t,this.scaleY=e}get scaleX(){return this._scx}set scaleX(t){this._scx=t,this._pc()}get scaleY(){return this._scy}set scaleY(t){this._scy=t,this._pc()}}function j(){return new I(...arguments)}j.prototype=I.prototype,j.class=I;class $ extends j.class{init({image:t,width:e=(t?t.width:void 0),height:i=(t?t.height:void 0),...n}={}){super.init({image:t,width:e,height:i,...n})}get animations(){return this._a}set animations(t){let e,i;for(e in this._a={},t)this._a[e]=t[e].clone(),i=i||this._a[e];this.currentAnimation=i,this.width=this.width||i.width,this.height=this.height||i.height}playAnimation(t){this.currentAnimation=this.animations[t],this.currentAnimation.loop||this.currentAnimation.reset()}advance(t){super.advance(t),this.currentAnimation&&this.currentAnimation.update(t)}draw(){this.image&&this.context.drawImage(this.image,0,0,this.image.width,this.image.height),this.currentAnimation&&this.currentAnimation.render({x:0,y:0,width:this.width,height:this.height,context:this.context}),this.color&&(this.context.fillStyle=this.color,this.context.fillRect(0,0,this.width,this.height))}}function T(){return new $(...arguments)}T.prototype=$.prototype,T.class=$;let R=/(\d+)(\w+)/;class O extends j.class{init({text:t="",textAlign:e="",lineHeight:i=1,font:n=s().font,...r}={}){t=""+t,super.init({text:t,textAlign:e,lineHeight:i,font:n,...r}),this._p()}get width(){return this._w}set width(t){this._d=!0,this._w=t,this._fw=t}get text(){return this._t}set text(t){this._d=!0,this._t=t}get font(){return this._f}set font(t){this._d=!0,this._f=t,this._fs=function(t){let e=t.match(R),i=+e[1];return{size:i,unit:e[2],computed:i}}(t).computed}get lineHeight(){return this._lh}set lineHeight(t){this._d=!0,this._lh=t}render(){this._d&&this._p(),super.render()}_p(){this._s=[],this._d=!1;let t=this.context;if(t.font=this.font,!this._s.length&&this._fw){let e=this.text.split(" "),i=0,n=2;for(;n<=e.length;n++){let r=e.slice(i,n).join(" ");t.measureText(r).width>this._fw&&(this._s.push(e.slice(i,n-1).join(" ")),i=n-1)}this._s.push(e.slice(i,n).join(" "))}if(!this._s.length&&this.text.includes("\n")){let e=0;this.text.split("\n").map(i=>{this._s.push(i),e=Math.max(e,t.measureText(i).width)}),this._w=this._fw||e}this._s.length||(this._s.push(this.text),this._w=this._fw||t.measureText(this.text).width),this.height=this._fs+(this._s.length-1)*this._fs*this.lineHeight,this._uw()}draw(){let t=0,e=this.textAlign,i=this.context;e=this.textAlign||("rtl"===i.canvas.dir?"right":"left"),t="right"===e?this.width:"center"===e?this.width/2|0:0,this._s.map((n,r)=>{i.textBaseline="top",i.textAlign=e,i.fillStyle=this.color,i.font=this.font,i.fillText(n,t,this._fs*this.lineHeight*r)})}}function z(){return new O(...arguments)}z.prototype=O.prototype,z.class=O;new WeakMap;T.class;function P(t){let e=t.canvas;t.clearRect(0,0,e.width,e.height)}j.class;let C={},L={},N={},D={Enter:"enter",Escape:"esc",Space:"space",ArrowLeft:"left",ArrowUp:"up",ArrowRight:"right",ArrowDown:"down"};function Y(t=A,e){t._pd&&e.preventDefault(),t(e)}function q(t){let e=D[t.code],i=C[e];N[e]=!0,Y(i,t)}function U(t){let e=D[t.code],i=L[e];N[e]=!1,Y(i,t)}function B(){N={}}class X{constructor({create:t,maxSize:e=1024}={}){let i;if(!t||!(i=t())||!(i.update&&i.init&&i.isAlive&&i.render))throw Error("Must provide create() function which returns an object with init(), update(), render(), and isAlive() functions");this._c=t,this.objects=[t()],this.size=0,this.maxSize=e}get(t={}){if(this.size===this.objects.length){if(this.size===this.maxSize)return;for(let t=0;t<this.size&&this.objects.length<this.maxSize;t++)this.objects.push(this._c())}let e=this.objects[this.size];return this.size++,e.init(t),e}getAliveObjects(){return this.objects.slice(0,this.size)}clear(){this.size=this.objects.length=0,this.objects.push(this._c())}update(t){let e,i=!1;for(let n=this.size;n--;)e=this.objects[n],e.update(t),e.isAlive()||(i=!0,this.size--);i&&this.objects.sort((t,e)=>e.isAlive()-t.isAlive())}render(){for(let t=this.size;t--;)this.objects[t].render()}}function F(){return new X(...arguments)}F.prototype=X.prototype,F.class=X;j.class;let J=(t=Date.now())=>{let e={seed:t>>>0,state:t>>>0,random:()=>{e.state=e.state+1831565813>>>0;let t=e.state;return t=Math.imul(t^t>>>15,1|t),t^=t+Math.imul(t^t>>>7,61|t),((t^t>>>14)>>>0)/4294967296},randInt:(t,i)=>Math.floor(e.random()*(i-t+1))+t,pick:t=>{let i=e.random()*t.reduce((t,e)=>t+e.weight,0);return t.find(t=>(i-=t.weight)<0)||t[t.length-1]}};return e},H=t=>({type:"circle",r:t});const V={player:(G=[{x:2.5,y:0},{x:0,y:2.5},{x:-2.5,y:2},{x:-2.5,y:-2},{x:0,y:-2.5}],{type:"poly",points:G}),rock:H(2.5),fuel:H(3),pickup:H(3),moon:H(5),earth:H(7)};var G;let W=t=>{let e=V[t.kind],i=t.scale||1;return"circle"==e.type?{type:"circle",x:t.x,y:t.y,r:e.r*i}:{type:"poly",points:e.points.map(e=>{let n=((t,e)=>{let i=Math.sin(e),n=Math.cos(e);return{x:t.x*n-t.y*i,y:t.x*i+t.y*n}})({x:e.x*i,y:e.y*i},t.rotation||0);return{x:n.x+t.x,y:n.y+t.y}})}},Q=t=>{if("circle"==t.type)return{x1:t.x-t.r,y1:t.y-t.r,x2:t.x+t.r,y2:t.y+t.r};let e=t.points.map(t=>t.x),i=t.points.map(t=>t.y);return{x1:Math.min(...e),y1:Math.min(...i),x2:Math.max(...e),y2:Math.max(...i)}},K=(t,e)=>{if("circle"==t.type){let i=t.x*e.x+t.y*e.y;return{min:i-t.r,max:i+t.r}}let i=1/0,n=-1/0;return t.points.forEach(t=>{let r=t.x*e.x+t.y*e.y;i=Math.min(i,r),n=Math.max(n,r)}),{min:i,max:n}},Z=t=>"circle"==t.type?{x:t.x,y:t.y}:{x:t.points.reduce((t,e)=>t+e.x,0)/t.points.length,y:t.points.reduce((t,e)=>t+e.y,0)/t.points.length},tt=(t,e)=>{let i=Z(t),n=Z(e);if("circle"==t.type&&"circle"==e.type){let r=n.x-i.x,s=n.y-i.y,a=Math.hypot(r,s),o=t.r+e.r-a;return o<=0?null:{normal:a?{x:r/a,y:s/a}:{x:1,y:0},depth:o}}let r=[];[t,e].forEach((i,n)=>{let s=n?t:e;if("poly"==i.type)r.push(...(t=>t.points.map((e,i)=>{let n=t.points[(i+1)%t.points.length],r=-(n.y-e.y),s=n.x-e.x,a=Math.hypot(r,s)||1;return{x:r/a,y:s/a}}))(i));else{let t=s.points.reduce((t,e)=>Math.hypot(e.x-i.x,e.y-i.y)<Math.hypot(t.x-i.x,t.y-i.y)?e:t),e=Math.hypot(t.x-i.x,t.y-i.y)||1;r.push({x:(t.x-i.x)/e,y:(t.y-i.y)/e})}});let s=null;for(let i=0;i<r.length;i++){let n=K(t,r[i]),a=K(e,r[i]),o=Math.min(n.max,a.max)-Math.max(n.min,a.min);if(o<=0)return null;(!s||o<s.depth)&&(s={normal:r[i],depth:o})}let a=s.normal;return(n.x-i.x)*a.x+(n.y-i.y)*a.y<0&&(a={x:-a.x,y:-a.y}),{normal:a,depth:s.depth}},et=(t,e=()=>!0,i=16,n=null)=>{let r=t.map(W),s=r.map(Q),a=new Map,o=new Set,l=[];return s.forEach((h,c)=>{for(let u=Math.floor(h.x1/i);u<=Math.floor(h.x2/i);u++)for(let d=Math.floor(h.y1/i);d<=Math.floor(h.y2/i);d++){let i=u+","+d,p=a.get(i);p||a.set(i,p=[]),p.forEach(i=>{let a=i*t.length+c;if(o.has(a))return;o.add(a);let u=s[i];if(u.x1>h.x2||u.x2<h.x1||u.y1>h.y2||u.y2<h.y1||!e(t[i],t[c]))return;n&&n.push([t[i],t[c]]);let d=tt(r[i],r[c]);d&&l.push({a:t[i],b:t[c],...d})}),p.push(c)}}),l};const it=240,nt={shield:600,turbo:0,slow:300,magnet:480},rt=1,st=2,at=3,ot=4;let lt=(t,e=0)=>Math.floor((t.world.max-t.world.min)*Math.min(e/t.world.growScore,1))+t.world.min,ht=(t,e)=>({x:Math.min(Math.max(t.x-120,0),e-it),y:Math.min(Math.max(t.y-120,0),e-it)}),ct=(t,e,i)=>{let n=t.randInt(30,i-30),r=t.randInt(30,i-30);for(;e.some(t=>n<t.x+10&&n>t.x-10&&r<t.y+10&&r>t.y-10);)n=t.randInt(30,i-30),r=t.randInt(30,i-30);return{x:n,y:r}},ut=(t,e,i)=>({kind:"fuel",...ct(t,e,i),width:8,height:8,rotation:0}),dt=(t,e,i,n)=>{let r={x:0,y:0};return e.forEach(e=>{let s=t.landmarks[e.kind].gravity||0,a=e.x-i,o=e.y-n,l=Math.max(Math.hypot(a,o),12);s&&l&&(r.x+=a/l*s/(l*l),r.y+=o/l*s/(l*l))}),r},pt=t=>{let e=Math.hypot(t.dx,t.dy);e>2&&(t.dx*=2/e,t.dy*=2/e)},ft=(t,e,i)=>{let n,r,s,a,o=it,[l,h]=i.speed;t.randInt(0,1)?(n=242*t.randInt(0,1)-1,r=t.randInt(0,o),s=.01*t.randInt(0,100)*(h-l)+l,n>0&&(s=-s),a=(.01*t.randInt(0,100)*(h-l)+l)*(2*t.randInt(0,1)-1)):(n=t.randInt(0,o),r=242*t.randInt(0,1)-1,s=(.01*t.randInt(0,100)*(h-l)+l)*(2*t.randInt(0,1)-1),a=.01*t.randInt(0,100)*(h-l)+l,r>0&&(a=-a));let c=i.sizes?t.pick(i.sizes).scale:1,u=i.spin?(2*t.random()-1)*i.spin:0;return{kind:"rock",x:n+e.x,y:r+e.y,dx:s,dy:a,width:8*c,height:8*c,rotation:0,scale:c,spin:u}},yt=t=>[t.moon,t.earth].filter(t=>t),mt=(t,e)=>{let i=J(t),n=e.landmarks,r=lt(e),s=J(i.randInt(0,4294967295)),a=J(i.randInt(0,4294967295)),o=J(i.randInt(0,4294967295)),l=n.moon?{kind:"moon",x:i.randInt(...n.moon.x),y:i.randInt(...n.moon.y),width:12,height:12,rotation:0}:null,h=n.earth?{kind:"earth",x:i.randInt(...n.earth.x),y:i.randInt(...n.earth.y),width:16,height:16,rotation:0}:null,c=ut(a,[l,h].filter(t=>t),r),u={kind:"player",x:e.world.min/2,y:e.world.min/2,width:8,height:8,rotation:0,spd:0,dx:0,dy:0,tbo:100,tboCD:0,fuel:e.fuel.max};return{level:e,seed:i.seed,rng:{rocks:s.state,fuel:a.state,pickups:o.state},frame:0,gameState:0,gameSize:r,camera:ht(u,r),score:0,spawn:e.rocks.firstSpawn,pickupSpawn:e.pickups?e.pickups.firstSpawn:0,effects:{shield:0,slow:0,magnet:0},stats:{fuel:0,tbo:0,shields:0},player:u,moon:l,earth:h,fuel:c,pickups:[],rocks:[]}},gt=(t,e)=>{let i=structuredClone(t);if(0!=i.gameState)return i;let n=J(i.rng.rocks),r=J(i.rng.fuel),s=J(i.rng.pickups),a=i.level,o=i.player;i.frame++;let l=o.tbo;((t,e,i,n,r)=>{t.rotation=(t.rotation+.06*e.turn)%(2*Math.PI),e.thrust>0&&t.fuel>0?e.turbo&&t.tbo>0?(t.spd=Math.min(.9,t.spd+.04),t.tbo-=2,t.tboCD=120,t.fuel=Math.max(0,t.fuel-n.turbo)):(t.spd=Math.min(.6,t.spd+.03*e.thrust),0==t.tboCD&&(t.tbo=Math.min(t.tbo+1,100)),t.fuel=Math.max(0,t.fuel-n.use*e.thrust)):t.spd>0&&(t.spd=Math.max(0,t.spd-.02)),t.dx=.99*(t.dx+r.x),t.dy=.99*(t.dy+r.y),pt(t),t.x=Math.min(Math.max(t.x+Math.cos(t.rotation)*t.spd+t.dx,0),i),t.y=Math.min(Math.max(t.y+Math.sin(t.rotation)*t.spd+t.dy,0),i),t.tboCD>0&&t.tboCD--})(o,e,i.gameSize,a.fuel,dt(a,yt(i),o.x,o.y)),i.stats.tbo+=Math.max(0,l-o.tbo);let h=et((t=>[t.player,...yt(t),t.fuel,...t.pickups,...t.rocks])(i),(t,e)=>t==o||e==o).map(t=>t.a==o?t.b:t.a);if(i.moon&&h.includes(i.moon)&&a.win.includes("moon")&&(i.gameState=2),i.earth&&h.includes(i.earth)&&a.win.includes("earth")&&(i.gameState=3),h.includes(i.fuel)&&(i.fuel=ut(r,yt(i),i.gameSize),o.fuel=Math.min(a.fuel.max,o.fuel+a.fuel.refill),i.score++,i.stats.fuel++),Object.keys(i.effects).forEach(t=>{i.effects[t]=Math.max(0,i.effects[t]-1)}),i.pickups=i.pickups.filter(t=>!h.includes(t)||("turbo"==t.type?(o.tbo=100,o.tboCD=0):i.effects[t.type]=nt[t.type],!1)),i.effects.magnet){let t=o.x-i.fuel.x,e=o.y-i.fuel.y,n=Math.hypot(t,e);n&&n<80&&(i.fuel.x+=t/n*Math.min(1.5,n),i.fuel.y+=e/n*Math.min(1.5,n))}if(0==i.gameState&&o.fuel<=0&&(i.gameState=4),i.gameSize=lt(a,i.score),i.camera=ht(o,i.gameSize),i.rocks.length<((t,e)=>Math.min(Math.floor(e*t.rocks.cap.perScore),t.rocks.cap.max))(a,i.score)&&i.spawn<=0){let t=n.randInt(...((t,e)=>t.rocks.bursts.reduce((t,i)=>i.score<=e?i:t))(a,i.score).count);for(let e=0;e<t;e++)i.rocks.push(ft(n,i.camera,a.rocks));i.spawn=n.randInt(...a.rocks.interval)}var c,u,d,p;a.pickups&&(i.pickupSpawn<=0&&i.pickups.length<a.pickups.max&&(i.pickups.push((c=s,u=yt(i),d=i.gameSize,p=a.pickups.weights,{kind:"pickup",type:c.pick(Object.keys(p).map(t=>({type:t,weight:p[t]}))).type,...ct(c,u,d),width:8,height:8,rotation:0})),i.pickupSpawn=s.randInt(...a.pickups.interval)),i.pickupSpawn--);let f=i.camera,y=i.effects.slow?.4:1;if(i.rocks=i.rocks.filter(t=>{if(t.x>=f.x-40&&t.x<=f.x+it+40&&t.y>=f.y-40&&t.y<=f.y+it+40){if(h.includes(t)){if(i.effects.shield)return i.effects.shield=0,i.stats.shields++,!1;i.gameState=1}let e=dt(a,yt(i),t.x,t.y);return t.dx+=e.x,t.dy+=e.y,pt(t),t.x+=t.dx*y,t.y+=t.dy*y,t.rotation=(t.rotation+t.spin*y)%(2*Math.PI),!0}return!1}),a.rocks.split){let t=new Map;et(i.rocks,(t,e)=>((t,e,i)=>e.scale>=t.rocks.split||i.scale>=t.rocks.split)(a,t,e)).forEach(e=>{[[e.a,e.normal],[e.b,{x:-e.normal.x,y:-e.normal.y}]].forEach(([e,i])=>{e.scale>=a.rocks.split&&!t.has(e)&&t.set(e,((t,e)=>[1,-1].map(i=>{let n=t.scale/2,r=-e.y*i,s=e.x*i;return{...t,x:t.x+4*r*n,y:t.y+4*s*n,dx:t.dx+.3*r,dy:t.dy+.3*s,width:8*n,height:8*n,scale:n,spin:2*t.spin}}))(e,i))})}),i.rocks=i.rocks.flatMap(e=>t.get(e)||[e])}return i.spawn--,i.rng={rocks:n.state,fuel:r.state,pickups:s.state},i};const xt=["easy","normal","hard","orbits","endless"],wt="normal",bt=["moon","earth"];let kt=t=>"number"==typeof t&&isFinite(t),vt=t=>Array.isArray(t)&&2==t.length&&kt(t[0])&&kt(t[1])&&t[0]<=t[1],_t=t=>null!=t&&"object"==typeof t&&!Array.isArray(t),Mt=t=>e=>void 0===e||t(e),St=(t,e="level")=>{let i;try{i=JSON.parse(t)}catch(t){throw Error(`Invalid level "${e}": malformed JSON, ${t.message}`)}return((t,e="level")=>{let i=[],n=(e,n,r)=>{let s=e.split(".").reduce((t,e)=>null!=t&&"object"==typeof t?t[e]:void 0,t);return!!n(s)||(i.push(`${e} must be ${r}, got ${JSON.stringify(s)}`),!1)};if(!_t(t))throw Error(`Invalid level "${e}": not a JSON object`);if(n("name",t=>"string"==typeof t&&t.length>0,"a non-empty string"),n("world.min",t=>kt(t)&&t>=it,"a number of at least 240 (the view size)"),n("world.max",e=>kt(e)&&e>=(_t(t.world)?t.world.min:0),"a number of at least world.min"),n("world.growScore",t=>kt(t)&&t>0,"a number above 0"),n("fuel.max",t=>kt(t)&&t>0,"a number above 0"),["use","turbo","refill"].forEach(t=>n("fuel."+t,t=>kt(t)&&t>=0,"a number of at least 0")),n("rocks.cap.perScore",t=>kt(t)&&t>=0,"a number of at least 0"),n("rocks.cap.max",t=>Number.isInteger(t)&&t>=0,"a whole number of at least 0"),n("rocks.firstSpawn",t=>Number.isInteger(t)&&t>=0,"a whole number of at least 0"),n("rocks.interval",t=>vt(t)&&t.every(Number.isInteger)&&t[0]>=0,"a [min, max] range of whole numbers"),n("rocks.speed",t=>vt(t)&&t[0]>0,"a [min, max] range of numbers above 0"),n("rocks.bursts",t=>Array.isArray(t)&&t.length>0&&t[0]&&0==t[0].score,"a list of spawn entries starting at score 0")&&t.rocks.bursts.forEach((e,i)=>{let r=t.rocks.bursts[i-1];!i||_t(r)&&kt(r.score)?n(`rocks.bursts.${i}.score`,t=>kt(t)&&t>(i?r.score:-1),"a number above the score of the entry before it"):n(`rocks.bursts.${i}.score`,kt,"a number"),n(`rocks.bursts.${i}.count`,t=>vt(t)&&t.every(Number.isInteger)&&t[0]>=0,"a [min, max] range of whole numbers")}),n("rocks.sizes",Mt(t=>Array.isArray(t)&&t.length>0),"a list of rock sizes when given")&&_t(t.rocks)&&t.rocks.sizes&&t.rocks.sizes.forEach((t,e)=>{n(`rocks.sizes.${e}.scale`,t=>kt(t)&&t>0,"a number above 0"),n(`rocks.sizes.${e}.weight`,t=>kt(t)&&t>0,"a number above 0")}),n("rocks.spin",Mt(t=>kt(t)&&t>=0),"a number of at least 0 when given"),n("rocks.split",Mt(t=>kt(t)&&t>0),"a number above 0 when given"),n("landmarks",_t,"an object")&&Object.keys(t.landmarks).forEach(e=>{bt.includes(e)?(["x","y"].forEach(i=>n(`landmarks.${e}.${i}`,e=>vt(e)&&e[0]>=0&&(!_t(t.world)||e[1]<=t.world.max),"a [min, max] range within the world")),n(`landmarks.${e}.gravity`,Mt(t=>kt(t)&&t>=0),"a number of at least 0 when given")):i.push(`landmarks.${e} is not a landmark, expected one of ${bt.join(", ")}`)}),n("pickups",Mt(_t),"an object when given")&&t.pickups&&(n("pickups.firstSpawn",t=>Number.isInteger(t)&&t>=0,"a whole number of at least 0"),n("pickups.interval",t=>vt(t)&&t.every(Number.isInteger)&&t[0]>0,"a [min, max] range of whole numbers above 0"),n("pickups.max",t=>Number.isInteger(t)&&t>=0,"a whole number of at least 0"),n("pickups.weights",t=>_t(t)&&Object.keys(t).length>0,"an object of power-up weights")&&Object.keys(t.pickups.weights).forEach(t=>{t in nt?n(`pickups.weights.${t}`,t=>kt(t)&&t>0,"a number above 0"):i.push(`pickups.weights.${t} is not a power-up, expected one of ${Object.keys(nt).join(", ")}`)})),n("win",e=>Array.isArray(e)&&e.every(e=>_t(t.landmarks)&&e in t.landmarks),"a list of landmarks of the level"),i.length)throw Error(`Invalid level "${e}":\n`+i.join("\n"));return t})(i,e)},Et=()=>Promise.all(xt.map(t=>(t=>fetch(`levels/${t}.json`).then(t=>{if(!t.ok)throw Error(`HTTP ${t.status}`);return t.text()}).catch(e=>{throw Error(`Unable to load level "${t}": ${e.message}`)}))(t).then(e=>St(e,t)).catch(t=>(console.error(t.message),null)))).then(t=>{let e={};return t.forEach((t,i)=>{t&&(e[xt[i]]=t)}),e});let At=(t=14)=>({turn:((t>>1&15)-7)/7,thrust:(t>>5&15)/15,turbo:!!(1&t)}),It=(t,e=wt)=>{let i=[];return{record:t=>{let e=(t=>(t.turbo?1:0)|Math.round(7*t.turn)+7<<1|Math.round(15*t.thrust)<<5)(t);return i.push(e),At(e)},replay:()=>({seed:t,level:e,frames:i.slice()})}},jt=t=>{let e=0;return{next:()=>At(t.frames[e++]),done:()=>e>=t.frames.length}},$t=t=>{let e=[];return t.frames.forEach(t=>{let i=e[e.length-1];i&&i[0]==t?i[1]++:e.push([t,1])}),JSON.stringify({v:3,seed:t.seed,level:t.level,input:e.map(t=>t[0].toString(16)+":"+t[1].toString(36)).join(",")})},Tt=t=>{let e=JSON.parse(t);if(!e||3!=e.v||"number"!=typeof e.seed||"string"!=typeof e.input||null!=e.level&&"string"!=typeof e.level)throw Error("Invalid replay");let i=[];return e.input&&e.input.split(",").forEach(t=>{let[e,n]=t.split(":");if(e=parseInt(e,16),n=parseInt(n,36),!(e>=0&&e<512&&n>0))throw Error("Invalid replay input: "+t);for(let t=0;t<n;t++)i.push(e)}),{seed:e.seed>>>0,level:e.level||wt,frames:i}},Rt={},Ot=(t,e=null)=>{try{let e=t in Rt?Rt[t]:localStorage.getItem(t);if(null!=e)return JSON.parse(e)}catch(t){}return e},zt=(t,e)=>{Rt[t]=JSON.stringify(e);try{return localStorage.setItem(t,Rt[t]),!0}catch(t){return!1}};const Pt="lost-in-the-distance-ghosts",Ct="daily";let Lt=(t=new Date)=>t.toISOString().slice(0,10),Nt=(t=Lt())=>Ct+"-"+t,Dt=(t,e)=>(3==e.ending)-(3==t.ending)||(3==t.ending?t.time-e.time:e.score-t.score||t.time-e.time),Yt=()=>{let t=Ot(Pt,{});return t&&"object"==typeof t&&!Array.isArray(t)?t:{}},qt=t=>{let e=Yt()[t];if(!e||t==Ct&&e.daily!=Lt())return null;try{return{...e,replay:Tt(e.replay)}}catch(t){return null}},Ut=t=>JSON.stringify({v:1,...t,replay:$t(t.replay)}),Bt=t=>{let e=JSON.parse(t);if(!e||1!=e.v||"string"!=typeof e.replay||"number"!=typeof e.score||"number"!=typeof e.time||"number"!=typeof e.ending)throw Error("Invalid ghost");return{replay:Tt(e.replay),score:e.score,ending:e.ending,time:e.time,daily:"string"==typeof e.daily?e.daily:null}},Xt=t=>({x:t.player.x,y:t.player.y,rotation:t.player.rotation}),Ft=(t,e)=>{let i=mt(t.seed,e),n=jt(t),r={pose:Xt(i),next:()=>{0!=i.gameState||n.done()||(i=gt(i,n.next()),r.pose=Xt(i))}};return r};const Jt="lost-in-the-distance-scores";let Ht=(t,e)=>e.score-t.score||t.time-e.time,Vt=t=>t.startsWith(Ct+"-")?Dt:Ht,Gt=()=>{let t=Ot(Jt,[]);return Array.isArray(t)?t.filter(t=>t&&"number"==typeof t.score&&"number"==typeof t.time).map(t=>({...t,level:t.level||wt})):[]},Wt=(t=wt)=>Gt().filter(e=>e.level==t).sort(Vt(t)),Qt=t=>Wt(t)[0]||null;const Kt="lost-in-the-distance-bindings",Zt=["left","right","up","down","turbo","confirm","pause"],te={left:"Turn left",right:"Turn right",up:"Thrust / Up",down:"Down",turbo:"Turbo",confirm:"Confirm",pause:"Pause"},ee={left:{keys:["left","a"],buttons:[14]},right:{keys:["right","d"],buttons:[15]},up:{keys:["up","w"],buttons:[7,12]},down:{keys:["down","s"],buttons:[13]},turbo:{keys:["space"],buttons:[6]},confirm:{keys:["enter"],buttons:[0]},pause:{keys:["p","esc"],buttons:[9]}},ie=[{action:"left",label:"<",x:2,y:214,width:24,height:24},{action:"right",label:">",x:30,y:214,width:24,height:24},{action:"down",label:"v",x:114,y:214,width:24,height:24},{action:"up",label:"^",x:142,y:214,width:24,height:24},{action:"turbo",label:"T",x:170,y:214,width:24,height:24},{action:"pause",label:"||",x:214,y:2,width:24,height:24}];let ne=null,re={},se=!1,ae={},oe=null,le=[],he=()=>{let t=Ot(Kt,{})||{},e={};return Zt.forEach(i=>{let n=t[i];e[i]=n&&Array.isArray(n.keys)&&Array.isArray(n.buttons)?{keys:n.keys.slice(),buttons:n.buttons.slice()}:{keys:ee[i].keys.slice(),buttons:ee[i].buttons.slice()},e[i].keys.forEach(t=>{Object.values(D).includes(t)||(D[t]=t)})}),e},ce=()=>{let t=navigator.getGamepads?navigator.getGamepads():[];for(let e=0;e<t.length;e++)if(t[e]&&t[e].connected)return t[e];return null},ue=t=>t?t.buttons.map(t=>t.pressed):[],de=t=>Object.values(re).some(e=>t?e.x>=t.x&&e.x<=t.x+t.width&&e.y>=t.y&&e.y<=t.y+t.height:!ie.some(t=>e.x>=t.x&&e.x<=t.x+t.width&&e.y>=t.y&&e.y<=t.y+t.height)),pe=t=>{let e=ne[t],i=ce(),n=e.keys.some(t=>function(t){return!!N[t]}(t))?1:0;return e.buttons.forEach(t=>{n=Math.max(n,((t,e)=>t&&t.buttons[e]?t.buttons[e].value||(t.buttons[e].pressed?1:0):0)(i,t))}),se&&("confirm"==t?de():ie.some(e=>e.action==t&&de(e)))&&(n=1),n},fe=t=>pe(t)>.5,ye=t=>fe(t)&&!ae[t],me=()=>ne,ge=(t,e,i)=>{let n=ne[t][e];Zt.forEach(r=>{let s=ne[r][e];r!=t&&s.includes(i)&&(ne[r][e]=[...new Set(s.flatMap(t=>t==i?n:[t]))])}),ne[t][e]=[i]},xe=()=>{zt(Kt,null),ne=he()},we=t=>{let e=r(),i=e.getBoundingClientRect();return{x:(t.clientX-i.left)*e.width/i.width,y:(t.clientY-i.top)*e.height/i.height}};const be="lost-in-the-distance-audio",ke=["master","sfx","music"],ve={master:"Master volume",sfx:"SFX volume",music:"Music volume"},_e={master:8,sfx:8,music:6,mute:!1},Me={moon:[[440,0,.3],[392,.3,.3],[349,.6,.3],[330,.9,.9]],earth:[[523,0,.15],[659,.15,.15],[784,.3,.15],[1047,.45,.6],[784,.75,.15],[1047,.9,.9]]};let Se=null,Ee=null,Ae={},Ie=null,je=null,$e=()=>{Ee&&ke.forEach(t=>{let e="master"==t&&Se.mute?0:Se[t]/10;Ae[t].gain.setTargetAtTime(e,Ee.currentTime,.02)})},Te=(t,e,i,n,r,s)=>{let[a,o]=[].concat(i,i),l=Ee.currentTime+n,h=Ee.createOscillator(),c=Ee.createGain();h.type=e,h.frequency.setValueAtTime(a,l),h.frequency.exponentialRampToValueAtTime(o,l+r),c.gain.setValueAtTime(1e-4,l),c.gain.exponentialRampToValueAtTime(s,l+.01),c.gain.exponentialRampToValueAtTime(1e-4,l+r),h.connect(c).connect(Ae[t]),h.start(l),h.stop(l+r)},Re=(t,e,i,n)=>{let r=Ee.currentTime,s=Ee.createBufferSource(),a=Ee.createBiquadFilter(),o=Ee.createGain();s.buffer=Ie,a.type=t,a.frequency.setValueAtTime(e[0],r),a.frequency.exponentialRampToValueAtTime(e[1],r+i),o.gain.setValueAtTime(n,r),o.gain.exponentialRampToValueAtTime(1e-4,r+i),s.connect(a).connect(o).connect(Ae.sfx),s.start(r),s.stop(r+i)};const Oe={turbo:()=>{Re("bandpass",[400,2400],.35,.5),Te("sfx","square",[220,440],0,.25,.05)},fuel:()=>{Te("sfx","triangle",988,0,.12,.3),Te("sfx","triangle",1319,.08,.3,.3)},power:()=>{[659,831,988,1319].forEach((t,e)=>Te("sfx","square",t,.05*e,.1,.12))},shield:()=>{Re("highpass",[3e3,800],.4,.6),Te("sfx","sawtooth",[880,220],0,.35,.15)},explosion:()=>{Re("lowpass",[1800,60],1.2,1),Te("sfx","sine",[120,30],0,.8,.6)}};let ze=t=>{Ee&&Oe[t]()},Pe=(t,e=!1)=>{if(!je)return;let i=Ee.currentTime;je.gain.gain.setTargetAtTime(.25*Math.min(t,1),i,.05),je.osc.frequency.setTargetAtTime(55+60*t+(e?30:0),i,.05),je.filter.frequency.setTargetAtTime(200+600*t+(e?800:0),i,.05)},Ce=()=>Se,Le=(t,e)=>{Se[t]=e,zt(be,Se),$e()};const Ne="lost-in-the-distance-effects",De={reduced:!1,shake:!0};let Ye=null,qe=null,Ue={strength:0,frames:0},Be=t=>{qe.size<(Ye.reduced?60:300)&&qe.get({width:1,height:1,opacity:1,...t,life:t.ttl})},Xe=(t,e,i,n,r,s,a=1)=>{i=Ye.reduced?Math.ceil(i/2):i;for(let o=0;o<i;o++){let i=Math.random()*Math.PI*2,o=n[0]+Math.random()*(n[1]-n[0]);Be({x:t,y:e,dx:Math.cos(i)*o,dy:Math.sin(i)*o,ttl:Math.round(r[0]+Math.random()*(r[1]-r[0])),color:s[Math.floor(Math.random()*s.length)],width:a,height:a})}},Fe=(t,e)=>{Xe(t,e,40,[.2,1.5],[30,70],["white","orange","orangered","gray","darkgray"],2)},Je=(t,e)=>{Xe(t,e,14,[.2,.6],[15,30],["yellow","gold","white"])},He=(t,e)=>{Ye.shake&&!Ye.reduced&&(Ue={strength:t,frames:e})},Ve=()=>{qe.update(),qe.getAliveObjects().forEach(t=>{t.opacity=t.ttl/t.life}),Ue.frames>0&&(Ue.frames--,Ue.strength*=.9)},Ge=()=>{qe.clear(),Ue={strength:0,frames:0}},We=()=>Ye,Qe=(t,e)=>{Ye[t]=e,zt(Ne,Ye),e&&"reduced"==t&&Ge()},Ke=t=>{let e={items:t,pos:0,update:()=>{ye("up")&&(e.pos=(e.pos+t.length-1)%t.length),ye("down")&&(e.pos=(e.pos+1)%t.length),ye("confirm")&&t[e.pos].select()},text:()=>t.map((t,i)=>(i==e.pos?"> ":"")+("function"==typeof t.label?t.label():t.label)).join("\n")};return e};!function(i){if(t=document.getElementById(i)||i||document.querySelector("canvas"),!t)throw Error("You must provide a canvas element for the game");e=t.getContext("2d"),e.imageSmoothingEnabled=!1,n("init")}(),function(){let t;for(t=0;t<26;t++)D[t+65]=D["Key"+String.fromCharCode(t+65)]=String.fromCharCode(t+97);for(t=0;t<10;t++)D[48+t]=D["Digit"+t]=""+t;window.addEventListener("keydown",q),window.addEventListener("keyup",U),window.addEventListener("blur",B)}(),(()=>{let t=r();ne=he(),window.addEventListener("keydown",t=>{if(oe&&!t.repeat){let e=D[t.code]||(D[t.code]=t.code);oe({key:e})}}),t.addEventListener("pointerdown",t=>{"touch"==t.pointerType&&(se=!0,re[t.pointerId]=we(t),t.preventDefault())}),t.addEventListener("pointermove",t=>{re[t.pointerId]&&(re[t.pointerId]=we(t))}),["pointerup","pointercancel"].forEach(e=>{t.addEventListener(e,t=>{delete re[t.pointerId]})}),t.style.touchAction="none"})(),(()=>{Se=(()=>{let t=Ot(be,{})||{},e={mute:"boolean"==typeof t.mute?t.mute:_e.mute};return ke.forEach(i=>{let n=t[i];e[i]=Number.isInteger(n)&&n>=0&&n<=10?n:_e[i]}),e})();let t=()=>{Ee?"suspended"==Ee.state&&Ee.resume():(()=>{let t=window.AudioContext||window.webkitAudioContext;if(!t)return;Ee=new t,ke.forEach(t=>{Ae[t]=Ee.createGain(),Ae[t].gain.value=0,Ae[t].connect("master"==t?Ee.destination:Ae.master)}),$e(),Ie=Ee.createBuffer(1,Ee.sampleRate,Ee.sampleRate);let e=Ie.getChannelData(0);for(let t=0;t<e.length;t++)e[t]=2*Math.random()-1;let i=Ee.createOscillator(),n=Ee.createBiquadFilter(),r=Ee.createGain();i.type="sawtooth",i.frequency.value=55,n.type="lowpass",n.frequency.value=200,r.gain.value=0,i.connect(n).connect(r).connect(Ae.sfx),i.start(),je={osc:i,filter:n,gain:r}})()};["keydown","pointerdown"].forEach(e=>{window.addEventListener(e,t)})})(),(()=>{let t=Ot(Ne,{})||{};Ye={},Object.keys(De).forEach(e=>{Ye[e]="boolean"==typeof t[e]?t[e]:De[e]}),qe=F({create:T,maxSize:300})})(),p="assets/img/";let Ze=null;const ti="lost-in-the-distance-level",ei={[rt]:"Hit",[st]:"Moon",[at]:"Earth",[ot]:"Drift"},ii={[rt]:"You got hit",[st]:"You land on the moon\nEnd1/2",[at]:"You returned to earth!\nEnd2/2",[ot]:"You ran out of fuel\nDrifting forever..."},ni={shield:["deepskyblue","S"],turbo:["yellow","T"],slow:["violet","Z"],magnet:["orangered","M"]},ri={shield:"Shield",slow:"Slow",magnet:"Magnet"};let si=t=>(t/60).toFixed(1)+"s",ai=t=>3==t.ending?si(t.time):t.score+" pts",oi=t=>({label:()=>`${ve[t]}: ${Ce()[t]}/10`,select:()=>Le(t,(Ce()[t]+1)%11)});window.exportReplay=()=>Ze&&$t(Ze),Promise.all([v("map-indexed.png","player.png","rock.png","fuel.png","earth.png","moon.png"),Et()]).then(([t,e])=>{let i=Object.keys(e);if(!i.length)throw Error("No valid levels to play");let r=Ot(ti,wt);e[r]||(r=e[wt]?wt:i[0]);let a=r,o=e[wt]?wt:i[0],l=mt(void 0,e[r]),h=null,c=null,u={},d=null,p=a,f=null,y=null,m=!1,g=T({x:0,y:0,image:x["map-indexed"]}),w=z({anchor:{x:.5,y:.5},x:120,y:120,font:"14px Arial",color:"white",text:"",textAlign:"center"}),b=(t,e=14)=>{w.text=t,w.font=e+"px Arial",w.render()},k=T({anchor:{x:.5,y:.5},image:x.player}),v=T({anchor:{x:.5,y:.5},image:x.moon}),_=T({anchor:{x:.5,y:.5},image:x.earth}),M=T({anchor:{x:.5,y:.5},image:x.fuel}),S=T({anchor:{x:.5,y:.5},image:x.rock}),E=T({anchor:{x:.5,y:.5},image:x.player,opacity:.4}),I=T({anchor:{x:.5,y:.5},width:8,height:8,type:"shield",render:function(){let[t,e]=ni[this.type];this.context.fillStyle=t,this.context.beginPath(),this.context.arc(4,4,4,0,2*Math.PI),this.context.fill(),this.context.fillStyle="black",this.context.font="6px Arial",this.context.textAlign="center",this.context.textBaseline="middle",this.context.fillText(e,4,4.5)}}),j=T({anchor:{x:.5,y:.5},width:14,height:14,render:function(){this.context.strokeStyle=ni.shield[0],this.context.beginPath(),this.context.arc(7,7,7,0,2*Math.PI),this.context.stroke()}}),$=(t,e)=>{t.x=e.x,t.y=e.y,t.rotation=e.rotation||0,t.scaleX=t.scaleY=e.scale||1,t.render()},R=z({x:70,font:"12px Arial",text:"",color:"white",textAlign:"center",update:function(){this.text="Score: "+l.score}}),O=z({font:"12px Arial",text:`Turbo: ${l.player.tbo}`,color:"white",textAlign:"center",update:function(){this.text=`Turbo: ${l.player.tbo}`}}),C=z({x:2,y:24,font:"8px Arial",text:"",color:"white",update:function(){this.text=Object.keys(l.effects).filter(t=>l.effects[t]).map(t=>`${ri[t]} ${si(l.effects[t])}`).join("\n")}}),L=T({x:2,y:16,width:40,height:4,render:function(){let t=l.player.fuel/l.level.fuel.max;this.context.strokeStyle="white",this.context.strokeRect(0,0,this.width,this.height),this.context.fillStyle=t>.25?"limegreen":"red",this.context.fillRect(0,0,this.width*t,this.height)}}),N=T({x:198,y:198,width:40,height:40,render:function(){let t=this.width/l.gameSize,e=(e,i,n)=>{e&&(this.context.fillStyle=i,this.context.fillRect(Math.floor(e.x*t-n/2),Math.floor(e.y*t-n/2),n,n))};this.context.fillStyle="rgba(0, 0, 0, 0.6)",this.context.fillRect(0,0,this.width,this.height),this.context.strokeStyle="white",this.context.strokeRect(0,0,this.width,this.height),e(l.fuel,"orange",2),f&&e(f.run.pose,"gray",2),l.pickups.forEach(t=>{e(t,ni[t.type][0],2)}),e(l.moon,"silver",3),e(l.earth,"dodgerblue",4),e(l.player,"white",2)}}),D=T({render:function(){this.context.font="12px Arial",this.context.textAlign="center",this.context.textBaseline="middle",ie.forEach(t=>{this.context.strokeStyle=this.context.fillStyle="rgba(255, 255, 255, 0.5)",this.context.strokeRect(t.x,t.y,t.width,t.height),this.context.fillText(t.label,t.x+t.width/2,t.y+t.height/2)})}}),Y=()=>{let t=l.camera;for(let e=-t.x%g.width;e<it;e+=g.width)for(let i=-t.y%g.height;i<it;i+=g.height)g.x=Math.round(e),g.y=Math.round(i),g.render()},q=(t=!1)=>{let e=s(),i=Ue.frames<=0?{x:0,y:0}:{x:Math.round((2*Math.random()-1)*Ue.strength),y:Math.round((2*Math.random()-1)*Ue.strength)};e.save(),e.translate(i.x,i.y),Y(),R.render(),e.save(),e.translate(-Math.round(l.camera.x),-Math.round(l.camera.y)),qe.render(),f&&$(E,f.run.pose),t||($(k,l.player),l.effects.shield&&$(j,l.player)),l.moon&&$(v,l.moon),l.earth&&$(_,l.earth),$(M,l.fuel),l.pickups.forEach(t=>{I.type=t.type,$(I,t)}),l.rocks.forEach(t=>{$(S,t)}),e.restore(),e.restore(),O.render(),L.render(),C.render(),N.render()},U=()=>{let t=s();t.fillStyle="rgba(0, 0, 0, 0.6)",t.fillRect(0,0,it,it)},B=(t={})=>{let i=t.replay||null,n=t.ghost||(t.daily?qt(Ct):t.race?qt(t.race):null);u=t,d=t.daily?Lt():null,a=i?i.level:n?n.replay.level:t.daily?o:r,p=d?Nt(d):a,y=i?null:t.daily?Ct:a,l=mt(i?i.seed:n?n.replay.seed:t.daily?((t=Lt())=>{let e=2166136261;for(let i=0;i<t.length;i++)e=Math.imul(e^t.charCodeAt(i),16777619)>>>0;return e})(d):void 0,e[a]),f=n?{...n,run:Ft(n.replay,e[a])}:null,h=It(l.seed,a),c=i?jt(i):null,Ge(),R.update(),O.update(),C.update()},X=(t=>{let e={name:null,current:null,go:(i,n={})=>{if(!t[i])throw Error("Unknown scene: "+i);e.current&&e.current.exit&&e.current.exit(),e.name=i,e.current=t[i],e.current.enter&&e.current.enter(n)},update:()=>{e.current&&e.current.update&&e.current.update()},render:()=>{e.current&&e.current.render&&e.current.render()}};return e})({title:{ghost:null,notice:"",menu:Ke([{label:"Start",select:()=>X.go("playing")},{label:()=>"Level: "+e[r].name,select:()=>{r=i[(i.indexOf(r)+1)%i.length],zt(ti,r),X.current.ghost=qt(r)}},{label:"Daily challenge",select:()=>X.go("playing",{daily:!0})},{label:()=>X.current.ghost?"Race ghost: "+ai(X.current.ghost):"Race ghost (none yet)",select:()=>{X.current.ghost&&X.go("playing",{race:r})}},{label:"Import ghost",select:()=>{new Promise((t,e)=>{let i=document.createElement("input");i.type="file",i.accept=".json,application/json",i.addEventListener("change",()=>{i.files[0]&&i.files[0].text().then(Bt).then(t,e)}),i.click()}).then(t=>{let i=t.replay.level;if(!e[i])throw Error(`Ghost of unknown level "${i}"`);let n=t.daily==Lt()&&i==o;X.go("playing",n?{daily:!0,ghost:t}:{race:i,ghost:t})}).catch(t=>{console.error(t),"title"==X.name&&(X.current.notice="Invalid ghost file")})}},{label:"Leaderboard",select:()=>X.go("leaderboard",{back:"title"})},{label:"Settings",select:()=>X.go("settings",{back:"title"})}]),enter:function(t){t.resume||(l=mt(void 0,e[r]),this.menu.pos=0),this.ghost=qt(r),this.notice=""},update:function(){this.menu.update()},render:function(){Y(),b("Lost in the Distance\n\n"+this.menu.text()+(this.notice?"\n\n"+this.notice:""))}},playing:{spending:!1,enter:function(t){t.resume||B(t),this.spending=!1},exit:function(){Pe(0)},update:function(){if(ye("pause"))return void X.go("paused");let t=c?c.next():h.record((()=>{let t=ce(),e=t&&t.axes.length?t.axes[0]:0,i=(fe("right")?1:0)-(fe("left")?1:0);return Math.abs(e)>.2&&(i=Math.sign(e)*(Math.abs(e)-.2)/.8),{turn:Math.max(-1,Math.min(1,i)),thrust:pe("up"),turbo:fe("turbo")}})()),e=l;l=gt(l,t),f&&f.run.next(),R.update(),O.update(),C.update();let i=l.stats.tbo>e.stats.tbo;var n;if(i&&!this.spending&&ze("turbo"),this.spending=i,Pe(l.player.spd,i),t.thrust>0&&l.player.fuel>0&&((t,e=!1)=>{if(Ye.reduced&&Math.random()<.5)return;let i=Math.cos(t.rotation),n=Math.sin(t.rotation),r=e?3:1;for(let s=0;s<r;s++){let r=.6*(Math.random()-.5),a=.3+.8*t.spd+.3*Math.random();Be({x:t.x-3*i,y:t.y-3*n,dx:t.spd*i-Math.cos(t.rotation+r)*a,dy:t.spd*n-Math.sin(t.rotation+r)*a,ttl:Math.round(8+12*t.spd+6*Math.random()),color:e?["white","#9cf","yellow"][s]:["orange","orangered"][Math.floor(2*Math.random())]})}})(l.player,i),l.stats.fuel>e.stats.fuel&&(ze("fuel"),Je(e.fuel.x,e.fuel.y)),e.pickups.filter(t=>!l.pickups.some(e=>e.x==t.x&&e.y==t.y)).forEach(t=>{ze("power"),Je(t.x,t.y)}),l.stats.shields>e.stats.shields&&(ze("shield"),Fe(l.player.x,l.player.y),He(2,15)),1==l.gameState?(ze("explosion"),Fe(l.player.x,l.player.y),He(4,40)):2!=l.gameState&&3!=l.gameState||(n=2==l.gameState?"moon":"earth",Ee&&Me[n].forEach(([t,e,i])=>{Te("music","square",t,e,i,.15),Te("music","triangle",t/2,e,i,.3)})),0!=l.gameState)return c||(Ze=h.replay(),m=((t,e)=>{let i=qt(t);if(i&&Dt(i,e)<=0)return!1;let n=Yt();return n[t]={...e,replay:$t(e.replay)},zt(Pt,n),!0})(y,{replay:Ze,score:l.score,ending:l.gameState,time:l.frame,daily:d})),void X.go(1==l.gameState?"dying":"gameover",{ending:l.gameState});Ve()},render:()=>q()},dying:{enter:function(t){this.ending=t.ending,this.frames=60},update:function(){Ve(),--this.frames<=0&&X.go("gameover",{ending:this.ending})},render:()=>q(!0)},paused:{menu:Ke([{label:"Resume",select:()=>X.go("playing",{resume:!0})},{label:"Restart",select:()=>X.go("playing",u)},{label:"Settings",select:()=>X.go("settings",{back:"paused"})},{label:"Quit to title",select:()=>X.go("title")}]),enter:function(t){t.resume||(this.menu.pos=0)},update:function(){ye("pause")?X.go("playing",{resume:!0}):this.menu.update()},render:function(){q(),U(),b("Paused\n\n"+this.menu.text())}},settings:{back:"title",binding:null,menu:Ke([...Zt.map(t=>({label:()=>(t=>`${te[t]}: ${me()[t].keys.join("/")} ${me()[t].buttons.map(t=>"pad"+t).join("/")}`)(t),select:()=>{X.current.binding=t,((t,e)=>{le=ue(ce()),oe=({key:i,button:n})=>{oe=null,"esc"!=i?(i?ge(t,"keys",i):ge(t,"buttons",n),zt(Kt,ne),e(!0)):e(!1)}})(t,()=>{X.current.binding=null})}})),{label:"Reset controls",select:xe},...ke.map(oi),{label:()=>"Sound: "+(Ce().mute?"Off":"On"),select:()=>Le("mute",!Ce().mute)},{label:()=>"Effects: "+(We().reduced?"Reduced":"Full"),select:()=>Qe("reduced",!We().reduced)},{label:()=>"Screen shake: "+(We().shake?"On":"Off"),select:()=>Qe("shake",!We().shake)},{label:"Back",select:()=>X.go(X.current.back,{resume:!0})}]),enter:function(t){this.back=t.back||this.back,this.binding=null,this.menu.pos=0},update:function(){this.binding||this.menu.update()},render:function(){"paused"==this.back?(q(),U()):Y(),this.binding?b(`Press a key or pad button\nfor ${te[this.binding]}\nESC to cancel`):b("Settings\n\n"+this.menu.text(),8)}},gameover:{enter:function(t){t.resume||(this.ending=t.ending,this.initials=c?null:[65,65,65],this.initPos=0,this.rank=0,this.best=Qt(p),this.ghost=c?null:qt(y),this.menu=Ke([{label:"Restart",select:()=>X.go("playing",c?{}:u)},...Ze?[{label:"Watch replay",select:()=>X.go("playing",{replay:Ze})}]:[],...this.ghost?[{label:"Export ghost",select:()=>((t,e)=>{let i=document.createElement("a");i.href=URL.createObjectURL(new Blob([Ut(t)],{type:"application/json"})),i.download=e,i.click(),setTimeout(()=>URL.revokeObjectURL(i.href))})(this.ghost,`ghost-${d?"daily-"+d:a}.json`)}]:[],{label:"Leaderboard",select:()=>X.go("leaderboard",{back:"gameover"})},{label:"Quit to title",select:()=>X.go("title")}]))},update:function(){this.initials?(ye("up")&&(this.initials[this.initPos]=(this.initials[this.initPos]-64)%26+65),ye("down")&&(this.initials[this.initPos]=(this.initials[this.initPos]-40)%26+65),ye("left")&&(this.initPos=Math.max(0,this.initPos-1)),ye("right")&&(this.initPos=Math.min(this.initials.length-1,this.initPos+1)),ye("confirm")&&(this.rank=(t=>{let e=Wt(t.level);e.push(t),e.sort(Vt(t.level));let i=e.indexOf(t)+1;return i>10?0:(zt(Jt,[...Gt().filter(e=>e.level!=t.level),...e.slice(0,10)]),i)})({name:String.fromCharCode(...this.initials),score:l.score,ending:this.ending,time:l.frame,fuel:l.stats.fuel,tbo:l.stats.tbo,level:p}),this.best=Qt(p),this.initials=null)):this.menu.update()},render:function(){let t=ii[this.ending];this.initials?t+="\nName: "+this.initials.map((t,e)=>e==this.initPos?`[${String.fromCharCode(t)}]`:String.fromCharCode(t)).join("")+"\nENTER to save":(c||(t+=`\n${this.rank?"Rank #"+this.rank:"Unranked"}  Best: ${this.best?d?ai(this.best):this.best.score:0}`),this.ghost&&(t+=`\n${d?"Daily "+d:"Ghost"} best: ${ai(this.ghost)}${m?" (new!)":""}`),t+="\n\n"+this.menu.text()),Y(),R.render(),b(t)}},leaderboard:{back:"title",board:wt,menu:Ke([{label:"Back",select:()=>X.go(X.current.back,{resume:!0})}]),enter:function(t){this.back=t.back||this.back,this.board="gameover"==this.back?p:r},update:function(){let t=[...i,Nt()],e=(ye("right")?1:0)-(ye("left")?1:0);e&&(this.board=t[(t.indexOf(this.board)+e+t.length)%t.length]),this.menu.update()},render:function(){let t=e[this.board]?e[this.board].name:"Daily "+this.board.slice(6);Y(),b(`< ${t} >\n`+(t=>{let e=Wt(t);return e.length?"# Name Score End Time Fuel Turbo\n"+e.map((t,e)=>`${e+1}. ${t.name} ${t.score} ${ei[t.ending]} ${si(t.time)} ${t.fuel} ${t.tbo}`).join("\n"):"No scores yet"})(this.board)+"\n\n"+this.menu.text(),8)}}}),F=function({fps:t=60,clearCanvas:e=!0,update:i=A,render:r,context:a=s(),blur:o=!1}={}){if(!r)throw Error("You must provide a render() function");let l,h,c,u,d,p=0,f=1e3/t,y=1/t,m=e?P:A,g=!0;function x(){if(h=requestAnimationFrame(x),g&&(c=performance.now(),u=c-l,l=c,!(u>1e3))){for(n("tick"),p+=u;p>=f;)d.update(y),p-=f;m(a),d.render()}}return o||(window.addEventListener("focus",()=>{g=!0}),window.addEventListener("blur",()=>{g=!1})),d={update:i,render:r,isStopped:!0,start(){l=performance.now(),this.isStopped=!1,requestAnimationFrame(x)},stop(){this.isStopped=!0,cancelAnimationFrame(h)},_frame:x,set _last(t){l=t}},d}({update:()=>{X.update(),(()=>{Zt.forEach(t=>{ae[t]=fe(t)});let t=ce();oe&&t&&t.buttons.forEach((t,e)=>{oe&&t.pressed&&!le[e]&&oe({button:e})}),le=ue(t)})()},render:()=>{X.render(),se&&D.render()}});window.importReplay=t=>{let i=Tt(t);if(!e[i.level])throw Error(`Replay of unknown level "${i.level}"`);Ze=i,X.go("playing",{replay:Ze})},X.go("title"),F.start()}).catch(t=>{console.error(t);let e=s();e.fillStyle="black",e.fillRect(0,0,it,it),z({anchor:{x:.5,y:.5},x:120,y:120,font:"10px Arial",color:"white",text:"Unable to start\n\n"+(t instanceof Error?t.message:"Unable to load "+t)+("file:"==location.protocol?"\n\nServe the game over HTTP\nto play it (see README)":""),textAlign:"center"}).render()})}();
@@ -0,0 +1,34 @@
+/*
+* Bundles the game from src/game.js for index.html: npm run build
+* game.bundle.js is the readable bundle, game.min.js the minified one the page loads
+* The sources go through preprocess, so // @ifdef DEBUG blocks (the debug overlay, see src/debug.js) are left out unless
+* building with DEBUG set: npm run build:debug
+*/
+import terser from '@rollup/plugin-terser';
+import pp from 'preprocess';
+
+const DEBUG = !!process.env.DEBUG;
+
+/*
+* Runs the game's own sources through preprocess, kontra's are left alone as they use the same markers for its features
+*/
+let preprocess = () => ({
+    name: 'preprocess',
+    transform: (code, id) => id.includes('/src/') ? { code: pp.preprocess(code, DEBUG ? { DEBUG } : {}, { type: 'js' }), map: null } : null
+});
+
+export default {
+    input: 'src/game.js',
+    plugins: [preprocess()],
+    output: [
+        {
+            file: 'game.bundle.js',
+            format: 'iife'
+        },
+        {
+            file: 'game.min.js',
+            format: 'iife',
+            plugins: [terser()]
+        }
+    ]
+};
@@ -0,0 +1,258 @@
+/*
+* Procedural sound effects and music
+* Every sound is synthesized with the Web Audio API from oscillators and a shared noise buffer, no sound files are loaded
+* Sound effects and music each go through their own volume before the master volume
+* Browsers only allow audio after a user gesture, so the audio context is created on the first key press or touch
+*/
+import { readStore, writeStore } from './storage.js';
+
+const AUDIO_KEY = 'lost-in-the-distance-audio';
+
+// Volume channels in the order they are listed on the settings screen, each from 0 to VOLUME_STEPS
+export const CHANNELS = ['master', 'sfx', 'music'];
+export const VOLUME_STEPS = 10;
+
+export const CHANNEL_NAMES = {
+    master: 'Master volume',
+    sfx: 'SFX volume',
+    music: 'Music volume'
+};
+
+const DEFAULT_SETTINGS = { master: 8, sfx: 8, music: 6, mute: false };
+
+/*
+* Notes of each ending jingle as [frequency (Hz), start (s), length (s)]
+* The moon gets a wistful minor phrase, the earth a rising major fanfare
+*/
+const JINGLES = {
+    moon: [[440, 0, 0.3], [392, 0.3, 0.3], [349, 0.6, 0.3], [330, 0.9, 0.9]],
+    earth: [[523, 0, 0.15], [659, 0.15, 0.15], [784, 0.3, 0.15], [1047, 0.45, 0.6], [784, 0.75, 0.15], [1047, 0.9, 0.9]]
+};
+
+/*
+* settings: volume of each channel and whether audio is muted, kept between sessions
+* ctx: the audio context, null until the first user gesture
+* buses: gain node of each channel, sfx and music feed master
+* noise: buffer of white noise shared by the noisy sounds
+* engine: nodes of the thruster hum, which plays continuously at a volume following the ship's speed
+*/
+let settings = null;
+let ctx = null;
+let buses = {};
+let noise = null;
+let engine = null;
+
+/*
+* Reads the saved settings, falling back to the defaults for anything missing or malformed
+* Return the settings object
+*/
+let loadSettings = () => {
+    let saved = readStore(AUDIO_KEY, {}) || {};
+    let loaded = { mute: typeof saved.mute == 'boolean' ? saved.mute : DEFAULT_SETTINGS.mute };
+    CHANNELS.forEach(channel => {
+        let value = saved[channel];
+        loaded[channel] = Number.isInteger(value) && value >= 0 && value <= VOLUME_STEPS ? value : DEFAULT_SETTINGS[channel];
+    });
+
+    return loaded;
+};
+
+/*
+* Applies the settings to the channel volumes, the master channel is silenced when muted
+*/
+let applySettings = () => {
+    if(!ctx) {
+        return;
+    };
+
+    CHANNELS.forEach(channel => {
+        let volume = channel == 'master' && settings.mute ? 0 : settings[channel]/VOLUME_STEPS;
+        buses[channel].gain.setTargetAtTime(volume, ctx.currentTime, 0.02);
+    });
+};
+
+/*
+* Creates the audio context and the nodes that last for the whole session
+*/
+let startAudio = () => {
+    let AudioContext = window.AudioContext || window.webkitAudioContext;
+    if(!AudioContext) {
+        return;
+    };
+
+    ctx = new AudioContext();
+    CHANNELS.forEach(channel => {
+        buses[channel] = ctx.createGain();
+        buses[channel].gain.value = 0;
+        buses[channel].connect(channel == 'master' ? ctx.destination : buses.master);
+    });
+    applySettings();
+
+    noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    let data = noise.getChannelData(0);
+    for(let i=0; i<data.length; i++) {
+        data[i] = Math.random()*2 - 1;
+    };
+
+    // Thruster hum, a low sawtooth softened by a lowpass filter that opens up with speed
+    let osc = ctx.createOscillator();
+    let filter = ctx.createBiquadFilter();
+    let gain = ctx.createGain();
+    osc.type = 'sawtooth';
+    osc.frequency.value = 55;
+    filter.type = 'lowpass';
+    filter.frequency.value = 200;
+    gain.gain.value = 0;
+    osc.connect(filter).connect(gain).connect(buses.sfx);
+    osc.start();
+    engine = { osc, filter, gain };
+};
+
+/*
+* Plays a note on the given channel
+* type: oscillator wave type
+* freq: frequency at the start, and at the end when given as [start, end]
+* start/length: start time from now and duration in seconds
+* volume: peak volume of the note
+*/
+let tone = (channel, type, freq, start, length, volume) => {
+    let [from, to] = [].concat(freq, freq);
+    let time = ctx.currentTime + start;
+    let osc = ctx.createOscillator();
+    let gain = ctx.createGain();
+
+    osc.type = type;
+    osc.frequency.setValueAtTime(from, time);
+    osc.frequency.exponentialRampToValueAtTime(to, time + length);
+    gain.gain.setValueAtTime(0.0001, time);
+    gain.gain.exponentialRampToValueAtTime(volume, time + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, time + length);
+    osc.connect(gain).connect(buses[channel]);
+    osc.start(time);
+    osc.stop(time + length);
+};
+
+/*
+* Plays a burst of noise through a filter on the sfx channel
+* type: filter type
+* freq: filter frequency at the start and at the end ([start, end])
+* length: duration in seconds
+* volume: peak volume of the burst
+*/
+let burst = (type, freq, length, volume) => {
+    let time = ctx.currentTime;
+    let src = ctx.createBufferSource();
+    let filter = ctx.createBiquadFilter();
+    let gain = ctx.createGain();
+
+    src.buffer = noise;
+    filter.type = type;
+    filter.frequency.setValueAtTime(freq[0], time);
+    filter.frequency.exponentialRampToValueAtTime(freq[1], time + length);
+    gain.gain.setValueAtTime(volume, time);
+    gain.gain.exponentialRampToValueAtTime(0.0001, time + length);
+    src.connect(filter).connect(gain).connect(buses.sfx);
+    src.start(time);
+    src.stop(time + length);
+};
+
+// Every sound effect by name
+const SOUNDS = {
+    // Rising whoosh when turbo kicks in
+    turbo: () => {
+        burst('bandpass', [400, 2400], 0.35, 0.5);
+        tone('sfx', 'square', [220, 440], 0, 0.25, 0.05);
+    },
+
+    // Two bright notes on a fuel pickup
+    fuel: () => {
+        tone('sfx', 'triangle', 988, 0, 0.12, 0.3);
+        tone('sfx', 'triangle', 1319, 0.08, 0.3, 0.3);
+    },
+
+    // Quick rising arpeggio on a power-up
+    power: () => {
+        [659, 831, 988, 1319].forEach((freq, i) => tone('sfx', 'square', freq, i*0.05, 0.1, 0.12));
+    },
+
+    // Glassy crack when the shield takes a hit
+    shield: () => {
+        burst('highpass', [3000, 800], 0.4, 0.6);
+        tone('sfx', 'sawtooth', [880, 220], 0, 0.35, 0.15);
+    },
+
+    // Rumbling boom when a rock hits the ship
+    explosion: () => {
+        burst('lowpass', [1800, 60], 1.2, 1);
+        tone('sfx', 'sine', [120, 30], 0, 0.8, 0.6);
+    }
+};
+
+/*
+* Plays the sound effect of the given name (see SOUNDS), does nothing until audio has started
+*/
+export let playSound = name => {
+    if(ctx) {
+        SOUNDS[name]();
+    };
+};
+
+/*
+* Plays the ending jingle of the given landmark on the music channel, does nothing until audio has started
+*/
+export let playJingle = name => {
+    if(ctx) {
+        JINGLES[name].forEach(([freq, start, length]) => {
+            tone('music', 'square', freq, start, length, 0.15);
+            tone('music', 'triangle', freq/2, start, length, 0.3);
+        });
+    };
+};
+
+/*
+* Sets the thruster hum from the ship's speed (0 when silent), called every frame of play
+* turbo: brightens the hum while turbo is being spent
+*/
+export let setEngine = (spd, turbo = false) => {
+    if(!engine) {
+        return;
+    };
+
+    let time = ctx.currentTime;
+    engine.gain.gain.setTargetAtTime(Math.min(spd, 1)*0.25, time, 0.05);
+    engine.osc.frequency.setTargetAtTime(55 + spd*60 + (turbo ? 30 : 0), time, 0.05);
+    engine.filter.frequency.setTargetAtTime(200 + spd*600 + (turbo ? 800 : 0), time, 0.05);
+};
+
+/*
+* Returns the audio settings ({master, sfx, music, mute})
+*/
+export let getAudioSettings = () => settings;
+
+/*
+* Changes and saves the volume of the given channel, or mute when the channel is 'mute'
+*/
+export let setAudio = (channel, value) => {
+    settings[channel] = value;
+    writeStore(AUDIO_KEY, settings);
+    applySettings();
+};
+
+/*
+* Loads the audio settings and waits for the first user gesture to start audio, call once on startup
+* Later gestures resume the context in case the browser suspended it
+*/
+export let initAudio = () => {
+    settings = loadSettings();
+
+    let unlock = () => {
+        if(!ctx) {
+            startAudio();
+        } else if(ctx.state == 'suspended') {
+            ctx.resume();
+        };
+    };
+    ['keydown', 'pointerdown'].forEach(type => {
+        window.addEventListener(type, unlock);
+    });
+};
@@ -0,0 +1,247 @@
+/*
+* Collision detection for the simulation
+* Each entity kind has a hitbox shape, circle or convex polygon, defined around its center before rotation and scaling
+* A spatial grid (broad phase) finds the entities near each other, which are then tested exactly (narrow phase)
+*/
+
+/*
+* Creates a circle hitbox of the given radius
+*/
+export let circle = r => ({ type: 'circle', r });
+
+/*
+* Creates a convex polygon hitbox from the given points, listed in order around the shape
+*/
+export let polygon = points => ({ type: 'poly', points });
+
+/*
+* Hitboxes of every entity kind, kept a little inside of their images so grazes are forgiven
+* The player's ship points along rotation 0 (to the right)
+*/
+export const HITBOXES = {
+    player: polygon([{x: 2.5, y: 0}, {x: 0, y: 2.5}, {x: -2.5, y: 2}, {x: -2.5, y: -2}, {x: 0, y: -2.5}]),
+    rock: circle(2.5),
+    fuel: circle(3),
+    pickup: circle(3),
+    moon: circle(5),
+    earth: circle(7)
+};
+
+// Width and height of a cell of the spatial grid, a little over the size of the largest moving entity
+export const CELL_SIZE = 16;
+
+/*
+* Rotates a point around the origin by the given angle in radians
+* Return the rotated point
+*/
+export let rotatePoint = (point, angle) => {
+    let sin = Math.sin(angle);
+    let cos = Math.cos(angle);
+
+    return {
+        x: point.x * cos - point.y * sin,
+        y: point.x * sin + point.y * cos
+    };
+};
+
+/*
+* Places the hitbox of the given entity in the world, accounting for its position, rotation and scale (entity.scale, 1 by default)
+* Return {type: 'circle', x, y, r} or {type: 'poly', points} in world coordinates
+*/
+export let getShape = entity => {
+    let hitbox = HITBOXES[entity.kind];
+    let scale = entity.scale || 1;
+
+    if(hitbox.type == 'circle') {
+        return { type: 'circle', x: entity.x, y: entity.y, r: hitbox.r*scale };
+    };
+
+    return {
+        type: 'poly',
+        points: hitbox.points.map(point => {
+            let p = rotatePoint({ x: point.x*scale, y: point.y*scale }, entity.rotation || 0);
+            return { x: p.x + entity.x, y: p.y + entity.y };
+        })
+    };
+};
+
+/*
+* Obtains the axis aligned bounding box of a placed shape
+* Return {x1, y1, x2, y2}
+*/
+let getBounds = shape => {
+    if(shape.type == 'circle') {
+        return { x1: shape.x - shape.r, y1: shape.y - shape.r, x2: shape.x + shape.r, y2: shape.y + shape.r };
+    };
+
+    let xs = shape.points.map(p => p.x);
+    let ys = shape.points.map(p => p.y);
+    return { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+};
+
+/*
+* Projects a placed shape on the given (normalized) axis
+* Return the min and max of the shape along the axis
+*/
+let project = (shape, axis) => {
+    if(shape.type == 'circle') {
+        let center = shape.x*axis.x + shape.y*axis.y;
+        return { min: center - shape.r, max: center + shape.r };
+    };
+
+    let min = Infinity;
+    let max = -Infinity;
+    shape.points.forEach(p => {
+        let d = p.x*axis.x + p.y*axis.y;
+        min = Math.min(min, d);
+        max = Math.max(max, d);
+    });
+
+    return { min, max };
+};
+
+/*
+* Obtains the normalized normal of every edge of a placed polygon
+* Return an array of axes
+*/
+let edgeAxes = shape => shape.points.map((p, i) => {
+    let next = shape.points[(i+1)%shape.points.length];
+    let x = -(next.y - p.y);
+    let y = next.x - p.x;
+    let length = Math.hypot(x, y) || 1;
+
+    return { x: x/length, y: y/length };
+});
+
+/*
+* Obtains the center of a placed shape
+* Return the center point
+*/
+let center = shape => {
+    if(shape.type == 'circle') {
+        return { x: shape.x, y: shape.y };
+    };
+
+    return {
+        x: shape.points.reduce((sum, p) => sum + p.x, 0)/shape.points.length,
+        y: shape.points.reduce((sum, p) => sum + p.y, 0)/shape.points.length
+    };
+};
+
+/*
+* Tests two placed shapes for overlap
+* Circles are compared by distance, anything with a polygon uses the Separating Axis Theorem (SAT)
+* Return the contact {normal, depth} when they overlap, with the normal pointing from a to b, null otherwise
+*/
+export let testShapes = (a, b) => {
+    let ca = center(a);
+    let cb = center(b);
+
+    if(a.type == 'circle' && b.type == 'circle') {
+        let dx = cb.x - ca.x;
+        let dy = cb.y - ca.y;
+        let dist = Math.hypot(dx, dy);
+        let depth = a.r + b.r - dist;
+        if(depth <= 0) {
+            return null;
+        };
+
+        return { normal: dist ? { x: dx/dist, y: dy/dist } : { x: 1, y: 0 }, depth };
+    };
+
+    // Axes to test are the edge normals of each polygon, plus the axis towards a circle from the polygon's closest vertex
+    let axes = [];
+    [a, b].forEach((shape, i) => {
+        let other = i ? a : b;
+        if(shape.type == 'poly') {
+            axes.push(...edgeAxes(shape));
+        } else {
+            let closest = other.points.reduce((best, p) => Math.hypot(p.x - shape.x, p.y - shape.y) < Math.hypot(best.x - shape.x, best.y - shape.y) ? p : best);
+            let length = Math.hypot(closest.x - shape.x, closest.y - shape.y) || 1;
+            axes.push({ x: (closest.x - shape.x)/length, y: (closest.y - shape.y)/length });
+        };
+    });
+
+    let contact = null;
+    for(let i=0; i<axes.length; i++) {
+        let pa = project(a, axes[i]);
+        let pb = project(b, axes[i]);
+
+        // A separating axis means no overlap
+        let depth = Math.min(pa.max, pb.max) - Math.max(pa.min, pb.min);
+        if(depth <= 0) {
+            return null;
+        };
+
+        if(!contact || depth < contact.depth) {
+            contact = { normal: axes[i], depth };
+        };
+    };
+
+    // Points the normal from a to b
+    let normal = contact.normal;
+    if((cb.x - ca.x)*normal.x + (cb.y - ca.y)*normal.y < 0) {
+        normal = { x: -normal.x, y: -normal.y };
+    };
+
+    return { normal, depth: contact.depth };
+};
+
+/*
+* Tests two entities for overlap of their hitboxes
+* Return the contact {normal, depth} when they overlap, null otherwise
+*/
+export let collide = (a, b) => testShapes(getShape(a), getShape(b));
+
+/*
+* Finds every pair of overlapping entities
+* Entities are sorted into the cells of a spatial grid by their bounding box, only entities sharing a cell
+* whose bounding boxes overlap are tested exactly
+* filter: optional function (a, b) deciding if a pair of entities should be tested at all
+* tested: optional array collecting every pair [a, b] tested exactly, used by the debug overlay
+* Return an array of collision pairs {a, b, normal, depth}, with the normal pointing from a to b
+*/
+export let getCollisions = (entities, filter = () => true, cellSize = CELL_SIZE, tested = null) => {
+    let shapes = entities.map(getShape);
+    let bounds = shapes.map(getBounds);
+    let grid = new Map();
+    let seen = new Set();
+    let pairs = [];
+
+    bounds.forEach((box, i) => {
+        for(let cx = Math.floor(box.x1/cellSize); cx <= Math.floor(box.x2/cellSize); cx++) {
+            for(let cy = Math.floor(box.y1/cellSize); cy <= Math.floor(box.y2/cellSize); cy++) {
+                let key = cx + ',' + cy;
+                let cell = grid.get(key);
+                if(!cell) {
+                    grid.set(key, cell = []);
+                };
+
+                // Tests against the entities already in the cell, each pair only once
+                cell.forEach(j => {
+                    let id = j*entities.length + i;
+                    if(seen.has(id)) {
+                        return;
+                    };
+                    seen.add(id);
+
+                    let other = bounds[j];
+                    if(other.x1 > box.x2 || other.x2 < box.x1 || other.y1 > box.y2 || other.y2 < box.y1 || !filter(entities[j], entities[i])) {
+                        return;
+                    };
+
+                    if(tested) {
+                        tested.push([entities[j], entities[i]]);
+                    };
+                    let contact = testShapes(shapes[j], shapes[i]);
+                    if(contact) {
+                        pairs.push({ a: entities[j], b: entities[i], ...contact });
+                    };
+                });
+                cell.push(i);
+            };
+        };
+    });
+
+    return pairs;
+};
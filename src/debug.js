@@ -0,0 +1,169 @@
+/*
+* The developer overlay, for tuning collisions and difficulty
+* Draws every hitbox (pairs tested by the narrow phase in yellow, overlapping ones in red) and a panel of frame timings
+* and run stats, and can pause, single-step or slow down the game loop
+* Keys (only while the overlay is shown): ` toggles the overlay, [ pauses/resumes, ] steps one frame while paused,
+* \ cycles slow motion
+* Only wired up inside the DEBUG blocks of game.js, which npm run build leaves out and npm run build:debug keeps
+* (see rollup.config.js)
+*/
+import { getContext } from '../node_modules/kontra/kontra.mjs'; // (used for rollup)
+import { getShape, getCollisions, CELL_SIZE } from './collision.js';
+import { getBodies, getRockCap, splitsOnHit, VIEW_SIZE } from './sim.js';
+
+// Slow motion steps, the game updating once every so many frames
+const SLOW_STEPS = [1, 2, 4, 8];
+
+/*
+* shown: whether the overlay is drawn and its keys are active
+* paused/steps: whether updates are frozen, and frames left to run while frozen
+* slow: index of the slow motion step in SLOW_STEPS, ticks: frames skipped since the last update
+* timing: duration of the last update and render in milliseconds, and frames per second rendered
+*/
+let shown = false;
+let paused = false;
+let steps = 0;
+let slow = 0;
+let ticks = 0;
+let timing = { update: 0, render: 0, fps: 0 };
+let fpsCount = 0;
+let fpsStart = 0;
+
+/*
+* Draws a placed shape (see getShape) outlined in the given color
+*/
+let drawShape = (context, shape, color) => {
+    context.strokeStyle = color;
+    context.beginPath();
+    if(shape.type == 'circle') {
+        context.arc(shape.x, shape.y, shape.r, 0, Math.PI*2);
+    } else {
+        shape.points.forEach((p, i) => i ? context.lineTo(p.x, p.y) : context.moveTo(p.x, p.y));
+        context.closePath();
+    };
+    context.stroke();
+};
+
+/*
+* Draws the hitboxes of the given state, repeating the collision tests the simulation runs on its entities
+*/
+let renderHitboxes = (context, state) => {
+    let tested = [];
+    let pairs = getCollisions(getBodies(state), (a, b) => a == state.player || b == state.player, CELL_SIZE, tested);
+    if(state.level.rocks.split) {
+        pairs.push(...getCollisions(state.rocks, (a, b) => splitsOnHit(state.level, a, b), CELL_SIZE, tested));
+    };
+
+    let colors = new Map();
+    tested.forEach(pair => pair.forEach(entity => colors.set(entity, 'yellow')));
+    pairs.forEach(pair => [pair.a, pair.b].forEach(entity => colors.set(entity, 'red')));
+
+    context.save();
+    context.translate(-Math.round(state.camera.x), -Math.round(state.camera.y));
+    context.lineWidth = 0.5;
+    getBodies(state).forEach(entity => drawShape(context, getShape(entity), colors.get(entity) || 'lime'));
+
+    // Lines between tested pairs show what the broad phase let through
+    context.strokeStyle = 'rgba(255, 255, 0, 0.5)';
+    tested.forEach(([a, b]) => {
+        context.beginPath();
+        context.moveTo(a.x, a.y);
+        context.lineTo(b.x, b.y);
+        context.stroke();
+    });
+    context.restore();
+};
+
+/*
+* Draws the stats panel of the given state in the top right corner
+*/
+let renderPanel = (context, state) => {
+    let player = state.player;
+    let lines = [
+        `FPS ${timing.fps}  upd ${timing.update.toFixed(2)}ms  rnd ${timing.render.toFixed(2)}ms`,
+        `rocks ${state.rocks.length}/${getRockCap(state.level, state.score)}  spawn ${state.spawn}`,
+        `gameSize ${state.gameSize}  frame ${state.frame}`,
+        `spd ${player.spd.toFixed(2)}  tbo ${player.tbo}  tboCD ${player.tboCD}`,
+        paused ? 'PAUSED  ] step' : SLOW_STEPS[slow] > 1 ? `SLOW 1/${SLOW_STEPS[slow]}` : ''
+    ];
+
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(VIEW_SIZE-150, 28, 148, lines.length*9 + 4);
+    context.fillStyle = 'white';
+    context.font = '8px monospace';
+    context.textAlign = 'left';
+    context.textBaseline = 'top';
+    lines.forEach((line, i) => context.fillText(line, VIEW_SIZE-148, 30 + i*9));
+};
+
+/*
+* Wraps the game loop's update function, freezing, stepping or slowing it down and timing it
+* Return the wrapped function
+*/
+export let debugUpdate = update => () => {
+    if(paused) {
+        if(!steps) {
+            return;
+        };
+        steps--;
+    } else if(++ticks < SLOW_STEPS[slow]) {
+        return;
+    };
+    ticks = 0;
+
+    let start = performance.now();
+    update();
+    timing.update = performance.now() - start;
+};
+
+/*
+* Wraps the game loop's render function, timing it and drawing the overlay over it when shown
+* getState: returns the state of the current run, or null when no run is being shown
+* Return the wrapped function
+*/
+export let debugRender = (render, getState) => () => {
+    let start = performance.now();
+    render();
+    timing.render = performance.now() - start;
+
+    fpsCount++;
+    if(start - fpsStart >= 1000) {
+        timing.fps = fpsCount;
+        fpsCount = 0;
+        fpsStart = start;
+    };
+
+    let state = getState();
+    if(shown && state) {
+        let context = getContext();
+        context.save();
+        renderHitboxes(context, state);
+        renderPanel(context, state);
+        context.restore();
+    };
+};
+
+/*
+* Listens for the overlay's keys, call once on startup
+*/
+export let initDebug = () => {
+    window.addEventListener('keydown', evt => {
+        if(evt.key == '`') {
+            shown = !shown;
+            paused = false;
+            slow = 0;
+            return;
+        };
+        if(!shown) {
+            return;
+        };
+
+        if(evt.key == '[') {
+            paused = !paused;
+        } else if(evt.key == ']' && paused) {
+            steps++;
+        } else if(evt.key == '\\') {
+            slow = (slow + 1)%SLOW_STEPS.length;
+        };
+    });
+};
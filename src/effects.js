@@ -0,0 +1,182 @@
+/*
+* Visual effects: particles and screen shake
+* Particles are pooled kontra Sprites in world coordinates, purely cosmetic so they use Math.random rather than the
+* simulation's seeded rng (replays stay exact)
+* The "reduced effects" setting lowers the particle cap and emission for low-end devices, screen shake can be turned off
+*/
+import { Sprite, Pool } from '../node_modules/kontra/kontra.mjs'; // (used for rollup)
+import { readStore, writeStore } from './storage.js';
+
+const EFFECTS_KEY = 'lost-in-the-distance-effects';
+
+// Most particles alive at once, with full and with reduced effects
+const PARTICLE_CAP = 300;
+const REDUCED_CAP = 60;
+
+const DEFAULT_SETTINGS = { reduced: false, shake: true };
+
+/*
+* settings: effect settings, kept between sessions
+* pool: the particle pool, null until initEffects
+* quake: strength and frames left of the current screen shake
+*/
+let settings = null;
+let pool = null;
+let quake = { strength: 0, frames: 0 };
+
+/*
+* Emits a particle unless the cap is reached
+* props: Sprite properties of the particle, ttl being its life in frames, over which it fades out
+*/
+let emit = props => {
+    if(pool.size < (settings.reduced ? REDUCED_CAP : PARTICLE_CAP)) {
+        pool.get({ width: 1, height: 1, opacity: 1, ...props, life: props.ttl });
+    };
+};
+
+/*
+* Emits particles spreading out from the given point in every direction
+* count: number of particles, halved with reduced effects
+* speed: [min, max] speed of the particles
+* ttl: [min, max] life of the particles in frames
+* colors: colors picked from at random
+*/
+let spray = (x, y, count, speed, ttl, colors, size = 1) => {
+    count = settings.reduced ? Math.ceil(count/2) : count;
+    for(let i=0; i<count; i++) {
+        let angle = Math.random()*Math.PI*2;
+        let spd = speed[0] + Math.random()*(speed[1] - speed[0]);
+        emit({
+            x,
+            y,
+            dx: Math.cos(angle)*spd,
+            dy: Math.sin(angle)*spd,
+            ttl: Math.round(ttl[0] + Math.random()*(ttl[1] - ttl[0])),
+            color: colors[Math.floor(Math.random()*colors.length)],
+            width: size,
+            height: size
+        });
+    };
+};
+
+/*
+* Emits the thruster exhaust of the given player for a frame of thrust
+* Particles leave the rear of the ship opposite to its rotation, longer and faster the faster it goes, brighter under turbo
+*/
+export let exhaust = (player, turbo = false) => {
+    if(settings.reduced && Math.random() < 0.5) {
+        return;
+    };
+
+    let cos = Math.cos(player.rotation);
+    let sin = Math.sin(player.rotation);
+    let count = turbo ? 3 : 1;
+    for(let i=0; i<count; i++) {
+        let spread = (Math.random() - 0.5)*0.6;
+        let spd = 0.3 + player.spd*0.8 + Math.random()*0.3;
+        emit({
+            x: player.x - cos*3,
+            y: player.y - sin*3,
+            dx: player.spd*cos - Math.cos(player.rotation + spread)*spd,
+            dy: player.spd*sin - Math.sin(player.rotation + spread)*spd,
+            ttl: Math.round(8 + player.spd*12 + Math.random()*6),
+            color: turbo ? ['white', '#9cf', 'yellow'][i] : ['orange', 'orangered'][Math.floor(Math.random()*2)]
+        });
+    };
+};
+
+/*
+* Bursts debris from a rock hitting the ship at the given point
+*/
+export let debris = (x, y) => {
+    spray(x, y, 40, [0.2, 1.5], [30, 70], ['white', 'orange', 'orangered', 'gray', 'darkgray'], 2);
+};
+
+/*
+* Sparkles around a fuel pickup at the given point
+*/
+export let sparkle = (x, y) => {
+    spray(x, y, 14, [0.2, 0.6], [15, 30], ['yellow', 'gold', 'white']);
+};
+
+/*
+* Shakes the screen with the given strength in pixels for the given number of frames, does nothing when shake is off
+*/
+export let shake = (strength, frames) => {
+    if(settings.shake && !settings.reduced) {
+        quake = { strength, frames };
+    };
+};
+
+/*
+* Returns the current screen shake offset {x, y} to apply to the view
+*/
+export let getShake = () => {
+    if(quake.frames <= 0) {
+        return { x: 0, y: 0 };
+    };
+
+    return {
+        x: Math.round((Math.random()*2 - 1)*quake.strength),
+        y: Math.round((Math.random()*2 - 1)*quake.strength)
+    };
+};
+
+/*
+* Moves and fades every particle and calms the screen shake, called once per frame
+*/
+export let updateEffects = () => {
+    pool.update();
+    pool.getAliveObjects().forEach(particle => {
+        particle.opacity = particle.ttl/particle.life;
+    });
+
+    if(quake.frames > 0) {
+        quake.frames--;
+        quake.strength *= 0.9;
+    };
+};
+
+/*
+* Renders every particle, call with the context translated to world coordinates
+*/
+export let renderEffects = () => {
+    pool.render();
+};
+
+/*
+* Removes every particle and stops the screen shake, used when a run starts
+*/
+export let clearEffects = () => {
+    pool.clear();
+    quake = { strength: 0, frames: 0 };
+};
+
+/*
+* Returns the effect settings ({reduced, shake})
+*/
+export let getEffectSettings = () => settings;
+
+/*
+* Changes and saves the given effect setting
+*/
+export let setEffect = (name, value) => {
+    settings[name] = value;
+    writeStore(EFFECTS_KEY, settings);
+    if(value && name == 'reduced') {
+        clearEffects();
+    };
+};
+
+/*
+* Loads the effect settings and creates the particle pool, call once after kontra's init
+*/
+export let initEffects = () => {
+    let saved = readStore(EFFECTS_KEY, {}) || {};
+    settings = {};
+    Object.keys(DEFAULT_SETTINGS).forEach(name => {
+        settings[name] = typeof saved[name] == 'boolean' ? saved[name] : DEFAULT_SETTINGS[name];
+    });
+
+    pool = Pool({ create: Sprite, maxSize: PARTICLE_CAP });
+};
@@ -1,108 +1,153 @@
-import { init, Sprite, GameLoop, load, imageAssets, setImagePath, initKeys, keyPressed, randInt, rotatePoint, Text, Vector } from '../node_modules/kontra/kontra.mjs'; // (used for rollup)
-// let { init, Sprite, GameLoop, load, imageAssets, setImagePath, initKeys, keyPressed, randInt, rotatePoint, Text, Vector } = kontra (used when testing without a server, kontra library should be included as a source in index.html);
+import { init, Sprite, GameLoop, load, imageAssets, setImagePath, initKeys, getContext, Text } from '../node_modules/kontra/kontra.mjs'; // (used for rollup)
+// let { init, Sprite, GameLoop, load, imageAssets, setImagePath, initKeys, getContext, Text } = kontra (used when testing without a server, kontra library should be included as a source in index.html);
+import { createRecorder, createPlayback, exportReplay, importReplay } from './replay.js';
+import { createState, step, VIEW_SIZE, PLAYING, HIT, MOON, EARTH, NO_FUEL } from './sim.js';
+import { loadLevels, DEFAULT_LEVEL } from './levels.js';
+import { getScores, getBest, addScore } from './scores.js';
+import { readStore, writeStore } from './storage.js';
+import { initInput, readControls, actionTapped, updateInput, getBindings, rebind, resetBindings, isTouchUsed, ACTIONS, ACTION_NAMES, TOUCH_BUTTONS } from './input.js';
+import { initAudio, playSound, playJingle, setEngine, getAudioSettings, setAudio, CHANNELS, CHANNEL_NAMES, VOLUME_STEPS } from './audio.js';
+import { initEffects, exhaust, debris, sparkle, shake, getShake, updateEffects, renderEffects, clearEffects, getEffectSettings, setEffect } from './effects.js';
+import { getGhost, saveGhost, createGhostRun, getDailyDate, getDailySeed, getDailyBoard, downloadGhost, openGhostFile, DAILY } from './ghost.js';
+import { createScenes } from './scenes.js';
+// @ifdef DEBUG
+import { initDebug, debugUpdate, debugRender } from './debug.js';
+// @endif
+import { createMenu } from './menu.js';
 
 init();
 initKeys();
+initInput();
+initAudio();
+initEffects();
+// @ifdef DEBUG
+initDebug();
+// @endif
 setImagePath('assets/img/');
 
+// Replay of the last finished run, kept across runs so it can be watched or exported
+let lastReplay = null;
+
+// Key of the level selected in the start menu, kept between sessions
+const LEVEL_KEY = 'lost-in-the-distance-level';
+
+// Short names of each ending for the leaderboard
+const ENDING_NAMES = {
+    [HIT]: 'Hit',
+    [MOON]: 'Moon',
+    [EARTH]: 'Earth',
+    [NO_FUEL]: 'Drift'
+};
+
+// Text shown for each ending on the game over screen
+const ENDING_TEXTS = {
+    [HIT]: "You got hit",
+    [MOON]: "You land on the moon\nEnd1/2",
+    [EARTH]: "You returned to earth!\nEnd2/2",
+    [NO_FUEL]: "You ran out of fuel\nDrifting forever..."
+};
+
+// Color and letter drawn for each type of power-up
+const PICKUP_LOOKS = {
+    shield: ['deepskyblue', 'S'],
+    turbo: ['yellow', 'T'],
+    slow: ['violet', 'Z'],
+    magnet: ['orangered', 'M']
+};
+
+// Names of the timed power-up effects shown in the HUD
+const EFFECT_NAMES = {
+    shield: 'Shield',
+    slow: 'Slow',
+    magnet: 'Magnet'
+};
+
 /*
-* Updates canvas by increasing the width and height based on player score
-* Return the size of the canvas
+* Formats a run time given in frames
+* Return the time in seconds as text
 */
-let updtCanvas = (score=0) => {
-    let canvas = document.getElementById("game");
-    canvas.height = canvas.width = Math.floor(160 * Math.min(score/100, 1))+160;
+let fmtTime = frames => (frames/60).toFixed(1) + 's';
 
-    return canvas.width;
-};
+/*
+* Creates the text of how well a ghost's run went
+* Return its time when it reached earth, its score otherwise
+*/
+let ghostText = ghost => ghost.ending == EARTH ? fmtTime(ghost.time) : ghost.score + ' pts';
 
 /*
-* Obtains the vertices of a given object and accounts for any rotations
-* Used in the checkSAT function
-* Return an array of vertices of given object
+* Creates the text of the leaderboard screen for the given leaderboard id (a level id or a daily challenge's)
+* Return the text listing every saved run of the level
 */
-let getV = obj => {
-    let objX = obj.x;
-    let objY = obj.y;
-    let objHW = obj.width/2-2;
-    let objHH = obj.height/2-2;
-    let objR = obj.rotation;
-    let objOP = [ rotatePoint({x: (objX - objHW - objX), y: (objY - objHH - objY)}, objR), 
-                    rotatePoint({x: (objX + objHW - objX), y: (objY - objHH - objY)}, objR), 
-                    rotatePoint({x: (objX - objHW - objX), y: (objY + objHH - objY)}, objR), 
-                    rotatePoint({x: (objX + objHW - objX), y: (objY + objHH - objY)}, objR) ];
-
-    let objV = [];
-    for (let i=0; i<4; i++) {
-        objV.push( {x: (objOP[i].x + objX), y: (objOP[i].y + objY)} );
+let scoresText = level => {
+    let scores = getScores(level);
+    if(!scores.length) {
+        return "No scores yet";
     };
 
-    return objV;
+    return "# Name Score End Time Fuel Turbo\n" +
+        scores.map((entry, i) => `${i+1}. ${entry.name} ${entry.score} ${ENDING_NAMES[entry.ending]} ${fmtTime(entry.time)} ${entry.fuel} ${entry.tbo}`).join('\n');
 };
 
 /*
-* A collision checker for two given objects that accounts for rotation
-* Uses the Separating Axis Theorem (SAT)
-* Return true for collision between two given objects, false otherwise
+* Creates the text of an action's bindings for the settings screen
+* Return the action's name with the keys and gamepad buttons bound to it
 */
-let checkSAT = (obj1, obj2) => {
-    let obj1V = getV(obj1);
-
-    // Loops through each edge of obj1
-    for (let i=0; i<4; i++) {
-        // Normalize the normal line of each edge to obtain the axis
-        let axis = Vector(-(obj1V[(i+1)%4].y - obj1V[i%4].y), (obj1V[(i+1)%4].x - obj1V[i%4].x));
-        axis = axis.normalize();
-
-        // Finds the min and max points on axis of obj1
-        let obj1min = axis.dot(obj1V[0]);
-        let obj1max = obj1min;
-        for(let j=0; j<4; j++) {
-            let vertex = axis.dot(obj1V[j]);
-            obj1min = Math.min(obj1min, vertex);
-            obj1max = Math.max(obj1max, vertex);
-        };
-
-        let obj2V = getV(obj2);
-
-        // Finds the min and max points on axis of obj2
-        let obj2min = axis.dot(obj2V[0]);
-        let obj2max = obj2min;
-        for(let j=0; j<4; j++) {
-            let vertex = axis.dot(obj2V[j]);
-            obj2min = Math.min(obj2min, vertex);
-            obj2max = Math.max(obj2max, vertex);
-        };
-        
-        // Checks if min and max points of both objects overlap, returns true if there is no overlap
-        if(obj1max < obj2min || obj1min > obj2max) {
-            return true;
-        };
-    };
+let bindingText = action => `${ACTION_NAMES[action]}: ${getBindings()[action].keys.join('/')} ${getBindings()[action].buttons.map(button => 'pad' + button).join('/')}`;
 
-    return false;
-};
+/*
+* Creates the settings menu item of a volume channel, raising the volume on each select and wrapping back to 0
+* Return the menu item
+*/
+let volumeItem = channel => ({
+    label: () => `${CHANNEL_NAMES[channel]}: ${getAudioSettings()[channel]}/${VOLUME_STEPS}`,
+    select: () => setAudio(channel, (getAudioSettings()[channel] + 1)%(VOLUME_STEPS + 1))
+});
 
 /*
-* A function called to start or restart (if gameOn) the game
-* Loads all assets required
-* Initializes and creates all game variables, sprite objects, and factories required
-* All game events occur within this function in the game loop
+* A function called once to start the game
+* Loads all assets and level presets required, once for every run, showing what went wrong when they cannot be loaded
+* Creates the sprites drawing the simulation state (see sim.js), which holds all game rules
+* Creates the scenes of each screen and runs the current one in the game loop
 */
-let gameStart = (gameOn = false) => {
-    load('map-indexed.png', 'player.png', 'rock.png', 'fuel.png', 'earth.png', 'moon.png').then(
-        () => {
+let gameStart = () => {
+    Promise.all([load('map-indexed.png', 'player.png', 'rock.png', 'fuel.png', 'earth.png', 'moon.png'), loadLevels()]).then(
+        ([assets, levels]) => {
             /*
-            * rockArr: contains an array of individual rock objects for update and render purposes
-            * fuel: keeps track of the fuel object
-            * spawn: sets the spawn rate for rocks
-            * gameSize: keeps track of the current map size
+            * levelIds: ids of the valid level presets, in menu order
+            * levelId: id of the level selected in the start menu
+            * runLevel: id of the level of the current run, which differs from levelId when watching another level's replay
+            * dailyLevel: id of the level daily challenges are played on
             */
-            let rockArr = [];
-            let fuel = null;
-            let spawn = 60;
-            let gameState = 0;
-            let gameSize = updtCanvas();
+            let levelIds = Object.keys(levels);
+            if(!levelIds.length) {
+                throw Error('No valid levels to play');
+            };
+            let levelId = readStore(LEVEL_KEY, DEFAULT_LEVEL);
+            if(!levels[levelId]) {
+                levelId = levels[DEFAULT_LEVEL] ? DEFAULT_LEVEL : levelIds[0];
+            };
+            let runLevel = levelId;
+            let dailyLevel = levels[DEFAULT_LEVEL] ? DEFAULT_LEVEL : levelIds[0];
+
+            /*
+            * state: the world state of the current run, advanced one frame at a time by step
+            * recorder/playback: records the player's controls each frame, or feeds back those of the replay being watched
+            * runParams: params the current run was started with, so restarting plays the same kind of run
+            * runDaily: day of the daily challenge being played, null for other runs
+            * runBoard: id of the leaderboard the current run is ranked on, its level's or the daily challenge's
+            * ghost: the ghost raced in the current run with its run played alongside (see createGhostRun), null when there is none
+            * ghostKey: key the current run is saved under as a ghost when it beats the saved one, null for replays
+            * newGhost: whether the last finished run was saved as the new ghost
+            */
+            let state = createState(undefined, levels[levelId]);
+            let recorder = null;
+            let playback = null;
+            let runParams = {};
+            let runDaily = null;
+            let runBoard = runLevel;
+            let ghost = null;
+            let ghostKey = null;
+            let newGhost = false;
 
             let bkgd = Sprite({
                 x: 0,
@@ -110,270 +155,689 @@ let gameStart = (gameOn = false) => {
                 image: imageAssets['map-indexed']
             });
 
-            // Text rendering for menu screen
+            // Text rendering for menu screens
             let mMenuTxt = Text({
                 anchor: {x: 0.5, y:0.5},
-                x: gameSize/2,
-                y: gameSize/2,
+                x: VIEW_SIZE/2,
+                y: VIEW_SIZE/2,
                 font: '14px Arial',
                 color: 'white',
                 text: "",
-                textAlign: 'center',
-                update: function() {
-                    this.x = gameSize/2
-                    this.y = this.x
-                    if(gameState == 1) {
-                        this.text = "You got hit\nENTER to restart";
-                    } else if(!gameOn) {
-                        this.text = "ENTER to start";
-                    } else if(gameState == 2) {
-                        this.text = "You land on the moon\nEnd1/2\nENTER to restart";
-                    } else {
-                        this.text = "You returned to earth!\nEnd2/2\nENTER to restart";
-                    };
-                    if(keyPressed('enter')) {
-                        lp.stop();
-                        gameStart(true);
-                    };
-                }
+                textAlign: 'center'
             });
 
-            // Vector clamp used to keep player within game boundry
-            let vector = Vector(80, 80);
-            vector.clamp(0, 0, 160, 160);
-            let player = Sprite({
-                anchor: {x: 0.5, y:0.5},
-                x: vector.x,
-                y: vector.y,
-                spd: 0,
-                tbo: 100,
-                tboCD: 0,
-                rotation: 0,
-                image: imageAssets['player'],
-                update: function() {
-                    if(keyPressed('left') || keyPressed('a')) {
-                        this.rotation = (this.rotation - 0.06)%(2*Math.PI);
-                    };
-
-                    if(keyPressed('up') || keyPressed('w')) {
-                        if(keyPressed('space') && this.tbo > 0) {
-                            this.spd = Math.min(0.9, this.spd + 0.04);
-                            this.tbo -= 2;
-                            this.tboCD = 120;
-                        } else {
-                            this.spd = Math.min(0.6, this.spd + 0.03);
-                            if(this.tboCD == 0) {
-                                this.tbo = Math.min(this.tbo+1, 100);
-                            }
-                        };
-                    } else {
-                        if(this.spd > 0) {
-                            this.spd = Math.max(0, this.spd - 0.02);
-                        };
-                    };
-
-                    if(keyPressed('right') || keyPressed('d')) {
-                        this.rotation = (this.rotation + 0.06)%(2*Math.PI);
-                    };
-
-                    this.x = vector.x += Math.cos(this.rotation)*this.spd;
-                    this.y = vector.y += Math.sin(this.rotation)*this.spd;
+            /*
+            * Renders the given text in the middle of the view with the given font size
+            */
+            let renderText = (text, size = 14) => {
+                mMenuTxt.text = text;
+                mMenuTxt.font = size + 'px Arial';
+                mMenuTxt.render();
+            };
 
-                    vector.clamp(0, 0, gameSize, gameSize);
+            // Sprites drawn at the position of each matching entity in the state
+            let player = Sprite({ anchor: {x: 0.5, y: 0.5}, image: imageAssets['player'] });
+            let moon = Sprite({ anchor: {x: 0.5, y: 0.5}, image: imageAssets['moon'] });
+            let earth = Sprite({ anchor: {x: 0.5, y: 0.5}, image: imageAssets['earth'] });
+            let fuel = Sprite({ anchor: {x: 0.5, y: 0.5}, image: imageAssets['fuel'] });
+            let rock = Sprite({ anchor: {x: 0.5, y: 0.5}, image: imageAssets['rock'] });
+            let ghostShip = Sprite({ anchor: {x: 0.5, y: 0.5}, image: imageAssets['player'], opacity: 0.4 });
 
-                    if(this.tboCD > 0) {
-                        this.tboCD--;
-                    };
+            // Power-ups have no image, they are drawn as a colored orb marked with a letter (type is set before rendering)
+            let pickup = Sprite({
+                anchor: {x: 0.5, y: 0.5},
+                width: 8,
+                height: 8,
+                type: 'shield',
+                render: function() {
+                    let [color, letter] = PICKUP_LOOKS[this.type];
+                    this.context.fillStyle = color;
+                    this.context.beginPath();
+                    this.context.arc(4, 4, 4, 0, Math.PI*2);
+                    this.context.fill();
+                    this.context.fillStyle = 'black';
+                    this.context.font = '6px Arial';
+                    this.context.textAlign = 'center';
+                    this.context.textBaseline = 'middle';
+                    this.context.fillText(letter, 4, 4.5);
                 }
             });
 
-            let moon = Sprite({
+            // Ring drawn around the player while the shield is up
+            let shieldRing = Sprite({
                 anchor: {x: 0.5, y: 0.5},
-                x: randInt(208, 224),
-                y: randInt(208, 224),
-                image: imageAssets['moon']
+                width: 14,
+                height: 14,
+                render: function() {
+                    this.context.strokeStyle = PICKUP_LOOKS.shield[0];
+                    this.context.beginPath();
+                    this.context.arc(7, 7, 7, 0, Math.PI*2);
+                    this.context.stroke();
+                }
             });
 
-            let earth = Sprite({
-                anchor: {x: 0.5, y: 0.5},
-                x: randInt(248, 288),
-                y: randInt(248, 288),
-                image: imageAssets['earth']
-            });
+            /*
+            * Renders the given sprite at the position, rotation and scale of the given entity
+            */
+            let renderAt = (sprite, entity) => {
+                sprite.x = entity.x;
+                sprite.y = entity.y;
+                sprite.rotation = entity.rotation || 0;
+                sprite.scaleX = sprite.scaleY = entity.scale || 1;
+                sprite.render();
+            };
 
             // Text rendering for score
             let scrTxt = Text({
                 x: 70,
-                score: 0,
                 font: '12px Arial',
                 text: "",
                 color: 'white',
                 textAlign: 'center',
                 update: function() {
-                    this.text = "Score: " + this.score;
+                    this.text = "Score: " + state.score;
                 }
             });
 
             // Text rendering for turbo
             let tboTxt = Text({
                 font: '12px Arial',
-                text: `Turbo: ${player.tbo}`,
+                text: `Turbo: ${state.player.tbo}`,
                 color: 'white',
                 textAlign: 'center',
                 update: function() {
-                    this.text = `Turbo: ${player.tbo}`
+                    this.text = `Turbo: ${state.player.tbo}`
+                }
+            });
+
+            // Text rendering for the active power-up effects and the time left on each, drawn below the fuel gauge
+            let fxTxt = Text({
+                x: 2,
+                y: 24,
+                font: '8px Arial',
+                text: "",
+                color: 'white',
+                update: function() {
+                    this.text = Object.keys(state.effects).filter(name => state.effects[name])
+                        .map(name => `${EFFECT_NAMES[name]} ${fmtTime(state.effects[name])}`).join('\n');
+                }
+            });
+
+            // Gauge rendering for the player's fuel tank, drawn below the turbo text
+            let fuelGauge = Sprite({
+                x: 2,
+                y: 16,
+                width: 40,
+                height: 4,
+                render: function() {
+                    let ratio = state.player.fuel/state.level.fuel.max;
+                    this.context.strokeStyle = 'white';
+                    this.context.strokeRect(0, 0, this.width, this.height);
+                    this.context.fillStyle = ratio > 0.25 ? 'limegreen' : 'red';
+                    this.context.fillRect(0, 0, this.width*ratio, this.height);
+                }
+            });
+
+            // Minimap rendering in the bottom right corner, showing the whole world with the player, fuel, moon and earth (when the level has them)
+            let minimap = Sprite({
+                x: VIEW_SIZE-42,
+                y: VIEW_SIZE-42,
+                width: 40,
+                height: 40,
+                render: function() {
+                    let scale = this.width/state.gameSize;
+                    let dot = (entity, color, size) => {
+                        if(!entity) {
+                            return;
+                        };
+                        this.context.fillStyle = color;
+                        this.context.fillRect(Math.floor(entity.x*scale - size/2), Math.floor(entity.y*scale - size/2), size, size);
+                    };
+
+                    this.context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+                    this.context.fillRect(0, 0, this.width, this.height);
+                    this.context.strokeStyle = 'white';
+                    this.context.strokeRect(0, 0, this.width, this.height);
+                    dot(state.fuel, 'orange', 2);
+                    if(ghost) {
+                        dot(ghost.run.pose, 'gray', 2);
+                    };
+                    state.pickups.forEach(entity => {
+                        dot(entity, PICKUP_LOOKS[entity.type][0], 2);
+                    });
+                    dot(state.moon, 'silver', 3);
+                    dot(state.earth, 'dodgerblue', 4);
+                    dot(state.player, 'white', 2);
+                }
+            });
+
+            // On-screen touch buttons, drawn once the screen has been touched
+            let touchPad = Sprite({
+                render: function() {
+                    this.context.font = '12px Arial';
+                    this.context.textAlign = 'center';
+                    this.context.textBaseline = 'middle';
+                    TOUCH_BUTTONS.forEach(button => {
+                        this.context.strokeStyle = this.context.fillStyle = 'rgba(255, 255, 255, 0.5)';
+                        this.context.strokeRect(button.x, button.y, button.width, button.height);
+                        this.context.fillText(button.label, button.x + button.width/2, button.y + button.height/2);
+                    });
                 }
             });
 
             /*
-            * Creates a fuel object within the given map size
-            * Returns the fuel sprite object
+            * Renders the background tiled across the view, scrolling with the camera
             */
-            const fuelFactory = (size=160) => {
-                let x = randInt(30, size-30);
-                let y = randInt(30, size-30);
-
-                while((x < earth.x+10 && x > earth.x-10 && y < earth.y+10 && y > earth.y-10) || 
-                    (x < moon.x+10 && x > moon.x-10 && y < moon.y+10 && y > moon.y-10)) {
-                    x = randInt(30, size-30);
-                    y = randInt(30, size-30);
-                }
+            let renderBkgd = () => {
+                let cam = state.camera;
+                for(let x = -(cam.x % bkgd.width); x < VIEW_SIZE; x += bkgd.width) {
+                    for(let y = -(cam.y % bkgd.height); y < VIEW_SIZE; y += bkgd.height) {
+                        bkgd.x = Math.round(x);
+                        bkgd.y = Math.round(y);
+                        bkgd.render();
+                    };
+                };
+            };
 
-                return Sprite({
-                    anchor: {x: 0.5, y: 0.5},
-                    x,
-                    y,
-                    image: imageAssets['fuel']
+            /*
+            * Renders the world of the current run and the HUD over it, shaken by any screen shake
+            * wrecked: leaves out the player's ship, destroyed at the end of the run
+            */
+            let renderWorld = (wrecked = false) => {
+                let context = getContext();
+                let offset = getShake();
+                context.save();
+                context.translate(offset.x, offset.y);
+                renderBkgd();
+                scrTxt.render();
+
+                // World objects are drawn in world coordinates, offset by the camera
+                context.save();
+                context.translate(-Math.round(state.camera.x), -Math.round(state.camera.y));
+                renderEffects();
+                if(ghost) {
+                    renderAt(ghostShip, ghost.run.pose);
+                };
+                if(!wrecked) {
+                    renderAt(player, state.player);
+                    if(state.effects.shield) {
+                        renderAt(shieldRing, state.player);
+                    };
+                };
+                if(state.moon) {
+                    renderAt(moon, state.moon);
+                };
+                if(state.earth) {
+                    renderAt(earth, state.earth);
+                };
+                renderAt(fuel, state.fuel);
+                state.pickups.forEach(entity => {
+                    pickup.type = entity.type;
+                    renderAt(pickup, entity);
                 });
+                state.rocks.forEach(entity => {
+                    renderAt(rock, entity);
+                });
+                context.restore();
+                context.restore();
+
+                tboTxt.render();
+                fuelGauge.render();
+                fxTxt.render();
+                minimap.render();
             };
 
             /*
-            * Creates a rock/asteroid object on a random edge of the given map size
-            * Sets a random linear path and velocity
-            * Returns the rock sprite object
+            * Darkens the whole view, used behind menus shown over a run
             */
-            const rockFactory = (size=160) => {
-                let chooseXY = randInt(0, 1);
-                let x;
-                let y;
-                let dx;
-                let dy;
-
-                if(chooseXY) {
-                    x = randInt(0, 1)*(size+2)-1;
-                    y = randInt(0, size);
-                    dx = randInt(0, 100)*0.01*(0.65 - 0.4) + 0.4;
-
-                    if(x > 0) {
-                        dx = -dx;
-                    };
-                    dy = (randInt(0, 100)*0.01*(0.65 - 0.4) + 0.4) * (randInt(0, 1)*2-1);
-                } else {
-                    x = randInt(0, size);
-                    y = randInt(0, 1)*(size+2)-1;
-                    dx = (randInt(0, 100)*0.01*(0.65 - 0.4) + 0.4) * (randInt(0, 1)*2-1);
-                    dy = randInt(0, 100)*0.01*(0.65 - 0.4) + 0.4;
-
-                    if(y > 0) {
-                        dy = -dy;
+            let renderShade = () => {
+                let context = getContext();
+                context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+                context.fillRect(0, 0, VIEW_SIZE, VIEW_SIZE);
+            };
+
+            /*
+            * Starts a new run of the selected level
+            * params.replay: plays back the given replay on its own level instead of reading the controls
+            * params.daily: plays the day's challenge, seeded from the date, racing the day's ghost
+            * params.race: races the ghost of the given level id on its layout
+            * params.ghost: races the given ghost instead of the saved one, such as an imported ghost
+            */
+            let newRun = (params = {}) => {
+                let replay = params.replay || null;
+                let raced = params.ghost || (params.daily ? getGhost(DAILY) : params.race ? getGhost(params.race) : null);
+
+                runParams = params;
+                runDaily = params.daily ? getDailyDate() : null;
+                runLevel = replay ? replay.level : raced ? raced.replay.level : params.daily ? dailyLevel : levelId;
+                runBoard = runDaily ? getDailyBoard(runDaily) : runLevel;
+                ghostKey = replay ? null : params.daily ? DAILY : runLevel;
+                state = createState(replay ? replay.seed : raced ? raced.replay.seed : params.daily ? getDailySeed(runDaily) : undefined, levels[runLevel]);
+                ghost = raced ? { ...raced, run: createGhostRun(raced.replay, levels[runLevel]) } : null;
+                recorder = createRecorder(state.seed, runLevel);
+                playback = replay ? createPlayback(replay) : null;
+                clearEffects();
+                scrTxt.update();
+                tboTxt.update();
+                fxTxt.update();
+            };
+
+            /*
+            * Asks for a ghost file shared by someone else and races it
+            * Ghosts of today's challenge are raced in the challenge, others on their level
+            * The imported ghost is not saved, the player's own ghost is only replaced by their own runs beating it
+            */
+            let importGhostFile = () => {
+                openGhostFile().then(imported => {
+                    let level = imported.replay.level;
+                    if(!levels[level]) {
+                        throw Error(`Ghost of unknown level "${level}"`);
                     };
-                };
 
-                return Sprite({
-                    anchor: {x: 0.5, y: 0.5},
-                    x,
-                    y,
-                    dx,
-                    dy,
-                    image: imageAssets['rock']
+                    let daily = imported.daily == getDailyDate() && level == dailyLevel;
+                    scenes.go('playing', daily ? { daily: true, ghost: imported } : { race: level, ghost: imported });
+                }).catch(err => {
+                    console.error(err);
+                    if(scenes.name == 'title') {
+                        scenes.current.notice = 'Invalid ghost file';
+                    };
                 });
             };
 
-            // The game loop function checks for any events in-game and updates and renders accordingly
-            let lp = GameLoop({
-                update: function() {
-                    bkgd.update();
+            /*
+            * The screens of the game
+            * Scenes opened on top of another one (params.back) return to it with params.resume,
+            * so it carries on where it was instead of starting over
+            */
+            let scenes = createScenes({
+                title: {
+                    /*
+                    * ghost: the saved ghost of the selected level, null when there is none
+                    * notice: message shown below the menu, such as a failed import
+                    */
+                    ghost: null,
+                    notice: '',
+                    menu: createMenu([
+                        { label: 'Start', select: () => scenes.go('playing') },
+                        {
+                            label: () => 'Level: ' + levels[levelId].name,
+                            select: () => {
+                                levelId = levelIds[(levelIds.indexOf(levelId) + 1)%levelIds.length];
+                                writeStore(LEVEL_KEY, levelId);
+                                scenes.current.ghost = getGhost(levelId);
+                            }
+                        },
+                        { label: 'Daily challenge', select: () => scenes.go('playing', { daily: true }) },
+                        {
+                            label: () => scenes.current.ghost ? 'Race ghost: ' + ghostText(scenes.current.ghost) : 'Race ghost (none yet)',
+                            select: () => {
+                                if(scenes.current.ghost) {
+                                    scenes.go('playing', { race: levelId });
+                                };
+                            }
+                        },
+                        { label: 'Import ghost', select: importGhostFile },
+                        { label: 'Leaderboard', select: () => scenes.go('leaderboard', { back: 'title' }) },
+                        { label: 'Settings', select: () => scenes.go('settings', { back: 'title' }) }
+                    ]),
+                    enter: function(params) {
+                        if(!params.resume) {
+                            state = createState(undefined, levels[levelId]);
+                            this.menu.pos = 0;
+                        };
+                        this.ghost = getGhost(levelId);
+                        this.notice = '';
+                    },
+                    update: function() {
+                        this.menu.update();
+                    },
+                    render: function() {
+                        renderBkgd();
+                        renderText("Lost in the Distance\n\n" + this.menu.text() + (this.notice ? "\n\n" + this.notice : ''));
+                    }
+                },
+
+                playing: {
+                    /*
+                    * A new run starts unless resuming from the pause menu, see newRun for the params choosing the kind of run
+                    * spending: whether turbo was being spent on the last frame, so its sound plays once when it kicks in
+                    */
+                    spending: false,
+                    enter: function(params) {
+                        if(!params.resume) {
+                            newRun(params);
+                        };
+                        this.spending = false;
+                    },
+                    exit: function() {
+                        setEngine(0);
+                    },
+                    update: function() {
+                        if(actionTapped('pause')) {
+                            scenes.go('paused');
+                            return;
+                        };
+
+                        // Controls are played as recorded, so analog values get rounded the same way in replays
+                        let controls = playback ? playback.next() : recorder.record(readControls());
 
-                    if(gameState > 0 || !gameOn) {
-                        mMenuTxt.update();
-                    } else {
-                        player.update();
+                        let prev = state;
+                        state = step(state, controls);
+                        if(ghost) {
+                            ghost.run.next();
+                        };
+                        scrTxt.update();
                         tboTxt.update();
+                        fxTxt.update();
+
+                        // Sounds follow the changes the frame made to the state
+                        let spending = state.stats.tbo > prev.stats.tbo;
+                        if(spending && !this.spending) {
+                            playSound('turbo');
+                        };
+                        this.spending = spending;
+                        setEngine(state.player.spd, spending);
+                        if(controls.thrust > 0 && state.player.fuel > 0) {
+                            exhaust(state.player, spending);
+                        };
+                        if(state.stats.fuel > prev.stats.fuel) {
+                            playSound('fuel');
+                            sparkle(prev.fuel.x, prev.fuel.y);
+                        };
+                        prev.pickups.filter(entity => !state.pickups.some(other => other.x == entity.x && other.y == entity.y)).forEach(entity => {
+                            playSound('power');
+                            sparkle(entity.x, entity.y);
+                        });
+                        if(state.stats.shields > prev.stats.shields) {
+                            playSound('shield');
+                            debris(state.player.x, state.player.y);
+                            shake(2, 15);
+                        };
+                        if(state.gameState == HIT) {
+                            playSound('explosion');
+                            debris(state.player.x, state.player.y);
+                            shake(4, 40);
+                        } else if(state.gameState == MOON || state.gameState == EARTH) {
+                            playJingle(state.gameState == MOON ? 'moon' : 'earth');
+                        };
 
-                        moon.update();
-                        if(!checkSAT(player, moon)) {
-                            gameState = 2;
+                        // Keeps the finished run so it can be watched back, replays are not re-recorded
+                        if(state.gameState != PLAYING) {
+                            if(!playback) {
+                                lastReplay = recorder.replay();
+                                newGhost = saveGhost(ghostKey, { replay: lastReplay, score: state.score, ending: state.gameState, time: state.frame, daily: runDaily });
+                            };
+                            scenes.go(state.gameState == HIT ? 'dying' : 'gameover', { ending: state.gameState });
+                            return;
                         };
+                        updateEffects();
+                    },
+                    render: () => renderWorld()
+                },
+
+                // The ship breaking apart before the game over screen, the rest of the world stands still
+                dying: {
+                    enter: function(params) {
+                        this.ending = params.ending;
+                        this.frames = 60;
+                    },
+                    update: function() {
+                        updateEffects();
+                        if(--this.frames <= 0) {
+                            scenes.go('gameover', { ending: this.ending });
+                        };
+                    },
+                    render: () => renderWorld(true)
+                },
 
-                        earth.update();
-                        if(!checkSAT(player, earth)) {
-                            gameState = 3;
+                paused: {
+                    menu: createMenu([
+                        { label: 'Resume', select: () => scenes.go('playing', { resume: true }) },
+                        { label: 'Restart', select: () => scenes.go('playing', runParams) },
+                        { label: 'Settings', select: () => scenes.go('settings', { back: 'paused' }) },
+                        { label: 'Quit to title', select: () => scenes.go('title') }
+                    ]),
+                    enter: function(params) {
+                        if(!params.resume) {
+                            this.menu.pos = 0;
                         };
+                    },
+                    update: function() {
+                        if(actionTapped('pause')) {
+                            scenes.go('playing', { resume: true });
+                            return;
+                        };
+                        this.menu.update();
+                    },
+                    render: function() {
+                        renderWorld();
+                        renderShade();
+                        renderText("Paused\n\n" + this.menu.text());
+                    }
+                },
 
-                        if(fuel == null) {
-                            fuel = fuelFactory();
+                settings: {
+                    /*
+                    * back: scene to return to
+                    * binding: name of the action waiting for a key or button to be bound, null when not rebinding
+                    */
+                    back: 'title',
+                    binding: null,
+                    menu: createMenu([
+                        ...ACTIONS.map(action => ({
+                            label: () => bindingText(action),
+                            select: () => {
+                                scenes.current.binding = action;
+                                rebind(action, () => {
+                                    scenes.current.binding = null;
+                                });
+                            }
+                        })),
+                        { label: 'Reset controls', select: resetBindings },
+                        ...CHANNELS.map(volumeItem),
+                        { label: () => 'Sound: ' + (getAudioSettings().mute ? 'Off' : 'On'), select: () => setAudio('mute', !getAudioSettings().mute) },
+                        { label: () => 'Effects: ' + (getEffectSettings().reduced ? 'Reduced' : 'Full'), select: () => setEffect('reduced', !getEffectSettings().reduced) },
+                        { label: () => 'Screen shake: ' + (getEffectSettings().shake ? 'On' : 'Off'), select: () => setEffect('shake', !getEffectSettings().shake) },
+                        { label: 'Back', select: () => scenes.go(scenes.current.back, { resume: true }) }
+                    ]),
+                    enter: function(params) {
+                        this.back = params.back || this.back;
+                        this.binding = null;
+                        this.menu.pos = 0;
+                    },
+                    update: function() {
+                        // Waits for input.js to capture the new binding
+                        if(!this.binding) {
+                            this.menu.update();
                         };
-                        if(!checkSAT(player, fuel)) {
-                            fuel = fuelFactory(gameSize);
-                            scrTxt.score++;
-                            scrTxt.update();
+                    },
+                    render: function() {
+                        if(this.back == 'paused') {
+                            renderWorld();
+                            renderShade();
+                        } else {
+                            renderBkgd();
                         };
 
-                        gameSize = updtCanvas(scrTxt.score);
-                        fuel.update();
+                        if(this.binding) {
+                            renderText(`Press a key or pad button\nfor ${ACTION_NAMES[this.binding]}\nESC to cancel`);
+                        } else {
+                            renderText("Settings\n\n" + this.menu.text(), 8);
+                        };
+                    }
+                },
 
-                        // Checks for rock/asteroid limit and spawns more accordingly
-                        if(rockArr.length < Math.min(scrTxt.score, 50)) {
-                            if(spawn <=0) {
-                                for(let i=0; i<randInt(Math.min(Math.ceil(scrTxt.score/20), 3), Math.min(Math.floor(scrTxt.score/10), 5)); i++) {
-                                    rockArr.push(rockFactory(gameSize));
-                                };
-                                spawn = randInt(15, 30);
-                            };
+                gameover: {
+                    /*
+                    * ending: the ending reached, one of the sim.js game states
+                    * initials: character codes of the initials being entered, null when not entering
+                    * initPos: index of the initial currently being changed
+                    * rank/best: leaderboard rank of the finished run (0 if unranked) and the best saved entry
+                    * ghost: the ghost to beat on the finished run's layout after it was saved, null for replays
+                    */
+                    enter: function(params) {
+                        if(params.resume) {
+                            return;
                         };
 
-                        // Filters out rock/asteroids not within game boundry
-                        rockArr = rockArr.filter(rock => {
-                            if(rock.x >= -5 && rock.x <= gameSize+5 && rock.y >= -5 && rock.y <= gameSize+5) {
-                                if((player.x < rock.x+8 || player.x > rock.x-8) && (player.y < rock.y+8 || player.y > rock.y-8)) {
-                                    if(!checkSAT(player, rock)) {
-                                        gameState = 1;
-                                    };
-                                };
-                                rock.update();
-                                return rock;
+                        this.ending = params.ending;
+                        this.initials = playback ? null : [65, 65, 65];
+                        this.initPos = 0;
+                        this.rank = 0;
+                        this.best = getBest(runBoard);
+                        this.ghost = playback ? null : getGhost(ghostKey);
+                        this.menu = createMenu([
+                            { label: 'Restart', select: () => scenes.go('playing', playback ? {} : runParams) },
+                            ...(lastReplay ? [{ label: 'Watch replay', select: () => scenes.go('playing', { replay: lastReplay }) }] : []),
+                            ...(this.ghost ? [{
+                                label: 'Export ghost',
+                                select: () => downloadGhost(this.ghost, `ghost-${runDaily ? 'daily-' + runDaily : runLevel}.json`)
+                            }] : []),
+                            { label: 'Leaderboard', select: () => scenes.go('leaderboard', { back: 'gameover' }) },
+                            { label: 'Quit to title', select: () => scenes.go('title') }
+                        ]);
+                    },
+                    update: function() {
+                        if(!this.initials) {
+                            this.menu.update();
+                            return;
+                        };
+
+                        // Arcade style initials, up/down changes the letter and left/right moves between letters
+                        if(actionTapped('up')) {
+                            this.initials[this.initPos] = (this.initials[this.initPos] - 64)%26 + 65;
+                        };
+                        if(actionTapped('down')) {
+                            this.initials[this.initPos] = (this.initials[this.initPos] - 40)%26 + 65;
+                        };
+                        if(actionTapped('left')) {
+                            this.initPos = Math.max(0, this.initPos-1);
+                        };
+                        if(actionTapped('right')) {
+                            this.initPos = Math.min(this.initials.length-1, this.initPos+1);
+                        };
+                        if(actionTapped('confirm')) {
+                            this.rank = addScore({
+                                name: String.fromCharCode(...this.initials),
+                                score: state.score,
+                                ending: this.ending,
+                                time: state.frame,
+                                fuel: state.stats.fuel,
+                                tbo: state.stats.tbo,
+                                level: runBoard
+                            });
+                            this.best = getBest(runBoard);
+                            this.initials = null;
+                        };
+                    },
+                    render: function() {
+                        let text = ENDING_TEXTS[this.ending];
+                        if(this.initials) {
+                            text += "\nName: " + this.initials.map((code, i) => i == this.initPos ? `[${String.fromCharCode(code)}]` : String.fromCharCode(code)).join('') + "\nENTER to save";
+                        } else {
+                            if(!playback) {
+                                text += `\n${this.rank ? 'Rank #' + this.rank : 'Unranked'}  Best: ${this.best ? (runDaily ? ghostText(this.best) : this.best.score) : 0}`;
                             };
-                        });
+                            if(this.ghost) {
+                                text += `\n${runDaily ? 'Daily ' + runDaily : 'Ghost'} best: ${ghostText(this.ghost)}${newGhost ? ' (new!)' : ''}`;
+                            };
+                            text += "\n\n" + this.menu.text();
+                        };
 
-                        spawn--;
-                    };
+                        renderBkgd();
+                        scrTxt.render();
+                        renderText(text);
+                    }
                 },
 
-                render: function() {
-                    bkgd.render();
-                    scrTxt.render();
-
-                    if(gameState > 0 || !gameOn) {
-                        mMenuTxt.render();
-                    } else {
-                        player.render();
-                        tboTxt.render();
-                        moon.render();
-                        earth.render();
-                        if(fuel != null) {
-                            fuel.render();
-                        }
-                        rockArr.forEach(rock => {
-                            rock.render();
-                        });
-                    };
+                leaderboard: {
+                    /*
+                    * back: scene to return to
+                    * board: id of the leaderboard whose runs are listed, left/right switches between the levels' and
+                    *   the day's challenge
+                    */
+                    back: 'title',
+                    board: DEFAULT_LEVEL,
+                    menu: createMenu([
+                        { label: 'Back', select: () => scenes.go(scenes.current.back, { resume: true }) }
+                    ]),
+                    enter: function(params) {
+                        this.back = params.back || this.back;
+                        this.board = this.back == 'gameover' ? runBoard : levelId;
+                    },
+                    update: function() {
+                        let boards = [...levelIds, getDailyBoard()];
+                        let move = (actionTapped('right') ? 1 : 0) - (actionTapped('left') ? 1 : 0);
+                        if(move) {
+                            this.board = boards[(boards.indexOf(this.board) + move + boards.length)%boards.length];
+                        };
+                        this.menu.update();
+                    },
+                    render: function() {
+                        let name = levels[this.board] ? levels[this.board].name : 'Daily ' + this.board.slice(DAILY.length + 1);
+                        renderBkgd();
+                        renderText(`< ${name} >\n` + scoresText(this.board) + "\n\n" + this.menu.text(), 8);
+                    }
                 }
             });
 
+            // Updates and renders the current scene
+            let update = () => {
+                scenes.update();
+                updateInput();
+            };
+            let render = () => {
+                scenes.render();
+
+                if(isTouchUsed()) {
+                    touchPad.render();
+                };
+            };
+
+            // Developer builds wrap the loop with the debug overlay (see debug.js), drawn over scenes showing a run
+            // @ifdef DEBUG
+            update = debugUpdate(update);
+            render = debugRender(render, () => ['playing', 'paused', 'dying'].includes(scenes.name) ? state : null);
+            // @endif
+
+            // The game loop function
+            let lp = GameLoop({ update, render });
+
+            /*
+            * Plays back a replay shared as a string, used from the browser console for bug reports
+            */
+            window.importReplay = blob => {
+                let replay = importReplay(blob);
+                if(!levels[replay.level]) {
+                    throw Error(`Replay of unknown level "${replay.level}"`);
+                };
+                lastReplay = replay;
+                scenes.go('playing', { replay: lastReplay });
+            };
+
             // Runs the game loop
+            scenes.go('title');
             lp.start();
+        }).catch(err => {
+            // Shows why the game could not start rather than a blank canvas, levels are fetched so file:// pages cannot load them
+            console.error(err);
+            let context = getContext();
+            context.fillStyle = 'black';
+            context.fillRect(0, 0, VIEW_SIZE, VIEW_SIZE);
+            Text({
+                anchor: {x: 0.5, y: 0.5},
+                x: VIEW_SIZE/2,
+                y: VIEW_SIZE/2,
+                font: '10px Arial',
+                color: 'white',
+                text: "Unable to start\n\n" + (err instanceof Error ? err.message : 'Unable to load ' + err) + (location.protocol == 'file:' ? "\n\nServe the game over HTTP\nto play it (see README)" : ''),
+                textAlign: 'center'
+            }).render();
         });
 };
 
+// Returns the last finished run as a string, used from the browser console for bug reports
+window.exportReplay = () => lastReplay && exportReplay(lastReplay);
+
 // Starts the game
-gameStart();
\ No newline at end of file
+gameStart();
@@ -0,0 +1,171 @@
+/*
+* Ghost racing and daily challenges
+* A ghost is the best run on a layout kept as its replay, played back through the simulation alongside the live run
+* (see createGhostRun), so it races on the same layout as the seed it was recorded on
+* The daily challenge seeds the run from the date, so everyone gets the same landmarks, fuel and power-ups on the same day
+* (rocks spawn around each player's view, so they still differ from run to run)
+* Ghosts are saved locally, one per level plus the day's challenge, and can be exported to and imported from a file
+*/
+import { createState, step, PLAYING, EARTH } from './sim.js';
+import { createPlayback, exportReplay, importReplay } from './replay.js';
+import { readStore, writeStore } from './storage.js';
+
+const GHOSTS_KEY = 'lost-in-the-distance-ghosts';
+const GHOST_VERSION = 1;
+
+// Key of the daily challenge's ghost, other ghosts are kept under their level id
+export const DAILY = 'daily';
+
+/*
+* Returns the day of the given date as YYYY-MM-DD in UTC, so the whole team shares the same day
+*/
+export let getDailyDate = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/*
+* Returns the id of the leaderboard of the given day's challenge, kept apart from the leaderboards of the levels
+*/
+export let getDailyBoard = (day = getDailyDate()) => DAILY + '-' + day;
+
+/*
+* Hashes the given day (FNV-1a) into the seed of its daily challenge
+* Return the seed
+*/
+export let getDailySeed = (day = getDailyDate()) => {
+    let hash = 0x811C9DC5;
+    for(let i=0; i<day.length; i++) {
+        hash = Math.imul(hash ^ day.charCodeAt(i), 0x01000193) >>> 0;
+    };
+
+    return hash;
+};
+
+/*
+* Orders two runs for racing, reaching earth first and the faster the better, then higher score and the faster run
+* Also ranks the daily challenge's leaderboard, so it agrees with the day's ghost
+*/
+export let compareRuns = (a, b) => (b.ending == EARTH) - (a.ending == EARTH) ||
+    (a.ending == EARTH ? a.time - b.time : b.score - a.score || a.time - b.time);
+
+/*
+* Reads every saved ghost, ignoring anything that does not look like the saved ghosts
+* Return the ghosts by key, with their replay exported as a string
+*/
+let readGhosts = () => {
+    let ghosts = readStore(GHOSTS_KEY, {});
+    return ghosts && typeof ghosts == 'object' && !Array.isArray(ghosts) ? ghosts : {};
+};
+
+/*
+* Returns the saved ghost under the given key (a level id or DAILY), null when there is none
+* The daily ghost is only returned on the day of its challenge
+* A ghost is {replay, score, ending, time, daily}, daily being the day of its challenge or null
+*/
+export let getGhost = key => {
+    let ghost = readGhosts()[key];
+    if(!ghost || (key == DAILY && ghost.daily != getDailyDate())) {
+        return null;
+    };
+
+    try {
+        return { ...ghost, replay: importReplay(ghost.replay) };
+    } catch(e) {
+        return null;
+    };
+};
+
+/*
+* Saves the given finished run as the ghost under the given key, when it beats the saved one
+* Return true if it was saved
+*/
+export let saveGhost = (key, run) => {
+    let saved = getGhost(key);
+    if(saved && compareRuns(saved, run) <= 0) {
+        return false;
+    };
+
+    let ghosts = readGhosts();
+    ghosts[key] = { ...run, replay: exportReplay(run.replay) };
+    writeStore(GHOSTS_KEY, ghosts);
+    return true;
+};
+
+/*
+* Serializes a ghost into a string for sharing
+* Return the JSON string
+*/
+export let exportGhost = ghost => JSON.stringify({ v: GHOST_VERSION, ...ghost, replay: exportReplay(ghost.replay) });
+
+/*
+* Parses a string created by exportGhost
+* Throws an Error if the string is not a valid ghost
+* Return the ghost object
+*/
+export let importGhost = blob => {
+    let data = JSON.parse(blob);
+    if(!data || data.v != GHOST_VERSION || typeof data.replay != 'string' || typeof data.score != 'number' ||
+        typeof data.time != 'number' || typeof data.ending != 'number') {
+        throw Error('Invalid ghost');
+    };
+
+    return {
+        replay: importReplay(data.replay),
+        score: data.score,
+        ending: data.ending,
+        time: data.time,
+        daily: typeof data.daily == 'string' ? data.daily : null
+    };
+};
+
+/*
+* Returns the pose {x, y, rotation} of the ship in the given state
+*/
+let getPose = state => ({ x: state.player.x, y: state.player.y, rotation: state.player.rotation });
+
+/*
+* Plays a ghost's replay back through the simulation on the given level, a frame each time the live run steps,
+* so starting a race does not have to simulate the whole ghost run up front
+* Return the ghost run {pose, next}, pose being the ghost's pose on the current frame and next advancing it one frame,
+* ghosts stay where their run ended
+*/
+export let createGhostRun = (replay, level) => {
+    let state = createState(replay.seed, level);
+    let playback = createPlayback(replay);
+    let run = {
+        pose: getPose(state),
+        next: () => {
+            if(state.gameState == PLAYING && !playback.done()) {
+                state = step(state, playback.next());
+                run.pose = getPose(state);
+            };
+        }
+    };
+
+    return run;
+};
+
+/*
+* Saves a ghost as a file through the browser's downloads
+*/
+export let downloadGhost = (ghost, name) => {
+    let link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([exportGhost(ghost)], { type: 'application/json' }));
+    link.download = name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href));
+};
+
+/*
+* Asks the player for a ghost file
+* Return a promise of the ghost read from it, rejected if the file is not a valid ghost
+*/
+export let openGhostFile = () => new Promise((resolve, reject) => {
+    let input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+        if(input.files[0]) {
+            input.files[0].text().then(importGhost).then(resolve, reject);
+        };
+    });
+    input.click();
+});
@@ -0,0 +1,300 @@
+/*
+* The input layer
+* Maps abstract actions to the keyboard, the first connected gamepad (Gamepad API) and on-screen touch buttons
+* Keyboard and gamepad button bindings can be remapped, and are saved between sessions
+*/
+import { keyPressed, keyMap, getCanvas } from '../node_modules/kontra/kontra.mjs'; // (used for rollup)
+import { readStore, writeStore } from './storage.js';
+
+const BINDINGS_KEY = 'lost-in-the-distance-bindings';
+
+// Actions in the order they are listed on the settings screen, up doubles as thrust and down is only used in menus
+export const ACTIONS = ['left', 'right', 'up', 'down', 'turbo', 'confirm', 'pause'];
+
+export const ACTION_NAMES = {
+    left: 'Turn left',
+    right: 'Turn right',
+    up: 'Thrust / Up',
+    down: 'Down',
+    turbo: 'Turbo',
+    confirm: 'Confirm',
+    pause: 'Pause'
+};
+
+/*
+* Default bindings of each action, kontra key names and standard gamepad button indexes
+* (0: A, 6: left trigger, 7: right trigger, 9: start, 12-15: d-pad up, down, left, right)
+*/
+const DEFAULT_BINDINGS = {
+    left: { keys: ['left', 'a'], buttons: [14] },
+    right: { keys: ['right', 'd'], buttons: [15] },
+    up: { keys: ['up', 'w'], buttons: [7, 12] },
+    down: { keys: ['down', 's'], buttons: [13] },
+    turbo: { keys: ['space'], buttons: [6] },
+    confirm: { keys: ['enter'], buttons: [0] },
+    pause: { keys: ['p', 'esc'], buttons: [9] }
+};
+
+// Stick movement ignored around the center of the gamepad's left stick
+const DEADZONE = 0.2;
+
+/*
+* On-screen touch buttons in view coordinates, only drawn and used once the screen has been touched
+* Touches anywhere else count as confirm
+*/
+export const TOUCH_BUTTONS = [
+    { action: 'left', label: '<', x: 2, y: 214, width: 24, height: 24 },
+    { action: 'right', label: '>', x: 30, y: 214, width: 24, height: 24 },
+    { action: 'down', label: 'v', x: 114, y: 214, width: 24, height: 24 },
+    { action: 'up', label: '^', x: 142, y: 214, width: 24, height: 24 },
+    { action: 'turbo', label: 'T', x: 170, y: 214, width: 24, height: 24 },
+    { action: 'pause', label: '||', x: 214, y: 2, width: 24, height: 24 }
+];
+
+/*
+* bindings: current bindings of each action
+* touches: view coordinates of each active touch by pointer id
+* touchUsed: set once the screen has been touched, showing the touch buttons
+* held: actions pressed on the last frame
+* capture: callback waiting for the next key or gamepad button to bind, null when not rebinding
+* capturePad: gamepad buttons pressed on the last frame, only buttons pressed after them are bound
+*/
+let bindings = null;
+let touches = {};
+let touchUsed = false;
+let held = {};
+let capture = null;
+let capturePad = [];
+
+/*
+* Reads the saved bindings, falling back to the defaults for anything missing or malformed
+* Return the bindings object
+*/
+let loadBindings = () => {
+    let saved = readStore(BINDINGS_KEY, {}) || {};
+    let loaded = {};
+    ACTIONS.forEach(action => {
+        let binding = saved[action];
+        loaded[action] = binding && Array.isArray(binding.keys) && Array.isArray(binding.buttons) ?
+            { keys: binding.keys.slice(), buttons: binding.buttons.slice() } :
+            { keys: DEFAULT_BINDINGS[action].keys.slice(), buttons: DEFAULT_BINDINGS[action].buttons.slice() };
+
+        // Keys outside of kontra's default key map are bound by their key code
+        loaded[action].keys.forEach(key => {
+            if(!Object.values(keyMap).includes(key)) {
+                keyMap[key] = key;
+            };
+        });
+    });
+
+    return loaded;
+};
+
+/*
+* Returns the first connected gamepad, or null when there is none
+*/
+let getPad = () => {
+    let pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    for(let i=0; i<pads.length; i++) {
+        if(pads[i] && pads[i].connected) {
+            return pads[i];
+        };
+    };
+
+    return null;
+};
+
+/*
+* Returns whether each button of the given gamepad is pressed, an empty array when there is no gamepad
+*/
+let padPressed = pad => pad ? pad.buttons.map(button => button.pressed) : [];
+
+/*
+* Returns how far the given gamepad button is pressed, from 0 to 1 (analog triggers give values in between)
+*/
+let buttonValue = (pad, index) => pad && pad.buttons[index] ? pad.buttons[index].value || (pad.buttons[index].pressed ? 1 : 0) : 0;
+
+/*
+* Checks if a touch is within the given touch button, or outside of all of them when none is given
+*/
+let touched = button => Object.values(touches).some(touch => button ?
+    touch.x >= button.x && touch.x <= button.x+button.width && touch.y >= button.y && touch.y <= button.y+button.height :
+    !TOUCH_BUTTONS.some(other => touch.x >= other.x && touch.x <= other.x+other.width && touch.y >= other.y && touch.y <= other.y+other.height));
+
+/*
+* Returns how far the given action is pressed, from 0 to 1
+*/
+let actionValue = action => {
+    let binding = bindings[action];
+    let pad = getPad();
+    let value = binding.keys.some(key => keyPressed(key)) ? 1 : 0;
+
+    binding.buttons.forEach(index => {
+        value = Math.max(value, buttonValue(pad, index));
+    });
+
+    if(touchUsed && (action == 'confirm' ? touched() : TOUCH_BUTTONS.some(button => button.action == action && touched(button)))) {
+        value = 1;
+    };
+
+    return value;
+};
+
+/*
+* Checks if the given action is currently pressed
+* Return true while pressed
+*/
+export let actionPressed = action => actionValue(action) > 0.5;
+
+/*
+* Checks if the given action went down this frame, so menus react once per press rather than every frame
+* Return true on the frame the action is first pressed
+*/
+export let actionTapped = action => actionPressed(action) && !held[action];
+
+/*
+* Reads the player's controls for a frame of play, combining every device
+* Return the controls object ({turn, thrust, turbo}) used by the simulation
+*/
+export let readControls = () => {
+    let pad = getPad();
+    let stick = pad && pad.axes.length ? pad.axes[0] : 0;
+    let turn = (actionPressed('right') ? 1 : 0) - (actionPressed('left') ? 1 : 0);
+
+    if(Math.abs(stick) > DEADZONE) {
+        turn = Math.sign(stick) * (Math.abs(stick) - DEADZONE)/(1 - DEADZONE);
+    };
+
+    return {
+        turn: Math.max(-1, Math.min(1, turn)),
+        thrust: actionValue('up'),
+        turbo: actionPressed('turbo')
+    };
+};
+
+/*
+* Remembers which actions are held and checks for gamepad buttons to bind, called at the end of every frame
+*/
+export let updateInput = () => {
+    ACTIONS.forEach(action => {
+        held[action] = actionPressed(action);
+    });
+
+    let pad = getPad();
+    if(capture && pad) {
+        pad.buttons.forEach((button, index) => {
+            if(capture && button.pressed && !capturePad[index]) {
+                capture({ button: index });
+            };
+        });
+    };
+    capturePad = padPressed(pad);
+};
+
+/*
+* Returns the bindings of every action
+*/
+export let getBindings = () => bindings;
+
+/*
+* Returns whether the screen has been touched, meaning touch buttons should be shown
+*/
+export let isTouchUsed = () => touchUsed;
+
+/*
+* Binds the given key or button (kind being 'keys' or 'buttons') to the given action, replacing that kind of binding
+* An action it was already bound to takes over the given action's old bindings instead, so no key or button ends up
+* doing two things at once (binding Down to Up's key would cancel out in menus)
+*/
+let assign = (action, kind, value) => {
+    let previous = bindings[action][kind];
+    ACTIONS.forEach(other => {
+        let bound = bindings[other][kind];
+        if(other != action && bound.includes(value)) {
+            bindings[other][kind] = [...new Set(bound.flatMap(item => item == value ? previous : [item]))];
+        };
+    });
+    bindings[action][kind] = [value];
+};
+
+/*
+* Waits for the next key or gamepad button and binds it to the given action (see assign)
+* Escape cancels the rebinding
+* Gamepad buttons already held, such as the one that picked the action to rebind, are ignored until pressed again
+* done: called with true once bound, false if cancelled
+*/
+export let rebind = (action, done) => {
+    capturePad = padPressed(getPad());
+    capture = ({ key, button }) => {
+        capture = null;
+        if(key == 'esc') {
+            done(false);
+            return;
+        };
+
+        if(key) {
+            assign(action, 'keys', key);
+        } else {
+            assign(action, 'buttons', button);
+        };
+        writeStore(BINDINGS_KEY, bindings);
+        done(true);
+    };
+};
+
+/*
+* Restores and saves the default bindings
+*/
+export let resetBindings = () => {
+    writeStore(BINDINGS_KEY, null);
+    bindings = loadBindings();
+};
+
+/*
+* Converts a pointer event to view coordinates, accounting for the canvas being scaled by the page
+*/
+let toView = evt => {
+    let canvas = getCanvas();
+    let rect = canvas.getBoundingClientRect();
+
+    return {
+        x: (evt.clientX - rect.left) * canvas.width/rect.width,
+        y: (evt.clientY - rect.top) * canvas.height/rect.height
+    };
+};
+
+/*
+* Initializes the keyboard capture and touch event listeners, call once after kontra's init and initKeys
+*/
+export let initInput = () => {
+    let canvas = getCanvas();
+
+    bindings = loadBindings();
+
+    window.addEventListener('keydown', evt => {
+        if(capture && !evt.repeat) {
+            // Keys outside of kontra's default key map are bound by their key code
+            let key = keyMap[evt.code] || (keyMap[evt.code] = evt.code);
+            capture({ key });
+        };
+    });
+
+    canvas.addEventListener('pointerdown', evt => {
+        if(evt.pointerType == 'touch') {
+            touchUsed = true;
+            touches[evt.pointerId] = toView(evt);
+            evt.preventDefault();
+        };
+    });
+    canvas.addEventListener('pointermove', evt => {
+        if(touches[evt.pointerId]) {
+            touches[evt.pointerId] = toView(evt);
+        };
+    });
+    ['pointerup', 'pointercancel'].forEach(type => {
+        canvas.addEventListener(type, evt => {
+            delete touches[evt.pointerId];
+        });
+    });
+    canvas.style.touchAction = 'none';
+};
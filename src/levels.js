@@ -0,0 +1,181 @@
+/*
+* Level and difficulty definitions
+* Levels are JSON files in the levels directory (see levels/normal.json), checked by validateLevel before use
+*
+* name: shown in the menu
+* world: world size at the start (min), growing with the score up to max once the score reaches growScore
+* fuel: tank capacity (max), drain per frame of thrust (use) and of turbo (turbo), and gain per pickup (refill)
+* rocks: the cap of rocks alive (perScore times the score, up to max), frames before the first spawn (firstSpawn),
+*   range of frames between bursts (interval), range of speeds (speed), and the spawn table (bursts) giving
+*   the range of rocks per burst from each score on
+*   Optionally, rock sizes picked by weight (sizes, [{scale, weight}]), the fastest spin in radians per frame (spin),
+*   and the smallest scale that splits in two when running into another rock (split)
+* landmarks: ranges of x and y positions the moon and earth are placed in, either can be left out
+*   Optionally, the strength of each landmark's pull on the player and rocks (gravity)
+* pickups: optional power-ups, frames before the first one (firstSpawn), range of frames between them (interval),
+*   most lying around at once (max), and the weight of each type of power-up spawning (weights, see PICKUPS in sim.js)
+* win: the landmarks ending the run when reached, an empty list plays endlessly
+* Leaving out every optional value plays with same sized rocks flying in straight lines
+*/
+import { VIEW_SIZE, PICKUPS } from './sim.js';
+
+// Bundled presets in the order they are listed in the menu
+export const LEVELS = ['easy', 'normal', 'hard', 'orbits', 'endless'];
+export const DEFAULT_LEVEL = 'normal';
+
+const LANDMARKS = ['moon', 'earth'];
+
+let isNumber = value => typeof value == 'number' && isFinite(value);
+let isRange = value => Array.isArray(value) && value.length == 2 && isNumber(value[0]) && isNumber(value[1]) && value[0] <= value[1];
+let isObject = value => value != null && typeof value == 'object' && !Array.isArray(value);
+
+/*
+* Wraps a check so a missing value passes it, for optional values
+*/
+let optional = test => value => value === undefined || test(value);
+
+/*
+* Checks a level definition
+* Throws an Error listing every problem found, naming the level and the path of each bad value
+* Return the level when it is valid
+*/
+export let validateLevel = (level, id = 'level') => {
+    let errors = [];
+
+    /*
+    * Reads the value at the given dot separated path, recording an error when it fails the given check
+    */
+    let check = (path, test, expected) => {
+        let value = path.split('.').reduce((obj, key) => obj != null && typeof obj == 'object' ? obj[key] : undefined, level);
+        if(!test(value)) {
+            errors.push(`${path} must be ${expected}, got ${JSON.stringify(value)}`);
+            return false;
+        };
+        return true;
+    };
+
+    if(!isObject(level)) {
+        throw Error(`Invalid level "${id}": not a JSON object`);
+    };
+
+    check('name', value => typeof value == 'string' && value.length > 0, 'a non-empty string');
+
+    check('world.min', value => isNumber(value) && value >= VIEW_SIZE, `a number of at least ${VIEW_SIZE} (the view size)`);
+    check('world.max', value => isNumber(value) && value >= (isObject(level.world) ? level.world.min : 0), 'a number of at least world.min');
+    check('world.growScore', value => isNumber(value) && value > 0, 'a number above 0');
+
+    check('fuel.max', value => isNumber(value) && value > 0, 'a number above 0');
+    ['use', 'turbo', 'refill'].forEach(key => check('fuel.' + key, value => isNumber(value) && value >= 0, 'a number of at least 0'));
+
+    check('rocks.cap.perScore', value => isNumber(value) && value >= 0, 'a number of at least 0');
+    check('rocks.cap.max', value => Number.isInteger(value) && value >= 0, 'a whole number of at least 0');
+    check('rocks.firstSpawn', value => Number.isInteger(value) && value >= 0, 'a whole number of at least 0');
+    check('rocks.interval', value => isRange(value) && value.every(Number.isInteger) && value[0] >= 0, 'a [min, max] range of whole numbers');
+    check('rocks.speed', value => isRange(value) && value[0] > 0, 'a [min, max] range of numbers above 0');
+    if(check('rocks.bursts', value => Array.isArray(value) && value.length > 0 && value[0] && value[0].score == 0, 'a list of spawn entries starting at score 0')) {
+        level.rocks.bursts.forEach((entry, i) => {
+            let before = level.rocks.bursts[i-1];
+            if(i && !(isObject(before) && isNumber(before.score))) {
+                check(`rocks.bursts.${i}.score`, isNumber, 'a number');
+            } else {
+                check(`rocks.bursts.${i}.score`, value => isNumber(value) && value > (i ? before.score : -1), 'a number above the score of the entry before it');
+            };
+            check(`rocks.bursts.${i}.count`, value => isRange(value) && value.every(Number.isInteger) && value[0] >= 0, 'a [min, max] range of whole numbers');
+        });
+    };
+    if(check('rocks.sizes', optional(value => Array.isArray(value) && value.length > 0), 'a list of rock sizes when given') && isObject(level.rocks) && level.rocks.sizes) {
+        level.rocks.sizes.forEach((entry, i) => {
+            check(`rocks.sizes.${i}.scale`, value => isNumber(value) && value > 0, 'a number above 0');
+            check(`rocks.sizes.${i}.weight`, value => isNumber(value) && value > 0, 'a number above 0');
+        });
+    };
+    check('rocks.spin', optional(value => isNumber(value) && value >= 0), 'a number of at least 0 when given');
+    check('rocks.split', optional(value => isNumber(value) && value > 0), 'a number above 0 when given');
+
+    if(check('landmarks', isObject, 'an object')) {
+        Object.keys(level.landmarks).forEach(name => {
+            if(!LANDMARKS.includes(name)) {
+                errors.push(`landmarks.${name} is not a landmark, expected one of ${LANDMARKS.join(', ')}`);
+                return;
+            };
+            ['x', 'y'].forEach(axis => check(`landmarks.${name}.${axis}`, value => isRange(value) && value[0] >= 0 && (!isObject(level.world) || value[1] <= level.world.max),
+                'a [min, max] range within the world'));
+            check(`landmarks.${name}.gravity`, optional(value => isNumber(value) && value >= 0), 'a number of at least 0 when given');
+        });
+    };
+
+    if(check('pickups', optional(isObject), 'an object when given') && level.pickups) {
+        check('pickups.firstSpawn', value => Number.isInteger(value) && value >= 0, 'a whole number of at least 0');
+        check('pickups.interval', value => isRange(value) && value.every(Number.isInteger) && value[0] > 0, 'a [min, max] range of whole numbers above 0');
+        check('pickups.max', value => Number.isInteger(value) && value >= 0, 'a whole number of at least 0');
+        if(check('pickups.weights', value => isObject(value) && Object.keys(value).length > 0, 'an object of power-up weights')) {
+            Object.keys(level.pickups.weights).forEach(name => {
+                if(!(name in PICKUPS)) {
+                    errors.push(`pickups.weights.${name} is not a power-up, expected one of ${Object.keys(PICKUPS).join(', ')}`);
+                    return;
+                };
+                check(`pickups.weights.${name}`, value => isNumber(value) && value > 0, 'a number above 0');
+            });
+        };
+    };
+
+    check('win', value => Array.isArray(value) && value.every(name => isObject(level.landmarks) && name in level.landmarks), 'a list of landmarks of the level');
+
+    if(errors.length) {
+        throw Error(`Invalid level "${id}":\n` + errors.join('\n'));
+    };
+
+    return level;
+};
+
+/*
+* Parses and checks the text of a level file
+* Throws an Error naming the level when the text is not JSON (with the parser's message and position) or not a valid level
+* Return the level
+*/
+export let parseLevel = (text, id = 'level') => {
+    let level;
+    try {
+        level = JSON.parse(text);
+    } catch(e) {
+        throw Error(`Invalid level "${id}": malformed JSON, ${e.message}`);
+    };
+
+    return validateLevel(level, id);
+};
+
+/*
+* Fetches the text of the level file of the given preset
+* Return a promise of the text, rejected with an Error naming the level when it cannot be fetched
+*/
+let fetchLevel = id => fetch(`levels/${id}.json`)
+    .then(response => {
+        if(!response.ok) {
+            throw Error(`HTTP ${response.status}`);
+        };
+        return response.text();
+    })
+    .catch(err => {
+        throw Error(`Unable to load level "${id}": ${err.message}`);
+    });
+
+/*
+* Loads and checks every bundled preset, those failing to load or validate are left out and logged to the console
+* Return a promise of the valid levels by id, in menu order
+*/
+export let loadLevels = () => Promise.all(LEVELS.map(id => fetchLevel(id)
+    .then(text => parseLevel(text, id))
+    .catch(err => {
+        console.error(err.message);
+        return null;
+    })))
+    .then(loaded => {
+        let levels = {};
+        loaded.forEach((level, i) => {
+            if(level) {
+                levels[LEVELS[i]] = level;
+            };
+        });
+
+        return levels;
+    });
@@ -0,0 +1,33 @@
+/*
+* Navigable list menus
+* Up/down move the selection and confirm picks the selected item
+*/
+import { actionTapped } from './input.js';
+
+/*
+* Creates a menu from the given items ({label, select}), label may be a function for text that changes
+* Returns the menu object, call update() once per frame and text() to render it
+*/
+export let createMenu = items => {
+    let menu = {
+        items,
+        pos: 0,
+
+        update: () => {
+            if(actionTapped('up')) {
+                menu.pos = (menu.pos + items.length - 1)%items.length;
+            };
+            if(actionTapped('down')) {
+                menu.pos = (menu.pos + 1)%items.length;
+            };
+            if(actionTapped('confirm')) {
+                items[menu.pos].select();
+            };
+        },
+
+        // Lists the items, marking the selected one
+        text: () => items.map((item, i) => (i == menu.pos ? '> ' : '') + (typeof item.label == 'function' ? item.label() : item.label)).join('\n')
+    };
+
+    return menu;
+};
@@ -0,0 +1,111 @@
+/*
+* Replays are a seed and level id plus the player's controls for every frame of play
+* Controls are packed into a bit field per frame: turbo (1 bit), turn from -7 to 7 (4 bits) and thrust from 0 to 15 (4 bits)
+* Analog controls are rounded to those steps before being played, so recorded runs play back exactly
+* Exported replays are a JSON string with the frames run-length encoded as "bits:count" pairs
+*/
+import { DEFAULT_LEVEL } from './levels.js';
+
+const REPLAY_VERSION = 3;
+
+// Bit field of a frame without any controls used
+const IDLE = 14;
+
+/*
+* Packs a controls object ({turn, thrust, turbo}) into its bit field
+* Return a number between 0 and 511
+*/
+export let encodeInput = input => (input.turbo ? 1 : 0) | (Math.round(input.turn*7) + 7) << 1 | Math.round(input.thrust*15) << 5;
+
+/*
+* Unpacks a bit field into a controls object, no bit field meaning no controls used
+* Return the controls object
+*/
+export let decodeInput = (bits = IDLE) => ({
+    turn: ((bits >> 1 & 15) - 7)/7,
+    thrust: (bits >> 5 & 15)/15,
+    turbo: !!(bits & 1)
+});
+
+/*
+* Creates a recorder for a run started with the given seed on the given level id
+* Returns the recorder object, call record() once per frame of play
+* record() returns the controls as they were recorded, which are the ones to play the frame with
+*/
+export let createRecorder = (seed, level = DEFAULT_LEVEL) => {
+    let frames = [];
+
+    return {
+        record: input => {
+            let bits = encodeInput(input);
+            frames.push(bits);
+            return decodeInput(bits);
+        },
+        replay: () => ({ seed, level, frames: frames.slice() })
+    };
+};
+
+/*
+* Creates a playback source from a replay
+* Returns an object whose next() gives the controls of each recorded frame in order, and no controls once done
+*/
+export let createPlayback = replay => {
+    let i = 0;
+
+    return {
+        next: () => decodeInput(replay.frames[i++]),
+        done: () => i >= replay.frames.length
+    };
+};
+
+/*
+* Serializes a replay into a compact string for sharing
+* Return the JSON string
+*/
+export let exportReplay = replay => {
+    let runs = [];
+    replay.frames.forEach(bits => {
+        let last = runs[runs.length-1];
+        if(last && last[0] == bits) {
+            last[1]++;
+        } else {
+            runs.push([bits, 1]);
+        };
+    });
+
+    return JSON.stringify({
+        v: REPLAY_VERSION,
+        seed: replay.seed,
+        level: replay.level,
+        input: runs.map(run => run[0].toString(16) + ':' + run[1].toString(36)).join(',')
+    });
+};
+
+/*
+* Parses a string created by exportReplay, replays without a level id were played on the default level
+* Throws an Error if the string is not a valid replay
+* Return the replay object
+*/
+export let importReplay = blob => {
+    let data = JSON.parse(blob);
+    if(!data || data.v != REPLAY_VERSION || typeof data.seed != 'number' || typeof data.input != 'string' || (data.level != null && typeof data.level != 'string')) {
+        throw Error('Invalid replay');
+    };
+
+    let frames = [];
+    if(data.input) {
+        data.input.split(',').forEach(run => {
+            let [bits, count] = run.split(':');
+            bits = parseInt(bits, 16);
+            count = parseInt(count, 36);
+            if(!(bits >= 0 && bits < 512) || !(count > 0)) {
+                throw Error('Invalid replay input: ' + run);
+            };
+            for(let i=0; i<count; i++) {
+                frames.push(bits);
+            };
+        });
+    };
+
+    return { seed: data.seed >>> 0, level: data.level || DEFAULT_LEVEL, frames };
+};
@@ -0,0 +1,32 @@
+/*
+* Creates a seedable pseudo random number generator (mulberry32)
+* All game randomness goes through one of these so a run can be reproduced from its seed
+* The generator's whole position is the number in rng.state, so createRng(rng.state) carries on the same sequence
+* Returns the generator object holding its seed, state, random, randInt and pick functions
+*/
+export let createRng = (seed = Date.now()) => {
+    let rng = {
+        seed: seed >>> 0,
+        state: seed >>> 0,
+
+        // Returns a float between 0 (inclusive) and 1 (exclusive), a drop-in for Math.random
+        random: () => {
+            rng.state = (rng.state + 0x6D2B79F5) >>> 0;
+            let t = rng.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        },
+
+        // Returns an integer between min and max (both inclusive), a drop-in for kontra's randInt
+        randInt: (min, max) => Math.floor(rng.random() * (max - min + 1)) + min,
+
+        // Returns one of the given items ({weight, ...}) at random, in proportion to their weights
+        pick: items => {
+            let roll = rng.random() * items.reduce((sum, item) => sum + item.weight, 0);
+            return items.find(item => (roll -= item.weight) < 0) || items[items.length-1];
+        }
+    };
+
+    return rng;
+};
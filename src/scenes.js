@@ -0,0 +1,46 @@
+/*
+* The scene manager
+* Each screen of the game is a named scene object with optional enter(params), exit(), update() and render() hooks
+* Only the current scene is updated and rendered
+*/
+
+/*
+* Creates a scene manager from the given scenes, keyed by name
+* Returns the manager, call go(name, params) to switch scenes
+*/
+export let createScenes = scenes => {
+    let manager = {
+        name: null,
+        current: null,
+
+        // Exits the current scene and enters the named one, passing it the given params
+        go: (name, params = {}) => {
+            if(!scenes[name]) {
+                throw Error('Unknown scene: ' + name);
+            };
+
+            if(manager.current && manager.current.exit) {
+                manager.current.exit();
+            };
+            manager.name = name;
+            manager.current = scenes[name];
+            if(manager.current.enter) {
+                manager.current.enter(params);
+            };
+        },
+
+        update: () => {
+            if(manager.current && manager.current.update) {
+                manager.current.update();
+            };
+        },
+
+        render: () => {
+            if(manager.current && manager.current.render) {
+                manager.current.render();
+            };
+        }
+    };
+
+    return manager;
+};
@@ -0,0 +1,66 @@
+/*
+* The local leaderboard
+* Keeps the best runs of each level, and of each day's challenge, with the player's initials and the stats of each run
+*/
+import { readStore, writeStore } from './storage.js';
+import { DEFAULT_LEVEL } from './levels.js';
+import { compareRuns, DAILY } from './ghost.js';
+
+const SCORES_KEY = 'lost-in-the-distance-scores';
+export const MAX_SCORES = 10;
+
+/*
+* Orders two leaderboard entries, higher score first, then the faster run
+*/
+let compareScores = (a, b) => b.score - a.score || a.time - b.time;
+
+/*
+* Returns the ordering of the given leaderboard, daily challenges are races to earth (see compareRuns)
+*/
+let getOrder = level => level.startsWith(DAILY + '-') ? compareRuns : compareScores;
+
+/*
+* Reads the whole saved leaderboard, ignoring anything that does not look like one
+* Entries saved before levels existed were played on the default level
+* Return the array of entries of every level
+*/
+let readScores = () => {
+    let scores = readStore(SCORES_KEY, []);
+    if(!Array.isArray(scores)) {
+        return [];
+    };
+
+    return scores.filter(entry => entry && typeof entry.score == 'number' && typeof entry.time == 'number')
+        .map(entry => ({ ...entry, level: entry.level || DEFAULT_LEVEL }));
+};
+
+/*
+* Reads the saved leaderboard of the given level
+* Return the array of entries, best first
+*/
+export let getScores = (level = DEFAULT_LEVEL) => readScores().filter(entry => entry.level == level).sort(getOrder(level));
+
+/*
+* Returns the best leaderboard entry of the given level, or null when there is none
+*/
+export let getBest = level => getScores(level)[0] || null;
+
+/*
+* Adds a finished run to the leaderboard of its level
+* entry: {name, score, ending, time, fuel, tbo, level}, time in frames, level being the id of the leaderboard:
+*   the run's level, or the daily challenge's (see getDailyBoard in ghost.js)
+* Return the 1-based rank of the entry, or 0 if it did not make the leaderboard
+*/
+export let addScore = entry => {
+    let scores = getScores(entry.level);
+    scores.push(entry);
+    scores.sort(getOrder(entry.level));
+
+    let rank = scores.indexOf(entry) + 1;
+    if(rank > MAX_SCORES) {
+        return 0;
+    };
+
+    writeStore(SCORES_KEY, [...readScores().filter(other => other.level != entry.level), ...scores.slice(0, MAX_SCORES)]);
+    return rank;
+};
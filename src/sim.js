@@ -0,0 +1,479 @@
+/*
+* The headless game simulation
+* Holds every game rule and works on plain state objects only, no DOM, canvas or kontra required
+* so it can run and be tested in Node. Rendering reads the state and draws it (see game.js)
+*/
+import { createRng } from './rng.js';
+import { getCollisions } from './collision.js';
+
+/*
+* VIEW_SIZE: width and height of the camera's view of the world
+* VIEW_MARGIN: distance outside of the view at which rocks are dropped
+* Everything else that tunes a run comes from its level definition (see levels.js)
+*/
+export const VIEW_SIZE = 240;
+export const VIEW_MARGIN = 40;
+
+/*
+* GRAVITY_MIN_DIST: distance below which a landmark's pull stops growing, so passing through its center stays sane
+* DRIFT_MAX: fastest anything can be flung by gravity
+* DRIFT_DRAG: share of the player's drift kept every frame, so a slingshot fades out rather than carrying on forever
+*/
+export const GRAVITY_MIN_DIST = 12;
+export const DRIFT_MAX = 2;
+export const DRIFT_DRAG = 0.99;
+
+/*
+* Power-up types and how many frames their effect lasts, 0 for effects applied at once
+* shield: takes the next rock hit instead of the ship
+* turbo: refills turbo and clears its cooldown
+* slow: slows every rock down to SLOW_SCALE of its velocity
+* magnet: pulls fuel within MAGNET_RANGE towards the ship at MAGNET_SPD
+*/
+export const PICKUPS = {
+    shield: 600,
+    turbo: 0,
+    slow: 300,
+    magnet: 480
+};
+export const SLOW_SCALE = 0.4;
+export const MAGNET_RANGE = 80;
+export const MAGNET_SPD = 1.5;
+
+/*
+* Game states of a run
+* PLAYING while the run goes on, the others are its endings
+*/
+export const PLAYING = 0;
+export const HIT = 1;
+export const MOON = 2;
+export const EARTH = 3;
+export const NO_FUEL = 4;
+
+/*
+* Returns the world size of the given level for the given player score, growing from its world.min up to world.max
+*/
+export let getGameSize = (level, score=0) => Math.floor((level.world.max - level.world.min) * Math.min(score/level.world.growScore, 1))+level.world.min;
+
+/*
+* Finds the spawn table entry of the given level for the given score
+* Return the last entry whose score has been reached
+*/
+export let getBurst = (level, score) => level.rocks.bursts.reduce((found, entry) => entry.score <= score ? entry : found);
+
+/*
+* Positions the camera's view centered on the given player, without showing anything outside of the world
+* Returns the top left corner of the view in world coordinates
+*/
+export let getCamera = (player, gameSize) => ({
+    x: Math.min(Math.max(player.x - VIEW_SIZE/2, 0), gameSize - VIEW_SIZE),
+    y: Math.min(Math.max(player.y - VIEW_SIZE/2, 0), gameSize - VIEW_SIZE)
+});
+
+/*
+* Picks a spot for a pickup anywhere within the given world size, away from the given landmarks (moon and earth)
+* Returns the position {x, y}
+*/
+let placePickup = (rng, landmarks, size) => {
+    let x = rng.randInt(30, size-30);
+    let y = rng.randInt(30, size-30);
+
+    while(landmarks.some(mark => x < mark.x+10 && x > mark.x-10 && y < mark.y+10 && y > mark.y-10)) {
+        x = rng.randInt(30, size-30);
+        y = rng.randInt(30, size-30);
+    };
+
+    return { x, y };
+};
+
+/*
+* Creates a fuel object anywhere within the given world size, away from the given landmarks
+* Returns the fuel object
+*/
+export let fuelFactory = (rng, landmarks, size) => ({ kind: 'fuel', ...placePickup(rng, landmarks, size), width: 8, height: 8, rotation: 0 });
+
+/*
+* Creates a power-up object anywhere within the given world size, away from the given landmarks
+* Its type (see PICKUPS) is picked at random by the weights of the level's pickups
+* Returns the power-up object
+*/
+export let pickupFactory = (rng, landmarks, size, weights) => {
+    let type = rng.pick(Object.keys(weights).map(name => ({ type: name, weight: weights[name] }))).type;
+    return { kind: 'pickup', type, ...placePickup(rng, landmarks, size), width: 8, height: 8, rotation: 0 };
+};
+
+/*
+* Returns the gravity pull {x, y} of the given landmarks at the given point, added to a velocity every frame
+* Each landmark pulls with its level's gravity strength over the square of the distance, levels without gravity pull with 0
+*/
+export let getPull = (level, landmarks, x, y) => {
+    let pull = { x: 0, y: 0 };
+    landmarks.forEach(mark => {
+        let strength = level.landmarks[mark.kind].gravity || 0;
+        let dx = mark.x - x;
+        let dy = mark.y - y;
+        let dist = Math.max(Math.hypot(dx, dy), GRAVITY_MIN_DIST);
+        if(strength && dist) {
+            pull.x += dx/dist * strength/(dist*dist);
+            pull.y += dy/dist * strength/(dist*dist);
+        };
+    });
+
+    return pull;
+};
+
+/*
+* Limits the velocity of the given entity (dx, dy) to DRIFT_MAX
+*/
+let capDrift = entity => {
+    let spd = Math.hypot(entity.dx, entity.dy);
+    if(spd > DRIFT_MAX) {
+        entity.dx *= DRIFT_MAX/spd;
+        entity.dy *= DRIFT_MAX/spd;
+    };
+};
+
+/*
+* Creates a rock/asteroid object on a random edge of the given camera's view
+* Sets a random linear path and a velocity within the level's speed range
+* Levels with rock sizes or spin pick the rock's scale (by weight) and spin (radians per frame) at random,
+* otherwise every rock is the same size and does not spin
+* Returns the rock object
+*/
+export let rockFactory = (rng, camera, rocks) => {
+    let size = VIEW_SIZE;
+    let [min, max] = rocks.speed;
+    let chooseXY = rng.randInt(0, 1);
+    let x;
+    let y;
+    let dx;
+    let dy;
+
+    if(chooseXY) {
+        x = rng.randInt(0, 1)*(size+2)-1;
+        y = rng.randInt(0, size);
+        dx = rng.randInt(0, 100)*0.01*(max - min) + min;
+
+        if(x > 0) {
+            dx = -dx;
+        };
+        dy = (rng.randInt(0, 100)*0.01*(max - min) + min) * (rng.randInt(0, 1)*2-1);
+    } else {
+        x = rng.randInt(0, size);
+        y = rng.randInt(0, 1)*(size+2)-1;
+        dx = (rng.randInt(0, 100)*0.01*(max - min) + min) * (rng.randInt(0, 1)*2-1);
+        dy = rng.randInt(0, 100)*0.01*(max - min) + min;
+
+        if(y > 0) {
+            dy = -dy;
+        };
+    };
+
+    let scale = rocks.sizes ? rng.pick(rocks.sizes).scale : 1;
+    let spin = rocks.spin ? (rng.random()*2 - 1)*rocks.spin : 0;
+
+    return { kind: 'rock', x: x + camera.x, y: y + camera.y, dx, dy, width: 8*scale, height: 8*scale, rotation: 0, scale, spin };
+};
+
+/*
+* Splits the given rock in two rocks of half its scale, flying apart across the given collision normal
+* Returns the two new rock objects
+*/
+export let splitRock = (rock, normal) => [1, -1].map(side => {
+    let scale = rock.scale/2;
+    let nx = -normal.y*side;
+    let ny = normal.x*side;
+
+    return {
+        ...rock,
+        x: rock.x + nx*4*scale,
+        y: rock.y + ny*4*scale,
+        dx: rock.dx + nx*0.3,
+        dy: rock.dy + ny*0.3,
+        width: 8*scale,
+        height: 8*scale,
+        scale,
+        spin: rock.spin*2
+    };
+});
+
+/*
+* Returns the landmarks (moon and earth) present in the given state
+*/
+export let getLandmarks = state => [state.moon, state.earth].filter(mark => mark);
+
+/*
+* Returns every entity of the given state the player can run into, the player first
+*/
+export let getBodies = state => [state.player, ...getLandmarks(state), state.fuel, ...state.pickups, ...state.rocks];
+
+/*
+* Returns the most rocks/asteroids the given level allows alive at the given score
+*/
+export let getRockCap = (level, score) => Math.min(Math.floor(score*level.rocks.cap.perScore), level.rocks.cap.max);
+
+/*
+* Checks if a pair of rocks of the given level should be tested for splitting, only rocks at least the split scale break
+*/
+export let splitsOnHit = (level, a, b) => a.scale >= level.rocks.split || b.scale >= level.rocks.split;
+
+/*
+* Creates the world state of a new run of the given level (a definition checked by validateLevel) from the given seed
+* level: the level definition, kept in the state so step needs nothing else
+* rng: positions of the seeded generators all randomness of the run comes from, one stream each for rocks, fuel and
+*   power-ups so the nth fuel canister or power-up of a seed is the same however the run is played (see daily challenges)
+* gameState: PLAYING or the ending reached
+* spawn: frames until the next rock burst may spawn
+* pickupSpawn: frames until the next power-up may spawn, levels without pickups never spawn any
+* effects: frames left of each timed power-up effect, 0 when inactive
+* gameSize: keeps track of the current world size
+* camera: top left corner of the view following the player
+* stats: fuel canisters collected, turbo spent and rocks stopped by shields over the run, the run time is the frame count
+* Returns the state object
+*/
+export let createState = (seed, level) => {
+    let rng = createRng(seed);
+    let marks = level.landmarks;
+    let gameSize = getGameSize(level);
+    let rocksRng = createRng(rng.randInt(0, 0xFFFFFFFF));
+    let fuelRng = createRng(rng.randInt(0, 0xFFFFFFFF));
+    let pickupRng = createRng(rng.randInt(0, 0xFFFFFFFF));
+
+    let moon = marks.moon ? { kind: 'moon', x: rng.randInt(...marks.moon.x), y: rng.randInt(...marks.moon.y), width: 12, height: 12, rotation: 0 } : null;
+    let earth = marks.earth ? { kind: 'earth', x: rng.randInt(...marks.earth.x), y: rng.randInt(...marks.earth.y), width: 16, height: 16, rotation: 0 } : null;
+    let fuel = fuelFactory(fuelRng, [moon, earth].filter(mark => mark), gameSize);
+    let player = {
+        kind: 'player',
+        x: level.world.min/2,
+        y: level.world.min/2,
+        width: 8,
+        height: 8,
+        rotation: 0,
+        spd: 0,
+        dx: 0,
+        dy: 0,
+        tbo: 100,
+        tboCD: 0,
+        fuel: level.fuel.max
+    };
+
+    return {
+        level,
+        seed: rng.seed,
+        rng: {
+            rocks: rocksRng.state,
+            fuel: fuelRng.state,
+            pickups: pickupRng.state
+        },
+        frame: 0,
+        gameState: PLAYING,
+        gameSize,
+        camera: getCamera(player, gameSize),
+        score: 0,
+        spawn: level.rocks.firstSpawn,
+        pickupSpawn: level.pickups ? level.pickups.firstSpawn : 0,
+        effects: {
+            shield: 0,
+            slow: 0,
+            magnet: 0
+        },
+        stats: {
+            fuel: 0,
+            tbo: 0,
+            shields: 0
+        },
+        player,
+        moon,
+        earth,
+        fuel,
+        pickups: [],
+        rocks: []
+    };
+};
+
+/*
+* Moves the player one frame according to the given controls
+* turn (-1 to 1) steers and thrust (0 to 1) accelerates, analog values scaling the effect
+* Turbo spends tbo and sets a cooldown before it recovers, every thrust drains the fuel tank
+* pull: gravity pull of the frame, building up a drift (dx, dy) carried on top of the ship's own speed
+*/
+let updatePlayer = (player, input, gameSize, tank, pull) => {
+    player.rotation = (player.rotation + 0.06*input.turn)%(2*Math.PI);
+
+    if(input.thrust > 0 && player.fuel > 0) {
+        if(input.turbo && player.tbo > 0) {
+            player.spd = Math.min(0.9, player.spd + 0.04);
+            player.tbo -= 2;
+            player.tboCD = 120;
+            player.fuel = Math.max(0, player.fuel - tank.turbo);
+        } else {
+            player.spd = Math.min(0.6, player.spd + 0.03*input.thrust);
+            if(player.tboCD == 0) {
+                player.tbo = Math.min(player.tbo+1, 100);
+            };
+            player.fuel = Math.max(0, player.fuel - tank.use*input.thrust);
+        };
+    } else {
+        if(player.spd > 0) {
+            player.spd = Math.max(0, player.spd - 0.02);
+        };
+    };
+
+    player.dx = (player.dx + pull.x)*DRIFT_DRAG;
+    player.dy = (player.dy + pull.y)*DRIFT_DRAG;
+    capDrift(player);
+
+    // Keeps player within game boundry
+    player.x = Math.min(Math.max(player.x + Math.cos(player.rotation)*player.spd + player.dx, 0), gameSize);
+    player.y = Math.min(Math.max(player.y + Math.sin(player.rotation)*player.spd + player.dy, 0), gameSize);
+
+    if(player.tboCD > 0) {
+        player.tboCD--;
+    };
+};
+
+/*
+* Advances the given state by one frame with the given controls ({turn, thrust, turbo})
+* The given state is left untouched, nothing outside of it is read or changed
+* Return the state of the next frame
+*/
+export let step = (state, input) => {
+    let s = structuredClone(state);
+
+    // Ended runs stay as they are
+    if(s.gameState != PLAYING) {
+        return s;
+    };
+
+    let rocksRng = createRng(s.rng.rocks);
+    let fuelRng = createRng(s.rng.fuel);
+    let pickupRng = createRng(s.rng.pickups);
+    let level = s.level;
+    let player = s.player;
+    s.frame++;
+
+    let tbo = player.tbo;
+    updatePlayer(player, input, s.gameSize, level.fuel, getPull(level, getLandmarks(s), player.x, player.y));
+    s.stats.tbo += Math.max(0, tbo - player.tbo);
+
+    // Only collisions involving the player matter
+    let hits = getCollisions(getBodies(s), (a, b) => a == player || b == player)
+        .map(pair => pair.a == player ? pair.b : pair.a);
+
+    // Landmarks only end the run when the level's win conditions list them
+    if(s.moon && hits.includes(s.moon) && level.win.includes('moon')) {
+        s.gameState = MOON;
+    };
+
+    if(s.earth && hits.includes(s.earth) && level.win.includes('earth')) {
+        s.gameState = EARTH;
+    };
+
+    if(hits.includes(s.fuel)) {
+        s.fuel = fuelFactory(fuelRng, getLandmarks(s), s.gameSize);
+        player.fuel = Math.min(level.fuel.max, player.fuel + level.fuel.refill);
+        s.score++;
+        s.stats.fuel++;
+    };
+
+    // Timed effects run down before the ones just picked up start
+    Object.keys(s.effects).forEach(name => {
+        s.effects[name] = Math.max(0, s.effects[name]-1);
+    });
+
+    s.pickups = s.pickups.filter(pickup => {
+        if(!hits.includes(pickup)) {
+            return true;
+        };
+
+        if(pickup.type == 'turbo') {
+            player.tbo = 100;
+            player.tboCD = 0;
+        } else {
+            s.effects[pickup.type] = PICKUPS[pickup.type];
+        };
+        return false;
+    });
+
+    // The magnet draws the fuel canister in
+    if(s.effects.magnet) {
+        let dx = player.x - s.fuel.x;
+        let dy = player.y - s.fuel.y;
+        let dist = Math.hypot(dx, dy);
+        if(dist && dist < MAGNET_RANGE) {
+            s.fuel.x += dx/dist * Math.min(MAGNET_SPD, dist);
+            s.fuel.y += dy/dist * Math.min(MAGNET_SPD, dist);
+        };
+    };
+
+    // Landing or a last second pickup takes priority over running dry on the same frame
+    if(s.gameState == PLAYING && player.fuel <= 0) {
+        s.gameState = NO_FUEL;
+    };
+
+    s.gameSize = getGameSize(level, s.score);
+    s.camera = getCamera(player, s.gameSize);
+
+    // Checks for rock/asteroid limit and spawns a burst from the level's spawn table accordingly
+    if(s.rocks.length < getRockCap(level, s.score)) {
+        if(s.spawn <= 0) {
+            let count = rocksRng.randInt(...getBurst(level, s.score).count);
+            for(let i=0; i<count; i++) {
+                s.rocks.push(rockFactory(rocksRng, s.camera, level.rocks));
+            };
+            s.spawn = rocksRng.randInt(...level.rocks.interval);
+        };
+    };
+
+    // Spawns a power-up every so often when the level has them
+    if(level.pickups) {
+        if(s.pickupSpawn <= 0 && s.pickups.length < level.pickups.max) {
+            s.pickups.push(pickupFactory(pickupRng, getLandmarks(s), s.gameSize, level.pickups.weights));
+            s.pickupSpawn = pickupRng.randInt(...level.pickups.interval);
+        };
+        s.pickupSpawn--;
+    };
+
+    // Filters out rock/asteroids that drifted too far out of the camera's view, or broke on the shield
+    let cam = s.camera;
+    let slow = s.effects.slow ? SLOW_SCALE : 1;
+    s.rocks = s.rocks.filter(rock => {
+        if(rock.x >= cam.x-VIEW_MARGIN && rock.x <= cam.x+VIEW_SIZE+VIEW_MARGIN && rock.y >= cam.y-VIEW_MARGIN && rock.y <= cam.y+VIEW_SIZE+VIEW_MARGIN) {
+            if(hits.includes(rock)) {
+                if(s.effects.shield) {
+                    s.effects.shield = 0;
+                    s.stats.shields++;
+                    return false;
+                };
+                s.gameState = HIT;
+            };
+            let pull = getPull(level, getLandmarks(s), rock.x, rock.y);
+            rock.dx += pull.x;
+            rock.dy += pull.y;
+            capDrift(rock);
+            rock.x += rock.dx*slow;
+            rock.y += rock.dy*slow;
+            rock.rotation = (rock.rotation + rock.spin*slow)%(2*Math.PI);
+            return true;
+        };
+        return false;
+    });
+
+    // Rocks at least the level's split scale break in two when they run into another rock
+    if(level.rocks.split) {
+        let broken = new Map();
+        getCollisions(s.rocks, (a, b) => splitsOnHit(level, a, b)).forEach(pair => {
+            [[pair.a, pair.normal], [pair.b, { x: -pair.normal.x, y: -pair.normal.y }]].forEach(([rock, normal]) => {
+                if(rock.scale >= level.rocks.split && !broken.has(rock)) {
+                    broken.set(rock, splitRock(rock, normal));
+                };
+            });
+        });
+        s.rocks = s.rocks.flatMap(rock => broken.get(rock) || [rock]);
+    };
+
+    s.spawn--;
+    s.rng = { rocks: rocksRng.state, fuel: fuelRng.state, pickups: pickupRng.state };
+
+    return s;
+};
@@ -0,0 +1,38 @@
+/*
+* Safe access to localStorage
+* Storage can be missing or throw (private browsing, disabled cookies, full quota), in which case
+* values are kept in memory for the rest of the session instead
+* memory holds every value written this session serialized, just as localStorage would
+*/
+let memory = {};
+
+/*
+* Reads the value saved under the given key
+* Values written this session are read from memory, as saving them may have failed while reading still works
+* (Safari private mode, full quota)
+* Return the parsed value, or the given fallback when nothing (readable) is saved
+*/
+export let readStore = (key, fallback = null) => {
+    try {
+        let value = key in memory ? memory[key] : localStorage.getItem(key);
+        if(value != null) {
+            return JSON.parse(value);
+        };
+    } catch(e) {};
+
+    return fallback;
+};
+
+/*
+* Saves the given value under the given key
+* Return true if it was persisted, false if it only lives in memory for this session
+*/
+export let writeStore = (key, value) => {
+    memory[key] = JSON.stringify(value);
+    try {
+        localStorage.setItem(key, memory[key]);
+        return true;
+    } catch(e) {
+        return false;
+    };
+};
@@ -0,0 +1,104 @@
+/*
+* Tests of the hitboxes and collision detection
+* Runs with Node's test runner: npm test
+*/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { circle, polygon, getShape, testShapes, collide, getCollisions, HITBOXES } from '../src/collision.js';
+
+/*
+* Checks two numbers are equal up to floating point error
+*/
+let near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+let placeCircle = (x, y, r) => ({ ...circle(r), x, y });
+let square = (x, y, half) => polygon([{x: x-half, y: y-half}, {x: x+half, y: y-half}, {x: x+half, y: y+half}, {x: x-half, y: y+half}]);
+
+test('the player hitbox is placed at the ship, rotated and scaled', () => {
+    let shape = getShape({ kind: 'player', x: 10, y: 20, rotation: 0 });
+    assert.equal(shape.type, 'poly');
+    assert.deepEqual(shape.points, HITBOXES.player.points.map(p => ({ x: p.x + 10, y: p.y + 20 })));
+
+    // A quarter turn points the nose down
+    let turned = getShape({ kind: 'player', x: 10, y: 20, rotation: Math.PI/2 });
+    near(turned.points[0].x, 10);
+    near(turned.points[0].y, 22.5);
+    near(turned.points[2].x, 8);
+    near(turned.points[2].y, 17.5);
+
+    let scaled = getShape({ kind: 'player', x: 0, y: 0, rotation: 0, scale: 2 });
+    assert.deepEqual(scaled.points[0], { x: 5, y: 0 });
+});
+
+test('circle hitboxes follow the entity and its scale', () => {
+    assert.deepEqual(getShape({ kind: 'rock', x: 3, y: 4 }), { type: 'circle', x: 3, y: 4, r: HITBOXES.rock.r });
+    assert.deepEqual(getShape({ kind: 'rock', x: 3, y: 4, scale: 2 }), { type: 'circle', x: 3, y: 4, r: HITBOXES.rock.r*2 });
+});
+
+test('overlapping circles collide with a normal from a to b', () => {
+    let contact = testShapes(placeCircle(0, 0, 2), placeCircle(3, 0, 2));
+    assert.deepEqual(contact, { normal: { x: 1, y: 0 }, depth: 1 });
+
+    assert.equal(testShapes(placeCircle(0, 0, 2), placeCircle(4, 0, 2)), null);
+    assert.equal(testShapes(placeCircle(0, 0, 2), placeCircle(3, 3, 2)), null);
+});
+
+test('polygons collide by the separating axis theorem', () => {
+    let contact = testShapes(square(0, 0, 2), square(3, 0, 2));
+    near(contact.depth, 1);
+    near(contact.normal.x, 1);
+    near(contact.normal.y, 0);
+
+    assert.equal(testShapes(square(0, 0, 2), square(5, 0, 2)), null);
+});
+
+test('a circle past a polygon corner does not collide', () => {
+    // Both bounding boxes overlap, but the circle sits diagonally off the corner
+    assert.equal(testShapes(square(0, 0, 2), placeCircle(3.5, 3.5, 2)), null);
+
+    let contact = testShapes(square(0, 0, 2), placeCircle(3, 3, 2));
+    assert.ok(contact);
+    near(contact.normal.x, Math.SQRT1_2);
+    near(contact.normal.y, Math.SQRT1_2);
+
+    let flipped = testShapes(placeCircle(3, 3, 2), square(0, 0, 2));
+    near(flipped.normal.x, -Math.SQRT1_2);
+    near(flipped.normal.y, -Math.SQRT1_2);
+});
+
+test('grazing the rotated ship misses where its box would have hit', () => {
+    let ship = { kind: 'player', x: 0, y: 0, rotation: 0 };
+    assert.ok(collide(ship, { kind: 'rock', x: 4.5, y: 0 }));
+    assert.equal(collide(ship, { kind: 'rock', x: 4.5, y: 4.5 }), null);
+});
+
+test('getCollisions finds every overlapping pair once', () => {
+    // Rocks straddling grid cells share several cells with each other
+    let rocks = [[10, 10], [13, 10], [100, 100], [15, 15], [17, 17], [31, 31], [33, 33]].map(([x, y], id) => ({ kind: 'rock', id, x, y }));
+    let key = (a, b) => [a.id, b.id].sort().join();
+
+    let expected = [];
+    rocks.forEach((a, i) => rocks.slice(i+1).forEach(b => {
+        if(collide(a, b)) {
+            expected.push(key(a, b));
+        };
+    }));
+
+    let found = getCollisions(rocks).map(pair => key(pair.a, pair.b));
+    assert.deepEqual(found.sort(), expected.sort());
+    assert.equal(new Set(found).size, found.length);
+    assert.equal(expected.length, 3);
+});
+
+test('getCollisions only tests pairs passing the filter and reports them', () => {
+    let player = { kind: 'player', x: 10, y: 10, rotation: 0 };
+    let rock = { kind: 'rock', x: 12, y: 10 };
+    let other = { kind: 'rock', x: 13, y: 10 };
+    let far = { kind: 'rock', x: 200, y: 200 };
+    let tested = [];
+
+    let pairs = getCollisions([player, rock, other, far], (a, b) => a == player || b == player, 16, tested);
+    assert.deepEqual(pairs.map(pair => pair.b), [rock, other]);
+    assert.ok(pairs.every(pair => pair.a == player));
+    assert.deepEqual(tested, [[player, rock], [player, other]]);
+});
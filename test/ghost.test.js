@@ -0,0 +1,37 @@
+/*
+* Tests of ghost runs and daily challenges
+* Runs with Node's test runner: npm test
+*/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createState, step, PLAYING } from '../src/sim.js';
+import { createRecorder } from '../src/replay.js';
+import { createGhostRun, getDailySeed, getDailyBoard, getDailyDate } from '../src/ghost.js';
+
+const NORMAL = JSON.parse(readFileSync(new URL('../levels/normal.json', import.meta.url)));
+
+test('a ghost run follows the recorded run frame by frame and stays where it ended', () => {
+    let state = createState(7, NORMAL);
+    let recorder = createRecorder(state.seed, 'normal');
+    let poses = [];
+    for(let i=0; i<300 && state.gameState == PLAYING; i++) {
+        poses.push({ x: state.player.x, y: state.player.y, rotation: state.player.rotation });
+        state = step(state, recorder.record({ turn: Math.sin(i/30), thrust: 1, turbo: i%100 < 10 }));
+    };
+    poses.push({ x: state.player.x, y: state.player.y, rotation: state.player.rotation });
+
+    let ghost = createGhostRun(recorder.replay(), NORMAL);
+    poses.forEach(pose => {
+        assert.deepEqual(ghost.pose, pose);
+        ghost.next();
+    });
+    assert.deepEqual(ghost.pose, poses[poses.length-1]);
+});
+
+test('daily challenges share a seed and a leaderboard per day', () => {
+    assert.equal(getDailyDate(new Date('2026-10-19T23:59:00Z')), '2026-10-19');
+    assert.equal(getDailySeed('2026-10-19'), getDailySeed('2026-10-19'));
+    assert.notEqual(getDailySeed('2026-10-19'), getDailySeed('2026-10-20'));
+    assert.equal(getDailyBoard('2026-10-19'), 'daily-2026-10-19');
+});
@@ -0,0 +1,72 @@
+/*
+* Tests of rebinding controls
+* Runs with Node's test runner: npm test, with just enough of the browser stubbed for kontra and the input layer
+*/
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+let listeners = {};
+let pad = null;
+globalThis.window = { addEventListener: (type, listener) => (listeners[type] = listeners[type] || []).push(listener) };
+globalThis.document = { getElementById: () => null, querySelector: () => null, addEventListener: () => {} };
+Object.defineProperty(globalThis, 'navigator', { value: { getGamepads: () => [pad] }, configurable: true });
+
+const { init, initKeys } = await import('../node_modules/kontra/kontra.mjs');
+const { initInput, rebind, resetBindings, getBindings, updateInput } = await import('../src/input.js');
+
+init({ getContext: () => ({}), addEventListener: () => {}, style: {}, width: 240, height: 240 });
+initKeys();
+initInput();
+
+let press = code => listeners.keydown.forEach(listener => listener({ code, repeat: false }));
+let padWith = pressed => ({ connected: true, axes: [0], buttons: Array.from({ length: 16 }, (_, i) => ({ pressed: pressed.includes(i), value: pressed.includes(i) ? 1 : 0 })) });
+
+beforeEach(() => {
+    pad = null;
+    resetBindings();
+});
+
+test('a key is bound to the action rebound', () => {
+    let result = null;
+    rebind('turbo', done => result = done);
+    press('KeyX');
+
+    assert.equal(result, true);
+    assert.deepEqual(getBindings().turbo.keys, ['x']);
+});
+
+test('escape cancels rebinding', () => {
+    let result = null;
+    rebind('turbo', done => result = done);
+    press('Escape');
+
+    assert.equal(result, false);
+    assert.deepEqual(getBindings().turbo.keys, ['space']);
+});
+
+test('binding a key used by another action swaps the bindings', () => {
+    rebind('down', () => {});
+    press('ArrowUp');
+
+    let bindings = getBindings();
+    assert.deepEqual(bindings.down.keys, ['up']);
+    assert.deepEqual(bindings.up.keys, ['down', 's', 'w']);
+    assert.ok(!bindings.up.keys.includes('up'));
+});
+
+test('the gamepad button held when rebinding starts is not bound until pressed again', () => {
+    pad = padWith([0]);
+    updateInput();
+    rebind('turbo', () => {});
+    updateInput();
+    assert.deepEqual(getBindings().turbo.buttons, [6]);
+
+    pad = padWith([]);
+    updateInput();
+    pad = padWith([0]);
+    updateInput();
+
+    // A was confirm's, which takes over turbo's left trigger
+    assert.deepEqual(getBindings().turbo.buttons, [0]);
+    assert.deepEqual(getBindings().confirm.buttons, [6]);
+});
@@ -0,0 +1,83 @@
+/*
+* Tests of loading and checking level files
+* Runs with Node's test runner: npm test
+*/
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { LEVELS, parseLevel, validateLevel, loadLevels } from '../src/levels.js';
+
+let readLevel = id => readFileSync(new URL(`../levels/${id}.json`, import.meta.url), 'utf8');
+
+test('every bundled preset is valid', () => {
+    LEVELS.forEach(id => assert.equal(parseLevel(readLevel(id), id).name.length > 0, true));
+});
+
+test('a malformed level file reports the parse error and the level', () => {
+    assert.throws(() => parseLevel('{ "name": "Broken", }', 'broken'), error => {
+        assert.match(error.message, /^Invalid level "broken": malformed JSON, /);
+        assert.match(error.message, /position \d+/);
+        return true;
+    });
+});
+
+test('an invalid level lists every bad value', () => {
+    let level = JSON.parse(readLevel('normal'));
+    level.fuel.max = -1;
+    level.win = ['mars'];
+
+    assert.throws(() => validateLevel(level, 'normal'), error => {
+        assert.match(error.message, /^Invalid level "normal":\n/);
+        assert.match(error.message, /fuel\.max must be a number above 0, got -1/);
+        assert.match(error.message, /win must be a list of landmarks of the level/);
+        return true;
+    });
+    assert.throws(() => validateLevel([], 'list'), /Invalid level "list": not a JSON object/);
+});
+
+test('a level missing whole sections lists their values', () => {
+    let level = JSON.parse(readLevel('orbits'));
+    delete level.rocks;
+    delete level.landmarks;
+
+    assert.throws(() => validateLevel(level, 'orbits'), error => {
+        assert.match(error.message, /rocks\.cap\.max must be a whole number of at least 0, got undefined/);
+        assert.match(error.message, /rocks\.bursts must be a list of spawn entries starting at score 0/);
+        assert.match(error.message, /landmarks must be an object/);
+        return true;
+    });
+});
+
+test('bad spawn table entries are named without blaming the entries after them', () => {
+    let level = JSON.parse(readLevel('normal'));
+    level.rocks.bursts[1] = null;
+    level.rocks.bursts[3] = 'thirty';
+
+    assert.throws(() => validateLevel(level, 'normal'), error => {
+        assert.match(error.message, /^Invalid level "normal":\n/);
+        assert.match(error.message, /rocks\.bursts\.1\.score must be a number above the score of the entry before it, got undefined/);
+        assert.match(error.message, /rocks\.bursts\.3\.count must be/);
+        assert.doesNotMatch(error.message, /rocks\.bursts\.(2|4)\./);
+        return true;
+    });
+});
+
+test('loadLevels leaves out and logs the levels failing to load', async () => {
+    let files = Object.fromEntries(LEVELS.map(id => [`levels/${id}.json`, readLevel(id)]));
+    files['levels/hard.json'] = '{ "name": "Hard" ';
+    delete files['levels/orbits.json'];
+
+    mock.method(globalThis, 'fetch', url => Promise.resolve(url in files ?
+        { ok: true, status: 200, text: () => Promise.resolve(files[url]) } :
+        { ok: false, status: 404 }));
+    let logged = mock.method(console, 'error', () => {});
+
+    let levels = await loadLevels();
+    assert.deepEqual(Object.keys(levels), ['easy', 'normal', 'endless']);
+    let messages = logged.mock.calls.map(call => call.arguments[0]).sort();
+    assert.equal(messages.length, 2);
+    assert.match(messages[0], /^Invalid level "hard": malformed JSON, /);
+    assert.equal(messages[1], 'Unable to load level "orbits": HTTP 404');
+
+    mock.restoreAll();
+});
@@ -0,0 +1,68 @@
+/*
+* Tests of recording, exporting and playing back replays
+* Runs with Node's test runner: npm test
+*/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createState, step, PLAYING } from '../src/sim.js';
+import { encodeInput, decodeInput, createRecorder, createPlayback, exportReplay, importReplay } from '../src/replay.js';
+
+const NORMAL = JSON.parse(readFileSync(new URL('../levels/normal.json', import.meta.url)));
+
+test('controls pack into 9 bits and round to their steps', () => {
+    let bits = encodeInput({ turn: -1, thrust: 1, turbo: true });
+    assert.ok(bits >= 0 && bits < 512);
+    assert.deepEqual(decodeInput(bits), { turn: -1, thrust: 1, turbo: true });
+    assert.deepEqual(decodeInput(encodeInput({ turn: 0.3, thrust: 0.5, turbo: false })), { turn: 2/7, thrust: 8/15, turbo: false });
+    assert.deepEqual(decodeInput(), { turn: 0, thrust: 0, turbo: false });
+});
+
+test('an exported analog run plays back exactly', () => {
+    let state = createState(99, NORMAL);
+    let recorder = createRecorder(state.seed, 'normal');
+    for(let i=0; i<1200 && state.gameState == PLAYING; i++) {
+        state = step(state, recorder.record({ turn: Math.sin(i/37)*0.8, thrust: (Math.cos(i/53) + 1)/2, turbo: i%150 < 12 }));
+    };
+
+    let replay = importReplay(exportReplay(recorder.replay()));
+    assert.deepEqual(replay, recorder.replay());
+
+    let played = createState(replay.seed, NORMAL);
+    let playback = createPlayback(replay);
+    while(!playback.done()) {
+        played = step(played, playback.next());
+    };
+    assert.deepEqual(played, state);
+});
+
+test('runs of the same controls are stored once', () => {
+    let recorder = createRecorder(1, 'easy');
+    for(let i=0; i<500; i++) {
+        recorder.record({ turn: 0, thrust: 1, turbo: false });
+    };
+
+    let data = JSON.parse(exportReplay(recorder.replay()));
+    assert.equal(data.input.split(',').length, 1);
+    assert.equal(importReplay(exportReplay(recorder.replay())).frames.length, 500);
+});
+
+test('importReplay rejects anything that is not a valid replay', () => {
+    let valid = JSON.parse(exportReplay({ seed: 5, level: 'normal', frames: [14, 14, 30] }));
+    let blob = changes => JSON.stringify({ ...valid, ...changes });
+
+    assert.doesNotThrow(() => importReplay(blob({})));
+    assert.throws(() => importReplay(blob({ v: 2 })), /Invalid replay/);
+    assert.throws(() => importReplay(blob({ seed: 'five' })), /Invalid replay/);
+    assert.throws(() => importReplay(blob({ input: '200:1' })), /Invalid replay input: 200:1/);
+    assert.throws(() => importReplay(blob({ input: 'e:0' })), /Invalid replay input: e:0/);
+    assert.throws(() => importReplay(blob({ input: 'e:-1' })), /Invalid replay input/);
+    assert.throws(() => importReplay('not json'), SyntaxError);
+});
+
+test('replays without a level were played on the default level', () => {
+    let data = JSON.parse(exportReplay({ seed: 5, level: 'normal', frames: [] }));
+    delete data.level;
+
+    assert.equal(importReplay(JSON.stringify(data)).level, 'normal');
+});
@@ -0,0 +1,350 @@
+/*
+* Tests of the game rules in the headless simulation
+* Runs with Node's test runner: npm test
+*/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createState, step, getBurst, getRockCap, getPull, splitRock, splitsOnHit, rockFactory, pickupFactory, VIEW_SIZE, VIEW_MARGIN, GRAVITY_MIN_DIST,
+    DRIFT_MAX, PICKUPS, SLOW_SCALE, MAGNET_RANGE, MAGNET_SPD, PLAYING, HIT, MOON, EARTH, NO_FUEL } from '../src/sim.js';
+import { createRng } from '../src/rng.js';
+
+const NORMAL = JSON.parse(readFileSync(new URL('../levels/normal.json', import.meta.url)));
+const ORBITS = JSON.parse(readFileSync(new URL('../levels/orbits.json', import.meta.url)));
+const IDLE = { turn: 0, thrust: 0, turbo: false };
+
+/*
+* Creates the state of a new run on the given level (normal by default), changed by the given level values
+* The fuel canister is moved out of the player's way so only what a test places there is touched
+*/
+let newRun = (changes = {}, level = NORMAL) => {
+    let state = createState(1, { ...level, ...changes });
+    state.fuel = { ...state.fuel, x: 0, y: 0 };
+    return state;
+};
+
+/*
+* Places the given entity on top of the player
+*/
+let onPlayer = (state, entity) => ({ ...entity, x: state.player.x, y: state.player.y });
+
+/*
+* Creates a rock at the given position with the given velocity and scale
+*/
+let makeRock = (x, y, dx = 0, dy = 0, scale = 1) => ({ kind: 'rock', x, y, dx, dy, width: 8*scale, height: 8*scale, rotation: 0, scale, spin: 0 });
+
+test('picking up fuel raises the score and refills the tank', () => {
+    let state = newRun();
+    state.player.fuel = 20;
+    state.fuel = onPlayer(state, state.fuel);
+
+    let next = step(state, IDLE);
+    assert.equal(next.gameState, PLAYING);
+    assert.equal(next.score, 1);
+    assert.equal(next.stats.fuel, 1);
+    assert.equal(next.player.fuel, 20 + NORMAL.fuel.refill);
+    assert.notDeepEqual({ x: next.fuel.x, y: next.fuel.y }, { x: state.player.x, y: state.player.y });
+});
+
+test('refilling never overfills the tank', () => {
+    let state = newRun();
+    state.player.fuel = NORMAL.fuel.max - 1;
+    state.fuel = onPlayer(state, state.fuel);
+
+    assert.equal(step(state, IDLE).player.fuel, NORMAL.fuel.max);
+});
+
+test('touching the moon or earth ends the run only when the level wins there', () => {
+    [['moon', MOON], ['earth', EARTH]].forEach(([name, ending]) => {
+        let state = newRun();
+        state[name] = onPlayer(state, state[name]);
+        assert.equal(step(state, IDLE).gameState, ending);
+
+        let other = newRun({ win: [name == 'moon' ? 'earth' : 'moon'] });
+        other[name] = onPlayer(other, other[name]);
+        assert.equal(step(other, IDLE).gameState, PLAYING);
+    });
+});
+
+test('a rock hitting the ship ends the run', () => {
+    let state = newRun();
+    state.rocks.push({ kind: 'rock', x: state.player.x, y: state.player.y, dx: 0, dy: 0, width: 8, height: 8, rotation: 0, scale: 1, spin: 0 });
+
+    assert.equal(step(state, IDLE).gameState, HIT);
+});
+
+test('a shield takes the hit instead of the ship', () => {
+    let state = newRun();
+    state.effects.shield = 10;
+    state.rocks.push({ kind: 'rock', x: state.player.x, y: state.player.y, dx: 0, dy: 0, width: 8, height: 8, rotation: 0, scale: 1, spin: 0 });
+
+    let next = step(state, IDLE);
+    assert.equal(next.gameState, PLAYING);
+    assert.equal(next.rocks.length, 0);
+    assert.equal(next.effects.shield, 0);
+    assert.equal(next.stats.shields, 1);
+});
+
+test('an empty tank ends the run', () => {
+    let state = newRun();
+    state.player.fuel = NORMAL.fuel.use/2;
+
+    let next = step(state, { turn: 0, thrust: 1, turbo: false });
+    assert.equal(next.player.fuel, 0);
+    assert.equal(next.gameState, NO_FUEL);
+});
+
+test('a fuel pickup on the last drop keeps the run going', () => {
+    let state = newRun();
+    state.player.fuel = NORMAL.fuel.use/2;
+    state.fuel = onPlayer(state, state.fuel);
+
+    assert.equal(step(state, { turn: 0, thrust: 1, turbo: false }).gameState, PLAYING);
+});
+
+test('ended runs stay as they are', () => {
+    let state = newRun();
+    state.gameState = HIT;
+
+    let next = step(state, { turn: 1, thrust: 1, turbo: true });
+    assert.deepEqual(next, state);
+    assert.notEqual(next, state);
+});
+
+test('rocks spawn in bursts of the spawn table on the edges of the view', () => {
+    [5, 20, 35, 45, 60].forEach(score => {
+        let state = newRun();
+        state.score = score;
+        state.spawn = 0;
+
+        let next = step(state, IDLE);
+        let [min, max] = getBurst(NORMAL, score).count;
+        assert.ok(next.rocks.length >= min && next.rocks.length <= max, `score ${score} spawned ${next.rocks.length}`);
+        assert.ok(next.spawn >= NORMAL.rocks.interval[0] - 1 && next.spawn <= NORMAL.rocks.interval[1] - 1);
+        next.rocks.forEach(rock => {
+            let x = rock.x - rock.dx - next.camera.x;
+            let y = rock.y - rock.dy - next.camera.y;
+            let onEdge = value => Math.abs(value + 1) < 1e-9 || Math.abs(value - VIEW_SIZE - 1) < 1e-9;
+            assert.ok(onEdge(x) || onEdge(y), `rock spawned at ${x}, ${y} in the view`);
+        });
+    });
+});
+
+test('rocks only spawn below the rock cap', () => {
+    let state = newRun();
+    state.score = 3;
+    state.spawn = 0;
+    state.rocks = Array.from({ length: getRockCap(NORMAL, state.score) }, (_, i) => ({
+        kind: 'rock', x: state.camera.x + i*20, y: state.camera.y, dx: 0, dy: 0, width: 8, height: 8, rotation: 0, scale: 1, spin: 0
+    }));
+
+    assert.equal(step(state, IDLE).rocks.length, state.rocks.length);
+
+    state.score = 0;
+    state.rocks = [];
+    assert.equal(getRockCap(NORMAL, 0), 0);
+    assert.equal(step(state, IDLE).rocks.length, 0);
+});
+
+test('rocks drifting past the view margin are dropped', () => {
+    let state = newRun();
+    let cam = state.camera;
+    let rock = { kind: 'rock', dx: 0, dy: 0, width: 8, height: 8, rotation: 0, scale: 1, spin: 0 };
+    state.rocks = [
+        { ...rock, x: cam.x - VIEW_MARGIN, y: cam.y },
+        { ...rock, x: cam.x + VIEW_SIZE + VIEW_MARGIN, y: cam.y + VIEW_SIZE + VIEW_MARGIN },
+        { ...rock, x: cam.x - VIEW_MARGIN - 1, y: cam.y },
+        { ...rock, x: cam.x, y: cam.y + VIEW_SIZE + VIEW_MARGIN + 1 }
+    ];
+
+    let next = step(state, IDLE);
+    assert.deepEqual(next.rocks.map(kept => [kept.x, kept.y]), state.rocks.slice(0, 2).map(kept => [kept.x, kept.y]));
+});
+
+test('a seed plays the same run every time', () => {
+    let run = () => {
+        let state = createState(42, NORMAL);
+        for(let i=0; i<600; i++) {
+            state = step(state, { turn: Math.sin(i/40), thrust: 1, turbo: i%200 < 20 });
+        };
+        return state;
+    };
+
+    assert.deepEqual(run(), run());
+});
+
+test('landmarks pull towards them, weaker with the square of the distance', () => {
+    let level = { landmarks: { moon: { gravity: 100 } } };
+    let moon = { kind: 'moon', x: 100, y: 0 };
+
+    let near = getPull(level, [moon], 80, 0);
+    let far = getPull(level, [moon], 60, 0);
+    assert.equal(near.x, 100/(20*20));
+    assert.equal(near.y, 0);
+    assert.equal(far.x*4, near.x);
+
+    let below = getPull(level, [moon], 100, 40);
+    assert.equal(below.x, 0);
+    assert.ok(below.y < 0);
+});
+
+test('the pull stops growing within GRAVITY_MIN_DIST of a landmark', () => {
+    let level = { landmarks: { earth: { gravity: 100 } } };
+    let earth = { kind: 'earth', x: 0, y: 0 };
+    let edge = 100/(GRAVITY_MIN_DIST*GRAVITY_MIN_DIST);
+
+    [GRAVITY_MIN_DIST, 6, 1, 0.01].forEach(dist => {
+        let pull = getPull(level, [earth], dist, 0);
+        assert.ok(Math.abs(pull.x) <= edge + 1e-12, `pull ${pull.x} at ${dist}`);
+    });
+    assert.deepEqual(getPull(level, [earth], 0, 0), { x: 0, y: 0 });
+    assert.deepEqual(getPull(NORMAL, [{ ...earth, kind: 'moon' }], 50, 50), { x: 0, y: 0 });
+});
+
+test('gravity never flings anything faster than DRIFT_MAX', () => {
+    let state = newRun({ landmarks: { ...ORBITS.landmarks, moon: { ...ORBITS.landmarks.moon, gravity: 1e6 } } }, ORBITS);
+    state.moon = { ...state.moon, x: state.player.x + 30, y: state.player.y };
+    state.rocks = [makeRock(state.player.x + 60, state.player.y - 20)];
+
+    for(let i=0; i<20; i++) {
+        state = step(state, IDLE);
+        assert.ok(Math.hypot(state.player.dx, state.player.dy) <= DRIFT_MAX + 1e-9);
+        state.rocks.forEach(rock => assert.ok(Math.hypot(rock.dx, rock.dy) <= DRIFT_MAX + 1e-9));
+    };
+});
+
+test('large rocks split in two halves that do not split again', () => {
+    let halves = splitRock(makeRock(60, 60, 0.5, 0, 2), { x: 1, y: 0 });
+    assert.deepEqual(halves.map(rock => rock.scale), [1, 1]);
+    assert.ok(!splitsOnHit(ORBITS, halves[0], halves[1]));
+    assert.ok(splitsOnHit(ORBITS, halves[0], makeRock(0, 0, 0, 0, 2)));
+
+    let state = newRun({ landmarks: { moon: ORBITS.landmarks.moon } }, ORBITS);
+    state.moon = null;
+    state.rocks = [makeRock(state.camera.x + 60, state.camera.y + 60, 0, 0, 2), makeRock(state.camera.x + 63, state.camera.y + 60, 0, 0, 2)];
+
+    let split = step(state, IDLE);
+    assert.deepEqual(split.rocks.map(rock => rock.scale), [1, 1, 1, 1]);
+    assert.deepEqual(step(split, IDLE).rocks.map(rock => rock.scale), [1, 1, 1, 1]);
+});
+
+test('rock sizes and spin come from the level', () => {
+    let rng = createRng(3);
+    let scales = ORBITS.rocks.sizes.map(size => size.scale);
+    for(let i=0; i<50; i++) {
+        let rock = rockFactory(rng, { x: 0, y: 0 }, ORBITS.rocks);
+        assert.ok(scales.includes(rock.scale));
+        assert.equal(rock.width, 8*rock.scale);
+        assert.ok(Math.abs(rock.spin) <= ORBITS.rocks.spin);
+
+        let plain = rockFactory(rng, { x: 0, y: 0 }, NORMAL.rocks);
+        assert.equal(plain.scale, 1);
+        assert.equal(plain.spin, 0);
+    };
+});
+
+test('levels without gravity, sizes or spin keep rocks flying in straight lines', () => {
+    let state = newRun();
+    state.rocks = [makeRock(state.camera.x + 60, state.camera.y + 60, 0.5, -0.3), makeRock(state.camera.x + 63, state.camera.y + 60, -0.4, 0.2)];
+
+    let next = step(step(state, IDLE), IDLE);
+    assert.equal(next.rocks.length, 2);
+    next.rocks.forEach((rock, i) => {
+        let start = state.rocks[i];
+        assert.equal(rock.x, start.x + start.dx + start.dx);
+        assert.equal(rock.y, start.y + start.dy + start.dy);
+        assert.equal(rock.rotation, 0);
+        assert.deepEqual([rock.dx, rock.dy, rock.scale], [start.dx, start.dy, 1]);
+    });
+    assert.deepEqual([next.player.x, next.player.y, next.player.dx, next.player.dy], [state.player.x, state.player.y, 0, 0]);
+});
+
+/*
+* Creates a power-up of the given type on top of the player
+*/
+let pickupOn = (state, type) => ({ kind: 'pickup', type, x: state.player.x, y: state.player.y, width: 8, height: 8, rotation: 0 });
+
+test('the turbo power-up refills turbo and clears its cooldown', () => {
+    let state = newRun();
+    state.player.tbo = 10;
+    state.player.tboCD = 90;
+    state.pickups = [pickupOn(state, 'turbo')];
+
+    let next = step(state, IDLE);
+    assert.equal(next.pickups.length, 0);
+    assert.equal(next.player.tbo, 100);
+    assert.equal(next.player.tboCD, 0);
+});
+
+test('timed power-ups start on pickup and run out', () => {
+    ['shield', 'slow', 'magnet'].forEach(type => {
+        let state = newRun();
+        state.pickups = [pickupOn(state, type)];
+
+        state = step(state, IDLE);
+        assert.equal(state.effects[type], PICKUPS[type]);
+        for(let i=0; i<PICKUPS[type]; i++) {
+            state = step(state, IDLE);
+        };
+        assert.equal(state.effects[type], 0);
+        assert.equal(state.gameState, PLAYING);
+    });
+});
+
+test('slow scales rock movement by SLOW_SCALE', () => {
+    let state = newRun();
+    state.rocks = [makeRock(state.camera.x + 60, state.camera.y + 60, 0.5, -0.4)];
+    state.effects.slow = 10;
+
+    let next = step(state, IDLE);
+    assert.equal(next.rocks[0].x, state.rocks[0].x + 0.5*SLOW_SCALE);
+    assert.equal(next.rocks[0].y, state.rocks[0].y - 0.4*SLOW_SCALE);
+    assert.deepEqual([next.rocks[0].dx, next.rocks[0].dy], [0.5, -0.4]);
+});
+
+test('the magnet pulls fuel within MAGNET_RANGE only', () => {
+    let state = newRun();
+    state.effects.magnet = 10;
+    state.fuel = { ...state.fuel, x: state.player.x + MAGNET_RANGE - 10, y: state.player.y };
+
+    let next = step(state, IDLE);
+    assert.equal(next.fuel.x, state.fuel.x - MAGNET_SPD);
+    assert.equal(next.fuel.y, state.fuel.y);
+
+    state.fuel = { ...state.fuel, x: state.player.x + MAGNET_RANGE + 1 };
+    assert.equal(step(state, IDLE).fuel.x, state.fuel.x);
+
+    state.effects.magnet = 0;
+    state.fuel = { ...state.fuel, x: state.player.x + 10 };
+    assert.equal(step(state, IDLE).fuel.x, state.fuel.x);
+});
+
+test('power-ups are picked by their weights', () => {
+    let rng = createRng(11);
+    let counts = { shield: 0, turbo: 0, slow: 0, magnet: 0 };
+    for(let i=0; i<4000; i++) {
+        counts[pickupFactory(rng, [], 480, { shield: 1, turbo: 3, slow: 0.0001 }).type]++;
+    };
+
+    assert.equal(counts.magnet, 0);
+    assert.ok(counts.slow < 10);
+    assert.ok(Math.abs(counts.turbo/counts.shield - 3) < 0.4, `turbo ${counts.turbo}, shield ${counts.shield}`);
+
+    let picks = Array.from({ length: 1000 }, () => rng.pick([{ weight: 1, name: 'a' }, { weight: 0, name: 'b' }, { weight: 1, name: 'c' }]).name);
+    assert.ok(!picks.includes('b'));
+});
+
+test('power-ups spawn from firstSpawn on, never more than the level allows', () => {
+    let state = newRun({ pickups: { ...NORMAL.pickups, firstSpawn: 5, interval: [3, 3], max: 2 } });
+    for(let i=0; i<5; i++) {
+        state = step(state, IDLE);
+        assert.equal(state.pickups.length, 0);
+    };
+
+    for(let i=0; i<30; i++) {
+        state = step(state, IDLE);
+        assert.ok(state.pickups.length <= 2);
+    };
+    assert.equal(state.pickups.length, 2);
+    assert.equal(newRun({ pickups: undefined }).pickupSpawn, 0);
+});
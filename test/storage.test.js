@@ -0,0 +1,58 @@
+/*
+* Tests of the storage wrapper and the leaderboard kept with it
+* Runs with Node's test runner: npm test
+*/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readStore, writeStore } from '../src/storage.js';
+import { addScore, getScores } from '../src/scores.js';
+import { getDailyBoard } from '../src/ghost.js';
+import { HIT, EARTH } from '../src/sim.js';
+
+/*
+* Stands in for the browser's localStorage, reading works but saving fails like in Safari private mode or on a full quota
+*/
+let saved = {};
+globalThis.localStorage = {
+    getItem: key => key in saved ? saved[key] : null,
+    setItem: () => {
+        throw Error('QuotaExceededError');
+    }
+};
+
+test('values that could not be saved are read back from memory', () => {
+    saved['test-stale'] = JSON.stringify('stale');
+
+    assert.equal(readStore('test-missing', 'fallback'), 'fallback');
+    assert.equal(readStore('test-stale'), 'stale');
+
+    assert.equal(writeStore('test-stale', { value: 1 }), false);
+    assert.deepEqual(readStore('test-stale'), { value: 1 });
+});
+
+test('values read back are copies of what was written', () => {
+    let value = { list: [1] };
+    writeStore('test-copy', value);
+    value.list.push(2);
+
+    assert.deepEqual(readStore('test-copy'), { list: [1] });
+});
+
+test('the leaderboard keeps scores when saving fails', () => {
+    let rank = addScore({ name: 'AAA', score: 12, ending: 1, time: 600, fuel: 12, tbo: 0, level: 'normal' });
+
+    assert.equal(rank, 1);
+    assert.deepEqual(getScores('normal').map(entry => entry.score), [12]);
+});
+
+test('daily leaderboards rank reaching earth first, then the faster run', () => {
+    let level = getDailyBoard('2026-10-19');
+    let run = (name, score, ending, time) => addScore({ name, score, ending, time, fuel: score, tbo: 0, level });
+    run('HIT', 31, HIT, 900);
+    run('SLO', 30, EARTH, 1200);
+    run('FST', 25, EARTH, 1000);
+
+    assert.deepEqual(getScores(level).map(entry => entry.name), ['FST', 'SLO', 'HIT']);
+    assert.equal(run('LOW', 40, HIT, 100), 3);
+    assert.deepEqual(getScores('normal').map(entry => entry.score), [12]);
+});